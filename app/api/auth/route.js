@@ -1,36 +1,34 @@
 /**
- * Simple Authentication API
- * POST /api/auth - Login with username/password
+ * Authentication API
+ * POST /api/auth - Login with username/password (rate limited per IP)
  * GET /api/auth - Check authentication status
  * DELETE /api/auth - Logout
+ *
+ * Sessions are signed, expiring tokens - see lib/auth.js. Users and roles
+ * are in lib/users.js.
  */
 
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 
-// Simple token generation (in production, use proper JWT)
-function generateToken() {
-  return Buffer.from(Date.now().toString() + Math.random().toString()).toString('base64');
-}
-
-// Validate credentials
-function validateCredentials(username, password) {
-  const validUsername = process.env.AUTH_USERNAME;
-  const validPassword = process.env.AUTH_PASSWORD;
-
-  if (!validUsername || !validPassword) {
-    console.error('[Auth] AUTH_USERNAME or AUTH_PASSWORD not configured');
-    return false;
-  }
-
-  return username === validUsername && password === validPassword;
-}
+const auth = require('../../../lib/auth');
+const users = require('../../../lib/users');
 
 /**
  * POST - Login
  */
 export async function POST(request) {
   try {
+    const ip = auth.getClientIp(request.headers);
+    const limit = await auth.checkLoginRateLimit(ip);
+    if (!limit.allowed) {
+      console.warn(`[Auth] Login rate limit hit for ${ip || 'unknown IP'}`);
+      return NextResponse.json(
+        { success: false, error: 'Too many failed logins, try again later' },
+        { status: 429, headers: { 'Retry-After': String(limit.retryAfterSeconds) } }
+      );
+    }
+
     const body = await request.json();
     const { username, password } = body;
 
@@ -41,36 +39,37 @@ export async function POST(request) {
       );
     }
 
-    if (!validateCredentials(username, password)) {
+    const user = await users.authenticateUser(username, password);
+    if (!user) {
+      await auth.recordLoginAttempt(ip, false);
       return NextResponse.json(
         { success: false, error: 'Invalid credentials' },
         { status: 401 }
       );
     }
 
+    await auth.recordLoginAttempt(ip, true);
+
     // Generate session token
-    const token = generateToken();
+    const { token, expiresAt, maxAgeSeconds } = auth.createSessionToken(username);
 
     // Set cookie
     const cookieStore = await cookies();
-    cookieStore.set('auth_token', token, {
+    cookieStore.set(auth.SESSION_COOKIE, token, {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'strict',
-      maxAge: 60 * 60 * 24 * 7, // 7 days
+      maxAge: maxAgeSeconds,
       path: '/',
     });
 
-    // Also store token server-side for validation (simple in-memory for now)
-    // In production, use Redis or database
-    global.authTokens = global.authTokens || new Set();
-    global.authTokens.add(token);
-
-    console.log('[Auth] User logged in successfully');
+    console.log(`[Auth] ${user.username} (${user.role}) logged in`);
 
     return NextResponse.json({
       success: true,
       message: 'Logged in successfully',
+      user: { username: user.username, role: user.role, accounts: user.accounts },
+      expiresAt,
     });
 
   } catch (error) {
@@ -88,17 +87,18 @@ export async function POST(request) {
 export async function GET() {
   try {
     const cookieStore = await cookies();
-    const token = cookieStore.get('auth_token')?.value;
+    const claims = auth.verifySessionToken(cookieStore.get(auth.SESSION_COOKIE)?.value);
+    const user = claims ? await users.getUser(claims.sub) : null;
 
-    if (!token) {
+    if (!user?.enabled) {
       return NextResponse.json({ authenticated: false });
     }
 
-    // Validate token
-    global.authTokens = global.authTokens || new Set();
-    const isValid = global.authTokens.has(token);
-
-    return NextResponse.json({ authenticated: isValid });
+    return NextResponse.json({
+      authenticated: true,
+      user: { username: user.username, role: user.role, accounts: user.accounts },
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+    });
 
   } catch (error) {
     console.error('[Auth] Check error:', error);
@@ -111,17 +111,9 @@ export async function GET() {
  */
 export async function DELETE() {
   try {
-    const cookieStore = await cookies();
-    const token = cookieStore.get('auth_token')?.value;
-
-    if (token) {
-      // Remove token from valid tokens
-      global.authTokens = global.authTokens || new Set();
-      global.authTokens.delete(token);
-    }
-
     // Clear cookie
-    cookieStore.delete('auth_token');
+    const cookieStore = await cookies();
+    cookieStore.delete(auth.SESSION_COOKIE);
 
     console.log('[Auth] User logged out');
 
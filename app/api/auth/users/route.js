@@ -0,0 +1,118 @@
+/**
+ * Users API (admin only)
+ * Endpoint: /api/auth/users
+ *
+ * GET    - list users (no password hashes)
+ * POST   - create or update a user
+ *          (body: { username, role, accounts: [...], password?, enabled? })
+ * DELETE - remove a user (?username=name)
+ *
+ * See lib/users.js for roles and account visibility.
+ */
+
+import { NextResponse } from 'next/server';
+
+const accounts = require('../../../../lib/accounts');
+const users = require('../../../../lib/users');
+
+/**
+ * Account IDs granted to a user that are not configured
+ */
+function withWarnings(user) {
+  const unknownAccounts = user.accounts.filter(id => id !== users.ALL_ACCOUNTS && !accounts.getAccount(id));
+  return unknownAccounts.length > 0 ? { ...user, unknownAccounts } : user;
+}
+
+async function requireAdmin(request) {
+  const user = await users.getRequestUser(request);
+  if (users.hasRole(user, users.ROLES.ADMIN)) return null;
+  return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  try {
+    const list = await users.listUsers();
+
+    return NextResponse.json({
+      success: true,
+      users: list.map(withWarnings),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Users API] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const body = await readJson(request);
+  if (!body) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON payload' }, { status: 400 });
+  }
+
+  try {
+    const user = await users.saveUser(body);
+
+    return NextResponse.json({
+      success: true,
+      user: withWarnings(user),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Users API] Save failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
+
+export async function DELETE(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const username = new URL(request.url).searchParams.get('username');
+  if (!username) {
+    return NextResponse.json({ success: false, error: 'Missing username' }, { status: 400 });
+  }
+
+  try {
+    const deleted = await users.deleteUser(username);
+    if (!deleted) {
+      return NextResponse.json({ success: false, error: `User not found: ${username}` }, { status: 404 });
+    }
+
+    console.log(`[Users API] Deleted ${username}`);
+    return NextResponse.json({
+      success: true,
+      deleted: username,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Users API] Delete failed:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
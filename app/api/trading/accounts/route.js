@@ -1,25 +1,55 @@
 /**
  * Accounts API
- * Endpoint: GET /api/trading/accounts
+ * Endpoint: /api/trading/accounts
  *
- * Returns a list of configured trading accounts (without sensitive data)
+ * GET    - configured trading accounts (without sensitive data) that the
+ *          caller can see; ?stored=true adds the database rows (admin)
+ * POST   - reload accounts from environment and database
+ * PUT    - create or update a database account (body: account, see
+ *          lib/accountStore.js). Omitted fields are kept, null clears them.
+ * DELETE - remove a database account (?id=account-id); an env account with
+ *          the same ID takes over again
+ *
+ * POST, PUT and DELETE require the admin role. Database fields win over
+ * ACCOUNT_{ID}_* env fields (see lib/accounts.js).
  */
 
 import { NextResponse } from 'next/server';
 
 const accounts = require('../../../../lib/accounts');
+const accountStore = require('../../../../lib/accountStore');
+const users = require('../../../../lib/users');
+
+async function requireAdmin(request) {
+  const user = await users.getRequestUser(request);
+  if (users.hasRole(user, users.ROLES.ADMIN)) return null;
+  return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
 
 /**
  * GET handler - returns account list (safe summary)
  */
-export async function GET() {
+export async function GET(request) {
   try {
-    const accountSummary = accounts.getAccountSummary();
+    await accounts.refreshAccounts();
+    const user = await users.getRequestUser(request);
+    const accountSummary = users.filterByAccount(user, accounts.getAccountSummary(), account => account.id);
+    const showStored = new URL(request.url).searchParams.get('stored') === 'true'
+      && users.hasRole(user, users.ROLES.ADMIN);
 
     return NextResponse.json({
       success: true,
       accounts: accountSummary,
       count: accountSummary.length,
+      ...(showStored ? { stored: await accountStore.listStoredAccounts() } : {}),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -33,11 +63,15 @@ export async function GET() {
 }
 
 /**
- * POST handler - reload accounts from environment
+ * POST handler - reload accounts from environment and database
  */
-export async function POST() {
+export async function POST(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
   try {
-    const count = accounts.loadAccountsFromEnv();
+    accounts.loadAccountsFromEnv();
+    const count = await accounts.refreshAccounts({ force: true });
 
     return NextResponse.json({
       success: true,
@@ -54,3 +88,78 @@ export async function POST() {
     }, { status: 500 });
   }
 }
+
+/**
+ * PUT handler - create or update a database account
+ */
+export async function PUT(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const body = await readJson(request);
+  if (!body || !body.id) {
+    return NextResponse.json({ success: false, error: 'Body must be an account with an id' }, { status: 400 });
+  }
+
+  try {
+    const id = String(body.id).trim().toLowerCase();
+    const stored = await accountStore.saveAccount(body, { hasEnvAccount: accounts.hasEnvAccount(id) });
+    await accounts.refreshAccounts({ force: true });
+
+    const account = accounts.getAccountSummary().find(a => a.id === stored.id) || null;
+    if (!account) {
+      console.warn(`[Accounts API] ${stored.id} was saved but is not loaded (missing username or API key)`);
+    }
+
+    return NextResponse.json({
+      success: true,
+      stored,
+      account,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Accounts API] Save failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
+
+/**
+ * DELETE handler - remove a database account
+ */
+export async function DELETE(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const id = new URL(request.url).searchParams.get('id');
+  if (!id) {
+    return NextResponse.json({ success: false, error: 'Missing id' }, { status: 400 });
+  }
+
+  try {
+    const deleted = await accountStore.deleteAccount(id);
+    if (!deleted) {
+      return NextResponse.json({ success: false, error: `No stored account: ${id}` }, { status: 404 });
+    }
+
+    await accounts.refreshAccounts({ force: true });
+
+    return NextResponse.json({
+      success: true,
+      deleted: id,
+      // Still loaded when env defines the same ID
+      account: accounts.getAccountSummary().find(a => a.id === id) || null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Accounts API] Delete failed:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
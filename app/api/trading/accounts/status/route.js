@@ -1,6 +1,6 @@
 /**
  * Account Status API
- * Returns connection status for all configured trading accounts
+ * Returns connection status for the configured trading accounts the caller can see
  * Endpoint: GET /api/trading/accounts/status
  */
 
@@ -9,6 +9,7 @@ import { NextResponse } from 'next/server';
 const accounts = require('../../../../../lib/accounts');
 const brokers = require('../../../../../lib/brokers');
 const riskManager = require('../../../../../lib/riskManager');
+const users = require('../../../../../lib/users');
 
 /**
  * Calculate today's P&L percentage from account details
@@ -48,7 +49,7 @@ function calculateTodayPnlPercent(details) {
 
 async function getAccountStatusWithPnl(account, brokerClient) {
   const status = await brokerClient.getAccountStatus();
-  const dailyStats = riskManager.getDailyStats(account.id);
+  const dailyStats = await riskManager.getDailyStats(account.id);
 
   let balance = null;
   let todayPnlPercent = null;
@@ -88,12 +89,15 @@ async function getAccountStatusWithPnl(account, brokerClient) {
   };
 }
 
-export async function GET() {
+export async function GET(request) {
   const startTime = Date.now();
 
   try {
-    // Get all enabled accounts
-    const enabledAccounts = accounts.getEnabledAccounts();
+    const user = await users.getRequestUser(request);
+    await accounts.refreshAccounts();
+
+    // Get the enabled accounts this user can see
+    const enabledAccounts = users.filterByAccount(user, accounts.getEnabledAccounts(), account => account.id);
 
     // Check status for each account in parallel
     const statusPromises = enabledAccounts.map(async (account) => {
@@ -118,7 +122,7 @@ export async function GET() {
 
     // Also include default account if it exists
     const defaultAccount = accounts.getAccount('default');
-    if (defaultAccount && !statuses.find(s => s.id === 'default')) {
+    if (defaultAccount && users.canViewAccount(user, 'default') && !statuses.find(s => s.id === 'default')) {
       try {
         const brokerClient = brokers.getBrokerClient(defaultAccount);
         const defaultStatus = await getAccountStatusWithPnl(
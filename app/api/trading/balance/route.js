@@ -2,19 +2,29 @@
  * Account Balance Endpoint
  * Endpoint: GET /api/trading/balance
  *
- * Returns account balance (for authenticated display)
+ * Returns the default account's balance (requires access to it)
  */
 
 import { NextResponse } from 'next/server';
 
 const projectx = require('../../../../lib/projectx');
+const users = require('../../../../lib/users');
 
 /**
  * GET handler for account balance
  */
-export async function GET() {
+export async function GET(request) {
   console.log('[Balance] Fetching account balance...');
 
+  const user = await users.getRequestUser(request);
+  if (!users.canViewAccount(user, 'default')) {
+    return NextResponse.json({
+      balance: null,
+      error: 'No access to account: default',
+      timestamp: new Date().toISOString(),
+    }, { status: 403 });
+  }
+
   try {
     const details = await projectx.getAccountDetails();
 
@@ -0,0 +1,125 @@
+/**
+ * News Blackout API
+ * Endpoint: /api/trading/blackouts
+ *
+ * GET    - blackout windows from now on, the active one and manual events.
+ *          ?enforce=true (admin) flattens every account when a window is
+ *          open and NEWS_BLACKOUT_FLATTEN=true; run each minute by Vercel cron.
+ * POST   - add or replace a manual event Finnhub misses
+ *          (body: { event, datetime, before?, after?, id? })
+ * DELETE - remove a manual event (?id=...)
+ *
+ * POST, DELETE and enforce require the admin role (Vercel cron counts as
+ * admin). See lib/newsBlackout.js.
+ */
+
+import { NextResponse } from 'next/server';
+
+const newsBlackout = require('../../../../lib/newsBlackout');
+const users = require('../../../../lib/users');
+
+async function requireAdmin(request) {
+  const user = await users.getRequestUser(request);
+  if (users.hasRole(user, users.ROLES.ADMIN)) return null;
+  return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+export async function GET(request) {
+  const enforce = new URL(request.url).searchParams.get('enforce') === 'true';
+  if (enforce) {
+    const denied = await requireAdmin(request);
+    if (denied) return denied;
+  }
+
+  try {
+    const enforcement = enforce ? await newsBlackout.enforceBlackouts() : null;
+    const [windows, manual, active] = await Promise.all([
+      newsBlackout.getBlackoutWindows(),
+      newsBlackout.getManualEvents(),
+      newsBlackout.getActiveBlackout(),
+    ]);
+    const now = new Date().toISOString();
+
+    return NextResponse.json({
+      success: !enforcement?.flattened || enforcement.flattened.every(r => r.success),
+      enabled: newsBlackout.isEnabled(),
+      flatten: newsBlackout.shouldFlatten(),
+      active,
+      windows: windows.filter(w => w.end > now),
+      manual,
+      ...(enforcement ? { flattened: enforcement.flattened || [] } : {}),
+      timestamp: now,
+    });
+  } catch (error) {
+    console.error('[Blackouts API] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const body = await readJson(request);
+  if (!body) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON payload' }, { status: 400 });
+  }
+
+  try {
+    const event = await newsBlackout.saveManualEvent(body);
+    return NextResponse.json({
+      success: true,
+      event,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Blackouts API] Save failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
+
+export async function DELETE(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const id = new URL(request.url).searchParams.get('id');
+  if (!id) {
+    return NextResponse.json({ success: false, error: 'Missing id' }, { status: 400 });
+  }
+
+  try {
+    const deleted = await newsBlackout.deleteManualEvent(id);
+    if (!deleted) {
+      return NextResponse.json({ success: false, error: `No manual event: ${id}` }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      deleted: id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Blackouts API] Delete failed:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
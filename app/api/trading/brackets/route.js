@@ -0,0 +1,43 @@
+/**
+ * Bracket Supervisor API
+ * Endpoint: GET /api/trading/brackets
+ *
+ * Runs one supervision pass over every enabled account: cancels the
+ * sibling when a bracket's stop or TP fills, activates runners, alerts on
+ * unprotected positions and cancels orphaned exit orders.
+ * Requires the admin role (Vercel cron counts as admin).
+ * Scheduled via vercel.json crons; bracket-supervisor.js runs the same
+ * pass continuously for sub-minute reaction.
+ */
+
+import { NextResponse } from 'next/server';
+
+const bracketSupervisor = require('../../../../lib/brokers/bracketSupervisor');
+const users = require('../../../../lib/users');
+
+export async function GET(request) {
+  const user = await users.getRequestUser(request);
+  if (!users.hasRole(user, users.ROLES.ADMIN)) {
+    return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const results = await bracketSupervisor.superviseAll();
+
+    return NextResponse.json({
+      success: results.every(r => r.success),
+      accounts: results,
+      responseTimeMs: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Brackets] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Copy Groups API
+ * Endpoint: /api/trading/copy-groups
+ *
+ * GET    - list groups and where they were loaded from
+ * POST   - create or replace one group (body: group)
+ * PUT    - replace every group (body: { groups: [...] })
+ * DELETE - remove a group (?id=group-id)
+ *
+ * Edits are saved to the database and take precedence over COPY_GROUPS.
+ * Editing requires the admin role; GET lists groups whose master the caller
+ * can see. See lib/copyGroups.js for the group format.
+ */
+
+import { NextResponse } from 'next/server';
+
+const accounts = require('../../../../lib/accounts');
+const copyGroups = require('../../../../lib/copyGroups');
+const users = require('../../../../lib/users');
+
+/**
+ * Account IDs referenced by a group that are not configured
+ */
+function findUnknownAccounts(group) {
+  return [group.master, ...group.followers.map(f => f.account)]
+    .filter(id => !accounts.getAccount(id));
+}
+
+function withWarnings(group) {
+  const unknownAccounts = findUnknownAccounts(group);
+  return unknownAccounts.length > 0 ? { ...group, unknownAccounts } : group;
+}
+
+async function requireAdmin(request) {
+  const user = await users.getRequestUser(request);
+  if (users.hasRole(user, users.ROLES.ADMIN)) return null;
+  return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+export async function GET(request) {
+  try {
+    const user = await users.getRequestUser(request);
+    await accounts.refreshAccounts();
+    const { groups, source } = await copyGroups.getCopyGroups();
+
+    return NextResponse.json({
+      success: true,
+      source,
+      groups: users.filterByAccount(user, groups, group => group.master).map(withWarnings),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[CopyGroups API] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const body = await readJson(request);
+  if (!body) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON payload' }, { status: 400 });
+  }
+
+  try {
+    const group = await copyGroups.upsertCopyGroup(body);
+    console.log(`[CopyGroups API] Saved group ${group.id}: ${group.master} -> ${group.followers.map(f => f.account).join(', ')}`);
+
+    return NextResponse.json({
+      success: true,
+      group: withWarnings(group),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[CopyGroups API] Save failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
+
+export async function PUT(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const body = await readJson(request);
+  if (!body || !Array.isArray(body.groups)) {
+    return NextResponse.json({ success: false, error: 'Body must be { groups: [...] }' }, { status: 400 });
+  }
+
+  try {
+    const groups = await copyGroups.saveCopyGroups(body.groups);
+
+    return NextResponse.json({
+      success: true,
+      groups: groups.map(withWarnings),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[CopyGroups API] Replace failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
+
+export async function DELETE(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const id = new URL(request.url).searchParams.get('id');
+  if (!id) {
+    return NextResponse.json({ success: false, error: 'Missing id' }, { status: 400 });
+  }
+
+  try {
+    const deleted = await copyGroups.deleteCopyGroup(id);
+    if (!deleted) {
+      return NextResponse.json({ success: false, error: `Group not found: ${id}` }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      deleted: id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[CopyGroups API] Delete failed:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
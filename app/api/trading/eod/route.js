@@ -0,0 +1,41 @@
+/**
+ * End-of-Day Flatten API
+ * Endpoint: GET /api/trading/eod
+ *
+ * Cancels working orders and closes positions on every enabled account whose
+ * EOD flatten time has passed (once per trading day), logging alerts and
+ * sending a notification. Requires the admin role (Vercel cron counts as
+ * admin). Scheduled via vercel.json crons; eod-flatten.js runs the same job
+ * as a long-lived process. See lib/eodFlatten.js.
+ */
+
+import { NextResponse } from 'next/server';
+
+const eodFlatten = require('../../../../lib/eodFlatten');
+const users = require('../../../../lib/users');
+
+export async function GET(request) {
+  const user = await users.getRequestUser(request);
+  if (!users.hasRole(user, users.ROLES.ADMIN)) {
+    return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+  }
+
+  try {
+    const { tradingDate, results, skipped } = await eodFlatten.runEodFlatten();
+
+    return NextResponse.json({
+      success: results.every(r => r.success),
+      tradingDate,
+      accounts: results,
+      ...(skipped ? { skipped } : {}),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[EOD] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
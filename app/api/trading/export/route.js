@@ -2,13 +2,15 @@
  * Trade Journal CSV Export API
  * Endpoint: GET /api/trading/export?format=csv&days=30&account=all
  *
- * Exports trade history and alerts as CSV for journaling
+ * Exports trade history and alerts as CSV for journaling. Only accounts the
+ * caller can see are included.
  */
 
 import { NextResponse } from 'next/server';
 
 const alertStorage = require('../../../../lib/alertStorage');
 const riskManager = require('../../../../lib/riskManager');
+const users = require('../../../../lib/users');
 
 export async function GET(request) {
   try {
@@ -16,9 +18,14 @@ export async function GET(request) {
     const format = searchParams.get('format') || 'csv';
     const days = parseInt(searchParams.get('days') || '30', 10);
     const accountFilter = searchParams.get('account');
+    const user = await users.getRequestUser(request);
 
     // Get alerts from storage
-    const alerts = await alertStorage.getAlerts(500); // Get up to 500 alerts
+    const alerts = users.filterByAccount(
+      user,
+      await alertStorage.getAlerts(500), // Get up to 500 alerts
+      alert => alert.account || 'default'
+    );
 
     // Filter by date range
     const cutoffDate = new Date();
@@ -38,7 +45,11 @@ export async function GET(request) {
     }
 
     // Get P&L history
-    const pnlHistory = await alertStorage.getAllHistoricalPnL(days);
+    const pnlHistory = users.filterByAccount(
+      user,
+      await alertStorage.getAllHistoricalPnL(days),
+      entry => entry.accountId
+    );
 
     if (format === 'json') {
       return NextResponse.json({
@@ -0,0 +1,140 @@
+/**
+ * Trading Halt API (kill switch)
+ * Endpoint: /api/trading/halt
+ *
+ * GET    - current halts and recent halt / resume events
+ * POST   - halt (body: { reason, account?: 'tfd' | accounts?: [...], flatten? })
+ *          No account halts every account. flatten: true also cancels
+ *          working orders and closes positions on the halted accounts.
+ * DELETE - resume (?reason=...&account=tfd, no account = global)
+ *
+ * Global halts need the admin role, account halts the trader role on each
+ * account. See lib/tradingHalt.js.
+ */
+
+import { NextResponse } from 'next/server';
+
+const tradingHalt = require('../../../../lib/tradingHalt');
+const users = require('../../../../lib/users');
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Account IDs from { account } or { accounts }, or null for a global halt
+ */
+function getAccountIds(source) {
+  if (Array.isArray(source.accounts)) return source.accounts.map(id => String(id).trim()).filter(Boolean);
+  return source.account ? [String(source.account).trim()] : null;
+}
+
+/**
+ * Error response when the user may not halt or resume these accounts
+ */
+function checkPermission(user, accountIds) {
+  if (!accountIds) {
+    return users.hasRole(user, users.ROLES.ADMIN) ? null : 'Admin role required to halt all trading';
+  }
+  const denied = accountIds.filter(id => !users.canTradeAccount(user, id));
+  return denied.length > 0 ? `No trading access to account(s): ${denied.join(', ')}` : null;
+}
+
+export async function GET(request) {
+  try {
+    const user = await users.getRequestUser(request);
+    const state = await tradingHalt.getHaltState();
+    const log = await tradingHalt.getHaltLog();
+
+    const visibleHalts = Object.fromEntries(
+      Object.entries(state.accounts).filter(([id]) => users.canViewAccount(user, id))
+    );
+
+    return NextResponse.json({
+      success: true,
+      global: state.global,
+      accounts: visibleHalts,
+      log: log.filter(entry => !entry.accounts || entry.accounts.some(id => users.canViewAccount(user, id))),
+      canHaltAll: users.hasRole(user, users.ROLES.ADMIN),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Halt API] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  const body = await readJson(request);
+  if (!body) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON payload' }, { status: 400 });
+  }
+
+  const user = await users.getRequestUser(request);
+  const accountIds = getAccountIds(body);
+  const denied = checkPermission(user, accountIds);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied }, { status: 403 });
+  }
+
+  try {
+    const result = await tradingHalt.haltTrading({
+      accountIds,
+      by: user.username,
+      reason: body.reason,
+      flatten: body.flatten === true,
+    });
+
+    return NextResponse.json({
+      success: !result.flattened || result.flattened.every(r => r.success),
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Halt API] Halt failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
+
+export async function DELETE(request) {
+  const { searchParams } = new URL(request.url);
+  const user = await users.getRequestUser(request);
+  const accountIds = getAccountIds({ account: searchParams.get('account') });
+  const denied = checkPermission(user, accountIds);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied }, { status: 403 });
+  }
+
+  try {
+    const result = await tradingHalt.resumeTrading({
+      accountIds,
+      by: user.username,
+      reason: searchParams.get('reason'),
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Halt API] Resume failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 400 });
+  }
+}
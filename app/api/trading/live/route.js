@@ -0,0 +1,86 @@
+/**
+ * Live Account Stream
+ * Endpoint: GET /api/trading/live
+ *
+ * Server-Sent Events stream of ProjectX user hub events (orders,
+ * positions, fills, balance) for every enabled account the caller can see.
+ * - First message ("snapshot"): each account's live book
+ * - Then one message per hub event ("order", "position", "trade", ...)
+ *
+ * Requires a long-lived server (next start). On serverless the stream
+ * ends when the function times out and the dashboard keeps polling.
+ */
+
+const liveFeed = require('../../../../lib/liveFeed');
+const users = require('../../../../lib/users');
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Comment line to keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+export async function GET(request) {
+  const encoder = new TextEncoder();
+  const user = await users.getRequestUser(request);
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const cleanup = () => {
+    if (unsubscribe) unsubscribe();
+    clearInterval(heartbeat);
+  };
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch {
+          cleanup();
+        }
+      };
+
+      try {
+        const books = users.filterByAccount(user, await liveFeed.startLiveFeeds(), book => book.accountId);
+        send('snapshot', { accounts: books, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.error('[Live] Could not start live feeds:', error);
+        send('error', { error: error.message });
+        controller.close();
+        return;
+      }
+
+      unsubscribe = liveFeed.subscribe((event) => {
+        if (users.canViewAccount(user, event.accountId)) send(event.type, event);
+      });
+      heartbeat = setInterval(() => {
+        try {
+          controller.enqueue(encoder.encode(': heartbeat\n\n'));
+        } catch {
+          cleanup();
+        }
+      }, HEARTBEAT_MS);
+
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    },
+  });
+}
@@ -2,17 +2,27 @@
  * Historical P&L API
  * Returns P&L history for charting
  * Endpoint: GET /api/trading/pnl/history?account=default&days=30
+ * Only accounts the caller can see are included.
  */
 
 import { NextResponse } from 'next/server';
 
 const alertStorage = require('../../../../../lib/alertStorage');
+const users = require('../../../../../lib/users');
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const accountId = searchParams.get('account');
     const days = parseInt(searchParams.get('days') || '30', 10);
+    const user = await users.getRequestUser(request);
+
+    if (accountId && !users.canViewAccount(user, accountId)) {
+      return NextResponse.json({
+        success: false,
+        error: `No access to account: ${accountId}`,
+      }, { status: 403 });
+    }
 
     let history;
 
@@ -21,7 +31,11 @@ export async function GET(request) {
       history = await alertStorage.getHistoricalPnL(accountId, days);
     } else {
       // Get history for all accounts
-      history = await alertStorage.getAllHistoricalPnL(days);
+      history = users.filterByAccount(
+        user,
+        await alertStorage.getAllHistoricalPnL(days),
+        entry => entry.accountId || 'default'
+      );
     }
 
     // Calculate cumulative P&L
@@ -3,12 +3,13 @@
  * Endpoint: POST /api/trading/pnl/record
  *
  * Use this to record your daily P&L results manually
- * or from automated balance checking
+ * or from automated balance checking. Requires the trader role on the account.
  */
 
 import { NextResponse } from 'next/server';
 
 const alertStorage = require('../../../../../lib/alertStorage');
+const users = require('../../../../../lib/users');
 
 export async function POST(request) {
   try {
@@ -24,6 +25,14 @@ export async function POST(request) {
       }, { status: 400 });
     }
 
+    const user = await users.getRequestUser(request);
+    if (!users.canTradeAccount(user, accountId)) {
+      return NextResponse.json({
+        success: false,
+        error: `No write access to account: ${accountId}`,
+      }, { status: 403 });
+    }
+
     if (pnl === undefined || pnl === null) {
       return NextResponse.json({
         success: false,
@@ -1,10 +1,13 @@
 /**
  * P&L API - Fetches real P&L data from both TopStepX and The Futures Desk
  * Returns percentage P&L based on account balance for each broker
+ * Brokers whose accounts the caller cannot see (lib/users.js) are skipped.
  */
 
 import { NextResponse } from 'next/server';
 
+const users = require('../../../../lib/users');
+
 const BROKERS = {
   tsx: {
     name: 'TopStepX',
@@ -12,6 +15,7 @@ const BROKERS = {
     getUsernameEnv: () => process.env.PROJECTX_USERNAME,
     getApiKeyEnv: () => process.env.PROJECTX_API_KEY,
     getAccountIdEnv: () => process.env.PROJECTX_ACCOUNT_ID,
+    accountIds: ['default'],
   },
   tfd: {
     name: 'The Futures Desk',
@@ -20,6 +24,7 @@ const BROKERS = {
     getUsernameEnv: () => process.env.ACCOUNT_TFD_USERNAME || process.env.ACCOUNT_FUTURESDESK_USERNAME,
     getApiKeyEnv: () => process.env.ACCOUNT_TFD_API_KEY || process.env.ACCOUNT_FUTURESDESK_API_KEY,
     getAccountIdEnv: () => process.env.ACCOUNT_TFD_ACCOUNT_ID || process.env.ACCOUNT_FUTURESDESK_ACCOUNT_ID,
+    accountIds: ['tfd', 'futuresdesk'],
   }
 };
 
@@ -215,8 +220,10 @@ export async function GET(request) {
     const days = parseInt(searchParams.get('days') || '7');
     const brokerFilter = searchParams.get('broker'); // Optional: 'tsx' or 'tfd'
 
-    // Fetch from all brokers in parallel (or just one if filtered)
-    const brokerIds = brokerFilter ? [brokerFilter] : Object.keys(BROKERS);
+    // Fetch from all visible brokers in parallel (or just one if filtered)
+    const user = await users.getRequestUser(request);
+    const brokerIds = (brokerFilter ? [brokerFilter] : Object.keys(BROKERS))
+      .filter(id => BROKERS[id]?.accountIds.some(accountId => users.canViewAccount(user, accountId)));
     const results = await Promise.all(brokerIds.map(id => fetchBrokerPnL(id, days)));
 
     // Build response
@@ -0,0 +1,42 @@
+/**
+ * P&L Sync API
+ * Endpoint: GET /api/trading/pnl/sync
+ *
+ * Reconciles realized and open P&L from the broker for every enabled
+ * account, updates risk state (so MAX_DAILY_LOSS triggers) and records the
+ * daily P&L snapshot. Scheduled via vercel.json crons; requires the admin
+ * role (Vercel cron counts as admin).
+ */
+
+import { NextResponse } from 'next/server';
+
+const pnlSync = require('../../../../../lib/pnlSync');
+const users = require('../../../../../lib/users');
+
+export async function GET(request) {
+  const user = await users.getRequestUser(request);
+  if (!users.hasRole(user, users.ROLES.ADMIN)) {
+    return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const results = await pnlSync.syncAllAccounts();
+
+    return NextResponse.json({
+      success: results.every(r => r.success),
+      accounts: results,
+      syncedAccounts: results.filter(r => r.success).length,
+      responseTimeMs: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[PnLSync] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
@@ -2,19 +2,30 @@
  * Positions API
  * Endpoint: GET /api/trading/positions
  *
- * Returns current open positions
+ * Returns current open positions of the default account (requires access to it)
  */
 
 import { NextResponse } from 'next/server';
 
 const projectx = require('../../../../lib/projectx');
+const users = require('../../../../lib/users');
 
 /**
  * GET handler for positions
  */
-export async function GET() {
+export async function GET(request) {
   console.log('[Positions] Fetching positions...');
 
+  const user = await users.getRequestUser(request);
+  if (!users.canViewAccount(user, 'default')) {
+    return NextResponse.json({
+      success: false,
+      positions: [],
+      error: 'No access to account: default',
+      timestamp: new Date().toISOString(),
+    }, { status: 403 });
+  }
+
   try {
     const positions = await projectx.getPositions();
 
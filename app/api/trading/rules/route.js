@@ -0,0 +1,83 @@
+/**
+ * Prop-Firm Rules API
+ * Endpoint: GET /api/trading/rules
+ *
+ * Evaluates trailing drawdown, daily loss, consistency and profit target
+ * for every enabled account with ACCOUNT_{ID}_FIRM configured that the
+ * caller can see.
+ *
+ * Query params:
+ * - enforce=true: flatten accounts that are inside their flatten buffer
+ *   (only those with ACCOUNT_{ID}_AUTO_FLATTEN=true). Run every minute by
+ *   the vercel.json cron to protect accounts between signals. Only
+ *   accounts the caller can trade (trader role) are flattened.
+ */
+
+import { NextResponse } from 'next/server';
+
+const accounts = require('../../../../lib/accounts');
+const brokers = require('../../../../lib/brokers');
+const propFirmRules = require('../../../../lib/propFirmRules');
+const tradingHalt = require('../../../../lib/tradingHalt');
+const users = require('../../../../lib/users');
+
+async function evaluateWithEnforcement(account, enforce) {
+  const brokerClient = brokers.getBrokerClient(account);
+  const details = await brokerClient.getAccountDetails();
+  const evaluation = await propFirmRules.evaluateAccount(account, details);
+
+  let flattened = null;
+  if (enforce && evaluation.shouldFlatten) {
+    console.warn(`[Rules] Enforcing ${evaluation.limit} on ${account.id} - flattening`);
+    // Reads positions back and writes the close alert
+    flattened = await tradingHalt.flattenAccount(account, `Auto-flatten: ${evaluation.reason}`);
+  }
+
+  return {
+    id: account.id,
+    firm: evaluation.firm,
+    allowed: evaluation.allowed,
+    limit: evaluation.limit || null,
+    reason: evaluation.reason,
+    shouldFlatten: evaluation.shouldFlatten,
+    flattened,
+    metrics: evaluation.metrics,
+  };
+}
+
+export async function GET(request) {
+  const enforce = new URL(request.url).searchParams.get('enforce') === 'true';
+
+  try {
+    const user = await users.getRequestUser(request);
+    await accounts.refreshAccounts();
+    const ruleAccounts = users.filterByAccount(
+      user,
+      accounts.getEnabledAccounts().filter(a => a.rules),
+      account => account.id
+    );
+
+    const results = await Promise.all(ruleAccounts.map(async (account) => {
+      try {
+        return await evaluateWithEnforcement(account, enforce && users.canTradeAccount(user, account.id));
+      } catch (error) {
+        console.error(`[Rules] Evaluation failed for ${account.id}:`, error.message);
+        return { id: account.id, allowed: null, error: error.message };
+      }
+    }));
+
+    return NextResponse.json({
+      success: true,
+      enforced: enforce,
+      accounts: results,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Rules] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
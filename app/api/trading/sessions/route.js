@@ -0,0 +1,45 @@
+/**
+ * Trading Sessions API
+ * Endpoint: GET /api/trading/sessions
+ *
+ * Returns each visible account's session rules (entry windows, last entry,
+ * flatten time) and whether it can enter now. ?enforce=true (admin) first
+ * flattens accounts whose SESSION_FLATTEN time has passed; run each minute
+ * by Vercel cron. See lib/tradingSessions.js.
+ */
+
+import { NextResponse } from 'next/server';
+
+const accounts = require('../../../../lib/accounts');
+const tradingSessions = require('../../../../lib/tradingSessions');
+const users = require('../../../../lib/users');
+
+export async function GET(request) {
+  const user = await users.getRequestUser(request);
+  const enforce = new URL(request.url).searchParams.get('enforce') === 'true';
+  if (enforce && !users.hasRole(user, users.ROLES.ADMIN)) {
+    return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+  }
+
+  try {
+    const flattened = enforce ? await tradingSessions.enforceSessionFlatten() : null;
+    if (!enforce) await accounts.refreshAccounts();
+
+    const visible = users.filterByAccount(user, accounts.getEnabledAccounts(), account => account.id);
+
+    return NextResponse.json({
+      success: !flattened || flattened.every(r => r.success),
+      sessions: visible.map(account => tradingSessions.getSessionStatus(account.id)),
+      ...(flattened ? { flattened } : {}),
+      tradingDate: tradingSessions.getTradingDate(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Sessions API] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Reset Daily Stats API (admin only)
+ * Endpoint: POST /api/trading/stats/reset
+ *
+ * Clears the risk manager's daily stats (trade count, P&L, cooldown) for
+ * one account ({ account: 'tfd' }) or every account (empty body).
+ */
+
+import { NextResponse } from 'next/server';
+
+const riskManager = require('../../../../../lib/riskManager');
+const users = require('../../../../../lib/users');
+
+export async function POST(request) {
+  const user = await users.getRequestUser(request);
+  if (!users.hasRole(user, users.ROLES.ADMIN)) {
+    return NextResponse.json({ success: false, error: 'Admin role required' }, { status: 403 });
+  }
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    // Empty body resets every account
+  }
+
+  try {
+    const accountId = body?.account || null;
+    await riskManager.resetStats(accountId);
+    console.log(`[Stats] ${user.username} reset stats for ${accountId || 'all accounts'}`);
+
+    return NextResponse.json({
+      success: true,
+      account: accountId,
+      stats: accountId ? await riskManager.getDailyStats(accountId) : null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Stats] Reset failed:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }, { status: 500 });
+  }
+}
@@ -4,9 +4,12 @@
  *
  * Returns public-safe status information:
  * - System health (connected/disconnected)
- * - Market status (open/closed)
+ * - Market status (open/closed) for the default symbol, and per supported
+ *   symbol under `markets` (product-group calendars, lib/futuresMarket.js)
  * - Trading window status
- * - Trade counts (no P&L details)
+ * - Trade counts (no P&L details) - only for callers who can see the
+ *   default account
+ * - Active contract month per supported symbol (rollover)
  */
 
 import { NextResponse } from 'next/server';
@@ -14,19 +17,65 @@ import { NextResponse } from 'next/server';
 const projectx = require('../../../../lib/projectx');
 const riskManager = require('../../../../lib/riskManager');
 const futuresMarket = require('../../../../lib/futuresMarket');
+const contracts = require('../../../../lib/contracts');
+const users = require('../../../../lib/users');
+
+/**
+ * Summarize the calendar's active contract for a symbol
+ */
+function summarizeActiveContract(symbol) {
+  const active = contracts.getActiveContract(symbol);
+  return {
+    symbol: active.symbol,
+    code: active.code,
+    contractId: active.projectxId,
+    contractMonth: active.contractMonth,
+    expiryDate: active.expiryDate,
+    rollDate: active.rollDate,
+    daysToExpiry: active.daysToExpiry,
+    // Set while the front month is inside its roll window
+    rollingFrom: active.front ? active.front.code : null,
+  };
+}
+
+/**
+ * Market hours for a symbol from its product-group calendar
+ */
+function summarizeMarket(symbol) {
+  const status = futuresMarket.isOpen(symbol);
+  const timeUntilOpen = futuresMarket.getTimeUntilOpen(symbol);
+  const timeUntilClose = futuresMarket.getTimeUntilClose(symbol);
+  return {
+    symbol,
+    group: status.group,
+    calendar: futuresMarket.getSessionCalendar(symbol).name,
+    isOpen: status.open,
+    reason: status.reason,
+    hoursUntilOpen: timeUntilOpen.hoursUntilOpen,
+    minutesUntilOpen: timeUntilOpen.minutesUntilOpen,
+    nextOpenTime: timeUntilOpen.nextOpenFormatted,
+    closedReason: timeUntilOpen.closedReason || null,
+    hoursUntilClose: timeUntilClose.hoursUntilClose,
+    minutesUntilClose: timeUntilClose.minutesUntilClose,
+    nextCloseTime: timeUntilClose.nextCloseFormatted || null,
+  };
+}
 
 /**
  * GET handler for system status
  */
-export async function GET() {
+export async function GET(request) {
   console.log('[Status] Health check requested');
 
   try {
+    const user = await users.getRequestUser(request);
+    const showAccount = users.canViewAccount(user, 'default');
+
     // 1. Check ProjectX connection
     const projectxStatus = await projectx.getAccountStatus();
 
     // 2. Get daily trading statistics
-    const dailyStats = riskManager.getDailyStats();
+    const dailyStats = await riskManager.getDailyStats();
 
     // 3. Check environment configuration (internal only)
     const allConfigured = !!(
@@ -46,34 +95,32 @@ export async function GET() {
     });
 
     // 6. Check if can trade (futures open + risk checks)
-    const tradeCheck = riskManager.canExecuteTrade();
+    const tradeCheck = await riskManager.canExecuteTrade();
 
-    // 7. Get futures market status
-    const futuresStatus = futuresMarket.isFuturesOpen();
-    const timeUntilOpen = futuresMarket.getTimeUntilOpen();
-    const timeUntilClose = futuresMarket.getTimeUntilClose();
+    // 7. Active contract months
+    const activeContracts = Object.keys(contracts.CONTRACT_SPECS).map(summarizeActiveContract);
+
+    // 8. Futures market status per symbol (the default symbol is `futures`)
+    const markets = Object.fromEntries(
+      Object.keys(contracts.CONTRACT_SPECS).map(symbol => [symbol, {
+        ...summarizeMarket(symbol),
+        activeContract: activeContracts.find(c => c.symbol === symbol) || null,
+      }])
+    );
 
-    // 8. Build PUBLIC response (no sensitive data)
+    // 9. Build PUBLIC response (no sensitive data)
     const response = {
       status: systemHealthy ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
       etTime: etTimeString,
-      trading: {
+      trading: showAccount ? {
         canTrade: tradeCheck.allowed,
         blockReason: tradeCheck.allowed ? null : tradeCheck.reason,
-      },
-      futures: {
-        isOpen: futuresStatus.open,
-        reason: futuresStatus.reason,
-        hoursUntilOpen: timeUntilOpen.hoursUntilOpen,
-        minutesUntilOpen: timeUntilOpen.minutesUntilOpen,
-        nextOpenTime: timeUntilOpen.nextOpenFormatted,
-        closedReason: timeUntilOpen.closedReason || null,
-        hoursUntilClose: timeUntilClose.hoursUntilClose,
-        minutesUntilClose: timeUntilClose.minutesUntilClose,
-        nextCloseTime: timeUntilClose.nextCloseFormatted || null,
-      },
-      dailyStats: {
+      } : null,
+      futures: markets[contracts.DEFAULT_SYMBOL],
+      markets,
+      contracts: activeContracts,
+      dailyStats: showAccount ? {
         date: dailyStats.date,
         tradesExecuted: dailyStats.tradeCount,
         tradesRemaining: dailyStats.tradesRemaining,
@@ -81,7 +128,7 @@ export async function GET() {
         lastTradeTime: dailyStats.lastTradeTime
           ? new Date(dailyStats.lastTradeTime).toISOString()
           : null,
-      },
+      } : null,
     };
 
     console.log('[Status] Health check complete:', systemHealthy ? 'HEALTHY' : 'DEGRADED');
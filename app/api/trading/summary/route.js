@@ -4,10 +4,13 @@
  *
  * Generates an AI analysis of trading stats and daily performance
  * Cached for 30 minutes to balance freshness with API costs
+ * Covers the default (TopStepX) account, so requires access to it.
  */
 
 import { generateText } from 'ai';
 
+const users = require('../../../../lib/users');
+
 // In-memory cache
 let summaryCache = {
   content: null,
@@ -20,12 +23,17 @@ const CACHE_DURATION_MS = 30 * 60 * 1000; // 30 minutes
 
 /**
  * Fetch trading stats from internal P&L API
+ * Forwards the caller's credentials, which proxy.js requires.
  */
-async function fetchTradingStats(baseUrl) {
+async function fetchTradingStats(baseUrl, requestHeaders) {
+  const headers = { 'Content-Type': 'application/json' };
+  for (const name of ['cookie', 'authorization', 'x-api-key']) {
+    const value = requestHeaders.get(name);
+    if (value) headers[name] = value;
+  }
+
   try {
-    const response = await fetch(`${baseUrl}/api/trading/pnl?days=30`, {
-      headers: { 'Content-Type': 'application/json' },
-    });
+    const response = await fetch(`${baseUrl}/api/trading/pnl?days=30`, { headers });
 
     if (!response.ok) {
       console.error('[TradingSummary] P&L API error:', response.status);
@@ -49,6 +57,14 @@ export async function GET(request) {
   const { searchParams } = new URL(request.url);
   const forceRefresh = searchParams.get('refresh') === 'true';
 
+  const user = await users.getRequestUser(request);
+  if (!users.canViewAccount(user, 'default')) {
+    return Response.json({
+      summary: 'No access to this account.',
+      error: 'No access to account: default',
+    }, { status: 403 });
+  }
+
   // Return cached summary if still valid
   if (!forceRefresh && summaryCache.content && summaryCache.expiresAt && now < summaryCache.expiresAt) {
     console.log('[TradingSummary] Returning cached summary');
@@ -76,7 +92,7 @@ export async function GET(request) {
     const baseUrl = request.url.split('/api/')[0];
 
     // Fetch trading data
-    const pnlData = await fetchTradingStats(baseUrl);
+    const pnlData = await fetchTradingStats(baseUrl, request.headers);
     const tsx = pnlData?.brokers?.tsx;
 
     if (!tsx?.connected) {
@@ -2,12 +2,17 @@
  * Alert History Endpoint
  * Endpoint: GET /api/trading/trades
  *
- * Returns webhook alerts history from persistent storage
+ * Returns webhook alerts history from persistent storage, limited to the
+ * accounts the caller can see
  */
 
 import { NextResponse } from 'next/server';
 
 const alertStorage = require('../../../../lib/alertStorage');
+const users = require('../../../../lib/users');
+
+// Alerts fetched before filtering by account, so restricted users still get a full page
+const FILTER_FETCH_LIMIT = 200;
 
 /**
  * GET handler for alert history
@@ -21,11 +26,17 @@ export async function GET(request) {
     const requestedLimit = parseInt(searchParams.get('limit') || '20', 10);
     const limit = Math.min(requestedLimit, 50);
 
+    const user = await users.getRequestUser(request);
+    const visible = alert => users.canViewAccount(user, alert.account || 'default');
+    const seesAll = users.hasRole(user, users.ROLES.ADMIN) || user?.accounts.includes(users.ALL_ACCOUNTS);
+
     // Get alerts from persistent storage
-    const alerts = await alertStorage.getAlerts(limit);
+    const alerts = seesAll
+      ? await alertStorage.getAlerts(limit)
+      : (await alertStorage.getAlerts(FILTER_FETCH_LIMIT)).filter(visible).slice(0, limit);
 
     // Get today's count
-    const todayAlerts = await alertStorage.getTodayAlerts();
+    const todayAlerts = (await alertStorage.getTodayAlerts()).filter(visible);
 
     const response = {
       trades: alerts, // Keep as 'trades' for frontend compatibility
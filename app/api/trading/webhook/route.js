@@ -9,21 +9,57 @@
  * - Comprehensive error logging
  * - Graceful degradation on partial bracket failure
  * - Multi-account routing via webhook secret
+ * - HMAC-signed requests, rotating secrets and IP allowlist (lib/webhookAuth.js)
  *
- * Expected payload from TradingView:
+ * Expected payload from TradingView (schema: lib/webhookSchema.js):
  * {
+ *   "version": 2,        // optional - defaults to the latest schema
  *   "secret": "your-webhook-secret",
  *   "action": "buy|sell|close",
  *   "symbol": "MNQ",
- *   "stop": 25350.00,
- *   "tp": 25500.00,
- *   "account": "optional-account-id"
+ *   "stop": 25350.00,    // or { "ticks": 40 } / { "points": 10 } from the entry
+ *   "tp": 25500.00,      // or { "ticks": 80 } / { "points": 20 }
+ *   "account": "optional-account-id",
+ *   "price": 25400.00,   // optional entry estimate for sizing and offsets ({{close}})
+ *   "qty": 2,            // optional - exact contracts
+ *   "risk": 150,         // optional - USD to risk on this trade
+ *   "mode": "runner",    // optional - bracket mode (standard | runner)
+ *   "orderType": "market", // or "limit" (+ limitPrice) / "stop" (+ triggerPrice)
+ *   "timeInForce": "day", "expiresIn": 300,  // optional - when an unfilled entry is cancelled
+ *   "strategy": "orb-10m", "tag": "long-1", "comment": "...",  // optional labels
+ *   "flatten_only": true // optional - buy/sell only exits the opposite position
  * }
+ * Limit and stop entries rest until filled; the bracket supervisor then
+ * attaches the stop and TP, or cancels the entry once it expires.
+ * Invalid payloads get 400 with field-level errors:
+ * { "errors": [{ "field": "stop", "message": "..." }] }
+ *
+ * POSITION SIZING:
+ * - Contracts = risk budget / (stop distance in ticks x tick value)
+ * - Budget from payload `risk` or ACCOUNT_{ID}_RISK_PER_TRADE
+ * - Fixed ACCOUNT_{ID}_CONTRACTS when neither is set
+ * - Capped at ACCOUNT_{ID}_MAX_CONTRACTS; a risk size under MIN_CONTRACTS
+ *   (or with no entry estimate) skips the entry unless ROUND_UP_TO_MIN=true
+ *
+ * SYMBOLS:
+ * - Any product in lib/contracts (MNQ, MES, NQ, ES, M2K, RTY, MCL, CL, MGC, GC)
+ * - TradingView tickers like "MNQ1!" or "CME_MINI:MNQ1!" are accepted
+ * - Defaults to MNQ when omitted
  *
  * MULTI-ACCOUNT SUPPORT:
- * - Each webhook secret maps to a specific account
+ * - Each webhook secret maps to a specific account (several can be active
+ *   during a rotation)
  * - Alternatively, specify "account" field to target specific account
  * - Supports TopStepX/ProjectX, Futures Desk, and more
+ *
+ * COPY TRADING:
+ * - Followers of the routed account come from lib/copyGroups
+ *   (manage with /api/trading/copy-groups)
+ * - Per follower: qty multiplier or fixed size, inverse, symbol filter,
+ *   closes-only
+ * - Followers run concurrently after the master order, each with its own
+ *   lock, risk checks and COPY_TRADE_TIMEOUT_MS budget
+ * - Response reports per-follower latency and fill slippage vs the master
  */
 
 import { NextResponse } from 'next/server';
@@ -33,51 +69,210 @@ const riskManager = require('../../../../lib/riskManager');
 const accounts = require('../../../../lib/accounts');
 const brokers = require('../../../../lib/brokers');
 const alertStorage = require('../../../../lib/alertStorage');
+const pnlSync = require('../../../../lib/pnlSync');
+const contracts = require('../../../../lib/contracts');
+const positionSizing = require('../../../../lib/positionSizing');
+const positionReconciler = require('../../../../lib/brokers/positionReconciler');
+const bracketSupervisor = require('../../../../lib/brokers/bracketSupervisor');
+const tradingHalt = require('../../../../lib/tradingHalt');
+const copyGroups = require('../../../../lib/copyGroups');
+const webhookSchema = require('../../../../lib/webhookSchema');
+const webhookAuth = require('../../../../lib/webhookAuth');
+
+/**
+ * Get accounts that should copy this signal from a master account
+ * Groups come from lib/copyGroups (database, COPY_GROUPS or the default)
+ * @returns {Promise<Array>} [{ account, follower }]
+ */
+async function getCopyTradeAccounts(masterAccountId, action, symbol) {
+  try {
+    const followers = await copyGroups.getFollowers(masterAccountId, action, symbol);
+    return followers
+      .map(follower => ({ account: accounts.getAccount(follower.account), follower }))
+      .filter(({ account }) => account && account.enabled);
+  } catch (e) {
+    console.error(`[Webhook] Could not load copy groups: ${e.message}`);
+    return [];
+  }
+}
+
+function getOrderId(order) {
+  return order?.orderId ?? order?.id ?? null;
+}
+
+// Per-follower budget, including the wait for the follower's trade lock
+const COPY_TRADE_TIMEOUT_MS = parseInt(process.env.COPY_TRADE_TIMEOUT_MS || '15000', 10);
+
+/**
+ * Reject if the promise has not settled within timeoutMs
+ * The work keeps running - a late follower still saves its own alert and
+ * releases its lock when it finishes
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms - it may still complete`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a copy task for every follower concurrently
+ * Each follower has its own timeout, so a slow broker only delays itself
+ * @returns {Promise<Array>} One result per follower, with latencyMs
+ */
+async function fanOutToFollowers(copyTradeAccounts, task) {
+  return Promise.all(copyTradeAccounts.map(async ({ account, follower }) => {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await withTimeout(task(account, follower), COPY_TRADE_TIMEOUT_MS, `Copy trade to ${account.id}`);
+    } catch (error) {
+      console.error(`[Webhook] Copy trade to ${account.id} FAILED:`, error.message);
+      result = { success: false, error: error.message, timedOut: error.timedOut || undefined };
+    }
+    return { account: account.id, group: follower.groupId, ...result, latencyMs: Date.now() - startedAt };
+  }));
+}
+
+/**
+ * Average fill price of an order from Trade/search
+ * @returns {Promise<number|null>} Null when the broker has not reported the fill
+ */
+async function getFillPrice(brokerClient, orderId, since) {
+  if (orderId === null || typeof brokerClient.getTrades !== 'function') return null;
+
+  const fills = (await brokerClient.getTrades(since)).filter(t => t.orderId === orderId);
+  const size = fills.reduce((sum, t) => sum + (t.size || 0), 0);
+  if (!size) return null;
+  return fills.reduce((sum, t) => sum + t.price * (t.size || 0), 0) / size;
+}
 
 /**
- * Tick sizes for supported symbols
- * Prices must be rounded to these increments for valid orders
+ * Fill price of each copied entry versus the master's fill
+ * Slippage is in ticks, positive when the follower filled worse than the master
  */
-const TICK_SIZES = {
-  MNQ: 0.25,
-  MES: 0.25,
-  MCL: 0.01,
-};
+async function addCopySlippage(copyResults, masterClient, masterOrderId, since, symbol) {
+  const lookup = (client, orderId) => withTimeout(getFillPrice(client, orderId, since), 5000, 'Fill lookup')
+    .catch((e) => {
+      console.warn(`[Webhook] Fill lookup for order ${orderId} failed: ${e.message}`);
+      return null;
+    });
+
+  const masterFill = await lookup(masterClient, masterOrderId);
+  const { tickSize } = contracts.getContractSpec(symbol);
+
+  await Promise.all(copyResults.map(async (result) => {
+    if (!result.success || !result.orderId) return;
+    const fillPrice = await lookup(brokers.getBrokerClient(accounts.getAccount(result.account)), result.orderId);
+    result.fillPrice = fillPrice;
+    if (fillPrice === null || masterFill === null) return;
+    const difference = result.action === 'buy' ? fillPrice - masterFill : masterFill - fillPrice;
+    result.slippageTicks = Math.round(difference / tickSize);
+  }));
+
+  return masterFill;
+}
 
 /**
- * Copy Trading Configuration
- * Maps master account IDs to follower account IDs
- * When master receives a signal, followers automatically copy the trade
+ * Alert status for a placed bracket
  */
-const COPY_TRADE_CONFIG = {
-  // 'default' (TopStep) is the master, 'futuresdesk' copies its trades
-  'default': ['futuresdesk'],
-  // Add more mappings as needed:
-  // 'topstep2': ['futuresdesk2', 'futuresdesk3'],
-};
+function getAlertStatus(orderResult) {
+  if (orderResult.pending) return 'pending';
+  return orderResult.partial ? 'partial' : 'success';
+}
 
 /**
- * Get accounts that should copy trades from a master account
+ * Bracket options for an account: payload `mode` overrides ACCOUNT_{ID}_BRACKET_MODE
  */
-function getCopyTradeAccounts(masterAccountId) {
-  const followerIds = COPY_TRADE_CONFIG[masterAccountId] || [];
-  return followerIds
-    .map(id => accounts.getAccount(id))
-    .filter(account => account && account.enabled);
+function getBracketOptions(account, payloadMode) {
+  const bracket = account.bracket || {};
+  return {
+    mode: (payloadMode || bracket.mode || 'standard').toLowerCase(),
+    runner: {
+      contracts: bracket.runnerContracts,
+      exit: bracket.runnerExit,
+      trailTicks: bracket.trailTicks,
+    },
+  };
 }
 
 /**
- * Round a price to the nearest valid tick size for the given symbol
- * @param {number} price - The price to round
- * @param {string} symbol - The trading symbol (MNQ, MES, MCL)
- * @returns {number} - Price rounded to nearest tick
+ * Estimate the entry price for position sizing
+ * Uses the payload `price` (e.g. {{close}}) when sent, otherwise the last bar close
  */
-function roundToTick(price, symbol) {
-  const tickSize = TICK_SIZES[symbol] || TICK_SIZES.MNQ; // Default to MNQ tick size
-  const rounded = Math.round(price / tickSize) * tickSize;
-  // Fix floating point precision issues
-  const decimals = tickSize === 0.01 ? 2 : 2;
-  return parseFloat(rounded.toFixed(decimals));
+async function estimateEntryPrice(brokerClient, symbol, payloadPrice) {
+  const price = parseFloat(payloadPrice);
+  if (!isNaN(price) && price > 0) return price;
+
+  if (typeof brokerClient.getLastPrice !== 'function') return null;
+  try {
+    const contractId = await brokerClient.getContractId(symbol);
+    return await brokerClient.getLastPrice(contractId);
+  } catch (e) {
+    console.warn(`[Webhook] Could not fetch last price for sizing: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * flatten_only: close the symbol's position only when it is on `side`
+ * Also closes the old side of a reversal that sizing skipped. Success means
+ * the position reads flat afterwards - closeAllPositions alone can't tell.
+ * @returns {Promise<Object>} { success, flattened, position, size, closedPositions, error? }
+ */
+async function flattenPositionSide(brokerClient, symbol, side) {
+  const position = await positionReconciler.reconcilePosition(brokerClient, symbol);
+  if (position.source === 'unavailable') {
+    throw new Error(position.warnings[0] || 'Position state unavailable');
+  }
+  if (position.side !== side) {
+    return { success: true, flattened: false, position: position.side };
+  }
+
+  const closeResult = await brokerClient.closeAllPositions(symbol);
+  const after = await positionReconciler.reconcilePosition(brokerClient, symbol);
+  const flat = after.source === 'positions' && after.side === 'flat';
+  return {
+    success: flat,
+    flattened: true,
+    position: side,
+    size: position.size,
+    closedPositions: closeResult.closedPositions,
+    errors: closeResult.errors,
+    error: flat ? undefined
+      : after.source === 'positions' ? `${after.side} ${after.size} still open` : 'Could not confirm the position closed',
+  };
+}
+
+/**
+ * Sizing skipped the entry of a reversal: close the old side anyway, since
+ * the signal says the strategy is out of it, and record the close
+ * @returns {Promise<Object>} flattenPositionSide result, or { success: false, error }
+ */
+async function closeSkippedReversal(account, brokerClient, symbol, side, alertLinks = {}) {
+  let result;
+  try {
+    result = await flattenPositionSide(brokerClient, symbol, side);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  console.warn(`[Webhook] ${account.id}: reversal not entered, closing ${side} ${symbol} ${result.success ? 'done' : `failed - ${result.error}`}`);
+  await alertStorage.saveAlert({
+    action: 'close',
+    symbol,
+    account: account.id,
+    status: result.success ? 'success' : 'failed',
+    closedPositions: result.closedPositions,
+    reason: 'Reversal not entered (position sizing) - closed the previous position',
+    error: result.error,
+    ...alertLinks,
+  });
+  return result;
 }
 
 /**
@@ -96,8 +291,9 @@ export async function POST(request) {
   try {
     // 1. Parse and validate request body
     let body;
+    const rawBody = await request.text();
     try {
-      body = await request.json();
+      body = JSON.parse(rawBody);
       parsedBody = body;
     } catch (parseError) {
       console.error('[Webhook] Invalid JSON payload:', parseError.message);
@@ -114,49 +310,19 @@ export async function POST(request) {
         { status: 400 }
       );
     }
-    console.log('Payload:', JSON.stringify(body, null, 2));
-
-    // 2. Validate webhook secret and resolve account(s)
-    // First try to find account by secret (multi-account mode)
-    targetAccount = accounts.getAccountBySecret(body.secret);
+    console.log('Payload:', JSON.stringify({ ...body, secret: body?.secret ? '[redacted]' : undefined }, null, 2));
 
-    // Fallback to legacy single-account mode
-    if (!targetAccount) {
-      const webhookSecret = process.env.WEBHOOK_SECRET;
-      if (webhookSecret && body.secret === webhookSecret) {
-        targetAccount = accounts.getAccount('default');
-      }
-    }
-
-    // If explicit account specified in payload, use that
-    if (body.account) {
-      const explicitAccount = accounts.getAccount(body.account);
-      if (explicitAccount) {
-        // Verify secret matches this account (security check)
-        if (explicitAccount.webhookSecret && explicitAccount.webhookSecret !== body.secret) {
-          console.error(`[Webhook] Secret mismatch for account ${body.account}`);
-          return NextResponse.json(
-            { success: false, error: 'Unauthorized for specified account' },
-            { status: 401 }
-          );
-        }
-        targetAccount = explicitAccount;
-      } else {
-        console.error(`[Webhook] Account not found: ${body.account}`);
-        return NextResponse.json(
-          { success: false, error: `Account not found: ${body.account}` },
-          { status: 404 }
-        );
-      }
-    }
-
-    if (!targetAccount) {
-      console.error('[Webhook] Invalid webhook secret or no account configured');
+    // 2. Authenticate (IP allowlist, then HMAC signature or body secret) and resolve the account
+    const auth = await webhookAuth.authenticateWebhook({ headers: request.headers, rawBody, body });
+    if (!auth.ok) {
+      console.error(`[Webhook] Authentication failed: ${auth.error}`);
       return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
+        { success: false, error: auth.error },
+        { status: auth.status }
       );
     }
+    targetAccount = auth.account;
+    console.log(`[Webhook] Authenticated by ${auth.method} (${auth.secretId})`);
 
     if (!targetAccount.enabled) {
       console.error(`[Webhook] Account ${targetAccount.id} is disabled`);
@@ -168,12 +334,6 @@ export async function POST(request) {
 
     console.log(`[Webhook] Routing to account: ${targetAccount.id} (${targetAccount.broker})`);
 
-    // COPY TRADING: Get accounts that should copy this account's trades
-    const copyTradeAccounts = getCopyTradeAccounts(targetAccount.id);
-    if (copyTradeAccounts.length > 0) {
-      console.log(`[Webhook] Copy trading enabled: ${copyTradeAccounts.map(a => a.id).join(', ')} will copy ${targetAccount.id}`);
-    }
-
     // Get broker client for this account
     let brokerClient;
     try {
@@ -188,83 +348,103 @@ export async function POST(request) {
 
     console.log(`[Webhook] Using broker: ${brokerClient.name}`);
 
-    // 3. Validate required fields
-    const { action, symbol, stop, tp } = body;
+    // 3. Validate the payload against the webhook schema (lib/webhookSchema)
+    const validation = webhookSchema.validatePayload(body);
+    for (const warning of validation.warnings) {
+      console.warn(`[Webhook] ${warning}`);
+    }
 
-    // Log symbol if provided
-    if (symbol) {
-      console.log(`[Webhook] Symbol: ${symbol}`);
+    if (!validation.valid) {
+      const message = webhookSchema.formatErrors(validation.errors);
+      console.error(`[Webhook] Invalid payload: ${message}`);
+      await alertStorage.saveAlert({
+        action: validation.payload?.action || 'unknown',
+        symbol: validation.payload?.symbol || contracts.DEFAULT_SYMBOL,
+        account: targetAccount.id,
+        status: 'failed',
+        error: `Invalid payload: ${message}`,
+      });
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid payload',
+        errors: validation.errors,
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined,
+      }, { status: 400 });
     }
 
-    if (!action) {
-      console.error('[Webhook] Missing required field: action');
-      return NextResponse.json(
-        { success: false, error: 'Missing required field: action' },
-        { status: 400 }
-      );
+    const payload = validation.payload;
+    const { action, qty, risk, price, mode } = payload;
+    const tradingSymbol = payload.symbol;
+    console.log(`[Webhook] Symbol: ${tradingSymbol} (payload v${payload.version})`);
+    if (payload.strategy || payload.tag) {
+      console.log(`[Webhook] Strategy: ${payload.strategy || '-'}, tag: ${payload.tag || '-'}`);
     }
 
-    const validActions = ['buy', 'sell', 'close'];
-    if (!validActions.includes(action.toLowerCase())) {
-      console.error(`[Webhook] Invalid action: ${action}`);
-      return NextResponse.json(
-        { success: false, error: `Invalid action. Must be one of: ${validActions.join(', ')}` },
-        { status: 400 }
-      );
+    // COPY TRADING: Get accounts that should copy this account's trades
+    // flatten_only signals only ever close, so closes-only followers get them too
+    const copyTradeAccounts = await getCopyTradeAccounts(targetAccount.id, payload.flattenOnly ? 'close' : action, tradingSymbol);
+    if (copyTradeAccounts.length > 0) {
+      console.log(`[Webhook] Copy trading enabled: ${copyTradeAccounts.map(c => c.account.id).join(', ')} will copy ${targetAccount.id}`);
     }
 
     // 4. Handle CLOSE action (close all positions)
-    if (action.toLowerCase() === 'close') {
+    if (action === 'close') {
       console.log('[Webhook] CLOSE action received - closing all positions');
 
       try {
-        const closeResult = await brokerClient.closeAllPositions(symbol || 'MNQ');
+        const closeResult = await brokerClient.closeAllPositions(tradingSymbol);
 
         console.log(`[Webhook] Close result: ${JSON.stringify(closeResult)}`);
 
         // Save alert to persistent storage
-        await alertStorage.saveAlert({
+        const masterAlert = await alertStorage.saveAlert({
           action: 'close',
-          symbol: symbol || 'MNQ',
+          symbol: tradingSymbol,
           account: targetAccount.id,
           status: closeResult.success ? 'success' : 'failed',
           closedPositions: closeResult.closedPositions,
         });
 
-        // COPY TRADING: Close positions on follower accounts too
-        const copyCloseResults = [];
+        // COPY TRADING: Close positions on follower accounts too (concurrently)
+        let copyCloseResults = [];
         if (copyTradeAccounts.length > 0) {
           console.log(`[Webhook] Closing positions on ${copyTradeAccounts.length} follower account(s)...`);
 
-          for (const followerAccount of copyTradeAccounts) {
+          copyCloseResults = await fanOutToFollowers(copyTradeAccounts, async (followerAccount) => {
             try {
               const followerBrokerClient = brokers.getBrokerClient(followerAccount);
-              const followerCloseResult = await followerBrokerClient.closeAllPositions(symbol || 'MNQ');
-
-              copyCloseResults.push({
-                account: followerAccount.id,
-                success: followerCloseResult.success,
-                closedPositions: followerCloseResult.closedPositions,
-              });
+              const followerCloseResult = await followerBrokerClient.closeAllPositions(tradingSymbol);
 
               await alertStorage.saveAlert({
                 action: 'close',
-                symbol: symbol || 'MNQ',
+                symbol: tradingSymbol,
                 account: followerAccount.id,
                 status: followerCloseResult.success ? 'success' : 'failed',
                 closedPositions: followerCloseResult.closedPositions,
                 copiedFrom: targetAccount.id,
+                masterAlertId: masterAlert.id,
               });
 
+              return {
+                success: followerCloseResult.success,
+                closedPositions: followerCloseResult.closedPositions,
+              };
             } catch (copyCloseError) {
               console.error(`[Webhook] Failed to close positions on ${followerAccount.id}:`, copyCloseError.message);
-              copyCloseResults.push({
+
+              await alertStorage.saveAlert({
+                action: 'close',
+                symbol: tradingSymbol,
                 account: followerAccount.id,
-                success: false,
+                status: 'failed',
                 error: copyCloseError.message,
+                copiedFrom: targetAccount.id,
+                masterAlertId: masterAlert.id,
               });
+
+              return { success: false, error: copyCloseError.message };
             }
-          }
+          });
         }
 
         return NextResponse.json({
@@ -273,7 +453,7 @@ export async function POST(request) {
             ? `Closed ${closeResult.closedPositions} position(s)`
             : 'No open positions to close',
           action: 'close',
-          symbol: symbol || 'MNQ',
+          symbol: tradingSymbol,
           account: targetAccount.id,
           broker: targetAccount.broker,
           closedPositions: closeResult.closedPositions,
@@ -287,7 +467,7 @@ export async function POST(request) {
         // Save failed alert
         await alertStorage.saveAlert({
           action: 'close',
-          symbol: symbol || 'MNQ',
+          symbol: tradingSymbol,
           account: targetAccount.id,
           status: 'failed',
           error: closeError.message,
@@ -303,85 +483,108 @@ export async function POST(request) {
       }
     }
 
-    // 5. Validate stop and take profit prices for entry orders
-    if (stop === undefined || stop === null || tp === undefined || tp === null) {
-      console.error('[Webhook] Missing required fields: stop and/or tp');
-      // Save failed alert
-      await alertStorage.saveAlert({
-        action: action?.toLowerCase() || 'unknown',
-        symbol: symbol || 'MNQ',
-        account: targetAccount?.id || 'unknown',
-        status: 'failed',
-        error: 'Missing stop and/or tp prices',
+    // 4.5 FLATTEN ONLY: a buy exits a short, a sell exits a long - no new entry
+    if (payload.flattenOnly) {
+      const exitSide = action === 'buy' ? 'short' : 'long';
+      console.log(`[Webhook] flatten_only ${action} - closing ${exitSide} ${tradingSymbol} position if open`);
+
+      const flattenAlert = (account, result, links = {}) => alertStorage.saveAlert({
+        action: 'close',
+        symbol: tradingSymbol,
+        account,
+        status: result.error || !result.success ? 'failed' : result.flattened ? 'success' : 'skipped',
+        error: result.error || (result.flattened ? null : `flatten_only ${action}: no ${exitSide} position (${result.position})`),
+        ...links,
       });
-      return NextResponse.json(
-        { success: false, error: 'Missing required fields: stop and tp' },
-        { status: 400 }
-      );
-    }
 
-    // Validate prices are valid numbers
-    const stopNum = parseFloat(stop);
-    const tpNum = parseFloat(tp);
+      let flattenResult;
+      try {
+        flattenResult = await flattenPositionSide(brokerClient, tradingSymbol, exitSide);
+      } catch (flattenError) {
+        console.error('[Webhook] flatten_only failed:', flattenError.message);
+        flattenResult = { success: false, error: flattenError.message };
+      }
+      const masterAlert = await flattenAlert(targetAccount.id, flattenResult);
+
+      let copyFlattenResults = [];
+      if (copyTradeAccounts.length > 0) {
+        copyFlattenResults = await fanOutToFollowers(copyTradeAccounts, async (followerAccount, follower) => {
+          // Inverse followers hold the opposite side
+          const followerExitSide = copyGroups.getFollowerOrder(follower, action, null, null).action === 'buy' ? 'short' : 'long';
+          let result;
+          try {
+            result = await flattenPositionSide(brokers.getBrokerClient(followerAccount), tradingSymbol, followerExitSide);
+          } catch (followerError) {
+            result = { success: false, error: followerError.message };
+          }
+          await flattenAlert(followerAccount.id, result, { copiedFrom: targetAccount.id, masterAlertId: masterAlert.id });
+          return result;
+        });
+      }
 
-    if (isNaN(stopNum) || isNaN(tpNum)) {
-      console.error(`[Webhook] Invalid price format: stop=${stop}, tp=${tp}`);
-      return NextResponse.json(
-        { success: false, error: 'Stop and TP must be valid numbers' },
-        { status: 400 }
-      );
+      return NextResponse.json({
+        success: flattenResult.success,
+        message: flattenResult.flattened && flattenResult.success
+          ? `Closed ${exitSide} ${tradingSymbol} position`
+          : flattenResult.error || `No ${exitSide} ${tradingSymbol} position to close`,
+        action,
+        flattenOnly: true,
+        symbol: tradingSymbol,
+        account: targetAccount.id,
+        broker: targetAccount.broker,
+        ...flattenResult,
+        copyTrades: copyFlattenResults.length > 0 ? copyFlattenResults : undefined,
+        timestamp: new Date().toISOString(),
+      }, { status: flattenResult.error ? 500 : 200 });
     }
 
-    if (stopNum <= 0 || tpNum <= 0) {
-      console.error(`[Webhook] Invalid price values: stop=${stopNum}, tp=${tpNum}`);
-      return NextResponse.json(
-        { success: false, error: 'Stop and TP must be positive numbers' },
-        { status: 400 }
-      );
+    // 5. Resolve stop and take profit (absolute or offsets from the entry)
+    // Resting entries need a client that can attach exits after the fill
+    if (payload.orderType !== 'market' && typeof brokerClient.placeBracketExits !== 'function') {
+      console.error(`[Webhook] ${targetAccount.id} does not support ${payload.orderType} entries`);
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid payload',
+        errors: [{ field: 'orderType', message: `${targetAccount.id} only supports market entries` }],
+      }, { status: 400 });
     }
 
-    // Sanity check: prices should be reasonable for MNQ (10000 - 50000 range)
-    if (stopNum < 10000 || stopNum > 50000 || tpNum < 10000 || tpNum > 50000) {
-      console.error(`[Webhook] Price out of expected range: stop=${stopNum}, tp=${tpNum}`);
-      return NextResponse.json(
-        { success: false, error: 'Prices appear to be outside valid MNQ range (10000-50000)' },
-        { status: 400 }
-      );
+    let referencePrice = webhookSchema.getReferencePrice(payload);
+    if (!referencePrice && webhookSchema.hasOffsets(payload)) {
+      referencePrice = await estimateEntryPrice(brokerClient, tradingSymbol, null);
     }
 
-    // Validate stop and TP make sense based on action
-    if (action.toLowerCase() === 'buy') {
-      if (stopNum >= tpNum) {
-        console.error(`[Webhook] Invalid BUY bracket: stop (${stopNum}) must be < tp (${tpNum})`);
-        return NextResponse.json(
-          { success: false, error: 'For BUY orders, stop must be below take profit' },
-          { status: 400 }
-        );
-      }
-    } else if (action.toLowerCase() === 'sell') {
-      if (stopNum <= tpNum) {
-        console.error(`[Webhook] Invalid SELL bracket: stop (${stopNum}) must be > tp (${tpNum})`);
-        return NextResponse.json(
-          { success: false, error: 'For SELL orders, stop must be above take profit' },
-          { status: 400 }
-        );
-      }
+    const bracketPrices = webhookSchema.resolveBracketPrices(payload, referencePrice);
+    if (bracketPrices.errors) {
+      const message = webhookSchema.formatErrors(bracketPrices.errors);
+      console.error(`[Webhook] Could not resolve bracket: ${message}`);
+      await alertStorage.saveAlert({
+        action,
+        symbol: tradingSymbol,
+        account: targetAccount.id,
+        status: 'failed',
+        error: `Invalid payload: ${message}`,
+      });
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid payload',
+        errors: bracketPrices.errors,
+      }, { status: 400 });
     }
 
-    // 5.5 Round prices to valid tick size for the symbol
-    const tradingSymbol = symbol || 'MNQ';
-    const stopRounded = roundToTick(stopNum, tradingSymbol);
-    const tpRounded = roundToTick(tpNum, tradingSymbol);
+    // 5.5 Prices are rounded to the symbol's tick size
+    const stopRounded = bracketPrices.stop;
+    const tpRounded = bracketPrices.tp;
 
-    if (stopRounded !== stopNum || tpRounded !== tpNum) {
-      console.log(`[Webhook] Tick rounding applied for ${tradingSymbol}:`);
-      console.log(`  Stop: ${stopNum} → ${stopRounded}`);
-      console.log(`  TP: ${tpNum} → ${tpRounded}`);
+    if (stopRounded !== payload.stop.value || tpRounded !== payload.tp.value) {
+      console.log(`[Webhook] Bracket for ${tradingSymbol} (ref ${referencePrice ?? 'n/a'}):`);
+      console.log(`  Stop: ${payload.stop.type === 'price' ? '' : `${payload.stop.value} ${payload.stop.type} `}→ ${stopRounded}`);
+      console.log(`  TP: ${payload.tp.type === 'price' ? '' : `${payload.tp.value} ${payload.tp.type} `}→ ${tpRounded}`);
     }
 
     // 5.6 Generate webhook ID for idempotency
     // Uses 10-second windows to handle TradingView's potential latency
-    webhookId = riskManager.generateWebhookId(body);
+    webhookId = riskManager.generateWebhookId({ ...body, stop: stopRounded, tp: tpRounded });
     console.log(`[Webhook] Generated webhook ID: ${webhookId}`);
 
     // 6. Acquire lock for concurrent protection (per account)
@@ -399,14 +602,47 @@ export async function POST(request) {
       }, { status: 503 });
     }
 
+    // 6.5 Reconcile realized/open P&L from the broker so the daily loss
+    // limit reflects real fills, not just what this instance has seen
+    // (skipped when the cron or live feed synced it moments ago)
+    try {
+      await pnlSync.syncAccountPnLIfStale(targetAccount);
+    } catch (syncError) {
+      console.warn(`[Webhook] P&L sync failed for ${targetAccount.id}: ${syncError.message}`);
+    }
+
     // 7. Risk management checks (with idempotency check, per account)
-    const riskCheck = riskManager.canExecuteTrade(webhookId, targetAccount.id);
+    // Prop-firm rule accounts need the live balance for drawdown tracking
+    let accountDetails = null;
+    if (targetAccount.rules) {
+      try {
+        accountDetails = await brokerClient.getAccountDetails();
+      } catch (detailsError) {
+        console.warn(`[Webhook] Could not fetch account details for prop-firm rules: ${detailsError.message}`);
+      }
+    }
+
+    const riskCheck = await riskManager.canExecuteTrade(webhookId, targetAccount.id, {
+      accountDetails,
+      strategy: payload.strategy,
+      symbol: tradingSymbol,
+    });
     if (!riskCheck.allowed) {
       console.warn(`[Webhook] Trade blocked by risk management: ${riskCheck.reason}`);
+
+      // Flatten when the blocking rule asks for it: prop-firm buffer
+      // (ACCOUNT_{ID}_AUTO_FLATTEN), news blackout or session flatten time
+      let flattenResult = null;
+      if (riskCheck.shouldFlatten) {
+        console.warn(`[Webhook] Auto-flattening ${targetAccount.id} to protect ${riskCheck.limit}`);
+        // Reads positions back and writes the close alert
+        flattenResult = await tradingHalt.flattenAccount(targetAccount, `Auto-flatten: ${riskCheck.reason}`);
+      }
+
       // Save blocked alert
       await alertStorage.saveAlert({
-        action: action?.toLowerCase() || 'unknown',
-        symbol: symbol || 'MNQ',
+        action: action || 'unknown',
+        symbol: tradingSymbol,
         account: targetAccount.id,
         status: 'blocked',
         stop: stopRounded,
@@ -417,55 +653,35 @@ export async function POST(request) {
         success: false,
         error: 'Trade blocked by risk management',
         reason: riskCheck.reason,
-        dailyStats: riskManager.getDailyStats(targetAccount.id),
+        limit: riskCheck.limit,
+        flattened: flattenResult || undefined,
+        dailyStats: await riskManager.getDailyStats(targetAccount.id).catch(() => null),
       }, { status: 403 });
     }
 
     console.log(`[Webhook] Risk check passed: ${riskCheck.reason}`);
 
     // 7.5 POSITION STATE RECONCILIATION
-    // Query current position state by checking open orders (Position API returns 404 on TopStepX)
-    // If there are working SL/TP orders, we're in a position
-    console.log('[Webhook] Checking current position state via open orders...');
-
-    let positionSize = 0;
-    let positionSide = 'flat'; // 'long', 'short', or 'flat'
-    let positionApiAvailable = true;
-
-    try {
-      const openOrders = await brokerClient.getOpenOrders();
-      console.log(`[Webhook] Open orders: ${JSON.stringify(openOrders)}`);
-
-      // Find MNQ stop orders - these indicate we have a position
-      // If we have a SELL stop (side=1), we're LONG (stop protects long position)
-      // If we have a BUY stop (side=0), we're SHORT (stop protects short position)
-      const targetSymbol = symbol || 'MNQ';
-      const mnqStopOrders = openOrders.filter(o =>
-        (o.type === 4 || o.type === 'Stop') && // Stop order
-        (o.contractId?.includes('MNQ') || o.contractName?.includes('MNQ') || o.symbol?.includes(targetSymbol))
-      );
-
-      if (mnqStopOrders.length > 0) {
-        const stopOrder = mnqStopOrders[0];
-        // side: 0 = Buy, 1 = Sell
-        if (stopOrder.side === 1 || stopOrder.side === 'Sell') {
-          positionSide = 'long';
-          positionSize = stopOrder.size || 3;
-        } else if (stopOrder.side === 0 || stopOrder.side === 'Buy') {
-          positionSide = 'short';
-          positionSize = stopOrder.size || 3;
-        }
-        console.log(`[Webhook] Detected ${positionSide} position (${positionSize} contracts) from open stop order`);
-      } else {
-        console.log('[Webhook] No open stop orders - assuming flat position');
-      }
-    } catch (orderError) {
-      console.warn('[Webhook] Could not fetch open orders:', orderError.message);
-      console.log('[Webhook] Proceeding with trade - assuming flat position');
-      positionApiAvailable = false;
+    // Position/searchOpen cross-checked against working orders, falling back
+    // to stop-order inference when the position API is down
+    console.log('[Webhook] Reconciling current position state...');
+
+    const position = await positionReconciler.reconcilePosition(brokerClient, tradingSymbol);
+    const positionSide = position.side; // 'long', 'short', or 'flat'
+    const positionSize = position.size;
+    const positionContractId = position.contractId;
+    const positionApiAvailable = position.source !== 'unavailable';
+
+    for (const warning of position.warnings) {
+      console.warn(`[Webhook] Position: ${warning}`);
+    }
+    if (positionSide !== 'flat') {
+      console.log(`[Webhook] ${positionSide} ${tradingSymbol} position: ${positionSize} @ ${position.avgPrice ?? 'n/a'} (${position.source}, ${position.protectedSize} protected)`);
+    } else {
+      console.log(`[Webhook] Flat ${tradingSymbol} (${position.source})`);
     }
 
-    const intendedAction = action.toLowerCase();
+    const intendedAction = action;
     const intendedSide = intendedAction === 'buy' ? 'long' : 'short';
 
     // Determine what action to take based on current state
@@ -492,9 +708,15 @@ export async function POST(request) {
     if (actionToTake === 'skip') {
       console.log(`[Webhook] ${skipReason}`);
 
+      // Keeping the position, so make sure it has a stop
+      let protection = null;
+      if (position.unprotected) {
+        protection = await positionReconciler.protectPosition(targetAccount, brokerClient, position, tradingSymbol);
+      }
+
       await alertStorage.saveAlert({
         action: intendedAction,
-        symbol: symbol || 'MNQ',
+        symbol: tradingSymbol,
         account: targetAccount.id,
         status: 'skipped',
         reason: skipReason,
@@ -508,8 +730,12 @@ export async function POST(request) {
         skipped: true,
         currentPosition: {
           side: positionSide,
-          size: Math.abs(positionSize),
+          size: positionSize,
+          avgPrice: position.avgPrice,
+          unprotected: position.unprotected,
+          source: position.source,
         },
+        protection: protection || undefined,
         account: targetAccount.id,
         broker: targetAccount.broker,
         timestamp: new Date().toISOString(),
@@ -524,17 +750,67 @@ export async function POST(request) {
     // Pass detected position info so bracket order can handle flattening
     console.log(`[Webhook] Executing ${action.toUpperCase()} bracket order on ${targetAccount.id}...`);
     console.log(`  Account: ${targetAccount.id} (${targetAccount.broker})`);
-    console.log(`  Entry: Market ${action.toUpperCase()}`);
+    console.log(`  Entry: ${payload.orderType} ${action.toUpperCase()}${payload.orderType === 'market' ? '' : ` @ ${referencePrice}`}`);
     console.log(`  Stop Loss: ${stopRounded}`);
     console.log(`  Take Profit: ${tpRounded}`);
     console.log(`  Detected position: ${positionSide} (${positionSize} contracts)`);
     console.log(`  Action to take: ${actionToTake}`);
 
-    // TopStep trades 5 contracts, TFD trades 3
-    const contractQty = targetAccount.id === 'default' ? 5 : 3;
+    // Size from dollar risk to the stop (payload qty/risk override the account setting)
+    // Resting entries size from their own price, market entries from `price` or the last trade
+    const entryEstimate = payload.orderType === 'market'
+      ? await estimateEntryPrice(brokerClient, tradingSymbol, price ?? referencePrice)
+      : referencePrice;
+    const sizing = positionSizing.calculatePositionSize({
+      account: targetAccount,
+      symbol: tradingSymbol,
+      entryPrice: entryEstimate,
+      stopPrice: stopRounded,
+      overrides: { qty, risk },
+    });
+    const contractQty = sizing.contracts;
+    console.log(`[Webhook] Sizing (${sizing.method}): ${contractQty} contract(s), entry ~${entryEstimate ?? 'n/a'}, risk/contract $${sizing.riskPerContract ?? 'n/a'}${sizing.reason ? ` - ${sizing.reason}` : ''}`);
+
+    // Risk budget too small for one contract, or no entry estimate to size from
+    if (contractQty === 0) {
+      console.warn(`[Webhook] Entry skipped for ${targetAccount.id}: ${sizing.reason}`);
+      const reversalClose = actionToTake === 'reverse'
+        ? await closeSkippedReversal(targetAccount, brokerClient, tradingSymbol, positionSide)
+        : null;
+      await alertStorage.saveAlert({
+        action: intendedAction,
+        symbol: tradingSymbol,
+        account: targetAccount.id,
+        status: 'skipped',
+        stop: stopRounded,
+        tp: tpRounded,
+        reason: `Position sizing: ${sizing.reason}`,
+      });
+      let message = `Entry skipped: ${sizing.reason}`;
+      if (reversalClose) {
+        message = reversalClose.success
+          ? `Reversal not entered: ${sizing.reason}. Closed the ${positionSide} position`
+          : `Reversal not entered: ${sizing.reason}. Closing the ${positionSide} position failed: ${reversalClose.error}`;
+      }
+      return NextResponse.json({
+        success: reversalClose ? reversalClose.success : true,
+        message,
+        action: intendedAction,
+        skipped: true,
+        reversalClose: reversalClose || undefined,
+        sizing: { ...sizing, entryEstimate },
+        account: targetAccount.id,
+        broker: targetAccount.broker,
+        timestamp: new Date().toISOString(),
+      }, { status: reversalClose && !reversalClose.success ? 500 : 200 });
+    }
+
+    // Fills from here on are searched for copy-trade slippage (with clock skew margin)
+    const fillsSince = new Date(Date.now() - 60 * 1000).toISOString();
+    const entryExpiresAt = webhookSchema.getEntryExpiry(payload);
 
     const orderResult = await brokerClient.placeBracketOrder(
-      action.toLowerCase(),
+      action,
       stopRounded,
       tpRounded,
       contractQty,
@@ -542,14 +818,26 @@ export async function POST(request) {
         skipCleanup: false,  // Always let bracket order handle cleanup
         detectedSide: actionToTake === 'reverse' ? positionSide : null,  // Pass position to flatten
         detectedSize: actionToTake === 'reverse' ? positionSize : 0,
+        detectedContractId: actionToTake === 'reverse' ? positionContractId : null,
+        symbol: tradingSymbol,
+        entryType: payload.orderType,
+        entryPrice: payload.orderType === 'market' ? null : referencePrice,
+        expiresAt: entryExpiresAt,
+        ...getBracketOptions(targetAccount, mode),
       }
     );
 
+    // Hand the bracket to the supervisor so its stop/TP behave as OCO.
+    // The order is already live - a failed save must not fail the webhook
+    await bracketSupervisor.registerBracket(targetAccount.id, action, orderResult).catch((bracketError) => {
+      console.error(`[Webhook] Bracket not supervised for ${targetAccount.id}: ${bracketError.message}`);
+    });
+
     // 9. Record trade in risk manager with details
-    const tradeRecord = riskManager.recordTrade({
+    const tradeRecord = await riskManager.recordTrade({
       webhookId: webhookId,
-      action: action.toLowerCase(),
-      symbol: symbol || 'MNQ',
+      action,
+      symbol: tradingSymbol,
       accountId: targetAccount.id,
       broker: targetAccount.broker,
       stopPrice: stopRounded,
@@ -558,6 +846,9 @@ export async function POST(request) {
       stopOrder: orderResult.stopLoss,
       tpOrder: orderResult.takeProfit,
       partial: orderResult.partial || false,
+      tag: payload.tag,
+      strategy: payload.strategy,
+      comment: payload.comment,
     });
 
     // 10. Prepare response
@@ -565,16 +856,22 @@ export async function POST(request) {
     const wasReversal = actionToTake === 'reverse';
     const response = {
       success: true,
-      message: wasReversal
-        ? `Reversed from ${positionSide} to ${intendedSide} successfully`
-        : `${action.toUpperCase()} order executed successfully`,
-      action: action.toLowerCase(),
+      message: orderResult.pending
+        ? `${action.toUpperCase()} ${payload.orderType} entry working at ${referencePrice}`
+        : wasReversal
+          ? `Reversed from ${positionSide} to ${intendedSide} successfully`
+          : `${action.toUpperCase()} order executed successfully`,
+      action,
+      orderType: payload.orderType,
+      pending: orderResult.pending || false,
+      expiresAt: orderResult.pending ? entryExpiresAt : undefined,
       account: targetAccount.id,
       broker: targetAccount.broker,
       orders: {
         entry: orderResult.entry,
         stopLoss: orderResult.stopLoss,
         runnerStop: orderResult.runnerStop,
+        runner: orderResult.runner,
         takeProfit: orderResult.takeProfit,
       },
       prices: {
@@ -582,13 +879,22 @@ export async function POST(request) {
         takeProfit: tpRounded,
       },
       breakdown: orderResult.breakdown,  // Include contract split info
+      signal: {
+        version: payload.version,
+        strategy: payload.strategy,
+        tag: payload.tag,
+        comment: payload.comment,
+      },
+      sizing: { ...sizing, entryEstimate },
       positionReconciliation: {
         previousPosition: positionSide,
         intendedPosition: intendedSide,
         actionTaken: actionToTake,
         wasReversal: wasReversal,
+        source: position.source,
+        warnings: position.warnings.length > 0 ? position.warnings : undefined,
       },
-      dailyStats: riskManager.getDailyStats(),
+      dailyStats: await riskManager.getDailyStats().catch(() => null),
       executionTimeMs: executionTime,
       timestamp: new Date().toISOString(),
     };
@@ -601,107 +907,241 @@ export async function POST(request) {
     }
 
     // Save alert to persistent storage
-    await alertStorage.saveAlert({
-      action: action.toLowerCase(),
-      symbol: symbol || 'MNQ',
+    const masterOrderId = getOrderId(orderResult.entry);
+    const masterAlert = await alertStorage.saveAlert({
+      action,
+      symbol: tradingSymbol,
       account: targetAccount.id,
-      status: orderResult.partial ? 'partial' : 'success',
+      status: getAlertStatus(orderResult),
       stop: stopRounded,
       tp: tpRounded,
+      orderId: masterOrderId,
     });
 
     console.log('[Webhook] Order executed successfully');
     console.log(`Execution time: ${executionTime}ms`);
 
-    // COPY TRADING: Execute same trade on follower accounts
-    const copyResults = [];
+    // COPY TRADING: Execute same trade on follower accounts (concurrently)
+    // Each follower takes its own lock and passes its own risk checks
     if (copyTradeAccounts.length > 0) {
       console.log(`[Webhook] Executing copy trades on ${copyTradeAccounts.length} follower account(s)...`);
 
-      for (const followerAccount of copyTradeAccounts) {
+      const copyToFollower = async (followerAccount, follower) => {
+        // Inverse followers take the other side with stop and TP swapped
+        const followerOrder = copyGroups.getFollowerOrder(follower, action, stopRounded, tpRounded, payload.orderType);
+        const followerWebhookId = `${webhookId}:${followerAccount.id}`;
+
         try {
-          console.log(`[Webhook] Copy trading to ${followerAccount.id}...`);
+          await riskManager.acquireLock(5000, followerAccount.id);
+        } catch (lockError) {
+          console.error(`[Webhook] ${followerAccount.id} busy: ${lockError.message}`);
+          await alertStorage.saveAlert({
+            action: followerOrder.action,
+            symbol: tradingSymbol,
+            account: followerAccount.id,
+            status: 'failed',
+            error: lockError.message,
+            copiedFrom: targetAccount.id,
+            masterAlertId: masterAlert.id,
+            masterOrderId,
+          });
+          return { success: false, action: followerOrder.action, error: lockError.message };
+        }
+
+        try {
+          console.log(`[Webhook] Copy trading to ${followerAccount.id} (group ${follower.groupId}${follower.inverse ? ', inverse' : ''})...`);
 
           const followerBrokerClient = brokers.getBrokerClient(followerAccount);
+          if (followerOrder.orderType !== 'market' && typeof followerBrokerClient.placeBracketExits !== 'function') {
+            throw new Error(`${followerAccount.id} only supports market entries`);
+          }
 
-          // Get follower's current position state
-          let followerPositionSide = 'flat';
-          let followerPositionSize = 0;
+          // Independent risk checks against the follower's own limits
           try {
-            const followerOrders = await followerBrokerClient.getOpenOrders();
-            const followerStopOrders = followerOrders.filter(o =>
-              (o.type === 4 || o.type === 'Stop') &&
-              (o.contractName?.includes('MNQ') || o.symbol?.includes('MNQ'))
-            );
-            if (followerStopOrders.length > 0) {
-              const stopOrder = followerStopOrders[0];
-              if (stopOrder.side === 1 || stopOrder.side === 'Sell') {
-                followerPositionSide = 'long';
-                followerPositionSize = stopOrder.size || 3;
-              } else if (stopOrder.side === 0 || stopOrder.side === 'Buy') {
-                followerPositionSide = 'short';
-                followerPositionSize = stopOrder.size || 3;
-              }
-            }
-          } catch (e) {
-            console.warn(`[Webhook] Could not detect follower position: ${e.message}`);
+            await pnlSync.syncAccountPnLIfStale(followerAccount);
+          } catch (syncError) {
+            console.warn(`[Webhook] P&L sync failed for ${followerAccount.id}: ${syncError.message}`);
+          }
+
+          let followerDetails = null;
+          if (followerAccount.rules) {
+            followerDetails = await followerBrokerClient.getAccountDetails().catch((detailsError) => {
+              console.warn(`[Webhook] Could not fetch account details for ${followerAccount.id}: ${detailsError.message}`);
+              return null;
+            });
+          }
+
+          const followerRisk = await riskManager.canExecuteTrade(followerWebhookId, followerAccount.id, {
+            accountDetails: followerDetails,
+            strategy: payload.strategy,
+            symbol: tradingSymbol,
+          });
+          if (!followerRisk.allowed) {
+            console.warn(`[Webhook] Copy trade to ${followerAccount.id} blocked: ${followerRisk.reason}`);
+            await alertStorage.saveAlert({
+              action: followerOrder.action,
+              symbol: tradingSymbol,
+              account: followerAccount.id,
+              status: 'blocked',
+              stop: followerOrder.stop,
+              tp: followerOrder.tp,
+              error: `Risk management: ${followerRisk.reason}`,
+              copiedFrom: targetAccount.id,
+              masterAlertId: masterAlert.id,
+              masterOrderId,
+            });
+            return {
+              success: false,
+              blocked: true,
+              action: followerOrder.action,
+              reason: followerRisk.reason,
+              limit: followerRisk.limit,
+            };
+          }
+
+          // Get follower's current position state
+          const followerPosition = await positionReconciler.reconcilePosition(followerBrokerClient, tradingSymbol);
+          const followerPositionSide = followerPosition.side;
+          const followerPositionSize = followerPosition.size;
+          const followerPositionContractId = followerPosition.contractId;
+          for (const warning of followerPosition.warnings) {
+            console.warn(`[Webhook] ${followerAccount.id} position: ${warning}`);
           }
 
           // Determine if follower needs to reverse
-          const followerIntendedSide = action.toLowerCase() === 'buy' ? 'long' : 'short';
+          const followerIntendedSide = followerOrder.action === 'buy' ? 'long' : 'short';
           const followerNeedsReverse = followerPositionSide !== 'flat' && followerPositionSide !== followerIntendedSide;
 
+          // Group qty / multiplier, otherwise the follower's own risk settings
+          const groupQty = copyGroups.getFollowerQty(follower, contractQty);
+          const followerSizing = positionSizing.calculatePositionSize({
+            account: followerAccount,
+            symbol: tradingSymbol,
+            entryPrice: entryEstimate,
+            stopPrice: followerOrder.stop,
+            overrides: groupQty ? { qty: groupQty } : { qty, risk },
+          });
+          if (followerSizing.contracts === 0) {
+            console.warn(`[Webhook] Copy trade to ${followerAccount.id} skipped: ${followerSizing.reason}`);
+            const followerReversalClose = followerNeedsReverse
+              ? await closeSkippedReversal(followerAccount, followerBrokerClient, tradingSymbol, followerPositionSide, {
+                copiedFrom: targetAccount.id,
+                masterAlertId: masterAlert.id,
+                masterOrderId,
+              })
+              : null;
+            await alertStorage.saveAlert({
+              action: followerOrder.action,
+              symbol: tradingSymbol,
+              account: followerAccount.id,
+              status: 'skipped',
+              stop: followerOrder.stop,
+              tp: followerOrder.tp,
+              reason: `Position sizing: ${followerSizing.reason}`,
+              copiedFrom: targetAccount.id,
+              masterAlertId: masterAlert.id,
+              masterOrderId,
+            });
+            return {
+              success: false,
+              skipped: true,
+              action: followerOrder.action,
+              reason: followerSizing.reason,
+              reversalClose: followerReversalClose || undefined,
+            };
+          }
+
           const copyResult = await followerBrokerClient.placeBracketOrder(
-            action.toLowerCase(),
-            stopRounded,
-            tpRounded,
-            5,  // Same as TopStep - 5 contracts
+            followerOrder.action,
+            followerOrder.stop,
+            followerOrder.tp,
+            followerSizing.contracts,
             {
               skipCleanup: false,
               detectedSide: followerNeedsReverse ? followerPositionSide : null,
               detectedSize: followerNeedsReverse ? followerPositionSize : 0,
+              detectedContractId: followerNeedsReverse ? followerPositionContractId : null,
+              symbol: tradingSymbol,
+              entryType: followerOrder.orderType,
+              entryPrice: followerOrder.orderType === 'market' ? null : referencePrice,
+              expiresAt: entryExpiresAt,
+              ...getBracketOptions(followerAccount, mode),
             }
           );
 
-          copyResults.push({
-            account: followerAccount.id,
-            success: copyResult.success,
+          await bracketSupervisor.registerBracket(followerAccount.id, followerOrder.action, copyResult).catch((bracketError) => {
+            console.error(`[Webhook] Bracket not supervised for ${followerAccount.id}: ${bracketError.message}`);
+          });
+
+          await riskManager.recordTrade({
+            webhookId: followerWebhookId,
+            action: followerOrder.action,
+            symbol: tradingSymbol,
+            accountId: followerAccount.id,
+            broker: followerAccount.broker,
+            stopPrice: followerOrder.stop,
+            takeProfitPrice: followerOrder.tp,
+            entryOrder: copyResult.entry,
+            stopOrder: copyResult.stopLoss,
+            tpOrder: copyResult.takeProfit,
             partial: copyResult.partial || false,
+            copiedFrom: targetAccount.id,
+            tag: payload.tag,
+            strategy: payload.strategy,
           });
 
+          const followerOrderId = getOrderId(copyResult.entry);
           console.log(`[Webhook] Copy trade to ${followerAccount.id} successful`);
 
-          // Save alert for follower
+          // Save alert for follower, linked to the master's order
           await alertStorage.saveAlert({
-            action: action.toLowerCase(),
-            symbol: symbol || 'MNQ',
+            action: followerOrder.action,
+            symbol: tradingSymbol,
             account: followerAccount.id,
-            status: copyResult.partial ? 'partial' : 'success',
-            stop: stopRounded,
-            tp: tpRounded,
+            status: getAlertStatus(copyResult),
+            stop: followerOrder.stop,
+            tp: followerOrder.tp,
+            orderId: followerOrderId,
             copiedFrom: targetAccount.id,
+            masterAlertId: masterAlert.id,
+            masterOrderId,
           });
 
+          return {
+            success: copyResult.success,
+            action: followerOrder.action,
+            orderType: followerOrder.orderType,
+            pending: copyResult.pending || false,
+            partial: copyResult.partial || false,
+            contracts: followerSizing.contracts,
+            orderId: followerOrderId,
+          };
+
         } catch (copyError) {
           console.error(`[Webhook] Copy trade to ${followerAccount.id} FAILED:`, copyError.message);
-          copyResults.push({
-            account: followerAccount.id,
-            success: false,
-            error: copyError.message,
-          });
 
           // Save failed alert for follower
           await alertStorage.saveAlert({
-            action: action.toLowerCase(),
-            symbol: symbol || 'MNQ',
+            action: followerOrder.action,
+            symbol: tradingSymbol,
             account: followerAccount.id,
             status: 'failed',
             error: copyError.message,
             copiedFrom: targetAccount.id,
+            masterAlertId: masterAlert.id,
+            masterOrderId,
           });
+
+          return { success: false, action: followerOrder.action, error: copyError.message };
+        } finally {
+          riskManager.releaseLock(followerAccount.id);
         }
-      }
+      };
+
+      const copyResults = await fanOutToFollowers(copyTradeAccounts, copyToFollower);
+      const masterFill = await addCopySlippage(copyResults, brokerClient, masterOrderId, fillsSince, tradingSymbol);
 
+      response.masterFillPrice = masterFill;
       response.copyTrades = copyResults;
       console.log(`[Webhook] Copy trading complete: ${copyResults.filter(r => r.success).length}/${copyResults.length} successful`);
     }
@@ -718,7 +1158,7 @@ export async function POST(request) {
     try {
       await alertStorage.saveAlert({
         action: parsedBody?.action?.toLowerCase() || 'unknown',
-        symbol: parsedBody?.symbol || 'MNQ',
+        symbol: parsedBody?.symbol || contracts.DEFAULT_SYMBOL,
         account: targetAccount?.id || 'unknown',
         status: 'failed',
         stop: parsedBody?.stop,
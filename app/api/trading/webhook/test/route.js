@@ -3,14 +3,17 @@
  * Validates webhook secret and account configuration without placing trades
  * Endpoint: POST /api/trading/webhook/test
  *
- * Use this to verify your TradingView webhook is configured correctly
+ * Use this to verify your TradingView webhook is configured correctly.
+ * Payloads are authenticated with lib/webhookAuth and validated with
+ * lib/webhookSchema, like the live webhook.
  */
 
 import { NextResponse } from 'next/server';
 
-const accounts = require('../../../../../lib/accounts');
 const brokers = require('../../../../../lib/brokers');
 const riskManager = require('../../../../../lib/riskManager');
+const webhookSchema = require('../../../../../lib/webhookSchema');
+const webhookAuth = require('../../../../../lib/webhookAuth');
 
 export async function POST(request) {
   console.log('\n=== WEBHOOK TEST ===');
@@ -19,8 +22,9 @@ export async function POST(request) {
   try {
     // 1. Parse request body
     let body;
+    const rawBody = await request.text();
     try {
-      body = await request.json();
+      body = JSON.parse(rawBody);
     } catch (parseError) {
       return NextResponse.json({
         success: false,
@@ -30,85 +34,63 @@ export async function POST(request) {
       }, { status: 400 });
     }
 
-    console.log('[WebhookTest] Payload:', JSON.stringify(body, null, 2));
+    console.log('[WebhookTest] Payload:', JSON.stringify({ ...body, secret: body?.secret ? '[redacted]' : undefined }, null, 2));
 
-    // 2. Validate secret and find account
-    let targetAccount = accounts.getAccountBySecret(body.secret);
+    // 2. Validate secret or signature and find account
+    const auth = await webhookAuth.authenticateWebhook({ headers: request.headers, rawBody, body });
 
-    if (!targetAccount) {
-      const webhookSecret = process.env.WEBHOOK_SECRET;
-      if (webhookSecret && body.secret === webhookSecret) {
-        targetAccount = accounts.getAccount('default');
-      }
-    }
-
-    if (!targetAccount) {
+    if (!auth.ok) {
       return NextResponse.json({
         success: false,
         test: 'authentication',
-        error: 'Invalid webhook secret',
-        hint: 'Check that your webhook secret matches the one in your Vercel environment variables',
-        receivedSecret: body.secret ? `${body.secret.substring(0, 8)}...` : 'none',
-      }, { status: 401 });
+        error: auth.error,
+        hint: auth.status === 403
+          ? 'Requests must come from an address in WEBHOOK_IP_ALLOWLIST'
+          : 'Check that your webhook secret matches an active secret (node generate-webhook-secret.js --list)',
+        receivedSecret: typeof body?.secret === 'string' ? `${body.secret.substring(0, 4)}...` : 'none',
+      }, { status: auth.status });
     }
 
-    console.log(`[WebhookTest] Found account: ${targetAccount.id} (${targetAccount.broker})`);
-
-    // 3. Validate required fields
-    const validationErrors = [];
-
-    if (!body.action) {
-      validationErrors.push('Missing "action" field (should be "buy", "sell", or "close")');
-    } else if (!['buy', 'sell', 'close'].includes(body.action.toLowerCase())) {
-      validationErrors.push(`Invalid action "${body.action}" (should be "buy", "sell", or "close")`);
-    }
-
-    if (body.action?.toLowerCase() !== 'close') {
-      if (body.stop === undefined || body.stop === null) {
-        validationErrors.push('Missing "stop" field (stop loss price)');
-      } else if (isNaN(parseFloat(body.stop))) {
-        validationErrors.push(`Invalid stop price "${body.stop}" (must be a number)`);
-      }
-
-      if (body.tp === undefined || body.tp === null) {
-        validationErrors.push('Missing "tp" field (take profit price)');
-      } else if (isNaN(parseFloat(body.tp))) {
-        validationErrors.push(`Invalid tp price "${body.tp}" (must be a number)`);
-      }
-
-      // Price range check
-      const stopNum = parseFloat(body.stop);
-      const tpNum = parseFloat(body.tp);
-
-      if (!isNaN(stopNum) && (stopNum < 10000 || stopNum > 50000)) {
-        validationErrors.push(`Stop price ${stopNum} outside MNQ range (10000-50000)`);
-      }
+    const targetAccount = auth.account;
 
-      if (!isNaN(tpNum) && (tpNum < 10000 || tpNum > 50000)) {
-        validationErrors.push(`TP price ${tpNum} outside MNQ range (10000-50000)`);
-      }
+    console.log(`[WebhookTest] Found account: ${targetAccount.id} (${targetAccount.broker})`);
 
-      // Bracket logic check
-      if (!isNaN(stopNum) && !isNaN(tpNum)) {
-        if (body.action?.toLowerCase() === 'buy' && stopNum >= tpNum) {
-          validationErrors.push(`BUY bracket invalid: stop (${stopNum}) must be < tp (${tpNum})`);
-        }
-        if (body.action?.toLowerCase() === 'sell' && stopNum <= tpNum) {
-          validationErrors.push(`SELL bracket invalid: stop (${stopNum}) must be > tp (${tpNum})`);
-        }
-      }
-    }
+    // 3. Validate against the same schema as the live webhook
+    const validation = webhookSchema.validatePayload(body);
 
-    if (validationErrors.length > 0) {
+    if (!validation.valid) {
       return NextResponse.json({
         success: false,
         test: 'validation',
-        errors: validationErrors,
+        errors: validation.errors,
+        warnings: validation.warnings,
         receivedPayload: body,
         hint: 'Fix the validation errors above',
       }, { status: 400 });
     }
 
+    const payload = validation.payload;
+
+    // Absolute brackets resolve now; offsets need the live price, so the
+    // preview uses `price` / limitPrice / triggerPrice when sent
+    let bracket = null;
+    if (['buy', 'sell'].includes(payload.action) && !payload.flattenOnly) {
+      const referencePrice = webhookSchema.getReferencePrice(payload);
+      if (referencePrice || !webhookSchema.hasOffsets(payload)) {
+        bracket = webhookSchema.resolveBracketPrices(payload, referencePrice);
+        if (bracket.errors) {
+          return NextResponse.json({
+            success: false,
+            test: 'validation',
+            errors: bracket.errors,
+            warnings: validation.warnings,
+            receivedPayload: body,
+            hint: 'Fix the validation errors above',
+          }, { status: 400 });
+        }
+      }
+    }
+
     // 4. Test broker connection
     let brokerClient;
     let brokerStatus;
@@ -127,7 +109,10 @@ export async function POST(request) {
     }
 
     // 5. Check risk management
-    const riskCheck = riskManager.canExecuteTrade(null, targetAccount.id);
+    const riskCheck = await riskManager.canExecuteTrade(null, targetAccount.id, {
+      strategy: payload.strategy,
+      symbol: payload.symbol,
+    });
 
     // 6. Success response
     return NextResponse.json({
@@ -145,17 +130,24 @@ export async function POST(request) {
         broker: targetAccount.broker,
         brokerConnected: brokerStatus.connected,
       },
+      authentication: {
+        method: auth.method,
+        secretId: auth.secretId,
+        expiresAt: auth.expiresAt,
+      },
       riskStatus: {
         canTrade: riskCheck.allowed,
         reason: riskCheck.reason,
-        dailyStats: riskManager.getDailyStats(targetAccount.id),
+        limit: riskCheck.limit || null,
+        profile: riskManager.getRiskProfile(targetAccount.id),
+        dailyStats: await riskManager.getDailyStats(targetAccount.id),
       },
-      receivedPayload: {
-        action: body.action,
-        stop: body.stop,
-        tp: body.tp,
-        symbol: body.symbol || 'MNQ',
+      payload: {
+        ...payload,
+        secret: undefined,
+        resolvedBracket: bracket,
       },
+      warnings: validation.warnings.length > 0 ? validation.warnings : undefined,
       timestamp: new Date().toISOString(),
     });
 
@@ -174,12 +166,17 @@ export async function GET() {
     endpoint: '/api/trading/webhook/test',
     method: 'POST',
     description: 'Test your webhook configuration without placing real trades',
+    schemaVersion: webhookSchema.SCHEMA_VERSION,
+    fields: Object.keys(webhookSchema.PAYLOAD_FIELDS),
     examplePayload: {
+      version: webhookSchema.SCHEMA_VERSION,
       secret: 'your-webhook-secret',
       action: 'buy',
       symbol: 'MNQ',
-      stop: 21400.00,
-      tp: 21600.00,
+      stop: { ticks: 40 },
+      tp: { ticks: 80 },
+      price: 21500.00,
+      strategy: 'orb-10m',
     },
   });
 }
@@ -7,6 +7,11 @@ async function parseApiJson(res, endpointLabel) {
   const isJson = contentType.toLowerCase().includes('application/json')
   const bodyText = await res.text()
 
+  // Session expired - back to the login page
+  if (res.status === 401) {
+    window.location.href = '/login?next=/dashboard'
+  }
+
   if (!res.ok) {
     throw new Error(`${endpointLabel} returned ${res.status}: ${bodyText.slice(0, 180)}`)
   }
@@ -105,6 +110,8 @@ function MarketStatusCard({ futures, etTime }) {
   const minutesUntilOpen = futures?.minutesUntilOpen || 0
   const hoursUntilClose = futures?.hoursUntilClose || 0
   const minutesUntilClose = futures?.minutesUntilClose || 0
+  const activeContract = futures?.activeContract
+  const calendar = futures?.calendar
 
   const formatCountdown = (hours, minutes) => {
     if (hours === 0 && minutes === 0) return null
@@ -130,7 +137,10 @@ function MarketStatusCard({ futures, etTime }) {
           </span>
         </div>
       </div>
-      <p className="text-sm text-neutral-400">{reason}</p>
+      <p className="text-sm text-neutral-400">
+        {reason}
+        {calendar && <span className="text-neutral-600"> · {calendar} hours</span>}
+      </p>
       {isOpen && formatCountdown(hoursUntilClose, minutesUntilClose) && (
         <p className="text-xs text-neutral-600 mt-2">
           Closes in {formatCountdown(hoursUntilClose, minutesUntilClose)}
@@ -141,6 +151,15 @@ function MarketStatusCard({ futures, etTime }) {
           Opens in {formatCountdown(hoursUntilOpen, minutesUntilOpen)}
         </p>
       )}
+      {activeContract && (
+        <p className="text-xs text-neutral-600 mt-2">
+          {activeContract.symbol} {activeContract.contractMonth}
+          <span className="text-neutral-700"> · rolls {activeContract.rollDate}</span>
+          {activeContract.rollingFrom && (
+            <span className="text-amber-500"> · rolled from {activeContract.rollingFrom}</span>
+          )}
+        </p>
+      )}
       {etTime && (
         <p className="text-xs text-neutral-700 mt-2 font-mono">{etTime}</p>
       )}
@@ -148,7 +167,7 @@ function MarketStatusCard({ futures, etTime }) {
   )
 }
 
-function SystemStatusCard({ status, trading, futures }) {
+function SystemStatusCard({ status, trading, futures, halted }) {
   const isHealthy = status === 'healthy'
   const canTrade = trading?.canTrade
   const futuresOpen = futures?.isOpen
@@ -157,7 +176,10 @@ function SystemStatusCard({ status, trading, futures }) {
   let statusText = 'Offline'
 
   if (isHealthy) {
-    if (canTrade) {
+    if (halted) {
+      systemStatus = 'offline'
+      statusText = 'Halted'
+    } else if (canTrade) {
       systemStatus = 'online'
       statusText = 'Active'
     } else if (futuresOpen) {
@@ -211,12 +233,120 @@ function ExportButton() {
   );
 }
 
+// Global kill switch - halt (optionally flattening) or resume all trading
+function KillSwitch({ halt, onChange }) {
+  const [busy, setBusy] = useState(false)
+
+  if (!halt?.canHaltAll) return null
+
+  const handleHalt = async () => {
+    const reason = window.prompt('Why are you halting all trading?')
+    if (!reason) return
+    const flatten = window.confirm('Also cancel all orders and close all positions?\n\nOK = halt and flatten, Cancel = halt only')
+
+    setBusy(true)
+    try {
+      const res = await fetch('/api/trading/halt', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason, flatten }),
+      })
+      const data = await res.json()
+      if (!data.success) {
+        window.alert(data.error || 'Trading is halted, but some accounts could not be flattened - check the alerts feed')
+      }
+    } catch (err) {
+      window.alert(`Halt failed: ${err.message}`)
+    } finally {
+      setBusy(false)
+      onChange()
+    }
+  }
+
+  const handleResume = async () => {
+    const reason = window.prompt('Why are you resuming trading?')
+    if (!reason) return
+
+    setBusy(true)
+    try {
+      const res = await fetch(`/api/trading/halt?reason=${encodeURIComponent(reason)}`, { method: 'DELETE' })
+      const data = await res.json()
+      if (!data.success) window.alert(data.error || 'Resume failed')
+    } catch (err) {
+      window.alert(`Resume failed: ${err.message}`)
+    } finally {
+      setBusy(false)
+      onChange()
+    }
+  }
+
+  return halt.global ? (
+    <button
+      onClick={handleResume}
+      disabled={busy}
+      className="px-3 py-1.5 text-xs text-emerald-400 hover:text-emerald-300 bg-emerald-500/10 hover:bg-emerald-500/20 border border-emerald-500/40 rounded transition-colors disabled:opacity-50"
+      title={`Halted by ${halt.global.by}: ${halt.global.reason}`}
+    >
+      {busy ? 'Resuming...' : 'Resume trading'}
+    </button>
+  ) : (
+    <button
+      onClick={handleHalt}
+      disabled={busy}
+      className="px-3 py-1.5 text-xs text-red-400 hover:text-red-300 bg-red-500/10 hover:bg-red-500/20 border border-red-500/40 rounded transition-colors disabled:opacity-50"
+      title="Stop all automated entries"
+    >
+      {busy ? 'Halting...' : 'Halt trading'}
+    </button>
+  )
+}
+
+function HaltBanner({ halt }) {
+  const accountHalts = Object.entries(halt?.accounts || {})
+  if (!halt?.global && accountHalts.length === 0) return null
+
+  return (
+    <div className="bg-red-500/10 border border-red-500/40 rounded-lg p-4 mb-6 space-y-1">
+      {halt.global && (
+        <p className="text-sm text-red-400">
+          All trading halted by {halt.global.by}: {halt.global.reason}
+          <span className="text-xs text-neutral-500 ml-2">{new Date(halt.global.at).toLocaleString()}</span>
+        </p>
+      )}
+      {accountHalts.map(([id, accountHalt]) => (
+        <p key={id} className="text-sm text-red-400">
+          {id} halted by {accountHalt.by}: {accountHalt.reason}
+        </p>
+      ))}
+    </div>
+  )
+}
+
+function LogoutButton() {
+  const handleLogout = async () => {
+    await fetch('/api/auth', { method: 'DELETE' }).catch(() => {})
+    window.location.href = '/login'
+  }
+
+  return (
+    <button
+      onClick={handleLogout}
+      className="px-3 py-1.5 text-xs text-neutral-400 hover:text-neutral-200 bg-neutral-800/50 hover:bg-neutral-700/50 border border-neutral-700 rounded transition-colors"
+    >
+      Log out
+    </button>
+  )
+}
+
 function AlertsFeed({ trades }) {
   const getActionLabel = (action) => {
     switch (action) {
       case 'buy': return { text: 'LONG', color: 'bg-emerald-500/20 text-emerald-400' }
       case 'sell': return { text: 'SHORT', color: 'bg-red-500/20 text-red-400' }
       case 'close': return { text: 'CLOSE', color: 'bg-amber-500/20 text-amber-400' }
+      case 'protect': return { text: 'STOP', color: 'bg-orange-500/20 text-orange-400' }
+      case 'bracket': return { text: 'OCO', color: 'bg-sky-500/20 text-sky-400' }
+      case 'runner': return { text: 'RUNNER', color: 'bg-sky-500/20 text-sky-400' }
       default: return { text: action?.toUpperCase() || 'ALERT', color: 'bg-neutral-500/20 text-neutral-400' }
     }
   }
@@ -227,6 +357,7 @@ function AlertsFeed({ trades }) {
       case 'partial': return { text: 'partial', color: 'text-amber-500' }
       case 'failed': return { text: 'failed', color: 'text-red-500' }
       case 'blocked': return { text: 'blocked', color: 'text-orange-500' }
+      case 'unprotected': return { text: 'no stop', color: 'text-red-500' }
       case 'pending': return { text: 'pending', color: 'text-amber-500' }
       default: return { text: status || '', color: 'text-neutral-500' }
     }
@@ -682,9 +813,11 @@ function TradingSummary() {
 export default function Dashboard() {
   const [status, setStatus] = useState(null)
   const [trades, setTrades] = useState([])
+  const [halt, setHalt] = useState(null)
   const [realPnl, setRealPnl] = useState(null)
   const [loading, setLoading] = useState(true)
   const [lastUpdate, setLastUpdate] = useState(null)
+  const [liveConnected, setLiveConnected] = useState(false)
 
   // Fetch real P&L from TopStepX Trade/search
   const fetchRealPnl = async () => {
@@ -700,14 +833,16 @@ export default function Dashboard() {
 
   const fetchData = async () => {
     try {
-      const [statusRes, tradesRes] = await Promise.all([
+      const [statusRes, tradesRes, haltRes] = await Promise.all([
         fetch('/api/trading/status'),
         fetch('/api/trading/trades'),
+        fetch('/api/trading/halt'),
       ])
 
-      const [statusResult, tradesResult] = await Promise.allSettled([
+      const [statusResult, tradesResult, haltResult] = await Promise.allSettled([
         parseApiJson(statusRes, 'Trading status API'),
         parseApiJson(tradesRes, 'Trading trades API'),
+        parseApiJson(haltRes, 'Trading halt API'),
       ])
 
       if (statusResult.status === 'fulfilled') {
@@ -724,6 +859,12 @@ export default function Dashboard() {
         setTrades([])
       }
 
+      if (haltResult.status === 'fulfilled') {
+        setHalt(haltResult.value)
+      } else {
+        console.error('Failed to parse halt API response:', haltResult.reason)
+      }
+
       setLastUpdate(new Date())
     } catch (err) {
       console.error('Failed to fetch:', err)
@@ -743,7 +884,34 @@ export default function Dashboard() {
     }
   }, [])
 
+  // Real-time account events (ProjectX user hub) - refresh as soon as
+  // orders, positions or fills change. Polling above remains the fallback.
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return
+    const source = new EventSource('/api/trading/live')
+    let refreshTimer = null
+    const refresh = () => {
+      clearTimeout(refreshTimer)
+      refreshTimer = setTimeout(fetchData, 500)
+    }
+
+    source.addEventListener('snapshot', () => setLiveConnected(true))
+    for (const type of ['order', 'position', 'trade', 'account']) {
+      source.addEventListener(type, refresh)
+    }
+    source.addEventListener('trade', () => setTimeout(fetchRealPnl, 1500))
+    source.onerror = () => setLiveConnected(false)
+
+    return () => {
+      clearTimeout(refreshTimer)
+      source.close()
+    }
+  }, [])
+
   const futuresOpen = status?.futures?.isOpen || false
+  // Market hours follow the most recently traded symbol (CL and GC keep their own calendars)
+  const tradedSymbol = trades.find(trade => trade.symbol)?.symbol
+  const tradedMarket = status?.markets?.[tradedSymbol] || status?.futures
 
   return (
     <div className="min-h-screen bg-neutral-950 text-white">
@@ -768,7 +936,12 @@ export default function Dashboard() {
                 <span className="text-sm text-neutral-500">
                   {status?.status === 'healthy' ? 'Online' : 'Offline'}
                 </span>
+                {liveConnected && (
+                  <span className="hidden sm:inline text-[10px] text-emerald-500 uppercase tracking-wider">realtime</span>
+                )}
               </div>
+              <KillSwitch halt={halt} onChange={fetchData} />
+              <LogoutButton />
             </div>
           </div>
         </div>
@@ -776,15 +949,18 @@ export default function Dashboard() {
 
       {/* Main Content */}
       <main className="max-w-6xl mx-auto px-4 sm:px-6 py-6">
+        <HaltBanner halt={halt} />
+
         {/* Status Cards */}
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
           <SystemStatusCard
             status={status?.status}
             trading={status?.trading}
             futures={status?.futures}
+            halted={!!halt?.global}
           />
           <MarketStatusCard
-            futures={status?.futures}
+            futures={tradedMarket}
             etTime={status?.etTime}
           />
         </div>
@@ -0,0 +1,92 @@
+'use client'
+
+import { useState } from 'react'
+
+// Only same-origin URLs, so ?next= cannot redirect off the site. Parsed as a
+// URL because browsers read "/\evil.com" as "//evil.com"; the absolute href
+// is returned so a path like "/.//evil.com" stays on this origin
+function getNextPath() {
+  const next = new URLSearchParams(window.location.search).get('next')
+  if (!next || !next.startsWith('/')) return '/dashboard'
+  try {
+    const url = new URL(next, window.location.origin)
+    return url.origin === window.location.origin ? url.href : '/dashboard'
+  } catch {
+    return '/dashboard'
+  }
+}
+
+export default function LoginPage() {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError(null)
+
+    try {
+      const res = await fetch('/api/auth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      })
+      const data = await res.json()
+
+      if (!res.ok || !data.success) {
+        setError(data.error || 'Login failed')
+        return
+      }
+
+      window.location.href = getNextPath()
+    } catch (err) {
+      setError('Login failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-white flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-neutral-900/50 border border-neutral-800/50 rounded-xl p-6 space-y-4">
+        <h1 className="text-lg font-semibold tracking-tight">noctiq</h1>
+
+        <div className="space-y-1">
+          <label htmlFor="username" className="text-xs text-neutral-500">Username</label>
+          <input
+            id="username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="w-full bg-neutral-950 border border-neutral-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-neutral-600"
+          />
+        </div>
+
+        <div className="space-y-1">
+          <label htmlFor="password" className="text-xs text-neutral-500">Password</label>
+          <input
+            id="password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full bg-neutral-950 border border-neutral-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-neutral-600"
+          />
+        </div>
+
+        {error && <p className="text-xs text-red-500">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={submitting || !username || !password}
+          className="w-full bg-white text-neutral-950 rounded-lg py-2 text-sm font-medium disabled:opacity-50"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * Long-lived bracket supervisor
+ * Polls every account's brackets and keeps stop/TP pairs OCO between cron runs.
+ * Also connects the ProjectX user hub so fills are handled as they happen
+ * (set LIVE_FEED=false to poll only).
+ * Usage: node bracket-supervisor.js [intervalMs]
+ */
+
+const { startSupervisor } = require('./lib/brokers/bracketSupervisor');
+const { startLiveFeeds } = require('./lib/liveFeed');
+
+const intervalMs = parseInt(process.argv[2], 10) || 5000;
+const stop = startSupervisor(intervalMs);
+
+if (process.env.LIVE_FEED !== 'false') {
+  startLiveFeeds().catch(error => console.error('[LiveFeed] Failed to start:', error.message));
+}
+
+process.on('SIGINT', () => {
+  stop();
+  process.exit(0);
+});
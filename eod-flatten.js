@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * Long-lived end-of-day flatten runner
+ * Same job as the /api/trading/eod cron, for deployments without Vercel
+ * crons. Reads .env.local / .env like the other scripts.
+ * Usage: node eod-flatten.js [intervalMs]   check every intervalMs (default 30000)
+ *        node eod-flatten.js --once         run one check and exit
+ */
+
+// Accounts are loaded from the environment on import
+require('dotenv').config({ path: '.env.local', quiet: true });
+require('dotenv').config({ quiet: true });
+
+const { runEodFlatten, startEodFlatten } = require('./lib/eodFlatten');
+
+if (process.argv.includes('--once')) {
+  runEodFlatten()
+    .then(({ tradingDate, results, skipped }) => {
+      console.log(JSON.stringify({ tradingDate, results, skipped }, null, 2));
+      process.exit(results.every(r => r.success) ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('[EodFlatten] Run failed:', error.message);
+      process.exit(1);
+    });
+} else {
+  const intervalMs = parseInt(process.argv[2], 10) || 30000;
+  const stop = startEodFlatten(intervalMs);
+
+  process.on('SIGINT', () => {
+    stop();
+    process.exit(0);
+  });
+}
@@ -2,18 +2,114 @@
 
 /**
  * Generate a secure random webhook secret
- * Usage: node generate-webhook-secret.js
+ * Usage:
+ *   node generate-webhook-secret.js                         print a new secret
+ *   node generate-webhook-secret.js --rotate <account> [--grace-hours 72] [--label text]
+ *                                                           register a new secret for an account;
+ *                                                           its current secrets expire after the grace period
+ *   node generate-webhook-secret.js --list [account]        list secrets (values masked)
+ *   node generate-webhook-secret.js --revoke <secret-id>    expire a secret now
+ *
+ * --rotate, --list and --revoke use the same risk store as the app,
+ * reading .env.local for its settings. They refuse to run unless that store
+ * is Supabase - the file and memory stores are not what the deployed app reads.
  */
 
 const crypto = require('crypto');
 
-const secret = crypto.randomBytes(32).toString('hex');
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
 
-console.log('\n=================================');
-console.log('Generated Webhook Secret:');
-console.log('=================================');
-console.log(secret);
-console.log('=================================\n');
-console.log('Add this to your .env.local file:');
-console.log(`WEBHOOK_SECRET=${secret}`);
-console.log('\n');
+function printSecret() {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  console.log('\n=================================');
+  console.log('Generated Webhook Secret:');
+  console.log('=================================');
+  console.log(secret);
+  console.log('=================================\n');
+  console.log('Add this to your .env.local file:');
+  console.log(`WEBHOOK_SECRET=${secret}`);
+  console.log('\n');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = ['--rotate', '--list', '--revoke'].find(c => args.includes(c));
+
+  if (!command) {
+    printSecret();
+    return;
+  }
+
+  // Accounts are loaded from the environment on import
+  require('dotenv').config({ path: '.env.local', quiet: true });
+  require('dotenv').config({ quiet: true });
+  const webhookAuth = require('./lib/webhookAuth');
+  const { getRiskStore } = require('./lib/riskStore');
+
+  const store = await getRiskStore();
+  if (store.name !== 'supabase') {
+    throw new Error(`${command} needs the Supabase risk store (got "${store.name}"). `
+      + 'Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (and RISK_STORE=supabase if set) in .env.local');
+  }
+
+  if (command === '--rotate') {
+    const accountId = getArg(args, '--rotate');
+    if (!accountId || accountId.startsWith('--')) {
+      throw new Error('Usage: --rotate <account> [--grace-hours 72] [--label text]');
+    }
+    const graceArg = getArg(args, '--grace-hours');
+    const graceHours = graceArg === undefined ? undefined : Number(graceArg);
+    if (graceHours !== undefined && !(graceHours >= 0)) {
+      throw new Error('--grace-hours must be a number of hours');
+    }
+
+    const { secret, entry, expiring } = await webhookAuth.rotateSecret(accountId, {
+      graceHours,
+      label: getArg(args, '--label'),
+    });
+
+    console.log('\n=================================');
+    console.log(`New Webhook Secret for ${accountId} (${entry.id}):`);
+    console.log('=================================');
+    console.log(secret);
+    console.log('=================================\n');
+    if (expiring.length > 0) {
+      console.log('Previous secrets stay active until:');
+      for (const { id, expiresAt } of expiring) {
+        console.log(`  ${id}  ${expiresAt}`);
+      }
+    }
+    console.log('\nUpdate your TradingView alerts with the new secret before then.\n');
+    return;
+  }
+
+  if (command === '--list') {
+    const accountId = getArg(args, '--list');
+    const secrets = await webhookAuth.listSecrets(accountId && !accountId.startsWith('--') ? accountId : null);
+    if (secrets.length === 0) {
+      console.log('No webhook secrets configured');
+      return;
+    }
+    for (const entry of secrets) {
+      const status = entry.active ? (entry.expiresAt ? `expires ${entry.expiresAt}` : 'active') : `expired ${entry.expiresAt}`;
+      console.log(`${entry.account.padEnd(16)} ${entry.id.padEnd(18)} ${entry.source.padEnd(6)} ${entry.preview}  ${status}${entry.label ? `  (${entry.label})` : ''}`);
+    }
+    return;
+  }
+
+  const id = getArg(args, '--revoke');
+  if (!id) throw new Error('Usage: --revoke <secret-id>');
+  if (!(await webhookAuth.revokeSecret(id))) {
+    throw new Error(`Secret not found: ${id}`);
+  }
+  console.log(`Revoked ${id}`);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
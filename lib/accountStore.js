@@ -0,0 +1,302 @@
+/**
+ * Account Store - trading accounts kept in the database
+ * Rows live in the Supabase `trading_accounts` table (supabase/schema.sql)
+ * and are merged over ACCOUNT_{ID}_* env accounts by lib/accounts.js.
+ *
+ * ROW:
+ * {
+ *   id: 'tfd',                      // same IDs as env accounts (lowercase)
+ *   name, broker, enabled,         // enabled null = env setting (enabled when not in env)
+ *   username, accountId, baseUrl, rtcUrl,
+ *   apiKey, webhookSecret,          // encrypted at rest, never returned
+ *   settings: { MAX_TRADES: '8', FIRM: 'tfd', ... }  // ACCOUNT_{ID}_* field names
+ * }
+ *
+ * Unset (null) fields fall back to the env account with the same ID, so a
+ * row can be a full account or just an override such as enabled: false.
+ *
+ * ENCRYPTION:
+ * API keys and webhook secrets are sealed with AES-256-GCM under
+ * ACCOUNTS_ENCRYPTION_KEY (any long random string). Changing the key makes
+ * stored credentials unreadable - re-save the accounts afterwards.
+ */
+
+const crypto = require('crypto');
+
+const TABLE = 'trading_accounts';
+const CIPHER_VERSION = 'v1';
+
+// Fields accepted in `settings`, as in ACCOUNT_{ID}_{FIELD}
+const SETTING_FIELDS = [
+  'MAX_TRADES', 'MAX_DAILY_LOSS', 'MAX_DAILY_PROFIT', 'COOLDOWN_SECONDS',
+  'FIRM', 'ACCOUNT_SIZE', 'TRAILING_DRAWDOWN', 'DAILY_LOSS_LIMIT', 'CONSISTENCY_PCT',
+  'PROFIT_TARGET', 'FLATTEN_BUFFER', 'AUTO_FLATTEN',
+  'RISK_PER_TRADE', 'CONTRACTS', 'MIN_CONTRACTS', 'MAX_CONTRACTS', 'ROUND_UP_TO_MIN',
+  'EMERGENCY_STOP_TICKS',
+  'BRACKET_MODE', 'RUNNER_CONTRACTS', 'RUNNER_EXIT', 'RUNNER_TRAIL_TICKS',
+  'SESSION_WINDOWS', 'SESSION_LAST_ENTRY', 'SESSION_FLATTEN', 'SESSION_TIMEZONE',
+  'EOD_FLATTEN', 'EOD_FLATTEN_EARLY_CLOSE',
+];
+
+// Row columns that input fields map to (secrets handled separately)
+const PLAIN_COLUMNS = {
+  name: 'name',
+  broker: 'broker',
+  username: 'username',
+  accountId: 'broker_account_id',
+  baseUrl: 'base_url',
+  rtcUrl: 'rtc_url',
+};
+
+const SECRET_COLUMNS = {
+  apiKey: 'api_key_encrypted',
+  webhookSecret: 'webhook_secret_encrypted',
+};
+
+let supabase = null;
+let supabaseChecked = false;
+
+/**
+ * Initialize Supabase client
+ */
+async function getSupabase() {
+  if (supabaseChecked) return supabase;
+  supabaseChecked = true;
+
+  const url = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+  if (!url || !key) {
+    supabase = false;
+    return supabase;
+  }
+
+  try {
+    const { createClient } = await import('@supabase/supabase-js');
+    supabase = createClient(url, key);
+  } catch (e) {
+    console.warn('[AccountStore] Supabase init error:', e.message);
+    supabase = false;
+  }
+
+  return supabase;
+}
+
+function getEncryptionKey() {
+  if (!process.env.ACCOUNTS_ENCRYPTION_KEY) return null;
+  return crypto.createHash('sha256').update(process.env.ACCOUNTS_ENCRYPTION_KEY).digest();
+}
+
+/**
+ * Encrypt a credential for storage (v1.iv.tag.ciphertext, base64url)
+ */
+function encryptSecret(plaintext) {
+  const key = getEncryptionKey();
+  if (!key) throw new Error('ACCOUNTS_ENCRYPTION_KEY is required to store credentials');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [CIPHER_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+}
+
+/**
+ * Decrypt a stored credential
+ * @throws {Error} When the key is missing or wrong, or the value was tampered with
+ */
+function decryptSecret(sealed) {
+  const key = getEncryptionKey();
+  if (!key) throw new Error('ACCOUNTS_ENCRYPTION_KEY is not set');
+
+  const [version, iv, tag, ciphertext] = String(sealed).split('.');
+  if (version !== CIPHER_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Validate `settings`, returning string values like env vars
+ * @throws {Error} On unknown fields
+ */
+function normalizeSettings(settings) {
+  if (settings === undefined || settings === null) return {};
+  if (typeof settings !== 'object' || Array.isArray(settings)) throw new Error('Settings must be an object');
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(settings)) {
+    const name = field.toUpperCase();
+    if (!SETTING_FIELDS.includes(name)) throw new Error(`Unknown setting: ${field}`);
+    if (value !== null && value !== undefined && value !== '') normalized[name] = String(value);
+  }
+  return normalized;
+}
+
+/**
+ * Decrypt a row into ACCOUNT_{ID}_* style fields (unset columns omitted)
+ * @returns {Object} { id, fields, error? }
+ */
+function rowToFields(row) {
+  const fields = { ...(row.settings || {}) };
+  if (row.enabled !== null && row.enabled !== undefined) fields.ENABLED = String(row.enabled);
+  const plain = {
+    NAME: row.name,
+    BROKER: row.broker,
+    USERNAME: row.username,
+    ACCOUNT_ID: row.broker_account_id,
+    BASE_URL: row.base_url,
+    RTC_URL: row.rtc_url,
+  };
+  for (const [field, value] of Object.entries(plain)) {
+    if (value !== null && value !== undefined) fields[field] = value;
+  }
+
+  try {
+    if (row.api_key_encrypted) fields.API_KEY = decryptSecret(row.api_key_encrypted);
+    if (row.webhook_secret_encrypted) fields.WEBHOOK_SECRET = decryptSecret(row.webhook_secret_encrypted);
+  } catch (error) {
+    return { id: row.id, fields, error: `Could not decrypt credentials: ${error.message}` };
+  }
+
+  return { id: row.id, fields };
+}
+
+/**
+ * Row without ciphertext, safe to return from the API
+ */
+function describeRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    broker: row.broker,
+    enabled: row.enabled ?? null,
+    username: row.username,
+    accountId: row.broker_account_id,
+    baseUrl: row.base_url,
+    rtcUrl: row.rtc_url,
+    hasApiKey: !!row.api_key_encrypted,
+    hasWebhookSecret: !!row.webhook_secret_encrypted,
+    settings: row.settings || {},
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Whether the table can be used
+ */
+async function isAvailable() {
+  return !!(await getSupabase());
+}
+
+/**
+ * Every stored row as fields for lib/accounts.js
+ * @returns {Promise<Array>} [{ id, fields, error? }]
+ */
+async function loadAccountFields() {
+  const client = await getSupabase();
+  if (!client) return [];
+
+  const { data, error } = await client.from(TABLE).select('*');
+  if (error) throw new Error(`Account load failed: ${error.message}`);
+  return data.map(rowToFields);
+}
+
+async function getRow(client, id) {
+  const { data, error } = await client.from(TABLE).select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(`Account lookup failed: ${error.message}`);
+  return data;
+}
+
+/**
+ * Stored rows without credentials
+ */
+async function listStoredAccounts() {
+  const client = await getSupabase();
+  if (!client) return [];
+
+  const { data, error } = await client.from(TABLE).select('*').order('id');
+  if (error) throw new Error(`Account list failed: ${error.message}`);
+  return data.map(describeRow);
+}
+
+/**
+ * Create or update a stored account
+ * Omitted fields keep their stored value; null clears them (falling back
+ * to env). Credentials are encrypted before they leave this process.
+ *
+ * @param {Object} input - { id, name?, broker?, enabled?, username?, apiKey?, accountId?,
+ *                           baseUrl?, rtcUrl?, webhookSecret?, settings? }
+ * @param {Object} [options] - { hasEnvAccount } - whether env already defines this ID
+ * @returns {Promise<Object>} The stored row (without credentials)
+ */
+async function saveAccount(input, { hasEnvAccount = false } = {}) {
+  if (!input || typeof input !== 'object') throw new Error('Account must be an object');
+
+  const id = String(input.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9]+$/.test(id)) throw new Error('Account id may only contain letters and digits');
+
+  const client = await getSupabase();
+  if (!client) throw new Error('Account storage requires Supabase');
+
+  const existing = await getRow(client, id);
+  const row = { ...(existing || { id, enabled: null, settings: {} }), updated_at: new Date().toISOString() };
+
+  for (const [field, column] of Object.entries(PLAIN_COLUMNS)) {
+    if (input[field] === undefined) continue;
+    row[column] = input[field] === null || input[field] === '' ? null : String(input[field]).trim();
+  }
+  if (row.broker) row.broker = row.broker.toLowerCase();
+
+  for (const [field, column] of Object.entries(SECRET_COLUMNS)) {
+    if (input[field] === undefined) continue;
+    row[column] = input[field] === null || input[field] === '' ? null : encryptSecret(input[field]);
+  }
+
+  if (input.enabled !== undefined) row.enabled = input.enabled === null ? null : input.enabled !== false;
+  if (input.settings !== undefined) row.settings = normalizeSettings(input.settings);
+
+  if (!hasEnvAccount && (!row.username || !row.api_key_encrypted)) {
+    throw new Error(`Account ${id} is not in env, so username and apiKey are required`);
+  }
+
+  const { data, error } = await client.from(TABLE).upsert(row, { onConflict: 'id' }).select('*').single();
+  if (error) throw new Error(`Account save failed: ${error.message}`);
+
+  console.log(`[AccountStore] Saved account ${id}${hasEnvAccount ? ' (overrides env)' : ''}`);
+  return describeRow(data);
+}
+
+/**
+ * Delete a stored account (an env account with the same ID remains)
+ * @returns {Promise<boolean>} False when nothing was stored under that ID
+ */
+async function deleteAccount(id) {
+  const client = await getSupabase();
+  if (!client) throw new Error('Account storage requires Supabase');
+
+  const { data, error } = await client.from(TABLE).delete().eq('id', id).select('id');
+  if (error) throw new Error(`Account delete failed: ${error.message}`);
+
+  if (data.length > 0) console.log(`[AccountStore] Deleted account ${id}`);
+  return data.length > 0;
+}
+
+module.exports = {
+  SETTING_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  normalizeSettings,
+  isAvailable,
+  loadAccountFields,
+  listStoredAccounts,
+  saveAccount,
+  deleteAccount,
+};
@@ -29,47 +29,226 @@ const BROKER_TYPE = {
  * ACCOUNT_TOPSTEP1_ACCOUNT_ID=50KTC-...
  * ACCOUNT_TOPSTEP1_WEBHOOK_SECRET=xxx
  *
+ * Optional per-account risk profile (falls back to riskManager.RISK_LIMITS):
+ * ACCOUNT_TOPSTEP1_MAX_TRADES=8
+ * ACCOUNT_TOPSTEP1_MAX_DAILY_LOSS=400
+ * ACCOUNT_TOPSTEP1_MAX_DAILY_PROFIT=1000
+ * ACCOUNT_TOPSTEP1_COOLDOWN_SECONDS=60
+ *
+ * Optional prop-firm rules (presets in lib/propFirmRules.js):
+ * ACCOUNT_TOPSTEP1_FIRM=topstep|tfd|alphafutures
+ * ACCOUNT_TOPSTEP1_ACCOUNT_SIZE=50000
+ * ACCOUNT_TOPSTEP1_TRAILING_DRAWDOWN=2000 (overrides the preset)
+ * ACCOUNT_TOPSTEP1_DAILY_LOSS_LIMIT=1000
+ * ACCOUNT_TOPSTEP1_CONSISTENCY_PCT=50
+ * ACCOUNT_TOPSTEP1_PROFIT_TARGET=3000
+ * ACCOUNT_TOPSTEP1_FLATTEN_BUFFER=100 (USD of headroom kept before a breach)
+ * ACCOUNT_TOPSTEP1_AUTO_FLATTEN=true
+ *
+ * Optional position sizing (see lib/positionSizing.js):
+ * ACCOUNT_TOPSTEP1_RISK_PER_TRADE=200 (USD risked to the stop; unset = fixed size)
+ * ACCOUNT_TOPSTEP1_CONTRACTS=3 (fixed size when no risk is set)
+ * ACCOUNT_TOPSTEP1_MIN_CONTRACTS=1
+ * ACCOUNT_TOPSTEP1_MAX_CONTRACTS=10
+ * ACCOUNT_TOPSTEP1_ROUND_UP_TO_MIN=true (trade MIN_CONTRACTS even when it risks more than RISK_PER_TRADE)
+ *
+ * Optional emergency stop for positions found without one (ticks from entry):
+ * ACCOUNT_TOPSTEP1_EMERGENCY_STOP_TICKS=80
+ *
+ * Optional runner bracket (defaults in brokers RUNNER_CONFIG):
+ * ACCOUNT_TOPSTEP1_BRACKET_MODE=standard|runner
+ * ACCOUNT_TOPSTEP1_RUNNER_CONTRACTS=1
+ * ACCOUNT_TOPSTEP1_RUNNER_EXIT=trail|breakeven
+ * ACCOUNT_TOPSTEP1_RUNNER_TRAIL_TICKS=40
+ *
+ * Optional session rules (see lib/tradingSessions.js):
+ * ACCOUNT_TOPSTEP1_SESSION_WINDOWS=06:30-14:00 (entries only inside these)
+ * ACCOUNT_TOPSTEP1_SESSION_LAST_ENTRY=14:00
+ * ACCOUNT_TOPSTEP1_SESSION_FLATTEN=14:30 (close all positions)
+ * ACCOUNT_TOPSTEP1_SESSION_TIMEZONE=America/Chicago
+ *
+ * Optional end-of-day flatten times (see lib/eodFlatten.js):
+ * ACCOUNT_TOPSTEP1_EOD_FLATTEN=15:00|off
+ * ACCOUNT_TOPSTEP1_EOD_FLATTEN_EARLY_CLOSE=11:45
+ *
  * ACCOUNT_TOPSTEP2_BROKER=topstepx
  * ACCOUNT_TOPSTEP2_USERNAME=user@email.com
  * ACCOUNT_TOPSTEP2_API_KEY=yyy
  * ...
+ *
+ * DATABASE ACCOUNTS:
+ * Accounts can also be stored in Supabase (lib/accountStore.js, edited
+ * through /api/trading/accounts) without a redeploy. Precedence, per field:
+ *   database row > ACCOUNT_{ID}_* / PROJECTX_* env > defaults
+ * so a row with only `enabled: false` disables an env account, and
+ * deleting the row restores the env settings. refreshAccounts() merges the
+ * rows in; the getters below are synchronous and read the merged registry.
  */
 
+const accountStore = require('./accountStore');
+
+const DEFAULT_REFRESH_SECONDS = 60;
+
 // In-memory account registry
 const accounts = new Map();
 
 // Webhook secret to account ID mapping
 const secretToAccountMap = new Map();
 
+// Sources the registry is built from
+let envConfigs = new Map();   // id -> { fields, defaultContracts }
+let storedFields = [];        // [{ id, fields, error? }] from the database
+let storedLoadedAt = 0;
+let refreshing = null;
+
 /**
- * Parse environment variables to build account configurations
+ * Parse a numeric env value, returning undefined when unset or invalid
  */
-function loadAccountsFromEnv() {
-  accounts.clear();
-  secretToAccountMap.clear();
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const num = parseFloat(value);
+  return isNaN(num) ? undefined : num;
+}
+
+/**
+ * Build a risk profile from env fields
+ * Only fields that are set are included, so riskManager can merge them
+ * over its global defaults.
+ *
+ * @param {Object} fields - { MAX_TRADES, MAX_DAILY_LOSS, MAX_DAILY_PROFIT, COOLDOWN_SECONDS }
+ */
+function parseRiskProfile(fields) {
+  const profile = {
+    maxTradesPerDay: parseNumber(fields.MAX_TRADES),
+    maxDailyLoss: parseNumber(fields.MAX_DAILY_LOSS),
+    maxDailyProfit: parseNumber(fields.MAX_DAILY_PROFIT),
+    cooldownSeconds: parseNumber(fields.COOLDOWN_SECONDS),
+  };
+
+  for (const key of Object.keys(profile)) {
+    if (profile[key] === undefined) delete profile[key];
+  }
+
+  return profile;
+}
+
+/**
+ * Build prop-firm rule config from env fields
+ * Returns null when no firm is configured for the account
+ *
+ * @param {Object} fields - { FIRM, ACCOUNT_SIZE, TRAILING_DRAWDOWN, ... }
+ */
+function parseRuleConfig(fields) {
+  if (!fields.FIRM) return null;
+
+  return {
+    firm: fields.FIRM.toLowerCase(),
+    accountSize: parseNumber(fields.ACCOUNT_SIZE),
+    trailingDrawdown: parseNumber(fields.TRAILING_DRAWDOWN),
+    dailyLossLimit: parseNumber(fields.DAILY_LOSS_LIMIT),
+    consistencyPct: parseNumber(fields.CONSISTENCY_PCT),
+    profitTarget: parseNumber(fields.PROFIT_TARGET),
+    flattenBuffer: parseNumber(fields.FLATTEN_BUFFER),
+    autoFlatten: fields.AUTO_FLATTEN === 'true',
+  };
+}
+
+/**
+ * Build position sizing config from env fields
+ *
+ * @param {Object} fields - { RISK_PER_TRADE, CONTRACTS, MIN_CONTRACTS, MAX_CONTRACTS, ROUND_UP_TO_MIN }
+ * @param {number} defaultContracts - Fixed size when CONTRACTS is unset
+ */
+function parseSizingConfig(fields, defaultContracts = 3) {
+  return {
+    riskPerTrade: parseNumber(fields.RISK_PER_TRADE) ?? null,
+    defaultContracts: parseNumber(fields.CONTRACTS) ?? defaultContracts,
+    minContracts: parseNumber(fields.MIN_CONTRACTS) ?? 1,
+    maxContracts: parseNumber(fields.MAX_CONTRACTS) ?? null,
+    roundUpToMin: fields.ROUND_UP_TO_MIN === 'true',
+  };
+}
+
+/**
+ * Build bracket config from env fields
+ * Unset fields are left undefined so RUNNER_CONFIG defaults apply
+ *
+ * @param {Object} fields - { BRACKET_MODE, RUNNER_CONTRACTS, RUNNER_EXIT, RUNNER_TRAIL_TICKS }
+ */
+function parseBracketConfig(fields) {
+  return {
+    mode: (fields.BRACKET_MODE || 'standard').toLowerCase(),
+    runnerContracts: parseNumber(fields.RUNNER_CONTRACTS),
+    runnerExit: fields.RUNNER_EXIT ? fields.RUNNER_EXIT.toLowerCase() : undefined,
+    trailTicks: parseNumber(fields.RUNNER_TRAIL_TICKS),
+  };
+}
+
+/**
+ * Build session config from env fields
+ * Returns null when no session rule is set. Times are parsed (and
+ * validated) by lib/tradingSessions.js when they are checked.
+ *
+ * @param {Object} fields - { SESSION_WINDOWS, SESSION_LAST_ENTRY, SESSION_FLATTEN, SESSION_TIMEZONE }
+ */
+function parseSessionConfig(fields) {
+  if (!fields.SESSION_WINDOWS && !fields.SESSION_LAST_ENTRY && !fields.SESSION_FLATTEN) return null;
+
+  return {
+    windows: fields.SESSION_WINDOWS || null,
+    lastEntry: fields.SESSION_LAST_ENTRY || null,
+    flatten: fields.SESSION_FLATTEN || null,
+    timezone: fields.SESSION_TIMEZONE || null,
+  };
+}
+
+/**
+ * Build end-of-day flatten overrides from env fields
+ * Unset fields are null so the EOD_FLATTEN_* defaults apply
+ *
+ * @param {Object} fields - { EOD_FLATTEN, EOD_FLATTEN_EARLY_CLOSE }
+ */
+function parseEodConfig(fields) {
+  return {
+    time: fields.EOD_FLATTEN || null,
+    earlyCloseTime: fields.EOD_FLATTEN_EARLY_CLOSE || null,
+  };
+}
+
+/**
+ * Env fields of the legacy single-account config (PROJECTX_*), in
+ * ACCOUNT_{ID}_* form
+ */
+function readLegacyFields() {
+  const fields = {
+    NAME: 'Primary TopStepX Account',
+    BROKER: BROKER_TYPE.TOPSTEPX,
+    USERNAME: process.env.PROJECTX_USERNAME,
+    API_KEY: process.env.PROJECTX_API_KEY,
+    ACCOUNT_ID: process.env.PROJECTX_ACCOUNT_ID,
+    WEBHOOK_SECRET: process.env.WEBHOOK_SECRET,
+  };
+
+  // Same settings as ACCOUNT_{ID}_*, read from PROJECTX_{FIELD}
+  for (const field of accountStore.SETTING_FIELDS) {
+    fields[field] = process.env[`PROJECTX_${field}`];
+  }
+
+  return fields;
+}
+
+/**
+ * Collect env fields per account ID: legacy PROJECTX_* as "default", then
+ * ACCOUNT_{ID}_{FIELD}
+ * @returns {Map} id -> { fields, defaultContracts }
+ */
+function readEnvConfigs() {
+  const configs = new Map();
 
   // First check for legacy single-account config (backwards compatibility)
   if (process.env.PROJECTX_USERNAME && process.env.PROJECTX_API_KEY) {
-    const legacyAccount = {
-      id: 'default',
-      name: 'Primary TopStepX Account',
-      broker: BROKER_TYPE.TOPSTEPX,
-      enabled: true,
-      config: {
-        username: process.env.PROJECTX_USERNAME,
-        apiKey: process.env.PROJECTX_API_KEY,
-        accountId: process.env.PROJECTX_ACCOUNT_ID,
-      },
-      webhookSecret: process.env.WEBHOOK_SECRET,
-    };
-
-    accounts.set('default', legacyAccount);
-
-    if (process.env.WEBHOOK_SECRET) {
-      secretToAccountMap.set(process.env.WEBHOOK_SECRET, 'default');
-    }
-
-    console.log('[Accounts] Loaded legacy single-account config as "default"');
+    // Primary account has always traded 5 contracts
+    configs.set('default', { fields: readLegacyFields(), defaultContracts: 5 });
   }
 
   // Then look for multi-account config pattern: ACCOUNT_{ID}_{FIELD}
@@ -87,26 +266,87 @@ function loadAccountsFromEnv() {
     }
   }
 
-  // Process each discovered account
-  for (const [accountId, config] of Object.entries(accountConfigs)) {
-    const account = {
-      id: accountId.toLowerCase(),
-      name: config.NAME || `Account ${accountId}`,
-      broker: (config.BROKER || 'topstepx').toLowerCase(),
-      enabled: config.ENABLED !== 'false',
-      config: {
-        username: config.USERNAME,
-        apiKey: config.API_KEY,
-        accountId: config.ACCOUNT_ID,
-        // Broker-specific config
-        baseUrl: config.BASE_URL,
-      },
-      webhookSecret: config.WEBHOOK_SECRET,
-    };
+  for (const [accountId, fields] of Object.entries(accountConfigs)) {
+    configs.set(accountId.toLowerCase(), {
+      fields: { NAME: `Account ${accountId}`, ...fields },
+      defaultContracts: 3,
+    });
+  }
+
+  return configs;
+}
+
+/**
+ * Build an account from ACCOUNT_{ID}_* style fields
+ */
+function buildAccount(id, fields, defaultContracts, source) {
+  return {
+    id,
+    name: fields.NAME || `Account ${id.toUpperCase()}`,
+    broker: (fields.BROKER || 'topstepx').toLowerCase(),
+    enabled: fields.ENABLED !== 'false',
+    source,
+    config: {
+      username: fields.USERNAME,
+      apiKey: fields.API_KEY,
+      accountId: fields.ACCOUNT_ID,
+      // Broker-specific config
+      baseUrl: fields.BASE_URL,
+      // Real-time hub host, derived from BASE_URL when unset
+      rtcUrl: fields.RTC_URL,
+    },
+    webhookSecret: fields.WEBHOOK_SECRET,
+    risk: parseRiskProfile(fields),
+    rules: parseRuleConfig(fields),
+    sizing: parseSizingConfig(fields, defaultContracts),
+    emergencyStopTicks: parseNumber(fields.EMERGENCY_STOP_TICKS) ?? null,
+    bracket: parseBracketConfig(fields),
+    session: parseSessionConfig(fields),
+    eod: parseEodConfig(fields),
+  };
+}
+
+/**
+ * Rebuild the registry from the env fields and the last database rows
+ * Database fields win over env fields for the same account ID.
+ */
+function rebuildAccounts() {
+  accounts.clear();
+  secretToAccountMap.clear();
+
+  const merged = new Map();
+  for (const [id, config] of envConfigs) {
+    merged.set(id, { ...config, source: 'env' });
+  }
+
+  for (const row of storedFields) {
+    if (row.error) {
+      // Falling back to env could re-enable an account disabled in the
+      // database, so an env account with this ID stays disabled until the
+      // row decrypts again
+      const env = merged.get(row.id);
+      if (env) {
+        merged.set(row.id, { ...env, fields: { ...env.fields, ENABLED: 'false' } });
+        console.error(`[Accounts] Stored account ${row.id} unreadable, env account disabled: ${row.error}`);
+      } else {
+        console.error(`[Accounts] Ignoring stored account ${row.id}: ${row.error}`);
+      }
+      continue;
+    }
+    const env = merged.get(row.id);
+    merged.set(row.id, {
+      fields: { ...(env?.fields || {}), ...row.fields },
+      defaultContracts: env?.defaultContracts ?? 3,
+      source: env ? 'env+database' : 'database',
+    });
+  }
+
+  for (const [id, { fields, defaultContracts, source }] of merged) {
+    const account = buildAccount(id, fields, defaultContracts, source);
 
     // Validate required fields
     if (!account.config.username || !account.config.apiKey) {
-      console.warn(`[Accounts] Skipping account ${accountId}: missing USERNAME or API_KEY`);
+      console.warn(`[Accounts] Skipping account ${id}: missing USERNAME or API_KEY`);
       continue;
     }
 
@@ -116,14 +356,67 @@ function loadAccountsFromEnv() {
     if (account.webhookSecret) {
       secretToAccountMap.set(account.webhookSecret, account.id);
     }
-
-    console.log(`[Accounts] Loaded account: ${account.id} (${account.broker})`);
   }
 
-  console.log(`[Accounts] Total accounts loaded: ${accounts.size}`);
   return accounts.size;
 }
 
+/**
+ * Parse environment variables to build account configurations
+ * Accounts already loaded from the database are kept.
+ */
+function loadAccountsFromEnv() {
+  envConfigs = readEnvConfigs();
+  const count = rebuildAccounts();
+
+  for (const account of accounts.values()) {
+    console.log(`[Accounts] Loaded account: ${account.id} (${account.broker}, ${account.source})`);
+  }
+  console.log(`[Accounts] Total accounts loaded: ${count}`);
+  return count;
+}
+
+/**
+ * Merge database accounts (lib/accountStore.js) into the registry
+ * Reloads at most every ACCOUNTS_REFRESH_SECONDS (60) unless forced, so
+ * call this before reading accounts in routes and background jobs.
+ * On a database error the previous accounts are kept.
+ *
+ * @param {Object} [options] - { force }
+ * @returns {Promise<number>} Account count
+ */
+async function refreshAccounts({ force = false } = {}) {
+  const maxAgeMs = parseInt(process.env.ACCOUNTS_REFRESH_SECONDS || String(DEFAULT_REFRESH_SECONDS), 10) * 1000;
+  if (!force && Date.now() - storedLoadedAt < maxAgeMs) return accounts.size;
+
+  if (!refreshing) {
+    refreshing = accountStore.loadAccountFields()
+      .then((rows) => {
+        storedLoadedAt = Date.now();
+        if (JSON.stringify(rows) === JSON.stringify(storedFields)) return accounts.size;
+        storedFields = rows;
+        console.log(`[Accounts] Merged ${rows.length} database account row(s)`);
+        return rebuildAccounts();
+      })
+      .catch((error) => {
+        console.error('[Accounts] Could not load database accounts:', error.message);
+        return accounts.size;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+}
+
+/**
+ * Whether env (ACCOUNT_{ID}_* or PROJECTX_*) configures an account ID
+ */
+function hasEnvAccount(accountId) {
+  return envConfigs.has(accountId);
+}
+
 /**
  * Get account by ID
  */
@@ -158,7 +451,8 @@ function getEnabledAccounts() {
 }
 
 /**
- * Add or update an account programmatically
+ * Add or update an account programmatically (in memory only - replaced on
+ * the next rebuild; use accountStore.saveAccount to persist)
  */
 function registerAccount(account) {
   if (!account.id) {
@@ -176,7 +470,7 @@ function registerAccount(account) {
 }
 
 /**
- * Remove an account
+ * Remove an account (in memory only, like registerAccount)
  */
 function removeAccount(accountId) {
   const account = accounts.get(accountId);
@@ -202,7 +496,13 @@ function getAccountSummary() {
     name: account.name,
     broker: account.broker,
     enabled: account.enabled,
+    source: account.source || 'env',
     hasWebhookSecret: !!account.webhookSecret,
+    risk: account.risk || {},
+    firm: account.rules?.firm || null,
+    sizing: account.sizing || null,
+    bracketMode: account.bracket?.mode || 'standard',
+    session: account.session || null,
   }));
 }
 
@@ -212,6 +512,14 @@ loadAccountsFromEnv();
 module.exports = {
   BROKER_TYPE,
   loadAccountsFromEnv,
+  refreshAccounts,
+  hasEnvAccount,
+  parseRiskProfile,
+  parseRuleConfig,
+  parseSizingConfig,
+  parseBracketConfig,
+  parseSessionConfig,
+  parseEodConfig,
   getAccount,
   getAccountBySecret,
   getAllAccounts,
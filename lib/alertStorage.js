@@ -64,6 +64,11 @@ async function saveAlert(alert) {
           stop_price: alertWithId.stop || null,
           tp_price: alertWithId.tp || null,
           error_msg: alertWithId.error || null,
+          reason: alertWithId.reason || null,
+          order_id: alertWithId.orderId ?? null,
+          copied_from: alertWithId.copiedFrom || null,
+          master_alert_id: alertWithId.masterAlertId || null,
+          master_order_id: alertWithId.masterOrderId ?? null,
           created_at: alertWithId.timestamp,
         });
 
@@ -112,6 +117,11 @@ async function getAlerts(limit = 50) {
           stop: row.stop_price,
           tp: row.tp_price,
           error: row.error_msg,
+          reason: row.reason,
+          orderId: row.order_id,
+          copiedFrom: row.copied_from,
+          masterAlertId: row.master_alert_id,
+          masterOrderId: row.master_order_id,
         }));
       }
     } catch (e) {
@@ -0,0 +1,257 @@
+/**
+ * Dashboard and API Authentication
+ *
+ * SESSIONS:
+ * POST /api/auth checks the credentials (lib/users.js) and sets an httpOnly
+ * `auth_token` cookie holding an HS256 JWT that expires after
+ * AUTH_SESSION_DAYS (7). Tokens are signed with AUTH_SECRET; without it a
+ * key is derived from the credentials, so changing the password signs
+ * everyone out.
+ *
+ * API KEYS:
+ * Read-only keys for scripts, sent as `Authorization: Bearer <key>` or
+ * `X-API-Key: <key>`:
+ *   API_KEYS=grafana:3f9c...,backup:a41e...
+ * Read-only keys can only make GET requests.
+ *
+ * CRON:
+ * Vercel cron requests carry `Authorization: Bearer ${CRON_SECRET}` and
+ * may make GET requests.
+ *
+ * LOGIN RATE LIMIT:
+ * AUTH_LOGIN_MAX_ATTEMPTS (5) failed logins per IP within
+ * AUTH_LOGIN_WINDOW_MINUTES (15), tracked in riskStore `auth:login:{ip}`.
+ *
+ * Enforced for /dashboard and /api/trading/* (except the webhook) by proxy.js.
+ * Roles and account visibility are in lib/users.js.
+ */
+
+const crypto = require('crypto');
+const { getRiskStore } = require('./riskStore');
+
+const SESSION_COOKIE = 'auth_token';
+const DEFAULT_SESSION_DAYS = 7;
+const DEFAULT_LOGIN_MAX_ATTEMPTS = 5;
+const DEFAULT_LOGIN_WINDOW_MINUTES = 15;
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Constant-time string comparison (hashing first equalizes the lengths)
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+/**
+ * First address in X-Forwarded-For (set by Vercel), else X-Real-IP
+ */
+function getClientIp(headers) {
+  const forwarded = headers.get('x-forwarded-for');
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return headers.get('x-real-ip') || null;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Key that signs session tokens, or null when auth is not configured
+ */
+function getSigningKey() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!process.env.AUTH_USERNAME || !process.env.AUTH_PASSWORD) return null;
+  return sha256(`noctiq-session:${process.env.AUTH_USERNAME}:${process.env.AUTH_PASSWORD}`).toString('hex');
+}
+
+function sign(data, key) {
+  return crypto.createHmac('sha256', key).update(data).digest('base64url');
+}
+
+/**
+ * Check a username and password against AUTH_USERNAME / AUTH_PASSWORD
+ */
+function validateCredentials(username, password) {
+  const validUsername = process.env.AUTH_USERNAME;
+  const validPassword = process.env.AUTH_PASSWORD;
+
+  if (!validUsername || !validPassword) {
+    console.error('[Auth] AUTH_USERNAME or AUTH_PASSWORD not configured');
+    return false;
+  }
+
+  // Evaluate both so timing does not reveal which one was wrong
+  const usernameOk = safeEqual(username, validUsername);
+  const passwordOk = safeEqual(password, validPassword);
+  return usernameOk && passwordOk;
+}
+
+/**
+ * Issue a signed session token
+ * @returns {Object} { token, expiresAt (ISO), maxAgeSeconds }
+ */
+function createSessionToken(username) {
+  const key = getSigningKey();
+  if (!key) throw new Error('Authentication is not configured');
+
+  const days = parseFloat(process.env.AUTH_SESSION_DAYS || String(DEFAULT_SESSION_DAYS));
+  const maxAgeSeconds = Math.round(days * 24 * 60 * 60);
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({ sub: username, iat: issuedAt, exp: issuedAt + maxAgeSeconds }));
+  const token = `${header}.${claims}.${sign(`${header}.${claims}`, key)}`;
+
+  return { token, expiresAt: new Date((issuedAt + maxAgeSeconds) * 1000).toISOString(), maxAgeSeconds };
+}
+
+/**
+ * Verify a session token
+ * @returns {Object|null} Claims ({ sub, iat, exp }) or null when invalid or expired
+ */
+function verifySessionToken(token) {
+  const key = getSigningKey();
+  if (!key || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, claims, signature] = parts;
+
+  if (!safeEqual(signature, sign(`${header}.${claims}`, key))) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(claims, 'base64url').toString());
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Configured API keys: API_KEYS=label:key,label:key
+ */
+function getApiKeys() {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { label: 'api-key', key: entry }
+        : { label: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    })
+    .filter(entry => entry.key);
+}
+
+function matchApiKey(key) {
+  let match = null;
+  for (const entry of getApiKeys()) {
+    if (safeEqual(entry.key, key) && !match) match = entry;
+  }
+  return match;
+}
+
+/**
+ * Who is making a request
+ *
+ * @param {Request} request - Incoming request (NextRequest or Request)
+ * @returns {Object|null} { type: 'session' | 'apiKey' | 'cron', name, readOnly, expiresAt? }
+ */
+function authenticateRequest(request) {
+  const bearer = request.headers.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  const apiKey = request.headers.get('x-api-key') || bearer;
+
+  if (bearer && process.env.CRON_SECRET && safeEqual(bearer, process.env.CRON_SECRET)) {
+    return { type: 'cron', name: 'cron', readOnly: true };
+  }
+
+  if (apiKey) {
+    const match = matchApiKey(apiKey);
+    if (match) return { type: 'apiKey', name: match.label, readOnly: true };
+  }
+
+  const token = request.cookies?.get(SESSION_COOKIE)?.value;
+  const claims = verifySessionToken(token);
+  if (claims) {
+    return { type: 'session', name: claims.sub, readOnly: false, expiresAt: new Date(claims.exp * 1000).toISOString() };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a principal may use an HTTP method
+ */
+function canUseMethod(principal, method) {
+  return !principal.readOnly || READ_METHODS.includes(method.toUpperCase());
+}
+
+function getLoginLimits() {
+  return {
+    maxAttempts: parseInt(process.env.AUTH_LOGIN_MAX_ATTEMPTS || String(DEFAULT_LOGIN_MAX_ATTEMPTS), 10),
+    windowMs: parseInt(process.env.AUTH_LOGIN_WINDOW_MINUTES || String(DEFAULT_LOGIN_WINDOW_MINUTES), 10) * 60 * 1000,
+  };
+}
+
+async function getRecentFailures(store, key, windowMs) {
+  const failures = (await store.getValue(key)) || [];
+  const cutoff = Date.now() - windowMs;
+  return failures.filter(timestamp => timestamp > cutoff);
+}
+
+/**
+ * Whether an IP may attempt a login
+ * @returns {Promise<Object>} { allowed, retryAfterSeconds }
+ */
+async function checkLoginRateLimit(ip) {
+  const { maxAttempts, windowMs } = getLoginLimits();
+  const store = await getRiskStore();
+  const failures = await getRecentFailures(store, `auth:login:${ip || 'unknown'}`, windowMs);
+
+  if (failures.length < maxAttempts) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  const retryAfterSeconds = Math.ceil((failures[0] + windowMs - Date.now()) / 1000);
+  return { allowed: false, retryAfterSeconds: Math.max(1, retryAfterSeconds) };
+}
+
+/**
+ * Record a login attempt - failures count towards the limit, success clears it
+ */
+async function recordLoginAttempt(ip, success) {
+  const key = `auth:login:${ip || 'unknown'}`;
+  const store = await getRiskStore();
+
+  if (success) {
+    await store.setValue(key, []);
+    return;
+  }
+
+  const { windowMs } = getLoginLimits();
+  const failures = await getRecentFailures(store, key, windowMs);
+  await store.setValue(key, [...failures, Date.now()]);
+  console.warn(`[Auth] Failed login from ${ip || 'unknown IP'} (${failures.length + 1} in window)`);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  validateCredentials,
+  createSessionToken,
+  verifySessionToken,
+  authenticateRequest,
+  canUseMethod,
+  checkLoginRateLimit,
+  recordLoginAttempt,
+  safeEqual,
+  getClientIp,
+};
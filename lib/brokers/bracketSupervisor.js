@@ -0,0 +1,472 @@
+/**
+ * Bracket Supervisor
+ * Watches bracket child orders after placeBracketOrder and keeps them OCO.
+ * Limit / stop entries are tracked as pending until they fill.
+ *
+ * ProjectX stops and TPs are independent orders. When one fills the other
+ * keeps working and can open a new position. Each check:
+ * - Pending entry filled  -> attach stop and TP       (working)
+ *   partly filled         -> cancel the rest, bracket what filled
+ *   past expiresAt        -> cancel the entry         (expired)
+ *   gone with no position -> drop                     (cancelled)
+ * - Stop filled and flat   -> cancel the TP          (stopped)
+ * - TP filled and flat     -> cancel the stop        (target)
+ * - Flat, both working     -> cancel both            (closed elsewhere)
+ * - Runner bracket, TP filled, runner still open -> runnerManager cancels the
+ *   main leg's stop and swaps the runner's stop for a trailing / break-even
+ *   stop  (running)
+ * - Stop missing with a position open -> positionReconciler alert/emergency stop
+ * - A stop order on a flat symbol that no bracket is waiting on is an orphaned
+ *   exit. Orders younger than BRACKET_ORPHAN_GRACE_SECONDS (120) are left
+ *   alone, since a new entry may not be registered yet. Orphans are reported
+ *   once; BRACKET_CANCEL_ORPHANS=true cancels them. Limit orders and pending
+ *   entries are never swept, so manual entries are left alone.
+ *
+ * Every transition is written to alert storage. Brackets are persisted
+ * through riskStore under `brackets:{accountId}` (one per symbol root).
+ *
+ * RUNS FROM:
+ * - GET /api/trading/brackets (cron, see vercel.json)
+ * - startSupervisor() in a long-lived process (bracket-supervisor.js)
+ */
+
+const contracts = require('../contracts');
+const alertStorage = require('../alertStorage');
+const { getRiskStore } = require('../riskStore');
+const { fetchSnapshot, buildPositionState, protectPosition, isStopOrder } = require('./positionReconciler');
+const { activateRunner } = require('./runnerManager');
+
+const BRACKET_STATUS = {
+  PENDING: 'pending',     // Limit / stop entry working, no exits yet
+  WORKING: 'working',     // Stop and TP working
+  RUNNING: 'running',     // Runner bracket: TP filled, runner on its own stop
+};
+
+// Terminal outcomes - the bracket is dropped after logging one of these
+const BRACKET_OUTCOME = {
+  STOPPED: 'stopped',
+  TARGET: 'target',
+  CLOSED: 'closed',
+  SUPERSEDED: 'superseded',
+  EXPIRED: 'expired',       // Pending entry not filled in time
+  CANCELLED: 'cancelled',   // Pending entry cancelled or rejected at the broker
+};
+
+const DEFAULT_ORPHAN_GRACE_SECONDS = 120;
+
+// Accounts with a supervision pass in progress (this process)
+const activeAccounts = new Set();
+
+// Orphaned order IDs already reported (this process)
+const reportedOrphans = new Set();
+
+function storeKey(accountId) {
+  return `brackets:${accountId}`;
+}
+
+async function loadBrackets(accountId) {
+  const store = await getRiskStore();
+  return (await store.getValue(storeKey(accountId))) || {};
+}
+
+async function saveBrackets(accountId, brackets) {
+  const store = await getRiskStore();
+  // risk_state.value is NOT NULL - the last bracket is removed by deleting the key
+  if (Object.keys(brackets).length > 0) {
+    await store.setValue(storeKey(accountId), brackets);
+  } else {
+    await store.deleteValue(storeKey(accountId));
+  }
+}
+
+function getOrderId(order) {
+  return order?.orderId ?? order?.id ?? null;
+}
+
+function shouldCancelOrphans() {
+  return process.env.BRACKET_CANCEL_ORPHANS === 'true';
+}
+
+function getOrphanGraceMs() {
+  const seconds = Number(process.env.BRACKET_ORPHAN_GRACE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_ORPHAN_GRACE_SECONDS) * 1000;
+}
+
+/**
+ * Whether a working order on an untracked flat symbol is an orphaned exit:
+ * a stop (nothing left to protect) older than the grace period. Orders
+ * without a creation time are treated as old.
+ */
+function isOrphanedExit(order, now = Date.now()) {
+  if (!isStopOrder(order)) return false;
+  const createdAt = Date.parse(order.creationTimestamp);
+  return !Number.isFinite(createdAt) || now - createdAt >= getOrphanGraceMs();
+}
+
+async function logTransition(accountId, symbol, status, message) {
+  console.log(`[BracketSupervisor] ${accountId} ${symbol}: ${status} - ${message}`);
+  await alertStorage.saveAlert({
+    action: 'bracket',
+    symbol,
+    account: accountId,
+    status,
+    error: message,
+  });
+}
+
+/**
+ * Track a bracket after placeBracketOrder
+ * Replaces any previous bracket on the same symbol (its orders were
+ * cancelled by the new bracket's cleanup).
+ *
+ * @param {string} accountId - Account ID
+ * @param {string} action - 'buy' or 'sell'
+ * @param {Object} orderResult - Result of placeBracketOrder
+ */
+async function registerBracket(accountId, action, orderResult) {
+  const { breakdown, runner } = orderResult;
+  if (!breakdown?.symbol) return null;
+
+  const pending = orderResult.pending === true;
+  const bracket = {
+    symbol: breakdown.symbol,
+    contractId: breakdown.contractId,
+    side: action === 'buy' ? 'long' : 'short',
+    quantity: breakdown.totalContracts,
+    entryOrderId: getOrderId(orderResult.entry),
+    stopOrderId: getOrderId(orderResult.stopLoss),
+    runnerStopOrderId: getOrderId(orderResult.runnerStop),
+    tpOrderId: getOrderId(orderResult.takeProfit),
+    runner: runner || null,
+    status: pending ? BRACKET_STATUS.PENDING : BRACKET_STATUS.WORKING,
+    unprotectedAlerted: false,
+    createdAt: new Date().toISOString(),
+  };
+
+  // Exits are placed by superviseBracket once the entry fills
+  if (pending) {
+    Object.assign(bracket, {
+      entryType: breakdown.entryType,
+      entryPrice: breakdown.entryPrice,
+      stopPrice: breakdown.stopPrice,
+      tpPrice: breakdown.tpPrice,
+      mode: breakdown.mode,
+      expiresAt: breakdown.expiresAt || null,
+    });
+  }
+
+  const brackets = await loadBrackets(accountId);
+  brackets[bracket.symbol] = bracket;
+  await saveBrackets(accountId, brackets);
+
+  console.log(pending
+    ? `[BracketSupervisor] ${accountId}: tracking pending ${bracket.entryType} ${bracket.side} ${bracket.symbol} entry ${bracket.entryOrderId}${bracket.expiresAt ? ` (expires ${bracket.expiresAt})` : ''}`
+    : `[BracketSupervisor] ${accountId}: tracking ${bracket.side} ${bracket.symbol} bracket (stop ${bracket.stopOrderId}, tp ${bracket.tpOrderId})`);
+  return bracket;
+}
+
+/**
+ * Cancel the given orders if they are still working
+ */
+async function cancelWorking(brokerClient, orderIds, workingIds) {
+  const cancelled = [];
+  for (const orderId of orderIds) {
+    if (orderId === null || !workingIds.has(orderId)) continue;
+    await brokerClient.cancelOrder(orderId);
+    cancelled.push(orderId);
+  }
+  return cancelled;
+}
+
+/**
+ * Place the stop and TP for the filled part of a pending entry
+ * If the exits cannot be placed the position goes through protectPosition
+ * (emergency stop or alert) and the bracket carries on without them.
+ */
+async function attachExits(account, brokerClient, bracket, position) {
+  const action = bracket.side === 'long' ? 'buy' : 'sell';
+  const runnerOptions = bracket.runner
+    ? { contracts: bracket.runner.runnerContracts, exit: bracket.runner.exit, trailTicks: bracket.runner.trailTicks }
+    : {};
+
+  try {
+    const exits = await brokerClient.placeBracketExits(action, bracket.stopPrice, bracket.tpPrice, position.size, {
+      contractId: position.contractId || bracket.contractId,
+      mode: bracket.mode,
+      runner: runnerOptions,
+    });
+    await logTransition(account.id, bracket.symbol, BRACKET_STATUS.WORKING,
+      `${bracket.entryType} entry filled ${position.size} @ ${position.avgPrice ?? 'n/a'} - stop ${bracket.stopPrice}, tp ${bracket.tpPrice}${exits.tpError ? ` (TP failed: ${exits.tpError})` : ''}`);
+    return {
+      ...bracket,
+      status: BRACKET_STATUS.WORKING,
+      quantity: position.size,
+      stopOrderId: getOrderId(exits.stopLoss),
+      runnerStopOrderId: getOrderId(exits.runnerStop),
+      tpOrderId: getOrderId(exits.takeProfit),
+      runner: exits.runner || null,
+    };
+  } catch (error) {
+    await logTransition(account.id, bracket.symbol, 'unprotected', `${bracket.entryType} entry filled but exits failed: ${error.message}`);
+    await protectPosition(account, brokerClient, { ...position, protectedSize: 0 }, bracket.symbol);
+    return { ...bracket, status: BRACKET_STATUS.WORKING, quantity: position.size, stopOrderId: null, runnerStopOrderId: null, tpOrderId: null, unprotectedAlerted: true };
+  }
+}
+
+/**
+ * Advance a pending limit / stop entry
+ */
+async function supervisePending(account, brokerClient, bracket, position, workingIds) {
+  const { symbol } = bracket;
+  const entryWorking = workingIds.has(bracket.entryOrderId);
+  const filled = position.side === bracket.side && position.size > 0;
+  const expired = bracket.expiresAt && Date.now() >= new Date(bracket.expiresAt).getTime();
+
+  // Still resting with nothing filled
+  if (entryWorking && !filled) {
+    if (!expired) {
+      return { bracket, result: { symbol, status: bracket.status, expiresAt: bracket.expiresAt } };
+    }
+    await brokerClient.cancelOrder(bracket.entryOrderId);
+    await logTransition(account.id, symbol, BRACKET_OUTCOME.EXPIRED,
+      `${bracket.entryType} ${bracket.side} entry @ ${bracket.entryPrice} not filled by ${bracket.expiresAt} - cancelled`);
+    return { bracket: null, result: { symbol, status: BRACKET_OUTCOME.EXPIRED, cancelled: [bracket.entryOrderId] } };
+  }
+
+  if (position.side !== 'flat' && position.side !== bracket.side) {
+    await cancelWorking(brokerClient, [bracket.entryOrderId], workingIds);
+    await logTransition(account.id, symbol, BRACKET_OUTCOME.SUPERSEDED,
+      `pending ${bracket.side} entry but position is ${position.side}`);
+    return { bracket: null, result: { symbol, status: BRACKET_OUTCOME.SUPERSEDED } };
+  }
+
+  if (!filled) {
+    await logTransition(account.id, symbol, BRACKET_OUTCOME.CANCELLED,
+      `${bracket.entryType} ${bracket.side} entry ${bracket.entryOrderId} is no longer working and nothing filled`);
+    return { bracket: null, result: { symbol, status: BRACKET_OUTCOME.CANCELLED } };
+  }
+
+  // Partial fill: keep what filled, drop the rest so the bracket size is final
+  if (entryWorking) {
+    await brokerClient.cancelOrder(bracket.entryOrderId);
+    console.log(`[BracketSupervisor] ${account.id} ${symbol}: entry partly filled (${position.size}/${bracket.quantity}) - cancelled remainder`);
+  }
+
+  const next = await attachExits(account, brokerClient, bracket, position);
+  return { bracket: next, result: { symbol, status: next.status, size: position.size, filled: true } };
+}
+
+/**
+ * Advance one bracket against the latest snapshot
+ * @returns {Promise<Object>} { bracket (null when finished), result }
+ */
+async function superviseBracket(account, brokerClient, bracket, position) {
+  const { symbol } = bracket;
+  const workingIds = new Set((position.openOrders || []).map(getOrderId));
+
+  if (bracket.status === BRACKET_STATUS.PENDING) {
+    return supervisePending(account, brokerClient, bracket, position, workingIds);
+  }
+  const stopWorking = workingIds.has(bracket.stopOrderId);
+  const tpWorking = workingIds.has(bracket.tpOrderId);
+
+  if (position.side === 'flat') {
+    let outcome = BRACKET_OUTCOME.CLOSED;
+    if (bracket.status === BRACKET_STATUS.WORKING && !stopWorking && tpWorking) outcome = BRACKET_OUTCOME.STOPPED;
+    if (bracket.status === BRACKET_STATUS.WORKING && stopWorking && !tpWorking) outcome = BRACKET_OUTCOME.TARGET;
+    if (bracket.status === BRACKET_STATUS.RUNNING && !stopWorking) outcome = BRACKET_OUTCOME.STOPPED;
+
+    const cancelled = await cancelWorking(brokerClient,
+      [bracket.stopOrderId, bracket.runnerStopOrderId ?? null, bracket.tpOrderId], workingIds);
+    await logTransition(account.id, symbol, outcome,
+      `${bracket.side} bracket finished${cancelled.length ? `, cancelled sibling order(s) ${cancelled.join(', ')}` : ''}`);
+    return { bracket: null, result: { symbol, status: outcome, cancelled } };
+  }
+
+  // A position in the other direction belongs to a newer bracket
+  if (position.side !== bracket.side) {
+    await logTransition(account.id, symbol, BRACKET_OUTCOME.SUPERSEDED,
+      `tracked ${bracket.side} bracket but position is ${position.side}`);
+    return { bracket: null, result: { symbol, status: BRACKET_OUTCOME.SUPERSEDED } };
+  }
+
+  let next = bracket;
+
+  // Runner: main contracts are out once the TP is gone and only the runner remains
+  if (bracket.status === BRACKET_STATUS.WORKING && bracket.runner && !tpWorking
+      && position.size <= bracket.runner.runnerContracts) {
+    const newStopId = await activateRunner(account, brokerClient, bracket, position);
+    next = { ...bracket, status: BRACKET_STATUS.RUNNING, stopOrderId: newStopId, runnerStopOrderId: null, unprotectedAlerted: false };
+    return { bracket: next, result: { symbol, status: next.status, size: position.size, activated: true } };
+  }
+
+  // Position open without its stop - alert (once) and optionally re-protect
+  if (position.unprotected && !bracket.unprotectedAlerted) {
+    const protection = await protectPosition(account, brokerClient, position, symbol);
+    next = { ...bracket, unprotectedAlerted: true };
+    return { bracket: next, result: { symbol, status: bracket.status, size: position.size, protection } };
+  }
+
+  return { bracket: next, result: { symbol, status: bracket.status, size: position.size } };
+}
+
+/**
+ * Find orphaned exit orders on flat symbols that no bracket owns, and
+ * cancel them when BRACKET_CANCEL_ORPHANS=true
+ */
+async function handleOrphans(account, brokerClient, snapshot, trackedSymbols) {
+  if (snapshot.ordersResult.status !== 'fulfilled') return [];
+
+  const symbols = new Set(snapshot.ordersResult.value
+    .map(o => contracts.normalizeSymbol(o.contractId))
+    .filter(Boolean));
+
+  const results = [];
+  for (const symbol of symbols) {
+    if (trackedSymbols.has(symbol)) continue;
+
+    const position = buildPositionState(snapshot, symbol);
+    if (position.source !== 'positions' || position.side !== 'flat') continue;
+
+    const orderIds = position.openOrders.filter(order => isOrphanedExit(order)).map(getOrderId);
+    if (orderIds.length === 0) continue;
+
+    if (!shouldCancelOrphans()) {
+      const unreported = orderIds.filter(id => !reportedOrphans.has(id));
+      if (unreported.length > 0) {
+        await logTransition(account.id, symbol, 'orphaned', `${unreported.length} stop order(s) with no position: ${unreported.join(', ')}`);
+        unreported.forEach(id => reportedOrphans.add(id));
+      }
+      results.push({ symbol, status: 'orphaned', orders: orderIds });
+      continue;
+    }
+
+    const cancelled = await cancelWorking(brokerClient, orderIds, new Set(orderIds));
+    await logTransition(account.id, symbol, 'orphan_cancelled', `cancelled ${cancelled.length} stop order(s) with no position: ${cancelled.join(', ')}`);
+    results.push({ symbol, status: 'orphan_cancelled', cancelled });
+  }
+
+  return results;
+}
+
+/**
+ * Supervise every tracked bracket on an account and sweep orphans
+ * Overlapping calls for the same account are skipped (cron, worker and
+ * live events can all trigger a pass).
+ * @returns {Promise<Object>} { brackets: [...results], orphans: [...results] }
+ */
+async function superviseAccount(account, brokerClient) {
+  if (activeAccounts.has(account.id)) {
+    return { brackets: [], orphans: [], skipped: 'Supervision already running' };
+  }
+
+  activeAccounts.add(account.id);
+  try {
+    return await runSupervision(account, brokerClient);
+  } finally {
+    activeAccounts.delete(account.id);
+  }
+}
+
+async function runSupervision(account, brokerClient) {
+  const brackets = await loadBrackets(account.id);
+  const snapshot = await fetchSnapshot(brokerClient);
+
+  // Both views are needed to tell a fill from an outage
+  const failed = [snapshot.positionsResult, snapshot.ordersResult].find(r => r.status !== 'fulfilled');
+  if (failed) {
+    const reason = failed.reason.message;
+    console.warn(`[BracketSupervisor] ${account.id}: broker state unavailable (${reason}) - skipped`);
+    return { brackets: [], orphans: [], skipped: reason };
+  }
+
+  // Symbols handled here are excluded from the orphan sweep, including
+  // brackets that finish this run (their siblings were just cancelled)
+  const trackedSymbols = new Set(Object.keys(brackets));
+
+  const results = [];
+  const updates = new Map(); // symbol -> { createdAt, next }
+  for (const [symbol, bracket] of Object.entries(brackets)) {
+    try {
+      const position = buildPositionState(snapshot, symbol);
+      const { bracket: next, result } = await superviseBracket(account, brokerClient, bracket, position);
+      updates.set(symbol, { createdAt: bracket.createdAt, next });
+      results.push(result);
+    } catch (error) {
+      console.error(`[BracketSupervisor] ${account.id} ${symbol} check failed:`, error.message);
+      results.push({ symbol, status: bracket.status, error: error.message });
+    }
+  }
+
+  // Re-read before saving: a webhook may have registered a new bracket
+  // during this pass, and that one must not be overwritten
+  const latest = await loadBrackets(account.id);
+  for (const [symbol, { createdAt, next }] of updates) {
+    if (latest[symbol]?.createdAt !== createdAt) continue;
+    if (next) {
+      latest[symbol] = next;
+    } else {
+      delete latest[symbol];
+    }
+  }
+  await saveBrackets(account.id, latest);
+
+  let orphans = [];
+  try {
+    orphans = await handleOrphans(account, brokerClient, snapshot, trackedSymbols);
+  } catch (error) {
+    console.error(`[BracketSupervisor] ${account.id} orphan sweep failed:`, error.message);
+  }
+
+  return { brackets: results, orphans };
+}
+
+/**
+ * Supervise all enabled accounts
+ */
+async function superviseAll() {
+  // Required lazily - brokers/index.js requires this directory's modules
+  const accounts = require('../accounts');
+  const brokers = require('./index');
+
+  await accounts.refreshAccounts();
+  return Promise.all(accounts.getEnabledAccounts().map(async (account) => {
+    try {
+      const result = await superviseAccount(account, brokers.getBrokerClient(account));
+      return { id: account.id, success: true, ...result };
+    } catch (error) {
+      console.error(`[BracketSupervisor] Supervision failed for ${account.id}:`, error.message);
+      return { id: account.id, success: false, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Poll superviseAll() on an interval (long-lived process)
+ * @returns {Function} stop
+ */
+function startSupervisor(intervalMs = 5000) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // Skip a tick rather than overlap
+    running = true;
+    try {
+      await superviseAll();
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  console.log(`[BracketSupervisor] Polling every ${intervalMs}ms`);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  registerBracket,
+  superviseAccount,
+  superviseAll,
+  startSupervisor,
+  loadBrackets,
+  BRACKET_STATUS,
+  BRACKET_OUTCOME,
+};
@@ -5,21 +5,32 @@
  * Each broker implements a standard interface for order execution.
  *
  * Standard Broker Interface:
- * - placeBracketOrder(action, stopPrice, tpPrice, quantity)
- * - placeMarketOrder(side, quantity)
- * - placeStopOrder(side, stopPrice, quantity)
- * - placeLimitOrder(side, limitPrice, quantity)
+ * - placeBracketOrder(action, stopPrice, tpPrice, quantity, { symbol, entryType, entryPrice })
+ * - placeBracketExits(action, stopPrice, tpPrice, quantity, { contractId })  (ProjectX clients)
+ * - placeMarketOrder(side, quantity, symbol)
+ * - placeStopOrder(side, stopPrice, quantity, symbol)
+ * - placeLimitOrder(side, limitPrice, quantity, symbol)
  * - cancelOrder(orderId)
+ * - cancelAllOrders(symbol)
  * - closeAllPositions(symbol)
  * - getPositions()
  * - getOpenOrders()
  * - getAccountStatus()
  * - getAccountDetails()
+ * - getTrades(startTimestamp, endTimestamp)  (ProjectX clients)
+ * - getContractById(contractId)              (ProjectX clients)
+ * - getLastPrice(contractId)                 (ProjectX clients)
+ * - getContractId(symbol)                    (ProjectX clients)
+ * - getUserHub()                             (ProjectX clients, see ./userHub)
+ *
+ * `symbol` is any format lib/contracts accepts and defaults to MNQ.
  */
 
 const { BROKER_TYPE } = require('../accounts');
+const contracts = require('../contracts');
+const { getPositionSide, getPositionSize } = require('./positionReconciler');
 
-// Broker client cache (keyed by account ID)
+// Broker client cache (account ID -> { client, configKey })
 const brokerClients = new Map();
 
 // ProjectX API configuration
@@ -38,9 +49,30 @@ const RUNNER_CONFIG = {
   MAIN_CONTRACTS: 2,      // Contracts that exit at TP
   RUNNER_CONTRACTS: 1,    // Contract that runs with trailing stop
   TRAIL_TICKS: 40,        // Trail distance in ticks (40 ticks = 10 points for MNQ)
-  MNQ_TICK_SIZE: 0.25,    // MNQ tick size
+  EXIT: 'trail',          // Runner exit once TP fills: 'trail' or 'breakeven'
 };
 
+const BRACKET_MODE = { STANDARD: 'standard', RUNNER: 'runner' };
+
+// Bracket entry order: limit and stop entries get their exits once filled
+const ENTRY_TYPE = { MARKET: 'market', LIMIT: 'limit', STOP: 'stop' };
+
+/**
+ * Split a bracket into main (TP) and runner contracts
+ * Returns null when the size is too small to leave at least one main contract
+ */
+function splitRunner(quantity, runnerOptions = {}) {
+  const runnerContracts = runnerOptions.contracts ?? RUNNER_CONFIG.RUNNER_CONTRACTS;
+  if (quantity <= runnerContracts) return null;
+
+  return {
+    mainContracts: quantity - runnerContracts,
+    runnerContracts,
+    exit: runnerOptions.exit || RUNNER_CONFIG.EXIT,
+    trailTicks: runnerOptions.trailTicks ?? RUNNER_CONFIG.TRAIL_TICKS,
+  };
+}
+
 /**
  * Create a ProjectX-based broker client with isolated credentials
  * Works for TopStepX, The Futures Desk, and other ProjectX-powered firms
@@ -53,10 +85,13 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
   let sessionCache = {
     token: null,
     accountId: null,
-    contractId: null,
+    contractIds: new Map(), // symbol root -> { id, expiresAt } (expires at the roll date)
     tokenExpiry: null,
   };
 
+  // Real-time user hub, created on first getUserHub() call
+  let userHub = null;
+
   async function fetchWithTimeout(url, options, timeoutMs = PROJECTX_CONFIG.REQUEST_TIMEOUT_MS) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
@@ -159,29 +194,62 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     return accId;
   }
 
-  async function getContractId() {
-    if (sessionCache.contractId) return sessionCache.contractId;
+  /**
+   * Resolve the ProjectX contract to trade for a symbol
+   * Matches on the exact root so a search for "NQ" never returns MNQ, and
+   * prefers the calendar's active month over ProjectX's activeContract flag
+   * so entries move to the next contract inside the roll window.
+   * Throws if the only contract listed is the one being rolled out of.
+   */
+  async function getContractId(symbol = contracts.DEFAULT_SYMBOL) {
+    // Already a ProjectX contract ID (e.g. from a position) - use as-is
+    if (/^CON\./i.test(String(symbol))) return symbol;
+
+    const root = contracts.normalizeSymbol(symbol);
+    if (!root) throw new Error(`Unsupported symbol: ${symbol}`);
+
+    const cached = sessionCache.contractIds.get(root);
+    if (cached && Date.now() < cached.expiresAt) return cached.id;
+
+    const active = contracts.getActiveContract(root);
 
     const token = await getToken();
     const response = await retryWithBackoff(async () => {
       return await fetchWithTimeout(`${BASE_URL}/Contract/search`, {
         method: 'POST',
         headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ searchText: 'MNQ', live: false }),
+        body: JSON.stringify({ searchText: root, live: false }),
       });
-    }, 'GetMNQContract');
+    }, `Get${root}Contract`);
 
-    if (!response.ok) throw new Error(`Failed to fetch MNQ contract: ${await response.text()}`);
+    if (!response.ok) throw new Error(`Failed to fetch ${root} contract: ${await response.text()}`);
     const data = await response.json();
 
-    let contracts = Array.isArray(data) ? data : (data.contracts || data.results || [data]);
-    const mnqContract = contracts.find(c => c.name?.includes('MNQ') || c.symbol?.includes('MNQ'));
-    const contractId = mnqContract?.id || contracts[0]?.id;
+    const results = Array.isArray(data) ? data : (data.contracts || data.results || [data]);
+    const matching = results.filter(c => contracts.isForSymbol({ contractId: c.id, contractName: c.name, symbolId: c.symbolId }, root));
+    const contract = matching.find(c => c.id === active.projectxId)
+      || matching.find(c => c.activeContract)
+      || matching[0];
 
-    if (!contractId) throw new Error('MNQ contract not found');
-    sessionCache.contractId = contractId;
-    console.log(`[${brokerName}] MNQ Contract ID: ${contractId}`);
-    return contractId;
+    if (!contract?.id) throw new Error(`${root} contract not found`);
+
+    const listed = contracts.parseContractMonth(contract.id);
+    if (listed) {
+      const listedMonth = contracts.describeContractMonth(root, listed.monthCode, listed.year);
+      if (listedMonth.expiring) {
+        throw new Error(`${root} ${listedMonth.code} expires ${listedMonth.expiryDate} and ${active.code} is not listed - refusing entry on an expiring contract`);
+      }
+    }
+
+    if (contract.id !== active.projectxId) {
+      console.warn(`[${brokerName}] ${root} calendar contract ${active.projectxId} not listed, using ${contract.id}`);
+    }
+
+    // Re-resolve once the active contract reaches its own roll date
+    const expiresAt = new Date(`${active.rollDate}T00:00:00Z`).getTime();
+    sessionCache.contractIds.set(root, { id: contract.id, expiresAt });
+    console.log(`[${brokerName}] ${root} Contract ID: ${contract.id} (rolls ${active.rollDate})`);
+    return contract.id;
   }
 
   async function cancelOrder(orderId) {
@@ -201,10 +269,10 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     }
   }
 
-  async function placeMarketOrder(side, quantity = 1) {
+  async function placeMarketOrder(side, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
     const token = await getToken();
     const accountId = await getAccountId();
-    const contractId = await getContractId();
+    const contractId = await getContractId(symbol);
     const orderSide = side.toLowerCase() === 'buy' ? ORDER_SIDE.BUY : ORDER_SIDE.SELL;
 
     console.log(`[${brokerName}] Placing ${side.toUpperCase()} market order...`);
@@ -220,10 +288,10 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     return await response.json();
   }
 
-  async function placeStopOrder(side, stopPrice, quantity = 1) {
+  async function placeStopOrder(side, stopPrice, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
     const token = await getToken();
     const accountId = await getAccountId();
-    const contractId = await getContractId();
+    const contractId = await getContractId(symbol);
     const orderSide = side.toLowerCase() === 'buy' ? ORDER_SIDE.BUY : ORDER_SIDE.SELL;
 
     console.log(`[${brokerName}] Placing stop ${side.toUpperCase()} at ${stopPrice}...`);
@@ -239,10 +307,10 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     return await response.json();
   }
 
-  async function placeLimitOrder(side, limitPrice, quantity = 1) {
+  async function placeLimitOrder(side, limitPrice, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
     const token = await getToken();
     const accountId = await getAccountId();
-    const contractId = await getContractId();
+    const contractId = await getContractId(symbol);
     const orderSide = side.toLowerCase() === 'buy' ? ORDER_SIDE.BUY : ORDER_SIDE.SELL;
 
     console.log(`[${brokerName}] Placing limit ${side.toUpperCase()} at ${limitPrice}...`);
@@ -258,10 +326,10 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     return await response.json();
   }
 
-  async function placeTrailingStopOrder(side, trailPrice, quantity = 1) {
+  async function placeTrailingStopOrder(side, trailPrice, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
     const token = await getToken();
     const accountId = await getAccountId();
-    const contractId = await getContractId();
+    const contractId = await getContractId(symbol);
     const orderSide = side.toLowerCase() === 'buy' ? ORDER_SIDE.BUY : ORDER_SIDE.SELL;
 
     console.log(`[${brokerName}] Placing trailing stop ${side.toUpperCase()} with trail ${trailPrice}...`);
@@ -286,11 +354,14 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
 
   /**
    * Cancel ALL open orders - aggressive cleanup to prevent orphaned orders
+   * When a symbol is given, only that product's orders are cancelled so
+   * brackets on other instruments stay in place.
    */
-  async function cancelAllOrders() {
-    console.log(`[${brokerName}] Cancelling ALL open orders...`);
+  async function cancelAllOrders(symbol = null) {
+    console.log(`[${brokerName}] Cancelling ALL open ${symbol ? `${symbol} ` : ''}orders...`);
     try {
-      const openOrders = await getOpenOrders();
+      const allOrders = await getOpenOrders();
+      const openOrders = symbol ? allOrders.filter(o => contracts.isForSymbol(o, symbol)) : allOrders;
       if (openOrders.length === 0) {
         console.log(`[${brokerName}] No open orders to cancel`);
         return { cancelled: 0 };
@@ -317,7 +388,7 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
    * Flatten position by placing market order opposite to detected position
    * More reliable than Position API which often returns empty
    */
-  async function flattenByMarketOrder(detectedSide, detectedSize) {
+  async function flattenByMarketOrder(detectedSide, detectedSize, symbol = contracts.DEFAULT_SYMBOL) {
     if (!detectedSide || detectedSide === 'flat' || !detectedSize || detectedSize === 0) {
       console.log(`[${brokerName}] No position to flatten (side=${detectedSide}, size=${detectedSize})`);
       return { flattened: false, reason: 'No position detected' };
@@ -327,7 +398,7 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     console.log(`[${brokerName}] Flattening ${detectedSide} position: ${closeSide.toUpperCase()} ${detectedSize} contract(s)...`);
 
     try {
-      const order = await placeMarketOrder(closeSide, detectedSize);
+      const order = await placeMarketOrder(closeSide, detectedSize, symbol);
       console.log(`[${brokerName}] Flatten order placed:`, JSON.stringify(order));
       return { flattened: true, order };
     } catch (e) {
@@ -349,7 +420,7 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     console.log(`[${brokerName}] Position request body:`, JSON.stringify(requestBody));
 
     const response = await retryWithBackoff(async () => {
-      const res = await fetchWithTimeout(`${BASE_URL}/Position/search`, {
+      const res = await fetchWithTimeout(`${BASE_URL}/Position/searchOpen`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -460,40 +531,220 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     return workingOrders;
   }
 
+  /**
+   * Fetch filled trades (half-turns) from Trade/search
+   * Closing fills carry profitAndLoss; opening fills have it null
+   */
+  async function getTrades(startTimestamp, endTimestamp = null) {
+    const token = await getToken();
+    const accountId = await getAccountId();
+    const numericAccountId = typeof accountId === 'string' ? parseInt(accountId, 10) : accountId;
+
+    const requestBody = { accountId: numericAccountId, startTimestamp };
+    if (endTimestamp) requestBody.endTimestamp = endTimestamp;
+
+    const response = await retryWithBackoff(async () => {
+      const res = await fetchWithTimeout(`${BASE_URL}/Trade/search`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+      });
+      if (res.status >= 500) {
+        throw new Error(`Server error ${res.status}: ${await res.text()}`);
+      }
+      return res;
+    }, 'GetTrades');
+
+    if (!response.ok) throw new Error(`Failed to fetch trades (HTTP ${response.status}): ${await response.text()}`);
+    const data = await response.json();
+
+    const trades = Array.isArray(data) ? data : (data.trades || data.results || []);
+    return trades.filter(t => !t.voided);
+  }
+
+  /**
+   * Look up contract details (tickSize, tickValue) by ID
+   */
+  async function getContractById(contractId) {
+    const token = await getToken();
+    const response = await retryWithBackoff(async () => {
+      return await fetchWithTimeout(`${BASE_URL}/Contract/searchById`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contractId }),
+      });
+    }, 'GetContractById');
+
+    if (!response.ok) throw new Error(`Failed to fetch contract ${contractId}: ${await response.text()}`);
+    const data = await response.json();
+    return data.contract || data;
+  }
+
+  /**
+   * Get the latest traded price from the most recent 1-minute bar
+   */
+  async function getLastPrice(contractId) {
+    const token = await getToken();
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - 60 * 60 * 1000);
+
+    const response = await retryWithBackoff(async () => {
+      return await fetchWithTimeout(`${BASE_URL}/History/retrieveBars`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contractId,
+          live: false,
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          unit: 2,        // Minute
+          unitNumber: 1,
+          limit: 1,
+          includePartialBar: true,
+        }),
+      });
+    }, 'GetLastPrice');
+
+    if (!response.ok) throw new Error(`Failed to fetch bars for ${contractId}: ${await response.text()}`);
+    const data = await response.json();
+    const bars = data.bars || [];
+    if (!bars.length) return null;
+
+    // Bars may come newest-first or oldest-first depending on the firm
+    const latest = bars.reduce((a, b) => (new Date(a.t) > new Date(b.t) ? a : b));
+    return latest.c;
+  }
+
+  async function getAccountDetails() {
+    const token = await getToken();
+    const response = await fetchWithTimeout(`${BASE_URL}/Account/search`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ onlyActiveAccounts: true }),
+    });
+    if (!response.ok) throw new Error('Failed to fetch account details');
+    const data = await response.json();
+    const accounts = Array.isArray(data) ? data : (data.accounts || []);
+    const accId = await getAccountId();
+    const account = accounts.find(a => String(a.id) === String(accId)) || accounts[0];
+    return { id: account.id, name: account.name, balance: account.balance, ...account };
+  }
+
+  /**
+   * Place the exits: one stop per leg, sized to that leg
+   * standard: stop and TP for every contract
+   * runner:   stop + TP for the main contracts, a separate stop for the runner,
+   *           so filling the TP never leaves a stop larger than the position
+   * A failed stop throws - the position would be unprotected. A failed TP
+   * is reported with tpError and the position stays on its stop.
+   */
+  async function placeExitOrders(action, stopPrice, tpPrice, quantity, contractId, runner) {
+    const exitSide = action.toLowerCase() === 'buy' ? 'sell' : 'buy';
+    const tpQuantity = runner ? runner.mainContracts : quantity;
+
+    const placeStop = async (size, leg) => {
+      console.log(`[${brokerName}] Placing ${leg} stop loss at ${stopPrice} for ${size} contracts...`);
+      try {
+        const order = await placeStopOrder(exitSide, stopPrice, size, contractId);
+        console.log(`[${brokerName}] ${leg} stop loss placed:`, JSON.stringify(order));
+        return order;
+      } catch (e) {
+        console.error(`[${brokerName}] CRITICAL: ${leg} stop loss failed!`, e.message);
+        throw new Error(`Stop loss failed after entry. UNPROTECTED POSITION! Error: ${e.message}`);
+      }
+    };
+
+    const stopOrder = await placeStop(tpQuantity, runner ? 'Main' : 'Bracket');
+    const runnerStop = runner ? await placeStop(runner.runnerContracts, 'Runner') : null;
+
+    console.log(`[${brokerName}] Placing take profit at ${tpPrice} for ${tpQuantity} contracts${runner ? ` (${runner.runnerContracts} runner)` : ''}...`);
+    try {
+      const tpOrder = await placeLimitOrder(exitSide, tpPrice, tpQuantity, contractId);
+      console.log(`[${brokerName}] Take profit placed:`, JSON.stringify(tpOrder));
+      return { stopLoss: stopOrder, runnerStop, takeProfit: tpOrder, tpQuantity };
+    } catch (e) {
+      console.warn(`[${brokerName}] Take profit order failed, position protected by stop only:`, e.message);
+      return { stopLoss: stopOrder, runnerStop, takeProfit: null, tpQuantity, tpError: e.message };
+    }
+  }
+
+  /**
+   * Runner split for a bracket, or null for a standard bracket
+   */
+  function resolveRunner(mode, quantity, runnerOptions) {
+    if (mode !== BRACKET_MODE.RUNNER) return null;
+    const runner = splitRunner(quantity, runnerOptions);
+    if (!runner) {
+      console.warn(`[${brokerName}] Runner mode needs more than ${runnerOptions.contracts ?? RUNNER_CONFIG.RUNNER_CONTRACTS} contract(s) - placing standard bracket`);
+    }
+    return runner;
+  }
+
   return {
     name: brokerName,
     type: brokerType,
 
     /**
-     * Place bracket order - simple approach matching backtest
-     * ALL contracts use same TP and SL (no runner split)
+     * Place bracket order
+     * standard: ALL contracts use same TP and SL (matches backtest)
+     * runner:   main contracts exit at TP or their own stop, the runner has
+     *           a separate stop of its size. Once TP fills,
+     *           lib/brokers/runnerManager cancels the main stop and swaps the
+     *           runner's stop for a trailing stop or a break-even stop.
+     *
+     * Entry is a market order by default. Limit and stop entries rest at
+     * entryPrice and return `pending: true` without exits - bracketSupervisor
+     * attaches the stop and TP once the entry fills, and cancels it at
+     * expiresAt if it has not.
      *
      * @param {string} action - 'buy' or 'sell'
      * @param {number} stopPrice - Stop loss price
      * @param {number} tpPrice - Take profit price
      * @param {number} quantity - Total contracts (default 3)
-     * @param {object} options - { skipCleanup, detectedSide, detectedSize }
+     * @param {object} options - { skipCleanup, detectedSide, detectedSize, detectedContractId, symbol,
+     *   mode ('standard' | 'runner'), runner: { contracts, exit, trailTicks },
+     *   entryType ('market' | 'limit' | 'stop'), entryPrice, expiresAt (ISO) }
      */
     async placeBracketOrder(action, stopPrice, tpPrice, quantity = 3, options = {}) {
       const {
         skipCleanup = false,
         detectedSide = null,
         detectedSize = 0,
+        detectedContractId = null,
+        symbol = contracts.DEFAULT_SYMBOL,
+        mode = BRACKET_MODE.STANDARD,
+        runner: runnerOptions = {},
+        entryType = ENTRY_TYPE.MARKET,
+        entryPrice = null,
+        expiresAt = null,
       } = options;
 
+      if (!Object.values(ENTRY_TYPE).includes(entryType)) {
+        throw new Error(`Unsupported entry type: ${entryType}`);
+      }
+      if (entryType !== ENTRY_TYPE.MARKET && !entryPrice) {
+        throw new Error(`${entryType} entry needs an entry price`);
+      }
+
+      const runner = resolveRunner(mode, quantity, runnerOptions);
+      const tpQuantity = runner ? runner.mainContracts : quantity;
+
       console.log(`[${brokerName}] === PLACING BRACKET ORDER ===`);
-      console.log(`[${brokerName}] Action: ${action.toUpperCase()}, Stop: ${stopPrice}, TP: ${tpPrice}, Qty: ${quantity}`);
+      console.log(`[${brokerName}] Action: ${action.toUpperCase()} ${symbol}, Entry: ${entryType}${entryPrice ? ` @ ${entryPrice}` : ''}, Stop: ${stopPrice}, TP: ${tpPrice}, Qty: ${quantity}`);
 
-      const exitSide = action.toLowerCase() === 'buy' ? 'sell' : 'buy';
+      // Resolve the entry contract before touching anything, so an expiring
+      // contract refuses the trade instead of leaving us flattened
+      const entryContractId = await getContractId(symbol);
 
       // STEP 1: AGGRESSIVE CLEANUP - Cancel ALL open orders first
-      console.log(`[${brokerName}] Step 1: Cancelling ALL open orders...`);
-      await cancelAllOrders();
+      console.log(`[${brokerName}] Step 1: Cancelling ALL open ${symbol} orders...`);
+      await cancelAllOrders(symbol);
 
       // STEP 2: Flatten existing position if detected (more reliable than Position API)
       if (!skipCleanup && detectedSide && detectedSide !== 'flat' && detectedSize > 0) {
         console.log(`[${brokerName}] Step 2: Flattening detected ${detectedSide} position (${detectedSize} contracts)...`);
-        await flattenByMarketOrder(detectedSide, detectedSize);
+        // Close on the position's own contract - it may be last month's after a roll
+        await flattenByMarketOrder(detectedSide, detectedSize, detectedContractId || symbol);
         // Wait for position to settle
         await new Promise(resolve => setTimeout(resolve, 400));
       } else if (skipCleanup) {
@@ -502,83 +753,122 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
         console.log(`[${brokerName}] Step 2: No position to flatten`);
       }
 
-      // STEP 3: Place market entry for ALL contracts
-      console.log(`[${brokerName}] Step 3: Placing market ${action.toUpperCase()} entry for ${quantity} contracts...`);
-      const entryOrder = await placeMarketOrder(action, quantity);
+      // STEP 3: Place the entry for ALL contracts
+      console.log(`[${brokerName}] Step 3: Placing ${entryType} ${action.toUpperCase()} entry for ${quantity} contracts...`);
+      let entryOrder;
+      if (entryType === ENTRY_TYPE.LIMIT) {
+        entryOrder = await placeLimitOrder(action, entryPrice, quantity, entryContractId);
+      } else if (entryType === ENTRY_TYPE.STOP) {
+        entryOrder = await placeStopOrder(action, entryPrice, quantity, entryContractId);
+      } else {
+        entryOrder = await placeMarketOrder(action, quantity, entryContractId);
+      }
       console.log(`[${brokerName}] Entry order placed:`, JSON.stringify(entryOrder));
 
-      // STEP 4: Place stop loss for ALL contracts
-      console.log(`[${brokerName}] Step 4: Placing stop loss at ${stopPrice} for ${quantity} contracts...`);
-      let stopOrder;
-      try {
-        stopOrder = await placeStopOrder(exitSide, stopPrice, quantity);
-        console.log(`[${brokerName}] Stop loss placed:`, JSON.stringify(stopOrder));
-      } catch (e) {
-        console.error(`[${brokerName}] CRITICAL: Stop loss failed!`, e.message);
-        throw new Error(`Stop loss failed after entry. UNPROTECTED POSITION! Error: ${e.message}`);
+      const breakdown = {
+        symbol: contracts.normalizeSymbol(symbol),
+        contractId: entryContractId,
+        mode: runner ? BRACKET_MODE.RUNNER : BRACKET_MODE.STANDARD,
+        totalContracts: quantity,
+        mainContracts: tpQuantity,
+        runnerContracts: runner ? runner.runnerContracts : 0,
+        tpPrice: tpPrice,
+        stopPrice: stopPrice,
+        entryType,
+        entryPrice,
+        expiresAt: entryType === ENTRY_TYPE.MARKET ? null : expiresAt,
+      };
+
+      if (entryType !== ENTRY_TYPE.MARKET) {
+        console.log(`[${brokerName}] === ENTRY WORKING - exits attach on fill${expiresAt ? `, expires ${expiresAt}` : ''} ===`);
+        return {
+          success: true,
+          pending: true,
+          entry: entryOrder,
+          stopLoss: null,
+          runnerStop: null,
+          takeProfit: null,
+          runner,
+          breakdown,
+        };
       }
 
-      // STEP 5: Place take profit for ALL contracts
-      console.log(`[${brokerName}] Step 5: Placing take profit at ${tpPrice} for ${quantity} contracts...`);
-      let tpOrder;
-      try {
-        tpOrder = await placeLimitOrder(exitSide, tpPrice, quantity);
-        console.log(`[${brokerName}] Take profit placed:`, JSON.stringify(tpOrder));
-      } catch (e) {
-        console.warn(`[${brokerName}] Take profit order failed, position protected by stop only:`, e.message);
+      // STEP 4-5: Stop loss per leg, TP for the main contracts
+      console.log(`[${brokerName}] Step 4: Placing exits...`);
+      const exits = await placeExitOrders(action, stopPrice, tpPrice, quantity, entryContractId, runner);
+
+      if (exits.tpError) {
         return {
           success: true,
           partial: true,
           warning: 'TP failed, protected by stop only',
           entry: entryOrder,
-          stopLoss: stopOrder,
+          stopLoss: exits.stopLoss,
+          runnerStop: exits.runnerStop,
           takeProfit: null,
-          tpError: e.message
+          tpError: exits.tpError,
+          runner,
+          breakdown,
         };
       }
 
       console.log(`[${brokerName}] === BRACKET ORDER COMPLETE ===`);
-      console.log(`[${brokerName}] Summary: Entry ${quantity}, TP ${quantity}@${tpPrice}, Stop ${quantity}@${stopPrice}`);
+      console.log(`[${brokerName}] Summary: Entry ${quantity}, TP ${tpQuantity}@${tpPrice}, Stop ${tpQuantity}${runner ? ` + runner ${runner.runnerContracts}` : ''}@${stopPrice}`);
 
       return {
         success: true,
         entry: entryOrder,
-        stopLoss: stopOrder,
-        takeProfit: tpOrder,
-        breakdown: {
-          totalContracts: quantity,
-          tpPrice: tpPrice,
-          stopPrice: stopPrice,
-        }
+        stopLoss: exits.stopLoss,
+        runnerStop: exits.runnerStop,
+        takeProfit: exits.takeProfit,
+        runner,
+        breakdown,
       };
     },
 
-    async placeMarketOrder(side, quantity = 1) {
-      return placeMarketOrder(side, quantity);
+    /**
+     * Attach the stop and TP to a filled limit / stop entry
+     * @param {string} action - Entry side, 'buy' or 'sell'
+     * @param {object} options - { contractId, mode, runner: { contracts, exit, trailTicks } }
+     * @returns {Promise<object>} { stopLoss, runnerStop, takeProfit, runner, tpError }
+     */
+    async placeBracketExits(action, stopPrice, tpPrice, quantity, options = {}) {
+      const { contractId, mode = BRACKET_MODE.STANDARD, runner: runnerOptions = {} } = options;
+      const runner = resolveRunner(mode, quantity, runnerOptions);
+      const exits = await placeExitOrders(action, stopPrice, tpPrice, quantity, contractId, runner);
+      return { ...exits, runner };
+    },
+
+    async placeMarketOrder(side, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
+      return placeMarketOrder(side, quantity, symbol);
     },
 
-    async placeStopOrder(side, stopPrice, quantity = 1) {
-      return placeStopOrder(side, stopPrice, quantity);
+    async placeStopOrder(side, stopPrice, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
+      return placeStopOrder(side, stopPrice, quantity, symbol);
     },
 
-    async placeLimitOrder(side, limitPrice, quantity = 1) {
-      return placeLimitOrder(side, limitPrice, quantity);
+    async placeLimitOrder(side, limitPrice, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
+      return placeLimitOrder(side, limitPrice, quantity, symbol);
     },
 
     async cancelOrder(orderId) {
       return cancelOrder(orderId);
     },
 
-    async placeTrailingStopOrder(side, trailPrice, quantity = 1) {
-      return placeTrailingStopOrder(side, trailPrice, quantity);
+    async placeTrailingStopOrder(side, trailPrice, quantity = 1, symbol = contracts.DEFAULT_SYMBOL) {
+      return placeTrailingStopOrder(side, trailPrice, quantity, symbol);
     },
 
-    async cancelAllOrders() {
-      return cancelAllOrders();
+    async cancelAllOrders(symbol = null) {
+      return cancelAllOrders(symbol);
     },
 
-    async flattenByMarketOrder(detectedSide, detectedSize) {
-      return flattenByMarketOrder(detectedSide, detectedSize);
+    async flattenByMarketOrder(detectedSide, detectedSize, symbol = contracts.DEFAULT_SYMBOL) {
+      return flattenByMarketOrder(detectedSide, detectedSize, symbol);
+    },
+
+    async getContractId(symbol = contracts.DEFAULT_SYMBOL) {
+      return getContractId(symbol);
     },
 
     async closeAllPositions(symbol = null) {
@@ -594,12 +884,14 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
 
       const closedOrders = [];
       for (const position of positions) {
-        if (symbol && !position.contractName?.includes(symbol) && !position.symbol?.includes(symbol)) continue;
-        const size = position.netPos || position.size || position.quantity || 0;
+        if (symbol && !contracts.isForSymbol(position, symbol)) continue;
+        const size = getPositionSize(position);
         if (size === 0) continue;
-        const closeSide = size > 0 ? 'sell' : 'buy';
+        // ProjectX reports shorts as type 2 with a positive size
+        const closeSide = getPositionSide(position) === 'short' ? 'buy' : 'sell';
         try {
-          const order = await placeMarketOrder(closeSide, Math.abs(size));
+          // Close the position's own contract, whatever product it is
+          const order = await placeMarketOrder(closeSide, size, position.contractId || symbol || contracts.DEFAULT_SYMBOL);
           closedOrders.push(order);
         } catch (e) {
           console.error(`[${brokerName}] Failed to close position:`, e.message);
@@ -609,7 +901,7 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
       // Cancel open orders
       const openOrders = await getOpenOrders();
       for (const order of openOrders) {
-        if (symbol && !order.contractName?.includes(symbol)) continue;
+        if (symbol && !contracts.isForSymbol(order, symbol)) continue;
         await cancelOrder(order.id || order.orderId);
       }
 
@@ -617,13 +909,27 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     },
 
     async getPositions() {
+      if (userHub?.isLive()) return userHub.getPositions();
       return getPositions();
     },
 
     async getOpenOrders() {
+      if (userHub?.isLive()) return userHub.getOpenOrders();
       return getOpenOrders();
     },
 
+    async getTrades(startTimestamp, endTimestamp = null) {
+      return getTrades(startTimestamp, endTimestamp);
+    },
+
+    async getContractById(contractId) {
+      return getContractById(contractId);
+    },
+
+    async getLastPrice(contractId) {
+      return getLastPrice(contractId);
+    },
+
     async getAccountStatus() {
       try {
         await getToken();
@@ -635,18 +941,33 @@ function createProjectXClient(accountConfig, brokerName, brokerType) {
     },
 
     async getAccountDetails() {
-      const token = await getToken();
-      const response = await fetchWithTimeout(`${BASE_URL}/Account/search`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ onlyActiveAccounts: true }),
-      });
-      if (!response.ok) throw new Error('Failed to fetch account details');
-      const data = await response.json();
-      const accounts = Array.isArray(data) ? data : (data.accounts || []);
-      const accId = await getAccountId();
-      const account = accounts.find(a => String(a.id) === String(accId)) || accounts[0];
-      return { id: account.id, name: account.name, balance: account.balance, ...account };
+      return getAccountDetails();
+    },
+
+    /**
+     * Real-time user hub for this session (lazy; call start() to connect)
+     * While it is live, getPositions() and getOpenOrders() read its book
+     */
+    getUserHub() {
+      if (!userHub) {
+        // Required lazily so serverless routes never load the SignalR client
+        const { createUserHub, getRtcUrl } = require('./userHub');
+        userHub = createUserHub({
+          brokerName,
+          rtcUrl: accountConfig.rtcUrl || getRtcUrl(BASE_URL),
+          getToken,
+          getAccountId,
+          loadSnapshot: async () => {
+            const [positions, orders, account] = await Promise.all([
+              getPositions(),
+              getOpenOrders(),
+              getAccountDetails(),
+            ]);
+            return { positions, orders, account };
+          },
+        });
+      }
+      return userHub;
     },
   };
 }
@@ -702,9 +1023,12 @@ function getBrokerClient(account) {
     throw new Error('Account is required');
   }
 
-  // Check cache first
-  if (brokerClients.has(account.id)) {
-    return brokerClients.get(account.id);
+  // Check cache first - a changed config (account edited in the database)
+  // gets a fresh client
+  const configKey = JSON.stringify([account.broker, account.config]);
+  const cached = brokerClients.get(account.id);
+  if (cached && cached.configKey === configKey) {
+    return cached.client;
   }
 
   // Create new client based on broker type
@@ -724,7 +1048,7 @@ function getBrokerClient(account) {
   }
 
   // Cache the client
-  brokerClients.set(account.id, client);
+  brokerClients.set(account.id, { client, configKey });
   console.log(`[Brokers] Created ${client.name} client for account ${account.id}`);
 
   return client;
@@ -752,6 +1076,8 @@ module.exports = {
   createTopStepXClient,
   createFuturesDeskClient,
   RUNNER_CONFIG,  // Export for configuration
+  BRACKET_MODE,
+  ENTRY_TYPE,
   ORDER_TYPE,
   ORDER_SIDE,
 };
@@ -0,0 +1,277 @@
+/**
+ * Position Reconciliation
+ * Authoritative position state for a symbol, built from Position/searchOpen
+ * and cross-checked against working orders.
+ *
+ * SOURCES:
+ * - positions: the broker's open positions (side, size, average price)
+ * - orders:    fallback when the position API fails - a SELL stop implies
+ *              a LONG, a BUY stop implies a SHORT, size from the stop
+ *
+ * A position is "unprotected" when its working stop orders (stop or
+ * trailing stop) cover fewer contracts than it holds (no stop at all, or a partial fill past the stop).
+ */
+
+const contracts = require('../contracts');
+const alertStorage = require('../alertStorage');
+
+// ProjectX position type: 1 = Long, 2 = Short
+const POSITION_TYPE = { LONG: 1, SHORT: 2 };
+
+// ProjectX order enums (see lib/brokers/index.js)
+const ORDER_TYPE_STOP = 4;
+const ORDER_TYPE_TRAILING_STOP = 5;
+const ORDER_SIDE = { BUY: 0, SELL: 1 };
+
+/**
+ * Side of a broker position: 'long', 'short' or 'flat'
+ * Uses the type field when present, otherwise the sign of the size
+ */
+function getPositionSide(position) {
+  if (position.type === POSITION_TYPE.LONG) return 'long';
+  if (position.type === POSITION_TYPE.SHORT) return 'short';
+
+  const size = position.netPos ?? position.size ?? position.quantity ?? 0;
+  if (size > 0) return 'long';
+  if (size < 0) return 'short';
+  return 'flat';
+}
+
+function getPositionSize(position) {
+  return Math.abs(position.netPos ?? position.size ?? position.quantity ?? 0);
+}
+
+/**
+ * Stop orders that protect a position - a runner's trailing stop counts
+ */
+function isStopOrder(order) {
+  return order.type === ORDER_TYPE_STOP || order.type === 'Stop'
+    || order.type === ORDER_TYPE_TRAILING_STOP || order.type === 'TrailingStop';
+}
+
+/**
+ * Side of the position a stop order protects
+ */
+function getProtectedSide(order) {
+  if (order.side === ORDER_SIDE.SELL || order.side === 'Sell') return 'long';
+  if (order.side === ORDER_SIDE.BUY || order.side === 'Buy') return 'short';
+  return null;
+}
+
+/**
+ * Infer a position from working stop orders (legacy detection)
+ */
+function detectFromOrders(stopOrders) {
+  const stopOrder = stopOrders.find(o => getProtectedSide(o));
+  if (!stopOrder) {
+    return { side: 'flat', size: 0, avgPrice: null, contractId: null };
+  }
+
+  return {
+    side: getProtectedSide(stopOrder),
+    size: stopOrder.size || 0,
+    avgPrice: null,
+    contractId: stopOrder.contractId || null,
+  };
+}
+
+/**
+ * Fetch positions and open orders together
+ * Either call may fail - the results are Promise.allSettled outcomes
+ */
+async function fetchSnapshot(brokerClient) {
+  const [positionsResult, ordersResult] = await Promise.allSettled([
+    brokerClient.getPositions(),
+    brokerClient.getOpenOrders(),
+  ]);
+  return { positionsResult, ordersResult };
+}
+
+/**
+ * Reconcile the position for a symbol
+ *
+ * @param {Object} brokerClient - Client from lib/brokers
+ * @param {string} symbol - Trading symbol
+ * @returns {Promise<Object>} {
+ *   side, size, avgPrice, contractId, unprotected, protectedSize,
+ *   source ('positions' | 'orders' | 'unavailable'), mismatch, warnings, openOrders
+ * }
+ */
+async function reconcilePosition(brokerClient, symbol) {
+  return buildPositionState(await fetchSnapshot(brokerClient), symbol);
+}
+
+/**
+ * Build position state for a symbol from a fetchSnapshot() result
+ */
+function buildPositionState({ positionsResult, ordersResult }, symbol) {
+  const warnings = [];
+  const openOrders = ordersResult.status === 'fulfilled'
+    ? ordersResult.value.filter(o => contracts.isForSymbol(o, symbol))
+    : null;
+  const stopOrders = (openOrders || []).filter(isStopOrder);
+
+  if (ordersResult.status === 'rejected') {
+    warnings.push(`Open orders unavailable: ${ordersResult.reason.message}`);
+  }
+
+  let state;
+  let source;
+
+  if (positionsResult.status === 'fulfilled') {
+    source = 'positions';
+    const positions = positionsResult.value
+      .filter(p => contracts.isForSymbol(p, symbol))
+      .filter(p => getPositionSize(p) > 0);
+
+    if (positions.length > 1) {
+      // Can happen briefly around a roll - report the largest, flag the rest
+      warnings.push(`${positions.length} open ${symbol} positions: ${positions.map(p => p.contractId).join(', ')}`);
+      positions.sort((a, b) => getPositionSize(b) - getPositionSize(a));
+    }
+
+    const position = positions[0];
+    state = position
+      ? {
+        side: getPositionSide(position),
+        size: getPositionSize(position),
+        avgPrice: position.averagePrice ?? null,
+        contractId: position.contractId || null,
+      }
+      : { side: 'flat', size: 0, avgPrice: null, contractId: null };
+  } else if (openOrders) {
+    source = 'orders';
+    warnings.push(`Position API unavailable (${positionsResult.reason.message}) - inferred from stop orders`);
+    state = detectFromOrders(stopOrders);
+    if (state.side !== 'flat' && !state.size) {
+      warnings.push('Stop order has no size - position size unknown');
+    }
+  } else {
+    source = 'unavailable';
+    warnings.push(`Position API unavailable: ${positionsResult.reason.message}`);
+    state = { side: 'flat', size: 0, avgPrice: null, contractId: null };
+  }
+
+  // Stop coverage: only stops on the closing side protect the position
+  const protectedSize = state.side === 'flat'
+    ? 0
+    : stopOrders
+      .filter(o => getProtectedSide(o) === state.side)
+      .reduce((sum, o) => sum + (o.size || 0), 0);
+
+  // Only the position API can prove a position is unprotected
+  const unprotected = source === 'positions' && state.side !== 'flat' && protectedSize < state.size;
+
+  // Orders imply a different position than the broker reports
+  let mismatch = false;
+  if (source === 'positions' && openOrders) {
+    const implied = detectFromOrders(stopOrders);
+    if (implied.side !== 'flat' && implied.side !== state.side) {
+      mismatch = true;
+      warnings.push(`Stop orders imply ${implied.side} but position is ${state.side} - stale orders`);
+    }
+  }
+
+  return {
+    ...state,
+    unprotected,
+    protectedSize,
+    source,
+    mismatch,
+    warnings,
+    openOrders,
+  };
+}
+
+/**
+ * Place a stop for the uncovered part of a position
+ * Stop sits stopTicks from the average price (or from the last price if that
+ * is already through it).
+ *
+ * @param {Object} brokerClient - Client from lib/brokers
+ * @param {Object} position - Result of reconcilePosition()
+ * @param {number} stopTicks - Distance in ticks
+ * @returns {Promise<Object>} { order, stopPrice, size }
+ */
+async function attachEmergencyStop(brokerClient, position, stopTicks) {
+  const spec = contracts.getContractSpec(position.contractId);
+  if (!spec) throw new Error(`Unknown contract ${position.contractId}`);
+  if (!position.avgPrice) throw new Error('Average price unavailable');
+
+  const size = position.size - position.protectedSize;
+  const distance = stopTicks * spec.tickSize;
+  const isLong = position.side === 'long';
+  let stopPrice = isLong ? position.avgPrice - distance : position.avgPrice + distance;
+
+  // Never place the stop on the wrong side of the market
+  if (typeof brokerClient.getLastPrice === 'function') {
+    const lastPrice = await brokerClient.getLastPrice(position.contractId).catch(() => null);
+    if (lastPrice !== null) {
+      stopPrice = isLong ? Math.min(stopPrice, lastPrice - distance) : Math.max(stopPrice, lastPrice + distance);
+    }
+  }
+  stopPrice = contracts.roundToTick(stopPrice, position.contractId);
+
+  const order = await brokerClient.placeStopOrder(isLong ? 'sell' : 'buy', stopPrice, size, position.contractId);
+  return { order, stopPrice, size };
+}
+
+/**
+ * Alert on an unprotected position and, when the account has
+ * EMERGENCY_STOP_TICKS configured, attach a stop for the uncovered size
+ *
+ * @returns {Promise<Object>} { alerted, stopAttached, stopPrice, error }
+ */
+async function protectPosition(account, brokerClient, position, symbol) {
+  const uncovered = position.size - position.protectedSize;
+  const message = `Unprotected ${position.side} ${symbol} position: ${uncovered} of ${position.size} contract(s) without a stop`;
+  console.warn(`[PositionReconciler] ${account.id}: ${message}`);
+
+  const stopTicks = account.emergencyStopTicks;
+  if (!stopTicks) {
+    await alertStorage.saveAlert({
+      action: 'protect',
+      symbol,
+      account: account.id,
+      status: 'unprotected',
+      error: message,
+    });
+    return { alerted: true, stopAttached: false };
+  }
+
+  try {
+    const { stopPrice } = await attachEmergencyStop(brokerClient, position, stopTicks);
+    console.log(`[PositionReconciler] ${account.id}: emergency stop for ${uncovered} at ${stopPrice}`);
+    await alertStorage.saveAlert({
+      action: 'protect',
+      symbol,
+      account: account.id,
+      status: 'success',
+      stop: stopPrice,
+      error: `${message} - emergency stop attached`,
+    });
+    return { alerted: true, stopAttached: true, stopPrice };
+  } catch (e) {
+    console.error(`[PositionReconciler] ${account.id}: emergency stop FAILED:`, e.message);
+    await alertStorage.saveAlert({
+      action: 'protect',
+      symbol,
+      account: account.id,
+      status: 'failed',
+      error: `${message} - emergency stop failed: ${e.message}`,
+    });
+    return { alerted: true, stopAttached: false, error: e.message };
+  }
+}
+
+module.exports = {
+  reconcilePosition,
+  fetchSnapshot,
+  buildPositionState,
+  attachEmergencyStop,
+  protectPosition,
+  getPositionSide,
+  getPositionSize,
+  isStopOrder,
+  POSITION_TYPE,
+};
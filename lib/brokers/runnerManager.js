@@ -0,0 +1,73 @@
+/**
+ * Runner Manager
+ * Handles the runner leg of runner-mode brackets once the TP fills.
+ *
+ * placeBracketOrder (mode 'runner') gives the main contracts a TP and a stop
+ * and the runner its own stop. When bracketSupervisor sees the TP filled
+ * with only the runner left, the main stop is cancelled and the runner's
+ * stop is replaced with:
+ * - trail:     a ProjectX trailing stop TRAIL_TICKS behind the market
+ * - breakeven: a stop at the position's average price
+ */
+
+const contracts = require('../contracts');
+const alertStorage = require('../alertStorage');
+
+function getOrderId(order) {
+  return order?.orderId ?? order?.id ?? null;
+}
+
+/**
+ * Swap the runner's stop once the main contracts are out
+ *
+ * @param {Object} account - Account from lib/accounts
+ * @param {Object} brokerClient - Client from lib/brokers
+ * @param {Object} bracket - Tracked bracket ({ symbol, contractId, side, stopOrderId, runnerStopOrderId, runner })
+ * @param {Object} position - Result of positionReconciler for the symbol
+ * @returns {Promise<number|null>} The runner's new stop order ID
+ */
+async function activateRunner(account, brokerClient, bracket, position) {
+  const { runner } = bracket;
+  const spec = contracts.getContractSpec(bracket.contractId);
+  const exitSide = bracket.side === 'long' ? 'sell' : 'buy';
+
+  let newStop;
+  let detail;
+  if (runner.exit === 'breakeven' && position.avgPrice) {
+    const stopPrice = contracts.roundToTick(position.avgPrice, bracket.contractId);
+    newStop = await brokerClient.placeStopOrder(exitSide, stopPrice, position.size, bracket.contractId);
+    detail = `break-even stop at ${stopPrice}`;
+  } else {
+    const trailPoints = runner.trailTicks * spec.tickSize;
+    newStop = await brokerClient.placeTrailingStopOrder(exitSide, trailPoints, position.size, bracket.contractId);
+    detail = `trailing stop ${trailPoints} pts`;
+  }
+
+  // New stop first, then drop the originals - never leave the runner naked.
+  // Brackets saved before per-leg stops only have stopOrderId.
+  // A failed cancel is logged, not thrown: the new stop is already working
+  // and throwing would place another one on the next pass.
+  for (const orderId of [bracket.stopOrderId, bracket.runnerStopOrderId]) {
+    if (!orderId) continue;
+    try {
+      await brokerClient.cancelOrder(orderId);
+    } catch (error) {
+      console.warn(`[RunnerManager] ${account.id}: could not cancel old stop ${orderId}: ${error.message}`);
+    }
+  }
+
+  console.log(`[RunnerManager] ${account.id}: TP filled, ${bracket.symbol} runner now on ${detail}`);
+  await alertStorage.saveAlert({
+    action: 'runner',
+    symbol: bracket.symbol,
+    account: account.id,
+    status: 'success',
+    error: `TP filled - ${position.size} runner contract(s) on ${detail}`,
+  });
+
+  return getOrderId(newStop);
+}
+
+module.exports = {
+  activateRunner,
+};
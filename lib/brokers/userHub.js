@@ -0,0 +1,255 @@
+/**
+ * ProjectX Real-Time User Hub
+ * SignalR connection to the ProjectX user hub that keeps a live book of
+ * orders, positions, trades and account state for one account.
+ *
+ * EVENTS (ProjectX):
+ * - GatewayUserAccount   balance / canTrade changes
+ * - GatewayUserOrder     order placed, filled, cancelled
+ * - GatewayUserPosition  position opened, changed, closed (size 0)
+ * - GatewayUserTrade     fills, closing fills carry profitAndLoss
+ *
+ * The book is seeded from REST on connect and on every reconnect, then
+ * updated from events. Listeners registered with on() receive
+ * (type, data, book) for 'account' | 'order' | 'position' | 'trade' | 'status'.
+ * A 'status' with closed: true means automatic reconnect gave up; start()
+ * connects again.
+ *
+ * Only useful in a long-lived process (next start, bracket-supervisor.js);
+ * serverless functions keep using the REST calls.
+ */
+
+const signalR = require('@microsoft/signalr');
+
+const USER_EVENTS = {
+  GatewayUserAccount: 'account',
+  GatewayUserOrder: 'order',
+  GatewayUserPosition: 'position',
+  GatewayUserTrade: 'trade',
+};
+
+// Matches getOpenOrders() in lib/brokers/index.js
+const WORKING_ORDER_STATUS = [0, 1, 'Working', 'New'];
+
+// Recent fills kept in memory per account
+const MAX_TRADES = 200;
+
+/**
+ * Derive the RTC host from the REST base URL
+ * https://api.topstepx.com/api -> https://rtc.topstepx.com
+ */
+function getRtcUrl(baseUrl) {
+  return baseUrl.replace('://api.', '://rtc.').replace(/\/api\/?$/, '');
+}
+
+function isWorkingOrder(order) {
+  return WORKING_ORDER_STATUS.includes(order.status);
+}
+
+/**
+ * Create a user hub for one ProjectX session
+ *
+ * @param {Object} options
+ * @param {string} options.brokerName - Log prefix
+ * @param {string} options.rtcUrl - RTC host (see getRtcUrl)
+ * @param {Function} options.getToken - Session token provider
+ * @param {Function} options.getAccountId - Session account ID provider
+ * @param {Function} options.loadSnapshot - async () => { positions, orders, account }
+ */
+function createUserHub({ brokerName, rtcUrl, getToken, getAccountId, loadSnapshot }) {
+  const book = {
+    connected: false,
+    synced: false,
+    accountId: null,
+    account: null,
+    orders: new Map(),      // order ID -> working order
+    positions: new Map(),   // contract ID -> open position
+    trades: [],             // most recent first
+    updatedAt: null,
+  };
+
+  const listeners = new Set();
+  let connection = null;
+  let starting = null;
+
+  function emit(type, data) {
+    book.updatedAt = new Date().toISOString();
+    for (const listener of listeners) {
+      try {
+        listener(type, data, book);
+      } catch (e) {
+        console.error(`[${brokerName}] User hub listener failed:`, e.message);
+      }
+    }
+  }
+
+  function applyOrder(order) {
+    if (isWorkingOrder(order)) {
+      book.orders.set(order.id, order);
+    } else {
+      book.orders.delete(order.id);
+    }
+  }
+
+  function applyPosition(position) {
+    if (!position.size) {
+      book.positions.delete(position.contractId);
+    } else {
+      book.positions.set(position.contractId, position);
+    }
+  }
+
+  function applyTrade(trade) {
+    if (trade.voided) return;
+    book.trades.unshift(trade);
+    if (book.trades.length > MAX_TRADES) book.trades.length = MAX_TRADES;
+  }
+
+  function handleEvent(type, payload) {
+    // Hub messages arrive as { action, data } or as the bare entity
+    const data = payload?.data ?? payload;
+    if (!data) return;
+    if (data.accountId !== undefined && String(data.accountId) !== String(book.accountId)) return;
+
+    switch (type) {
+      case 'account':
+        if (String(data.id) !== String(book.accountId)) return;
+        book.account = { ...book.account, ...data };
+        break;
+      case 'order':
+        applyOrder(data);
+        break;
+      case 'position':
+        applyPosition(data);
+        break;
+      case 'trade':
+        applyTrade(data);
+        break;
+      default:
+        return;
+    }
+
+    emit(type, data);
+  }
+
+  /**
+   * Reset the book from REST - events only carry deltas
+   */
+  async function resync() {
+    const { positions, orders, account } = await loadSnapshot();
+    book.orders = new Map(orders.filter(isWorkingOrder).map(o => [o.id, o]));
+    book.positions = new Map(positions.filter(p => p.size).map(p => [p.contractId, p]));
+    book.account = account;
+    book.synced = true;
+    emit('status', { connected: book.connected, synced: true });
+  }
+
+  async function subscribe() {
+    const accountId = Number(book.accountId);
+    await connection.invoke('SubscribeAccounts');
+    await connection.invoke('SubscribeOrders', accountId);
+    await connection.invoke('SubscribePositions', accountId);
+    await connection.invoke('SubscribeTrades', accountId);
+  }
+
+  async function connect() {
+    book.accountId = await getAccountId();
+
+    connection = new signalR.HubConnectionBuilder()
+      .withUrl(`${rtcUrl}/hubs/user`, {
+        skipNegotiation: true,
+        transport: signalR.HttpTransportType.WebSockets,
+        accessTokenFactory: () => getToken(),
+      })
+      .withAutomaticReconnect()
+      .configureLogging(signalR.LogLevel.Warning)
+      .build();
+
+    for (const [eventName, type] of Object.entries(USER_EVENTS)) {
+      connection.on(eventName, payload => handleEvent(type, payload));
+    }
+
+    connection.onreconnecting(() => {
+      book.connected = false;
+      book.synced = false;
+      console.warn(`[${brokerName}] User hub reconnecting...`);
+      emit('status', { connected: false, synced: false });
+    });
+
+    connection.onreconnected(async () => {
+      book.connected = true;
+      console.log(`[${brokerName}] User hub reconnected`);
+      try {
+        await subscribe();
+        await resync();
+      } catch (e) {
+        console.error(`[${brokerName}] User hub resubscribe failed:`, e.message);
+      }
+    });
+
+    connection.onclose(() => {
+      book.connected = false;
+      book.synced = false;
+      connection = null;
+      console.warn(`[${brokerName}] User hub closed`);
+      emit('status', { connected: false, synced: false, closed: true });
+    });
+
+    await connection.start();
+    book.connected = true;
+    await subscribe();
+    await resync();
+    console.log(`[${brokerName}] User hub connected for account ${book.accountId}`);
+  }
+
+  return {
+    book,
+
+    /**
+     * Connect and subscribe (idempotent)
+     */
+    async start() {
+      if (connection && book.connected) return book;
+      if (!starting) {
+        starting = connect().finally(() => {
+          starting = null;
+        });
+      }
+      await starting;
+      return book;
+    },
+
+    async stop() {
+      if (connection) await connection.stop();
+    },
+
+    /**
+     * Register a listener, returns an unsubscribe function
+     */
+    on(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * True when the book can stand in for REST reads
+     */
+    isLive() {
+      return book.connected && book.synced;
+    },
+
+    getOpenOrders() {
+      return Array.from(book.orders.values());
+    },
+
+    getPositions() {
+      return Array.from(book.positions.values());
+    },
+  };
+}
+
+module.exports = {
+  createUserHub,
+  getRtcUrl,
+  USER_EVENTS,
+};
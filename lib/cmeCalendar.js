@@ -0,0 +1,255 @@
+/**
+ * CME Holiday Calendar
+ * Generates exchange holidays and early-close days from rules, so the
+ * calendar never runs out at the end of a hard-coded list.
+ *
+ * HOLIDAYS (market closed all day):
+ *   New Year's Day, MLK Day (3rd Mon Jan), Presidents Day (3rd Mon Feb),
+ *   Good Friday (Easter - 2), Memorial Day (last Mon May), Juneteenth (from
+ *   2022), Independence Day, Labor Day (1st Mon Sep), Thanksgiving (4th Thu
+ *   Nov), Christmas. A Saturday holiday is observed on Friday and a Sunday
+ *   holiday on Monday - except New Year's Day on a Saturday, which is not
+ *   moved into the old year.
+ *
+ * EARLY CLOSE: July 3, the day after Thanksgiving, Christmas Eve and New
+ * Year's Eve, when they are weekdays and not holidays. The time depends on
+ * the product group (lib/futuresMarket.js), 1:00 PM ET by default.
+ *
+ * OVERRIDES:
+ * A JSON file (CME_CALENDAR_FILE, default cme-calendar.json in the project
+ * root; optional) adds or removes dates, globally or per product. Product
+ * keys are symbol roots ("CL") or product groups ("energy", "rates"); the symbol wins.
+ * next.config.js traces the default file into the serverless bundle; a
+ * CME_CALENDAR_FILE elsewhere has to be deployed with the app.
+ * {
+ *   "holidays":   { "add": { "2027-01-08": "National Day of Mourning" }, "remove": [] },
+ *   "earlyClose": { "add": {}, "remove": ["2027-12-31"] },
+ *   "products": {
+ *     "energy": { "earlyCloseTime": "13:30", "holidays": { "remove": ["2027-01-18"] } }
+ *   }
+ * }
+ * earlyCloseTime (HH:MM ET) changes the early-close time for that product.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = 'cme-calendar.json';
+const DEFAULT_EARLY_CLOSE_MINUTES_ET = 13 * 60;
+
+// year -> { holidays: Map(date -> name), earlyClose: Map(date -> name) }
+const yearCache = new Map();
+let overrides = null;
+
+function toDateString(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day)).toISOString().split('T')[0];
+}
+
+function weekday(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day)).getUTCDay();
+}
+
+/**
+ * Day of month of the nth given weekday (n = -1 for the last one)
+ */
+function nthWeekday(year, monthIndex, dayOfWeek, n) {
+  if (n > 0) {
+    const first = weekday(year, monthIndex, 1);
+    return 1 + ((dayOfWeek - first + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  const last = weekday(year, monthIndex, lastDay);
+  return lastDay - ((last - dayOfWeek + 7) % 7);
+}
+
+/**
+ * Easter Sunday (Gregorian, anonymous algorithm)
+ * @returns {Array} [monthIndex, day]
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month - 1, day];
+}
+
+/**
+ * Fixed-date holiday moved off the weekend
+ * @returns {string|null} Observed date, or null when it is not observed
+ */
+function observed(year, monthIndex, day, { saturdayToFriday = true } = {}) {
+  const dow = weekday(year, monthIndex, day);
+  if (dow === 6) return saturdayToFriday ? toDateString(year, monthIndex, day - 1) : null;
+  if (dow === 0) return toDateString(year, monthIndex, day + 1);
+  return toDateString(year, monthIndex, day);
+}
+
+/**
+ * Rule-based holidays for a year, before overrides
+ * @returns {Map} date -> name
+ */
+function generateHolidays(year) {
+  const [easterMonth, easterDay] = easterSunday(year);
+  const entries = [
+    [observed(year, 0, 1, { saturdayToFriday: false }), "New Year's Day"],
+    [toDateString(year, 0, nthWeekday(year, 0, 1, 3)), 'MLK Day'],
+    [toDateString(year, 1, nthWeekday(year, 1, 1, 3)), 'Presidents Day'],
+    [toDateString(year, easterMonth, easterDay - 2), 'Good Friday'],
+    [toDateString(year, 4, nthWeekday(year, 4, 1, -1)), 'Memorial Day'],
+    [year >= 2022 ? observed(year, 5, 19) : null, 'Juneteenth'],
+    [observed(year, 6, 4), 'Independence Day'],
+    [toDateString(year, 8, nthWeekday(year, 8, 1, 1)), 'Labor Day'],
+    [toDateString(year, 10, nthWeekday(year, 10, 4, 4)), 'Thanksgiving'],
+    [observed(year, 11, 25), 'Christmas'],
+  ];
+  return new Map(entries.filter(([date]) => date));
+}
+
+/**
+ * Rule-based early-close days for a year, before overrides
+ * @returns {Map} date -> name
+ */
+function generateEarlyClose(year, holidays) {
+  const thanksgiving = nthWeekday(year, 10, 4, 4);
+  const candidates = [
+    [year, 6, 3, 'Day before Independence Day'],
+    [year, 10, thanksgiving + 1, 'Day after Thanksgiving'],
+    [year, 11, 24, 'Christmas Eve'],
+    [year, 11, 31, "New Year's Eve"],
+  ];
+
+  const days = new Map();
+  for (const [y, monthIndex, day, name] of candidates) {
+    const dow = weekday(y, monthIndex, day);
+    const date = toDateString(y, monthIndex, day);
+    if (dow !== 0 && dow !== 6 && !holidays.has(date)) days.set(date, name);
+  }
+  return days;
+}
+
+/**
+ * Parsed override file ({} when there is none)
+ */
+function getOverrides() {
+  if (overrides) return overrides;
+
+  const filePath = path.resolve(process.cwd(), process.env.CME_CALENDAR_FILE || DEFAULT_FILE);
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`[CmeCalendar] Loaded overrides from ${filePath}`);
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.CME_CALENDAR_FILE) {
+      console.log(`[CmeCalendar] No ${DEFAULT_FILE} at ${filePath}, using the rule-based calendar`);
+    } else if (error.code === 'ENOENT') {
+      console.error(`[CmeCalendar] CME_CALENDAR_FILE ${filePath} not found - overrides are NOT applied`);
+    } else {
+      console.error(`[CmeCalendar] Ignoring ${filePath}: ${error.message}`);
+    }
+    overrides = {};
+  }
+  return overrides;
+}
+
+function applyOverride(days, override, year) {
+  if (!override) return days;
+  const result = new Map(days);
+  for (const date of override.remove || []) result.delete(date);
+  for (const [date, name] of Object.entries(override.add || {})) {
+    if (date.startsWith(`${year}-`)) result.set(date, name || 'Override');
+  }
+  return result;
+}
+
+/**
+ * Override sections for a product, most general first
+ */
+function getProductOverrides(product) {
+  const keys = (Array.isArray(product) ? product : [product]).filter(Boolean);
+  const products = getOverrides().products || {};
+  return keys.map(key => products[key] || products[String(key).toUpperCase()] || products[String(key).toLowerCase()])
+    .filter(Boolean);
+}
+
+function getYear(year) {
+  if (!yearCache.has(year)) {
+    const config = getOverrides();
+    const holidays = applyOverride(generateHolidays(year), config.holidays, year);
+    const earlyClose = applyOverride(generateEarlyClose(year, holidays), config.earlyClose, year);
+    yearCache.set(year, { holidays, earlyClose });
+  }
+  return yearCache.get(year);
+}
+
+/**
+ * Holidays for a year
+ * @param {number} year
+ * @param {string|Array<string>} [product] - Symbol root and/or product group
+ * @returns {Array} [{ date: 'YYYY-MM-DD', name }] sorted by date
+ */
+function getHolidays(year, product = null) {
+  let days = getYear(year).holidays;
+  for (const override of getProductOverrides(product)) days = applyOverride(days, override.holidays, year);
+  return [...days].map(([date, name]) => ({ date, name })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Early-close days for a year
+ * @returns {Array} [{ date: 'YYYY-MM-DD', name }] sorted by date
+ */
+function getEarlyCloseDays(year, product = null) {
+  let days = getYear(year).earlyClose;
+  for (const override of getProductOverrides(product)) days = applyOverride(days, override.earlyClose, year);
+  return [...days].map(([date, name]) => ({ date, name })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function isHolidayDate(dateStr, product = null) {
+  return getHolidays(Number(dateStr.slice(0, 4)), product).some(day => day.date === dateStr);
+}
+
+function isEarlyCloseDate(dateStr, product = null) {
+  return getEarlyCloseDays(Number(dateStr.slice(0, 4)), product).some(day => day.date === dateStr);
+}
+
+/**
+ * Early-close time in minutes after midnight ET (product earlyCloseTime wins)
+ * @param {string|Array<string>} [product]
+ * @param {number} [defaultMinutes] - Time when no override sets one (product group default)
+ */
+function getEarlyCloseMinutes(product = null, defaultMinutes = DEFAULT_EARLY_CLOSE_MINUTES_ET) {
+  let minutes = defaultMinutes;
+  for (const override of getProductOverrides(product)) {
+    const match = String(override.earlyCloseTime || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (match) minutes = Number(match[1]) * 60 + Number(match[2]);
+  }
+  return minutes;
+}
+
+/**
+ * Drop cached years and re-read the override file
+ */
+function reload() {
+  yearCache.clear();
+  overrides = null;
+}
+
+module.exports = {
+  DEFAULT_EARLY_CLOSE_MINUTES_ET,
+  easterSunday,
+  getHolidays,
+  getEarlyCloseDays,
+  isHolidayDate,
+  isEarlyCloseDate,
+  getEarlyCloseMinutes,
+  reload,
+};
@@ -0,0 +1,395 @@
+/**
+ * Contract Specification Registry
+ * Tick size, tick value, price sanity bands and roll rules per futures product
+ *
+ * SYMBOL FORMATS ACCEPTED (normalizeSymbol):
+ * - Root:               "MNQ"
+ * - TradingView:        "MNQ1!", "CME_MINI:MNQ1!", "MNQZ2025"
+ * - Contract month:     "MNQZ5", "MNQZ25"
+ * - ProjectX contract:  "CON.F.US.MNQ.Z25", "CON.F.US.ENQ.Z25" (NQ)
+ *
+ * ROLLOVER:
+ * getActiveContract() walks the CME expiry calendar and returns the contract
+ * to trade today. It switches to the next listed month rollDaysBeforeExpiry
+ * days before expiry (override with CONTRACT_ROLL_DAYS or
+ * CONTRACT_ROLL_DAYS_{SYMBOL}, e.g. CONTRACT_ROLL_DAYS_MNQ=5).
+ */
+
+const futuresMarket = require('./futuresMarket');
+
+// CME month codes, index 0 = January
+const MONTH_CODES = ['F', 'G', 'H', 'J', 'K', 'M', 'N', 'Q', 'U', 'V', 'X', 'Z'];
+
+const PRODUCT_GROUP = {
+  EQUITY_INDEX: 'equity_index',
+  ENERGY: 'energy',
+  METALS: 'metals',
+};
+
+/**
+ * Roll rules
+ * - months: listed contract months traded (front month is picked from these)
+ * - expiryRule: how the last trading day is derived
+ *     'third_friday'     third Friday of the contract month (equity index)
+ *     'energy'           N business days before the 25th of the prior month
+ *     'metals'           third-last business day of the contract month
+ * - rollDaysBeforeExpiry: switch to the next contract this many calendar days
+ *   before expiry (volume has moved by then)
+ */
+const EQUITY_INDEX_ROLL = { months: ['H', 'M', 'U', 'Z'], expiryRule: 'third_friday', rollDaysBeforeExpiry: 8 };
+const ENERGY_ROLL = { months: MONTH_CODES, expiryRule: 'energy', expiryBusinessDays: 3, rollDaysBeforeExpiry: 5 };
+const MICRO_ENERGY_ROLL = { ...ENERGY_ROLL, expiryBusinessDays: 4 };
+// Metals roll ahead of first notice (end of prior month), well before last trade
+const METALS_ROLL = { months: ['G', 'J', 'M', 'Q', 'V', 'Z'], expiryRule: 'metals', rollDaysBeforeExpiry: 30 };
+
+const CONTRACT_SPECS = {
+  MNQ: {
+    symbol: 'MNQ', projectxRoot: 'MNQ', name: 'Micro E-mini Nasdaq-100', group: PRODUCT_GROUP.EQUITY_INDEX,
+    tickSize: 0.25, tickValue: 0.50, pointValue: 2, decimals: 2,
+    priceBand: { min: 10000, max: 50000 }, roll: EQUITY_INDEX_ROLL,
+  },
+  NQ: {
+    symbol: 'NQ', projectxRoot: 'ENQ', name: 'E-mini Nasdaq-100', group: PRODUCT_GROUP.EQUITY_INDEX,
+    tickSize: 0.25, tickValue: 5, pointValue: 20, decimals: 2,
+    priceBand: { min: 10000, max: 50000 }, roll: EQUITY_INDEX_ROLL,
+  },
+  MES: {
+    symbol: 'MES', projectxRoot: 'MES', name: 'Micro E-mini S&P 500', group: PRODUCT_GROUP.EQUITY_INDEX,
+    tickSize: 0.25, tickValue: 1.25, pointValue: 5, decimals: 2,
+    priceBand: { min: 3000, max: 12000 }, roll: EQUITY_INDEX_ROLL,
+  },
+  ES: {
+    symbol: 'ES', projectxRoot: 'EP', name: 'E-mini S&P 500', group: PRODUCT_GROUP.EQUITY_INDEX,
+    tickSize: 0.25, tickValue: 12.50, pointValue: 50, decimals: 2,
+    priceBand: { min: 3000, max: 12000 }, roll: EQUITY_INDEX_ROLL,
+  },
+  M2K: {
+    symbol: 'M2K', projectxRoot: 'M2K', name: 'Micro E-mini Russell 2000', group: PRODUCT_GROUP.EQUITY_INDEX,
+    tickSize: 0.1, tickValue: 0.50, pointValue: 5, decimals: 1,
+    priceBand: { min: 1000, max: 5000 }, roll: EQUITY_INDEX_ROLL,
+  },
+  RTY: {
+    symbol: 'RTY', projectxRoot: 'RTY', name: 'E-mini Russell 2000', group: PRODUCT_GROUP.EQUITY_INDEX,
+    tickSize: 0.1, tickValue: 5, pointValue: 50, decimals: 1,
+    priceBand: { min: 1000, max: 5000 }, roll: EQUITY_INDEX_ROLL,
+  },
+  MCL: {
+    symbol: 'MCL', projectxRoot: 'MCLE', name: 'Micro WTI Crude Oil', group: PRODUCT_GROUP.ENERGY,
+    tickSize: 0.01, tickValue: 1, pointValue: 100, decimals: 2,
+    priceBand: { min: 20, max: 200 }, roll: MICRO_ENERGY_ROLL,
+  },
+  CL: {
+    symbol: 'CL', projectxRoot: 'CLE', name: 'WTI Crude Oil', group: PRODUCT_GROUP.ENERGY,
+    tickSize: 0.01, tickValue: 10, pointValue: 1000, decimals: 2,
+    priceBand: { min: 20, max: 200 }, roll: ENERGY_ROLL,
+  },
+  MGC: {
+    symbol: 'MGC', projectxRoot: 'MGC', name: 'Micro Gold', group: PRODUCT_GROUP.METALS,
+    tickSize: 0.1, tickValue: 1, pointValue: 10, decimals: 1,
+    priceBand: { min: 1000, max: 10000 }, roll: METALS_ROLL,
+  },
+  GC: {
+    symbol: 'GC', projectxRoot: 'GCE', name: 'Gold', group: PRODUCT_GROUP.METALS,
+    tickSize: 0.1, tickValue: 10, pointValue: 100, decimals: 1,
+    priceBand: { min: 1000, max: 10000 }, roll: METALS_ROLL,
+  },
+};
+
+const DEFAULT_SYMBOL = 'MNQ';
+
+// ProjectX lists some products under exchange roots (ENQ = NQ, EP = ES, ...)
+const ROOT_ALIASES = Object.fromEntries(
+  Object.values(CONTRACT_SPECS)
+    .filter(spec => spec.projectxRoot !== spec.symbol)
+    .map(spec => [spec.projectxRoot, spec.symbol])
+);
+
+// Longest roots first so "MNQ" is tried before "NQ"
+const ROOTS_BY_LENGTH = [...Object.keys(CONTRACT_SPECS), ...Object.keys(ROOT_ALIASES)]
+  .sort((a, b) => b.length - a.length);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize any supported symbol format to a registry root ("MNQ")
+ * Returns null if the symbol isn't in the registry
+ */
+function normalizeSymbol(symbol) {
+  if (!symbol) return null;
+
+  let raw = String(symbol).trim().toUpperCase();
+
+  // ProjectX contract ID: CON.F.US.MNQ.Z25
+  const projectxMatch = raw.match(/^CON\.F\.US\.([A-Z0-9]+)\.[A-Z]\d{1,2}$/);
+  if (projectxMatch) raw = projectxMatch[1];
+
+  // TradingView exchange prefix and continuous suffix: CME_MINI:MNQ1!
+  raw = raw.replace(/^[A-Z_]+:/, '').replace(/\d+!$/, '');
+
+  if (CONTRACT_SPECS[raw]) return raw;
+  if (ROOT_ALIASES[raw]) return ROOT_ALIASES[raw];
+
+  // Contract month suffix: MNQZ5, MNQZ25, MNQZ2025
+  const parsed = parseContractMonth(raw);
+  return parsed ? parsed.symbol : null;
+}
+
+/**
+ * Parse a contract month from a contract code or ProjectX contract ID
+ * "MNQZ5" / "MNQZ25" / "CON.F.US.ENQ.H26" -> { symbol, monthCode, year }
+ * Single-digit years resolve to the nearest decade at or after 2020.
+ */
+function parseContractMonth(ref) {
+  if (!ref) return null;
+  let raw = String(ref).trim().toUpperCase();
+
+  const projectxMatch = raw.match(/^CON\.F\.US\.([A-Z0-9]+)\.([A-Z]\d{1,2})$/);
+  if (projectxMatch) raw = projectxMatch[1] + projectxMatch[2];
+
+  for (const root of ROOTS_BY_LENGTH) {
+    if (!raw.startsWith(root)) continue;
+    const match = raw.slice(root.length).match(/^([FGHJKMNQUVXZ])(\d{1,4})$/);
+    if (!match) continue;
+
+    const digits = match[2];
+    let year = parseInt(digits, 10);
+    if (digits.length === 1) {
+      year = 2020 + year;
+    } else if (digits.length === 2) {
+      year = 2000 + year;
+    }
+
+    return { symbol: ROOT_ALIASES[root] || root, monthCode: match[1], year };
+  }
+
+  return null;
+}
+
+/**
+ * Get the spec for a symbol (any supported format)
+ * @returns {Object|null}
+ */
+function getContractSpec(symbol) {
+  const root = normalizeSymbol(symbol);
+  return root ? CONTRACT_SPECS[root] : null;
+}
+
+/**
+ * Check if a symbol is supported
+ */
+function isSupportedSymbol(symbol) {
+  return normalizeSymbol(symbol) !== null;
+}
+
+/**
+ * Round a price to the nearest valid tick for the symbol
+ */
+function roundToTick(price, symbol) {
+  const spec = getContractSpec(symbol) || CONTRACT_SPECS[DEFAULT_SYMBOL];
+  const rounded = Math.round(price / spec.tickSize) * spec.tickSize;
+  // Fix floating point precision issues
+  return parseFloat(rounded.toFixed(spec.decimals));
+}
+
+/**
+ * Check a price falls inside the symbol's sanity band
+ */
+function isPriceInBand(price, symbol) {
+  const spec = getContractSpec(symbol);
+  if (!spec) return false;
+  return price >= spec.priceBand.min && price <= spec.priceBand.max;
+}
+
+/**
+ * Check whether a broker contract/order/position belongs to a symbol
+ * Accepts a ProjectX contract ID, contract name ("MNQZ5") or symbol ID
+ * ("F.US.MNQ"). Exact root match, so "NQ" never matches "MNQ".
+ */
+function matchesSymbol(contractRef, symbol) {
+  const root = normalizeSymbol(symbol);
+  if (!contractRef || !root) return false;
+
+  const ref = String(contractRef).toUpperCase();
+  const symbolIdMatch = ref.match(/^F\.US\.([A-Z0-9]+)$/);
+  if (symbolIdMatch) return (ROOT_ALIASES[symbolIdMatch[1]] || symbolIdMatch[1]) === root;
+
+  return normalizeSymbol(ref) === root;
+}
+
+/**
+ * Check whether an order/position object from the broker is for a symbol
+ */
+function isForSymbol(item, symbol) {
+  return matchesSymbol(item.contractId, symbol)
+    || matchesSymbol(item.contractName, symbol)
+    || matchesSymbol(item.symbolId, symbol)
+    || matchesSymbol(item.symbol, symbol);
+}
+
+/**
+ * Calculate dollar value of a price move for a number of contracts
+ */
+function priceMoveValue(symbol, points, quantity = 1) {
+  const spec = getContractSpec(symbol);
+  if (!spec) return null;
+  return points * spec.pointValue * quantity;
+}
+
+// ---------------------------------------------------------------------------
+// Expiry calendar
+// Dates are handled as UTC midnight of the exchange calendar date.
+// ---------------------------------------------------------------------------
+
+function utcDate(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day));
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function isBusinessDay(date) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !futuresMarket.isHolidayDate(toDateString(date));
+}
+
+function previousBusinessDay(date) {
+  const d = new Date(date);
+  do {
+    d.setUTCDate(d.getUTCDate() - 1);
+  } while (!isBusinessDay(d));
+  return d;
+}
+
+/**
+ * Last trading day for a contract month
+ * @param {string} symbol - Registry symbol
+ * @param {string} monthCode - CME month code (H, M, U, Z, ...)
+ * @param {number} year - Four-digit year
+ * @returns {Date} UTC midnight of the expiry date
+ */
+function getExpiryDate(symbol, monthCode, year) {
+  const spec = getContractSpec(symbol);
+  if (!spec) throw new Error(`Unsupported symbol: ${symbol}`);
+  const monthIndex = MONTH_CODES.indexOf(monthCode);
+
+  switch (spec.roll.expiryRule) {
+    case 'third_friday': {
+      const first = utcDate(year, monthIndex, 1);
+      const firstFriday = 1 + ((5 - first.getUTCDay() + 7) % 7);
+      let expiry = utcDate(year, monthIndex, firstFriday + 14);
+      // Exchange holiday on the third Friday moves expiry to the prior business day
+      if (!isBusinessDay(expiry)) expiry = previousBusinessDay(expiry);
+      return expiry;
+    }
+
+    case 'energy': {
+      // N business days before the 25th of the month preceding delivery
+      let anchor = utcDate(year, monthIndex - 1, 25);
+      if (!isBusinessDay(anchor)) anchor = previousBusinessDay(anchor);
+      let expiry = anchor;
+      for (let i = 0; i < spec.roll.expiryBusinessDays; i++) {
+        expiry = previousBusinessDay(expiry);
+      }
+      return expiry;
+    }
+
+    case 'metals': {
+      // Third-last business day of the contract month
+      let expiry = utcDate(year, monthIndex + 1, 1);
+      for (let i = 0; i < 3; i++) {
+        expiry = previousBusinessDay(expiry);
+      }
+      return expiry;
+    }
+
+    default:
+      throw new Error(`Unknown expiry rule for ${symbol}: ${spec.roll.expiryRule}`);
+  }
+}
+
+/**
+ * Days before expiry to switch contracts (env overridable)
+ */
+function getRollDays(symbol) {
+  const spec = getContractSpec(symbol);
+  const perSymbol = parseInt(process.env[`CONTRACT_ROLL_DAYS_${spec.symbol}`], 10);
+  if (!isNaN(perSymbol)) return perSymbol;
+  const global = parseInt(process.env.CONTRACT_ROLL_DAYS, 10);
+  if (!isNaN(global)) return global;
+  return spec.roll.rollDaysBeforeExpiry;
+}
+
+/**
+ * Describe a contract month: expiry, roll date and whether it is expiring
+ */
+function describeContractMonth(symbol, monthCode, year, at = new Date()) {
+  const spec = getContractSpec(symbol);
+  const expiry = getExpiryDate(spec.symbol, monthCode, year);
+  const rollDate = new Date(expiry.getTime() - getRollDays(spec.symbol) * DAY_MS);
+  const today = utcDate(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate());
+  const yy = String(year % 100).padStart(2, '0');
+
+  return {
+    symbol: spec.symbol,
+    monthCode,
+    year,
+    code: `${spec.symbol}${monthCode}${year % 10}`,
+    projectxId: `CON.F.US.${spec.projectxRoot}.${monthCode}${yy}`,
+    contractMonth: utcDate(year, MONTH_CODES.indexOf(monthCode), 1)
+      .toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+    expiryDate: toDateString(expiry),
+    rollDate: toDateString(rollDate),
+    daysToExpiry: Math.round((expiry - today) / DAY_MS),
+    expired: today > expiry,
+    // Inside the roll window: entries should go to the next contract
+    expiring: today >= rollDate,
+  };
+}
+
+/**
+ * Get the contract to trade for a symbol on a date
+ * @returns {Object} describeContractMonth() of the active contract, plus
+ *   `front` - the nearest unexpired contract when it differs (i.e. rolling)
+ */
+function getActiveContract(symbol, at = new Date()) {
+  const spec = getContractSpec(symbol);
+  if (!spec) throw new Error(`Unsupported symbol: ${symbol}`);
+
+  let front = null;
+  for (let offset = 0; offset < 24; offset++) {
+    const monthIndex = (at.getUTCMonth() + offset) % 12;
+    const year = at.getUTCFullYear() + Math.floor((at.getUTCMonth() + offset) / 12);
+    const monthCode = MONTH_CODES[monthIndex];
+    if (!spec.roll.months.includes(monthCode)) continue;
+
+    const contract = describeContractMonth(spec.symbol, monthCode, year, at);
+    if (contract.expired) continue;
+    if (!front) front = contract;
+    if (!contract.expiring) {
+      return front === contract ? contract : { ...contract, front };
+    }
+  }
+
+  throw new Error(`No active contract found for ${symbol}`);
+}
+
+module.exports = {
+  CONTRACT_SPECS,
+  MONTH_CODES,
+  PRODUCT_GROUP,
+  DEFAULT_SYMBOL,
+  normalizeSymbol,
+  parseContractMonth,
+  getContractSpec,
+  getExpiryDate,
+  getRollDays,
+  describeContractMonth,
+  getActiveContract,
+  isSupportedSymbol,
+  roundToTick,
+  isPriceInBand,
+  matchesSymbol,
+  isForSymbol,
+  priceMoveValue,
+};
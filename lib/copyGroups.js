@@ -0,0 +1,228 @@
+/**
+ * Copy Trading Groups
+ * A group maps one master account to the follower accounts that copy its
+ * signals, with per-follower sizing and filters.
+ *
+ * GROUP:
+ * {
+ *   id: 'topstep-to-tfd',
+ *   master: 'default',
+ *   enabled: true,
+ *   followers: [{
+ *     account: 'futuresdesk',
+ *     multiplier: 0.5,      // contracts = master contracts x multiplier
+ *     qty: 2,               // or a fixed size (wins over multiplier)
+ *     inverse: false,       // trade the opposite side (stop and TP swap)
+ *     symbols: ['MNQ'],     // only copy these symbols (empty = all)
+ *     closesOnly: false,    // only mirror close signals, never entries
+ *     enabled: true,
+ *   }],
+ * }
+ *
+ * Followers with neither qty nor multiplier size from their own account
+ * settings (lib/positionSizing).
+ *
+ * SOURCES (first one found wins):
+ * - database: riskStore `copy:groups`, edited through /api/trading/copy-groups
+ * - COPY_GROUPS env var: JSON array of groups
+ * - DEFAULT_COPY_GROUPS below
+ */
+
+const contracts = require('./contracts');
+const { getRiskStore } = require('./riskStore');
+
+const STORE_KEY = 'copy:groups';
+
+// 'default' (TopStep) is the master, 'futuresdesk' copies its trades
+const DEFAULT_COPY_GROUPS = [
+  { id: 'default', master: 'default', followers: [{ account: 'futuresdesk' }] },
+];
+
+/**
+ * Validate and normalize a group
+ * @throws {Error} When the group is malformed
+ */
+function normalizeGroup(group) {
+  if (!group || typeof group !== 'object') throw new Error('Group must be an object');
+
+  const id = String(group.id || '').trim();
+  const master = String(group.master || '').trim();
+  if (!id) throw new Error('Group id is required');
+  if (!master) throw new Error(`Group ${id}: master account is required`);
+  if (!Array.isArray(group.followers)) throw new Error(`Group ${id}: followers must be an array`);
+
+  const seen = new Set();
+  const followers = group.followers.map((follower) => {
+    const account = String(follower?.account || '').trim();
+    if (!account) throw new Error(`Group ${id}: follower account is required`);
+    if (account === master) throw new Error(`Group ${id}: ${account} cannot follow itself`);
+    if (seen.has(account)) throw new Error(`Group ${id}: ${account} is listed twice`);
+    seen.add(account);
+
+    const multiplier = follower.multiplier === undefined || follower.multiplier === null
+      ? null
+      : Number(follower.multiplier);
+    if (multiplier !== null && !(multiplier > 0)) {
+      throw new Error(`Group ${id}: ${account} multiplier must be a positive number`);
+    }
+
+    const qty = follower.qty === undefined || follower.qty === null ? null : Number(follower.qty);
+    if (qty !== null && !(Number.isInteger(qty) && qty > 0)) {
+      throw new Error(`Group ${id}: ${account} qty must be a positive whole number`);
+    }
+
+    const symbols = (follower.symbols || []).map((symbol) => {
+      const normalized = contracts.normalizeSymbol(symbol);
+      if (!normalized) throw new Error(`Group ${id}: ${account} has unsupported symbol ${symbol}`);
+      return normalized;
+    });
+
+    return {
+      account,
+      multiplier,
+      qty,
+      inverse: follower.inverse === true,
+      symbols,
+      closesOnly: follower.closesOnly === true,
+      enabled: follower.enabled !== false,
+    };
+  });
+
+  return { id, master, enabled: group.enabled !== false, followers };
+}
+
+function parseEnvGroups() {
+  if (!process.env.COPY_GROUPS) return null;
+  try {
+    const groups = JSON.parse(process.env.COPY_GROUPS);
+    if (!Array.isArray(groups)) throw new Error('must be a JSON array');
+    return groups.map(normalizeGroup);
+  } catch (e) {
+    console.error('[CopyGroups] Invalid COPY_GROUPS:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Load all groups
+ * @returns {Promise<Object>} { groups, source: 'database' | 'env' | 'default' }
+ */
+async function getCopyGroups() {
+  const store = await getRiskStore();
+  const stored = await store.getValue(STORE_KEY);
+  if (Array.isArray(stored)) {
+    return { groups: stored, source: 'database' };
+  }
+
+  const envGroups = parseEnvGroups();
+  if (envGroups) {
+    return { groups: envGroups, source: 'env' };
+  }
+
+  return { groups: DEFAULT_COPY_GROUPS.map(normalizeGroup), source: 'default' };
+}
+
+/**
+ * Replace every group (persisted to the database)
+ * @returns {Promise<Array>} Normalized groups
+ */
+async function saveCopyGroups(groups) {
+  if (!Array.isArray(groups)) throw new Error('Groups must be an array');
+
+  const normalized = groups.map(normalizeGroup);
+  const ids = normalized.map(g => g.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`Duplicate group id: ${duplicate}`);
+
+  const store = await getRiskStore();
+  await store.setValue(STORE_KEY, normalized);
+  console.log(`[CopyGroups] Saved ${normalized.length} group(s)`);
+  return normalized;
+}
+
+/**
+ * Create or replace one group
+ */
+async function upsertCopyGroup(group) {
+  const normalized = normalizeGroup(group);
+  const { groups } = await getCopyGroups();
+  const others = groups.filter(g => g.id !== normalized.id);
+  await saveCopyGroups([...others, normalized]);
+  return normalized;
+}
+
+/**
+ * Delete one group
+ * @returns {Promise<boolean>} False when no group had that id
+ */
+async function deleteCopyGroup(id) {
+  const { groups } = await getCopyGroups();
+  const remaining = groups.filter(g => g.id !== id);
+  if (remaining.length === groups.length) return false;
+  await saveCopyGroups(remaining);
+  return true;
+}
+
+/**
+ * Followers that should receive a signal from a master account
+ * Merges every enabled group the account is master of, applying the
+ * follower's symbol filter and closes-only option.
+ *
+ * @param {string} masterAccountId - Account that received the signal
+ * @param {string} action - 'buy' | 'sell' | 'close'
+ * @param {string} symbol - Normalized trading symbol
+ * @returns {Promise<Array>} [{ ...follower, groupId }]
+ */
+async function getFollowers(masterAccountId, action, symbol) {
+  const { groups } = await getCopyGroups();
+  const followers = new Map();
+
+  for (const group of groups) {
+    if (!group.enabled || group.master !== masterAccountId) continue;
+    for (const follower of group.followers) {
+      if (!follower.enabled || followers.has(follower.account)) continue;
+      if (follower.symbols.length > 0 && !follower.symbols.includes(symbol)) continue;
+      if (follower.closesOnly && action !== 'close') continue;
+      followers.set(follower.account, { ...follower, groupId: group.id });
+    }
+  }
+
+  return Array.from(followers.values());
+}
+
+/**
+ * Entry a follower places for the master's signal
+ * Inverse followers take the other side, so the master's stop becomes
+ * their target and the master's target their stop. A resting limit entry
+ * becomes a stop entry at the same price (and vice versa), since the
+ * opposite side is on the other side of the market.
+ *
+ * @returns {Object} { action, stop, tp, orderType }
+ */
+function getFollowerOrder(follower, action, stop, tp, orderType = 'market') {
+  if (!follower.inverse) return { action, stop, tp, orderType };
+  const inverseType = { market: 'market', limit: 'stop', stop: 'limit' }[orderType];
+  return { action: action === 'buy' ? 'sell' : 'buy', stop: tp, tp: stop, orderType: inverseType };
+}
+
+/**
+ * Fixed follower size from the group settings
+ * @returns {number|null} Contracts, or null to size from the follower's own account
+ */
+function getFollowerQty(follower, masterContracts) {
+  if (follower.qty) return follower.qty;
+  if (follower.multiplier) return Math.max(1, Math.round(masterContracts * follower.multiplier));
+  return null;
+}
+
+module.exports = {
+  getCopyGroups,
+  saveCopyGroups,
+  upsertCopyGroup,
+  deleteCopyGroup,
+  getFollowers,
+  getFollowerOrder,
+  getFollowerQty,
+  normalizeGroup,
+  DEFAULT_COPY_GROUPS,
+};
@@ -0,0 +1,170 @@
+/**
+ * End-of-Day Flatten
+ * Cancels working orders and closes positions on every enabled account
+ * before the prop-firm cutoff (TopStep: 3:10 PM CT / 4:10 PM ET), so an
+ * account is flat even when the strategy never sends a close alert.
+ *
+ * TIMES (EOD_FLATTEN_TIMEZONE, default America/Chicago):
+ *   EOD_FLATTEN_TIME=15:05              regular days
+ *   EOD_FLATTEN_EARLY_CLOSE_TIME=11:55  early-close days (1 PM ET close, lib/cmeCalendar.js)
+ *   ACCOUNT_{ID}_EOD_FLATTEN=15:00|off  per-account override
+ *   ACCOUNT_{ID}_EOD_FLATTEN_EARLY_CLOSE=11:45
+ *   EOD_FLATTEN=false                   turns the job off
+ *
+ * runEodFlatten() is called each minute by the /api/trading/eod cron and by
+ * eod-flatten.js. Once an account's time has passed it is checked once per
+ * trading day (retried while it fails); lib/riskManager.js blocks new entries
+ * from the flatten time until the next session. Accounts that had orders or
+ * positions, or failed, get an alert; the run is summarized through
+ * lib/notifications. A failure that keeps repeating is reported once.
+ */
+
+const accounts = require('./accounts');
+const futuresMarket = require('./futuresMarket');
+const notifications = require('./notifications');
+const tradingHalt = require('./tradingHalt');
+const tradingSessions = require('./tradingSessions');
+const { getRiskStore } = require('./riskStore');
+
+const DEFAULT_TIME = '15:05';
+const DEFAULT_EARLY_CLOSE_TIME = '11:55';
+const DEFAULT_TIMEZONE = 'America/Chicago';
+const DONE_KEY = 'eod:flattened';
+
+function isEnabled() {
+  return process.env.EOD_FLATTEN !== 'false';
+}
+
+function getTimezone() {
+  return process.env.EOD_FLATTEN_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Flatten time for an account on the trading day of `now`
+ * @returns {string|null} "HH:MM" in EOD_FLATTEN_TIMEZONE, or null when off
+ */
+function getFlattenTime(account, now = new Date()) {
+  const time = tradingSessions.isEarlyCloseDay(now)
+    ? account.eod?.earlyCloseTime || process.env.EOD_FLATTEN_EARLY_CLOSE_TIME || DEFAULT_EARLY_CLOSE_TIME
+    : account.eod?.time || process.env.EOD_FLATTEN_TIME || DEFAULT_TIME;
+  return time.toLowerCase() === 'off' ? null : time;
+}
+
+/**
+ * The account's flatten time when it has passed in the trading day of `now`
+ * (EOD flatten must be enabled). Entries are blocked from then until the
+ * next session opens (lib/riskManager.js).
+ * @returns {string|null} "HH:MM", or null when not yet due or off
+ */
+function getPassedFlattenTime(account, now = new Date()) {
+  if (!isEnabled()) return null;
+  const time = getFlattenTime(account, now);
+  if (!time) return null;
+  return tradingSessions.isPastClock(tradingSessions.parseClock(time), getTimezone(), now) ? time : null;
+}
+
+/**
+ * Flatten one account for the EOD cutoff (tradingHalt.flattenAccount
+ * verifies the account is flat afterwards)
+ * @param {Object} [options] - { quiet } skip the alert when this fails again
+ * @returns {Promise<Object>} { account, time, success, wasFlat, cancelledOrders, closedPositions, remainingPositions, error? }
+ */
+async function flattenForEod(account, time, { quiet = false } = {}) {
+  const result = await tradingHalt.flattenAccount(account, `EOD flatten (${time} ${getTimezone()})`, { quiet });
+  return { ...result, time };
+}
+
+function describeResult(result) {
+  if (!result.success) return `• ${result.account}: FAILED - ${result.error}`;
+  if (result.wasFlat) return `• ${result.account}: already flat`;
+  return `• ${result.account}: closed ${result.closedPositions} position(s), cancelled ${result.cancelledOrders} order(s)`;
+}
+
+/**
+ * Flatten every enabled account whose EOD time has passed today
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { tradingDate, results, skipped? }
+ */
+async function runEodFlatten(now = new Date()) {
+  const tradingDate = tradingSessions.getTradingDate(now);
+  if (!isEnabled()) return { tradingDate, results: [], skipped: 'EOD_FLATTEN=false' };
+
+  // Nothing can be closed while the market is shut (weekends, holidays)
+  const market = futuresMarket.isFuturesOpen();
+  if (!market.open) return { tradingDate, results: [], skipped: market.reason };
+
+  await accounts.refreshAccounts();
+  const store = await getRiskStore();
+  const stored = await store.getValue(DONE_KEY);
+  const done = stored?.date === tradingDate ? stored.accounts : [];
+  const failedBefore = stored?.date === tradingDate ? stored.failed || [] : [];
+
+  const due = [];
+  for (const account of accounts.getEnabledAccounts()) {
+    if (done.includes(account.id)) continue;
+    try {
+      const time = getPassedFlattenTime(account, now);
+      if (time) due.push({ account, time });
+    } catch (error) {
+      console.error(`[EodFlatten] Bad flatten time for ${account.id}: ${error.message}`);
+    }
+  }
+  if (due.length === 0) return { tradingDate, results: [] };
+
+  console.warn(`[EodFlatten] Flattening ${due.map(d => d.account.id).join(', ')} for ${tradingDate}`);
+  const results = await Promise.all(due.map(({ account, time }) => (
+    flattenForEod(account, time, { quiet: failedBefore.includes(account.id) })
+  )));
+
+  const succeeded = results.filter(r => r.success).map(r => r.account);
+  const failed = results.filter(r => !r.success).map(r => r.account);
+  await store.setValue(DONE_KEY, {
+    date: tradingDate,
+    accounts: [...done, ...succeeded],
+    failed: [...new Set([...failedBefore.filter(id => !succeeded.includes(id)), ...failed])],
+  });
+
+  // Repeated failures were already reported - retries only notify on a change
+  const report = results.filter(r => r.success || !failedBefore.includes(r.account));
+  if (report.length > 0) {
+    await notifications.notify([
+      `${failed.length > 0 ? '⚠️' : '✅'} EOD flatten ${tradingDate}${tradingSessions.isEarlyCloseDay(now) ? ' (early close)' : ''}`,
+      ...report.map(describeResult),
+    ].join('\n'));
+  }
+
+  return { tradingDate, results };
+}
+
+/**
+ * Run runEodFlatten on an interval (long-lived process, see eod-flatten.js)
+ * @returns {Function} Stops the loop
+ */
+function startEodFlatten(intervalMs = 30000) {
+  let running = false;
+  const tick = async () => {
+    if (running) return; // Skip a tick rather than overlap
+    running = true;
+    try {
+      await runEodFlatten();
+    } catch (error) {
+      console.error('[EodFlatten] Run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  console.log(`[EodFlatten] Checking every ${intervalMs}ms`);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  isEnabled,
+  getTimezone,
+  getFlattenTime,
+  getPassedFlattenTime,
+  runEodFlatten,
+  startEodFlatten,
+};
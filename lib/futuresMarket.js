@@ -1,57 +1,42 @@
 /**
  * Futures Market Hours Utility
- * MNQ/NQ trading hours: Sunday 6:00 PM ET - Friday 5:00 PM ET
- * Daily maintenance break: 5:00 PM - 6:00 PM ET (Mon-Thu)
+ * Globex session calendars per product group. Every group trades
+ * Sunday 6:00 PM ET - Friday 5:00 PM ET with a daily 5:00 - 6:00 PM ET
+ * break; groups differ in their early-close time, and holidays can be
+ * changed per group or symbol in cme-calendar.json (lib/cmeCalendar.js).
+ *
+ *   equity_index  MNQ NQ MES ES M2K RTY   early close 1:00 PM ET
+ *   energy        MCL CL                  early close 1:45 PM ET
+ *   metals        MGC GC                  early close 1:45 PM ET
+ *   rates         ZT ZF ZN TN ZB UB       early close 1:00 PM ET
+ *
+ * A session belongs to the trading date it closes on: the 6 PM ET open
+ * before a holiday stays shut, and the market reopens at 6 PM ET on the
+ * holiday itself. Symbols without a known group use the equity index
+ * calendar, as does isFuturesOpen() without a symbol.
  */
 
-// CME holidays for 2024-2025 (markets closed all day)
-const CME_HOLIDAYS = [
-  // 2024
-  '2024-01-01', // New Year's Day
-  '2024-01-15', // MLK Day
-  '2024-02-19', // Presidents Day
-  '2024-03-29', // Good Friday
-  '2024-05-27', // Memorial Day
-  '2024-06-19', // Juneteenth
-  '2024-07-04', // Independence Day
-  '2024-09-02', // Labor Day
-  '2024-11-28', // Thanksgiving
-  '2024-12-25', // Christmas
-  // 2025
-  '2025-01-01', // New Year's Day
-  '2025-01-20', // MLK Day
-  '2025-02-17', // Presidents Day
-  '2025-04-18', // Good Friday
-  '2025-05-26', // Memorial Day
-  '2025-06-19', // Juneteenth
-  '2025-07-04', // Independence Day
-  '2025-09-01', // Labor Day
-  '2025-11-27', // Thanksgiving
-  '2025-12-25', // Christmas
-  // 2026
-  '2026-01-01', // New Year's Day
-  '2026-01-19', // MLK Day
-  '2026-02-16', // Presidents Day
-  '2026-04-03', // Good Friday
-  '2026-05-25', // Memorial Day
-  '2026-06-19', // Juneteenth
-  '2026-07-03', // Independence Day (observed)
-  '2026-09-07', // Labor Day
-  '2026-11-26', // Thanksgiving
-  '2026-12-25', // Christmas
-];
-
-// Early close days (1:00 PM ET close) - day before major holidays
-const EARLY_CLOSE_DAYS = [
-  '2024-07-03', // Day before July 4th
-  '2024-11-29', // Day after Thanksgiving
-  '2024-12-24', // Christmas Eve
-  '2024-12-31', // New Year's Eve
-  '2025-07-03', // Day before July 4th
-  '2025-11-28', // Day after Thanksgiving
-  '2025-12-24', // Christmas Eve
-  '2025-12-31', // New Year's Eve
-];
+const cmeCalendar = require('./cmeCalendar');
+
+const ET_ZONE = 'America/New_York';
+const DEFAULT_GROUP = 'equity_index';
+
+// Times are minutes after midnight ET
+const SESSION_CALENDARS = {
+  equity_index: { name: 'Equity Index', open: 18 * 60, close: 17 * 60, earlyClose: 13 * 60 },
+  energy: { name: 'Energy', open: 18 * 60, close: 17 * 60, earlyClose: 13 * 60 + 45 },
+  metals: { name: 'Metals', open: 18 * 60, close: 17 * 60, earlyClose: 13 * 60 + 45 },
+  rates: { name: 'Interest Rates', open: 18 * 60, close: 17 * 60, earlyClose: 13 * 60 },
+};
+
+// Treasury roots are not tradable contracts (lib/contracts.js) but still get hours
+const RATES_ROOTS = ['ZT', 'ZF', 'ZN', 'TN', 'ZB', 'UB'];
+
+// Early close days end at 1:00 PM ET for equity index (products may override, see cmeCalendar)
+const EARLY_CLOSE_MINUTES_ET = cmeCalendar.DEFAULT_EARLY_CLOSE_MINUTES_ET;
+
+// How far nextOpen / nextClose look ahead
+const SEARCH_DAYS = 14;
 
 /**
  * Get current time in ET timezone
@@ -59,7 +44,7 @@ const EARLY_CLOSE_DAYS = [
 function getETTime() {
   const now = new Date();
   const etString = now.toLocaleString('en-US', {
-    timeZone: 'America/New_York',
+    timeZone: ET_ZONE,
   });
   return new Date(etString);
 }
@@ -68,86 +53,202 @@ function getETTime() {
  * Get date string in YYYY-MM-DD format for ET timezone
  */
 function getETDateString(date = new Date()) {
-  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  return date.toLocaleDateString('en-CA', { timeZone: ET_ZONE });
 }
 
 /**
- * Check if a given date is a CME holiday
+ * ET wall clock of an instant
+ * @returns {Object} { date: 'YYYY-MM-DD', day: 0-6 (0 = Sunday), minutes }
  */
-function isHoliday(date = new Date()) {
+function getWallClock(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: ET_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
   const dateStr = getETDateString(date);
-  return CME_HOLIDAYS.includes(dateStr);
+  return { date: dateStr, day: dayOfWeek(dateStr), minutes: get('hour') * 60 + get('minute') };
+}
+
+function dayOfWeek(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * The instant of an ET wall-clock time (ET is UTC-4 or UTC-5)
+ */
+function fromWallClock(dateStr, minutes) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const utc = Date.UTC(year, month - 1, day, 0, minutes);
+  for (const offsetHours of [4, 5]) {
+    const candidate = new Date(utc + offsetHours * 60 * 60 * 1000);
+    const wall = getWallClock(candidate);
+    if (wall.date === dateStr && wall.minutes === minutes) return candidate;
+  }
+  return new Date(utc + 5 * 60 * 60 * 1000);
+}
+
+/**
+ * "6PM", "1:45PM"
+ */
+function formatTime(minutes) {
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''}${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Product group of a symbol ("MNQ", "CLZ5", "CME_MINI:ES1!", "ZN") or a group name
+ * @returns {Object} { group, symbol } - symbol is the root, or null when unknown
+ */
+function resolveProduct(symbol) {
+  if (!symbol) return { group: DEFAULT_GROUP, symbol: null };
+  if (SESSION_CALENDARS[symbol]) return { group: symbol, symbol: null };
+
+  // Required here rather than at the top - contracts depends on this module
+  const contracts = require('./contracts');
+  const spec = contracts.getContractSpec(symbol);
+  if (spec) return { group: spec.group, symbol: spec.symbol };
+
+  const raw = String(symbol).trim().toUpperCase().replace(/^[A-Z_]+:/, '').replace(/\d+!$/, '');
+  const root = RATES_ROOTS.find(r => raw === r || new RegExp(`^${r}[FGHJKMNQUVXZ]\\d{1,4}$`).test(raw));
+  return root ? { group: 'rates', symbol: root } : { group: DEFAULT_GROUP, symbol: null };
+}
+
+/**
+ * Session calendar for a symbol or product group
+ * @returns {Object} { group, symbol, name, open, close, earlyClose, product }
+ *   times in minutes after midnight ET; product is the cmeCalendar override key list
+ */
+function getSessionCalendar(symbol = null) {
+  const { group, symbol: root } = resolveProduct(symbol);
+  const calendar = SESSION_CALENDARS[group] || SESSION_CALENDARS[DEFAULT_GROUP];
+  const product = [group, root].filter(Boolean);
+  return {
+    ...calendar,
+    group,
+    symbol: root,
+    earlyClose: cmeCalendar.getEarlyCloseMinutes(product, calendar.earlyClose),
+    product,
+  };
+}
+
+/**
+ * Check if a given date is a CME holiday (rules in lib/cmeCalendar.js)
+ * @param {Date} [date]
+ * @param {string|Array<string>} [product] - Symbol root and/or product group for overrides
+ */
+function isHoliday(date = new Date(), product = null) {
+  return cmeCalendar.isHolidayDate(getETDateString(date), product);
 }
 
 /**
  * Check if a given date is an early close day
  */
-function isEarlyClose(date = new Date()) {
-  const dateStr = getETDateString(date);
-  return EARLY_CLOSE_DAYS.includes(dateStr);
+function isEarlyClose(date = new Date(), product = null) {
+  return cmeCalendar.isEarlyCloseDate(getETDateString(date), product);
 }
 
 /**
- * Check if futures market is currently open
- * MNQ/NQ: Sunday 6PM ET - Friday 5PM ET, with 5-6PM ET break Mon-Thu
+ * Whether a symbol's market is open
+ * @param {string} [symbol] - Symbol or product group (default: equity index)
+ * @param {Date} [at]
+ * @returns {Object} { open, reason, group, symbol }
  */
-function isFuturesOpen() {
-  const et = getETTime();
-  const day = et.getDay(); // 0 = Sunday, 6 = Saturday
-  const hour = et.getHours();
-  const minute = et.getMinutes();
-  const currentMinutes = hour * 60 + minute;
-
-  // Check if today is a holiday
-  if (isHoliday()) {
-    return { open: false, reason: 'CME Holiday' };
+function isOpen(symbol = null, at = new Date()) {
+  const calendar = getSessionCalendar(symbol);
+  const wall = getWallClock(at);
+  const result = (open, reason) => ({ open, reason, group: calendar.group, symbol: calendar.symbol });
+
+  if (wall.day === 6) return result(false, 'Weekend (Saturday)');
+  if (wall.day === 5 && wall.minutes >= calendar.close) {
+    return result(false, `Weekend (Friday after ${formatTime(calendar.close)} ET)`);
   }
-
-  // Saturday - always closed
-  if (day === 6) {
-    return { open: false, reason: 'Weekend (Saturday)' };
+  if (wall.day === 0 && wall.minutes < calendar.open) {
+    return result(false, `Weekend (Sunday before ${formatTime(calendar.open)} ET)`);
   }
 
-  // Sunday - opens at 6:00 PM ET
-  if (day === 0) {
-    if (currentMinutes >= 18 * 60) { // 6:00 PM or later
-      return { open: true, reason: 'Regular session' };
-    }
-    return { open: false, reason: 'Weekend (Sunday before 6PM ET)' };
+  // The evening session counts towards the next trading date
+  const tradingDate = wall.minutes >= calendar.open ? addDays(wall.date, 1) : wall.date;
+  if (cmeCalendar.isHolidayDate(tradingDate, calendar.product)) return result(false, 'CME Holiday');
+
+  if (wall.minutes >= calendar.close && wall.minutes < calendar.open) {
+    return result(false, `Daily maintenance break (${formatTime(calendar.close).replace(/[AP]M$/, '')}-${formatTime(calendar.open)} ET)`);
   }
+  if (wall.minutes < calendar.open && wall.minutes >= calendar.earlyClose
+    && cmeCalendar.isEarlyCloseDate(wall.date, calendar.product)) {
+    return result(false, 'Early close day');
+  }
+
+  return result(true, 'Regular session');
+}
 
-  // Friday - closes at 5:00 PM ET
-  if (day === 5) {
-    if (currentMinutes < 17 * 60) { // Before 5:00 PM
-      // Check for early close
-      if (isEarlyClose() && currentMinutes >= 13 * 60) {
-        return { open: false, reason: 'Early close day' };
-      }
-      return { open: true, reason: 'Regular session' };
+/**
+ * First boundary after `from` at which the market is open (or closed)
+ */
+function findNext(symbol, from, open) {
+  const calendar = getSessionCalendar(symbol);
+  const startDate = getETDateString(from);
+  const candidates = [];
+  for (let i = 0; i <= SEARCH_DAYS; i++) {
+    const date = addDays(startDate, i);
+    for (const minutes of new Set([calendar.earlyClose, calendar.close, calendar.open])) {
+      candidates.push(fromWallClock(date, minutes));
     }
-    return { open: false, reason: 'Weekend (Friday after 5PM ET)' };
   }
 
-  // Monday - Thursday
-  // Daily maintenance break: 5:00 PM - 6:00 PM ET
-  if (currentMinutes >= 17 * 60 && currentMinutes < 18 * 60) {
-    return { open: false, reason: 'Daily maintenance break (5-6PM ET)' };
-  }
+  return candidates
+    .filter(candidate => candidate > from)
+    .sort((a, b) => a - b)
+    .find(candidate => isOpen(symbol, candidate).open === open) || null;
+}
 
-  // Check for early close
-  if (isEarlyClose() && currentMinutes >= 13 * 60) {
-    return { open: false, reason: 'Early close day' };
-  }
+/**
+ * When a symbol's market next opens (after the coming close while it is open)
+ * @returns {Date|null} null when nothing opens within SEARCH_DAYS
+ */
+function nextOpen(symbol = null, from = new Date()) {
+  const start = isOpen(symbol, from).open ? findNext(symbol, from, false) : from;
+  return start && findNext(symbol, start, true);
+}
 
-  return { open: true, reason: 'Regular session' };
+/**
+ * When a symbol's market next closes (the end of the next session while it is closed)
+ * @returns {Date|null}
+ */
+function nextClose(symbol = null, from = new Date()) {
+  const start = isOpen(symbol, from).open ? from : findNext(symbol, from, true);
+  return start && findNext(symbol, start, false);
+}
+
+/**
+ * Check if futures market is currently open
+ * @param {string} [symbol] - Defaults to the equity index calendar
+ */
+function isFuturesOpen(symbol = null) {
+  return isOpen(symbol);
+}
+
+function splitDuration(ms) {
+  const diffMins = Math.max(0, Math.floor(ms / (1000 * 60)));
+  return { hours: Math.floor(diffMins / 60), minutes: diffMins % 60 };
 }
 
 /**
  * Calculate time until futures market opens
  * Returns object with hours, minutes, and next open time
  */
-function getTimeUntilOpen() {
-  const status = isFuturesOpen();
+function getTimeUntilOpen(symbol = null) {
+  const now = new Date();
+  const status = isOpen(symbol, now);
 
   if (status.open) {
     return {
@@ -159,88 +260,23 @@ function getTimeUntilOpen() {
     };
   }
 
-  const et = getETTime();
-  const day = et.getDay();
-  const hour = et.getHours();
-  const minute = et.getMinutes();
-  const currentMinutes = hour * 60 + minute;
-
-  let nextOpen = new Date(et);
-
-  // During daily maintenance break (5-6 PM Mon-Thu)
-  if (day >= 1 && day <= 4 && currentMinutes >= 17 * 60 && currentMinutes < 18 * 60) {
-    // Opens at 6 PM today
-    nextOpen.setHours(18, 0, 0, 0);
-  }
-  // Friday after 5 PM - opens Sunday 6 PM
-  else if (day === 5 && currentMinutes >= 17 * 60) {
-    nextOpen.setDate(nextOpen.getDate() + 2); // Sunday
-    nextOpen.setHours(18, 0, 0, 0);
-  }
-  // Saturday - opens Sunday 6 PM
-  else if (day === 6) {
-    nextOpen.setDate(nextOpen.getDate() + 1); // Sunday
-    nextOpen.setHours(18, 0, 0, 0);
-  }
-  // Sunday before 6 PM - opens at 6 PM today
-  else if (day === 0 && currentMinutes < 18 * 60) {
-    nextOpen.setHours(18, 0, 0, 0);
-  }
-  // Holiday - find next non-holiday trading day
-  else if (isHoliday()) {
-    // Move to next day and check
-    nextOpen.setDate(nextOpen.getDate() + 1);
-    nextOpen.setHours(18, 0, 0, 0);
-
-    // Keep moving forward until we find a trading day
-    while (isHoliday(nextOpen) || nextOpen.getDay() === 6) {
-      nextOpen.setDate(nextOpen.getDate() + 1);
-    }
-
-    // If it's Sunday, market opens at 6 PM
-    if (nextOpen.getDay() === 0) {
-      nextOpen.setHours(18, 0, 0, 0);
-    } else {
-      // Otherwise it's a weekday, opens at 6 PM the day before
-      // Actually for weekdays after holiday, it continues from previous session
-      // So if Monday is after holiday, it opens Monday 6 PM (after maintenance)
-      nextOpen.setHours(18, 0, 0, 0);
-    }
-  }
-  // Early close - opens at 6 PM same day
-  else if (isEarlyClose() && currentMinutes >= 13 * 60) {
-    nextOpen.setHours(18, 0, 0, 0);
-  }
-
-  // Check if nextOpen lands on a holiday, if so skip
-  while (isHoliday(nextOpen)) {
-    nextOpen.setDate(nextOpen.getDate() + 1);
-    if (nextOpen.getDay() === 0) {
-      nextOpen.setHours(18, 0, 0, 0);
-    }
-  }
-
-  // Calculate difference
-  const now = new Date();
-  const diffMs = nextOpen.getTime() - now.getTime();
-  const diffMins = Math.floor(diffMs / (1000 * 60));
-  const hours = Math.floor(diffMins / 60);
-  const minutes = diffMins % 60;
+  const openAt = nextOpen(symbol, now);
+  const { hours, minutes } = splitDuration(openAt ? openAt - now : 0);
 
   return {
     isOpen: false,
-    hoursUntilOpen: Math.max(0, hours),
-    minutesUntilOpen: Math.max(0, minutes),
-    nextOpenTime: nextOpen.toISOString(),
-    nextOpenFormatted: nextOpen.toLocaleString('en-US', {
-      timeZone: 'America/New_York',
+    hoursUntilOpen: hours,
+    minutesUntilOpen: minutes,
+    nextOpenTime: openAt ? openAt.toISOString() : null,
+    nextOpenFormatted: openAt ? openAt.toLocaleString('en-US', {
+      timeZone: ET_ZONE,
       weekday: 'short',
       month: 'short',
       day: 'numeric',
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
-    }),
+    }) : null,
     closedReason: status.reason,
   };
 }
@@ -249,8 +285,9 @@ function getTimeUntilOpen() {
  * Calculate time until futures market closes
  * Returns object with hours, minutes until close
  */
-function getTimeUntilClose() {
-  const status = isFuturesOpen();
+function getTimeUntilClose(symbol = null) {
+  const now = new Date();
+  const status = isOpen(symbol, now);
 
   if (!status.open) {
     return {
@@ -261,63 +298,39 @@ function getTimeUntilClose() {
     };
   }
 
-  const et = getETTime();
-  const day = et.getDay();
-  const hour = et.getHours();
-  const minute = et.getMinutes();
-
-  let nextClose = new Date(et);
-
-  // Friday - closes at 5:00 PM ET (or 1:00 PM if early close)
-  if (day === 5) {
-    if (isEarlyClose()) {
-      nextClose.setHours(13, 0, 0, 0);
-    } else {
-      nextClose.setHours(17, 0, 0, 0);
-    }
-  }
-  // Monday - Thursday: next close is maintenance at 5:00 PM ET
-  else if (day >= 1 && day <= 4) {
-    if (isEarlyClose()) {
-      nextClose.setHours(13, 0, 0, 0);
-    } else {
-      nextClose.setHours(17, 0, 0, 0);
-    }
-  }
-  // Sunday after 6 PM - next close is Monday 5 PM maintenance
-  else if (day === 0) {
-    nextClose.setDate(nextClose.getDate() + 1); // Monday
-    nextClose.setHours(17, 0, 0, 0);
-  }
-
-  // Calculate difference
-  const now = new Date();
-  const diffMs = nextClose.getTime() - now.getTime();
-  const diffMins = Math.floor(diffMs / (1000 * 60));
-  const hours = Math.floor(diffMins / 60);
-  const minutes = diffMins % 60;
+  const closeAt = nextClose(symbol, now);
+  const { hours, minutes } = splitDuration(closeAt ? closeAt - now : 0);
 
   return {
     isOpen: true,
-    hoursUntilClose: Math.max(0, hours),
-    minutesUntilClose: Math.max(0, minutes),
-    nextCloseTime: nextClose.toISOString(),
-    nextCloseFormatted: nextClose.toLocaleString('en-US', {
-      timeZone: 'America/New_York',
+    hoursUntilClose: hours,
+    minutesUntilClose: minutes,
+    nextCloseTime: closeAt ? closeAt.toISOString() : null,
+    nextCloseFormatted: closeAt ? closeAt.toLocaleString('en-US', {
+      timeZone: ET_ZONE,
       weekday: 'short',
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
-    }),
+    }) : null,
   };
 }
 
 module.exports = {
+  SESSION_CALENDARS,
+  getSessionCalendar,
+  isOpen,
+  nextOpen,
+  nextClose,
   isFuturesOpen,
   getTimeUntilOpen,
   getTimeUntilClose,
   isHoliday,
   isEarlyClose,
   getETTime,
-  CME_HOLIDAYS,
+  getETDateString,
+  isHolidayDate: cmeCalendar.isHolidayDate,
+  getHolidays: cmeCalendar.getHolidays,
+  getEarlyCloseDays: cmeCalendar.getEarlyCloseDays,
+  EARLY_CLOSE_MINUTES_ET,
 };
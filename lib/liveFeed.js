@@ -0,0 +1,188 @@
+/**
+ * Live Feed
+ * Starts the ProjectX user hub for every enabled account and routes its
+ * events to the rest of the system:
+ *
+ * - Bracket supervisor: order and position events trigger a supervision
+ *   pass, so a filled stop cancels its TP within moments instead of at the
+ *   next cron tick
+ * - Risk manager: closing fills and balance changes trigger a P&L sync
+ * - Dashboard: events are re-published to subscribe() listeners, streamed
+ *   by GET /api/trading/live
+ *
+ * A hub that closes for good is dropped and started again after
+ * HUB_RESTART_DELAY_MS. Every ACCOUNTS_REFRESH_SECONDS (60) the hubs are
+ * matched to the accounts: disabled accounts are stopped, and accounts whose
+ * config changed get a new hub.
+ *
+ * Needs a long-lived process (next start, bracket-supervisor.js).
+ */
+
+const accounts = require('./accounts');
+const brokers = require('./brokers');
+const bracketSupervisor = require('./brokers/bracketSupervisor');
+const pnlSync = require('./pnlSync');
+
+// Coalesce bursts (a bracket fill emits order + position + trade events)
+const SUPERVISE_DEBOUNCE_MS = 250;
+const PNL_SYNC_DEBOUNCE_MS = 1000;
+
+const HUB_RESTART_DELAY_MS = 5000;
+const DEFAULT_REFRESH_SECONDS = 60;
+
+const hubs = new Map();         // account ID -> { hub, brokerClient, off }
+const listeners = new Set();
+let starting = null;
+let refreshTimer = null;
+
+function debounce(fn, delayMs) {
+  let timer = null;
+  return () => {
+    clearTimeout(timer);
+    timer = setTimeout(fn, delayMs);
+  };
+}
+
+function publish(accountId, type, data) {
+  for (const listener of listeners) {
+    try {
+      listener({ accountId, type, data, timestamp: new Date().toISOString() });
+    } catch (e) {
+      console.error('[LiveFeed] Listener failed:', e.message);
+    }
+  }
+}
+
+/**
+ * Connect one account's hub and wire its events
+ */
+async function startAccount(account) {
+  const brokerClient = brokers.getBrokerClient(account);
+  if (typeof brokerClient.getUserHub !== 'function') return null;
+
+  const hub = brokerClient.getUserHub();
+
+  const supervise = debounce(() => {
+    bracketSupervisor.superviseAccount(account, brokerClient)
+      .catch(e => console.error(`[LiveFeed] Supervision failed for ${account.id}:`, e.message));
+  }, SUPERVISE_DEBOUNCE_MS);
+
+  const syncPnL = debounce(() => {
+    pnlSync.syncAccountPnL(account)
+      .catch(e => console.error(`[LiveFeed] P&L sync failed for ${account.id}:`, e.message));
+  }, PNL_SYNC_DEBOUNCE_MS);
+
+  const off = hub.on((type, data) => {
+    if (type === 'order' || type === 'position') supervise();
+    if ((type === 'trade' && data.profitAndLoss !== null && data.profitAndLoss !== undefined) || type === 'account') {
+      syncPnL();
+    }
+    publish(account.id, type, data);
+
+    // Reconnect gave up - drop the dead hub so it is started again
+    if (type === 'status' && data.closed && hubs.get(account.id)?.hub === hub) {
+      stopAccount(account.id);
+      setTimeout(() => {
+        startLiveFeeds().catch(e => console.error('[LiveFeed] Restart failed:', e.message));
+      }, HUB_RESTART_DELAY_MS);
+    }
+  });
+
+  try {
+    await hub.start();
+  } catch (error) {
+    off();
+    throw error;
+  }
+  hubs.set(account.id, { hub, brokerClient, off });
+  return hub;
+}
+
+/**
+ * Disconnect an account's hub and forget it
+ */
+function stopAccount(accountId) {
+  const entry = hubs.get(accountId);
+  if (!entry) return;
+  hubs.delete(accountId);
+  entry.off();
+  entry.hub.stop().catch(e => console.warn(`[LiveFeed] Could not stop user hub for ${accountId}:`, e.message));
+}
+
+/**
+ * Stop hubs for disabled accounts and for accounts whose config changed
+ * (getBrokerClient returns a new client, with its own hub)
+ */
+function pruneHubs() {
+  const enabled = new Map(accounts.getEnabledAccounts().map(account => [account.id, account]));
+  for (const [accountId, entry] of hubs) {
+    const account = enabled.get(accountId);
+    if (account && brokers.getBrokerClient(account) === entry.brokerClient) continue;
+    console.log(`[LiveFeed] ${account ? 'Account config changed' : 'Account disabled'}, stopping user hub for ${accountId}`);
+    stopAccount(accountId);
+  }
+}
+
+function ensureRefreshTimer() {
+  if (refreshTimer) return;
+  const seconds = parseInt(process.env.ACCOUNTS_REFRESH_SECONDS || String(DEFAULT_REFRESH_SECONDS), 10);
+  refreshTimer = setInterval(() => {
+    startLiveFeeds().catch(e => console.error('[LiveFeed] Refresh failed:', e.message));
+  }, seconds * 1000);
+  refreshTimer.unref?.();
+}
+
+/**
+ * Start hubs for every enabled account (idempotent)
+ * Accounts that fail to connect are logged and skipped, and retried on the
+ * next refresh
+ */
+async function startLiveFeeds() {
+  await accounts.refreshAccounts();
+  ensureRefreshTimer();
+  if (!starting) {
+    pruneHubs();
+    starting = Promise.all(accounts.getEnabledAccounts()
+      .filter(account => !hubs.has(account.id))
+      .map(account => startAccount(account).catch((error) => {
+        console.error(`[LiveFeed] Could not start user hub for ${account.id}:`, error.message);
+        return null;
+      })))
+      .finally(() => {
+        starting = null;
+      });
+  }
+  await starting;
+  return getLiveBooks();
+}
+
+/**
+ * Subscribe to live events, returns an unsubscribe function
+ * Listener receives { accountId, type, data, timestamp }
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Serializable summary of every account's live book
+ */
+function getLiveBooks() {
+  return Array.from(hubs.entries()).map(([accountId, { hub }]) => ({
+    accountId,
+    connected: hub.book.connected,
+    synced: hub.book.synced,
+    balance: hub.book.account?.balance ?? null,
+    positions: hub.getPositions(),
+    orders: hub.getOpenOrders(),
+    recentTrades: hub.book.trades.slice(0, 20),
+    updatedAt: hub.book.updatedAt,
+  }));
+}
+
+module.exports = {
+  startLiveFeeds,
+  subscribe,
+  getLiveBooks,
+};
@@ -0,0 +1,316 @@
+/**
+ * News Blackout Windows
+ * Blocks new entries around tier-1 US economic events (FOMC, CPI, NFP by
+ * default), as prop firms like TopStep require.
+ *
+ * EVENTS:
+ * - Finnhub economic calendar (US, high impact), cached in riskStore
+ *   `calendar:events` for CALENDAR_CACHE_MINUTES (60) so every instance and
+ *   cold start shares one fetch. A failed fetch keeps the cached events.
+ * - Manual events (riskStore `calendar:manual`) for releases Finnhub misses,
+ *   edited through /api/trading/blackouts:
+ *   { id, event: 'FOMC Minutes', datetime: '2026-10-21T18:00:00Z', before?, after? }
+ *
+ * WINDOWS:
+ * NEWS_BLACKOUT_BEFORE_MINUTES (2) before to NEWS_BLACKOUT_AFTER_MINUTES (5)
+ * after each event whose name matches NEWS_BLACKOUT_KEYWORDS. Manual events
+ * always apply and may set their own before / after minutes.
+ * NEWS_BLACKOUT=false turns blackouts off.
+ *
+ * FLATTEN:
+ * With NEWS_BLACKOUT_FLATTEN=true, enforceBlackouts() (cron) closes every
+ * enabled account's positions once the window opens, and blocked signals
+ * carry shouldFlatten so the webhook flattens too.
+ */
+
+const { getRiskStore } = require('./riskStore');
+
+const EVENTS_KEY = 'calendar:events';
+const MANUAL_KEY = 'calendar:manual';
+const FLATTENED_KEY = 'calendar:flattened';
+
+const DEFAULT_BEFORE_MINUTES = 2;
+const DEFAULT_AFTER_MINUTES = 5;
+const DEFAULT_CACHE_MINUTES = 60;
+const FETCH_TIMEOUT_MS = 5000;
+const RETRY_AFTER_MS = 5 * 60 * 1000; // after a failed fetch, before trying Finnhub again
+
+// Substrings (case-insensitive) of tier-1 Finnhub event names
+const DEFAULT_KEYWORDS = [
+  'fomc', 'fed interest rate', 'interest rate decision',
+  'cpi', 'consumer price index',
+  'nonfarm payrolls', 'non farm payrolls', 'non-farm payrolls',
+];
+
+// Per-instance copy of the persisted calendar
+let memoryCache = { events: null, fetchedAt: 0 };
+let lastFailure = { at: 0, error: null };
+
+function isEnabled() {
+  return process.env.NEWS_BLACKOUT !== 'false';
+}
+
+function getWindowMinutes() {
+  return {
+    before: parseFloat(process.env.NEWS_BLACKOUT_BEFORE_MINUTES || String(DEFAULT_BEFORE_MINUTES)),
+    after: parseFloat(process.env.NEWS_BLACKOUT_AFTER_MINUTES || String(DEFAULT_AFTER_MINUTES)),
+  };
+}
+
+function getKeywords() {
+  if (!process.env.NEWS_BLACKOUT_KEYWORDS) return DEFAULT_KEYWORDS;
+  return process.env.NEWS_BLACKOUT_KEYWORDS.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+}
+
+function isTierOne(eventName) {
+  const name = String(eventName || '').toLowerCase();
+  return getKeywords().some(keyword => name.includes(keyword));
+}
+
+/**
+ * Finnhub times are UTC without a zone ("2026-10-14 12:30:00")
+ */
+function parseEventTime(value) {
+  if (!value) return null;
+  const text = String(value).trim().replace(' ', 'T');
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Keep US high-impact events in the shape /api/calendar returns
+ */
+function formatFinnhubEvents(raw) {
+  return (raw ?? [])
+    .filter((e) => {
+      // Finnhub returns impact as number (3=high) or string ('high')
+      const isHigh = e.impact === 3 || e.impact === 'high';
+      return e.country === 'US' && isHigh;
+    })
+    .map(e => ({
+      event: e.event ?? '',
+      country: e.country ?? '',
+      datetime: parseEventTime(e.time),
+      actual: e.actual ?? null,
+      forecast: e.estimate ?? null,
+      previous: e.prev ?? null,
+      impact: e.impact,
+      unit: e.unit ?? '',
+    }))
+    .sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+}
+
+async function fetchFinnhubEvents() {
+  const key = process.env.FINNHUB_API_KEY || process.env.NEXT_PUBLIC_FINNHUB_API_KEY;
+  if (!key) throw new Error('FINNHUB_API_KEY not configured');
+
+  // From yesterday so an event that just passed still has its after-window
+  const from = new Date(Date.now() - 86_400_000).toISOString().split('T')[0];
+  const to = new Date(Date.now() + 7 * 86_400_000).toISOString().split('T')[0];
+  const res = await fetch(`https://finnhub.io/api/v1/calendar/economic?from=${from}&to=${to}&token=${key}`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Finnhub calendar ${res.status}`);
+
+  const json = await res.json();
+  return formatFinnhubEvents(json.economicCalendar?.economicData);
+}
+
+/**
+ * Finnhub events, from memory, then riskStore, then Finnhub
+ * @param {Object} [options] - { forceRefresh }
+ * @returns {Promise<Object>} { events, fetchedAt, cached, stale?, error? }
+ */
+async function getCalendar({ forceRefresh = false } = {}) {
+  const maxAgeMs = parseInt(process.env.CALENDAR_CACHE_MINUTES || String(DEFAULT_CACHE_MINUTES), 10) * 60 * 1000;
+  const store = await getRiskStore();
+
+  if (!forceRefresh && (!memoryCache.events || Date.now() - memoryCache.fetchedAt >= maxAgeMs)) {
+    const stored = await store.getValue(EVENTS_KEY);
+    if (stored?.events) memoryCache = stored;
+  }
+
+  const fresh = memoryCache.events && Date.now() - memoryCache.fetchedAt < maxAgeMs;
+  if (!forceRefresh && fresh) {
+    return { events: memoryCache.events, fetchedAt: new Date(memoryCache.fetchedAt).toISOString(), cached: true };
+  }
+
+  // Every trade checks the calendar - do not hit Finnhub on each one while it is down
+  const backingOff = !forceRefresh && Date.now() - lastFailure.at < RETRY_AFTER_MS;
+  if (!backingOff) {
+    try {
+      const events = await fetchFinnhubEvents();
+      memoryCache = { events, fetchedAt: Date.now() };
+      lastFailure = { at: 0, error: null };
+      await store.setValue(EVENTS_KEY, memoryCache).catch(error => {
+        console.error('[NewsBlackout] Could not cache calendar:', error.message);
+      });
+      return { events, fetchedAt: new Date(memoryCache.fetchedAt).toISOString(), cached: false };
+    } catch (error) {
+      console.error('[NewsBlackout] Finnhub fetch failed:', error.message);
+      lastFailure = { at: Date.now(), error: error.message };
+    }
+  }
+
+  return {
+    events: memoryCache.events || [],
+    fetchedAt: memoryCache.fetchedAt ? new Date(memoryCache.fetchedAt).toISOString() : null,
+    cached: !!memoryCache.events,
+    stale: !!memoryCache.events,
+    error: lastFailure.error,
+  };
+}
+
+/**
+ * Validate and normalize a manual event
+ * @throws {Error} When the event is malformed
+ */
+function normalizeManualEvent(input) {
+  if (!input || typeof input !== 'object') throw new Error('Event must be an object');
+
+  const event = String(input.event || '').trim();
+  if (!event) throw new Error('Event name is required');
+
+  const datetime = parseEventTime(input.datetime);
+  if (!datetime) throw new Error('datetime must be an ISO timestamp (UTC unless it has an offset)');
+
+  const minutes = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    if (!(num >= 0)) throw new Error(`${field} must be a number of minutes`);
+    return num;
+  };
+
+  return {
+    id: String(input.id || `${datetime.slice(0, 16)}-${event.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`),
+    event,
+    datetime,
+    before: minutes(input.before, 'before'),
+    after: minutes(input.after, 'after'),
+  };
+}
+
+async function getManualEvents() {
+  const store = await getRiskStore();
+  return (await store.getValue(MANUAL_KEY)) || [];
+}
+
+/**
+ * Add or replace a manual event (same id)
+ */
+async function saveManualEvent(input) {
+  const event = normalizeManualEvent(input);
+  const existing = await getManualEvents();
+
+  // Drop events that ended more than a day ago while we are here
+  const cutoff = Date.now() - 86_400_000;
+  const events = [...existing.filter(e => e.id !== event.id && new Date(e.datetime).getTime() > cutoff), event]
+    .sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+
+  const store = await getRiskStore();
+  await store.setValue(MANUAL_KEY, events);
+  console.log(`[NewsBlackout] Saved manual event ${event.id}: ${event.event} at ${event.datetime}`);
+  return event;
+}
+
+/**
+ * Delete a manual event
+ * @returns {Promise<boolean>} False when no event had that id
+ */
+async function deleteManualEvent(id) {
+  const events = await getManualEvents();
+  const remaining = events.filter(e => e.id !== id);
+  if (remaining.length === events.length) return false;
+
+  const store = await getRiskStore();
+  await store.setValue(MANUAL_KEY, remaining);
+  return true;
+}
+
+/**
+ * Blackout windows from tier-1 Finnhub events and every manual event
+ * @returns {Promise<Array>} [{ id, event, datetime, source, start, end }] sorted by start
+ */
+async function getBlackoutWindows() {
+  const defaults = getWindowMinutes();
+  const [{ events }, manual] = await Promise.all([getCalendar(), getManualEvents()]);
+
+  const toWindow = (event, source) => {
+    const time = new Date(event.datetime).getTime();
+    const before = event.before ?? defaults.before;
+    const after = event.after ?? defaults.after;
+    return {
+      id: event.id || `${event.datetime}-${event.event}`,
+      event: event.event,
+      datetime: event.datetime,
+      source,
+      start: new Date(time - before * 60 * 1000).toISOString(),
+      end: new Date(time + after * 60 * 1000).toISOString(),
+    };
+  };
+
+  return [
+    ...events.filter(e => e.datetime && isTierOne(e.event)).map(e => toWindow(e, 'finnhub')),
+    ...manual.map(e => toWindow(e, 'manual')),
+  ].sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * The blackout window in force at a time, if any
+ * @returns {Promise<Object|null>} Window (see getBlackoutWindows) or null
+ */
+async function getActiveBlackout(now = new Date()) {
+  if (!isEnabled()) return null;
+
+  const time = now.getTime();
+  const windows = await getBlackoutWindows();
+  return windows.find(w => new Date(w.start).getTime() <= time && time < new Date(w.end).getTime()) || null;
+}
+
+function shouldFlatten() {
+  return process.env.NEWS_BLACKOUT_FLATTEN === 'true';
+}
+
+/**
+ * Flatten every enabled account once per blackout window (cron)
+ * Repeats each run until every account flattened. Does nothing unless NEWS_BLACKOUT_FLATTEN=true and a window is open.
+ * @returns {Promise<Object>} { blackout, flattened? }
+ */
+async function enforceBlackouts(now = new Date()) {
+  const blackout = await getActiveBlackout(now);
+  if (!blackout || !shouldFlatten()) return { blackout };
+
+  const store = await getRiskStore();
+  const done = (await store.getValue(FLATTENED_KEY)) || [];
+  if (done.includes(blackout.id)) return { blackout, alreadyFlattened: true };
+
+  // Required lazily - tradingHalt requires the broker clients
+  const accounts = require('./accounts');
+  const { flattenAccount } = require('./tradingHalt');
+
+  await accounts.refreshAccounts();
+  const reason = `News blackout: ${blackout.event}`;
+  console.warn(`[NewsBlackout] Flattening all accounts before ${blackout.event} (${blackout.datetime})`);
+  const flattened = await Promise.all(accounts.getEnabledAccounts().map(account => flattenAccount(account, reason)));
+
+  // Failed accounts are retried on the next run while the window is open
+  if (flattened.every(r => r.success)) {
+    await store.setValue(FLATTENED_KEY, [blackout.id, ...done].slice(0, 50));
+  }
+  return { blackout, flattened };
+}
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  isEnabled,
+  isTierOne,
+  getCalendar,
+  getManualEvents,
+  saveManualEvent,
+  deleteManualEvent,
+  normalizeManualEvent,
+  getBlackoutWindows,
+  getActiveBlackout,
+  shouldFlatten,
+  enforceBlackouts,
+};
@@ -0,0 +1,64 @@
+/**
+ * Notifications
+ * Posts operational messages (end-of-day flatten results, ...) to chat
+ * incoming webhooks listed in NOTIFY_WEBHOOK_URLS (comma-separated).
+ *
+ * Discord URLs get { content }, anything else { text } (Slack, Mattermost).
+ * Delivery failures are logged, never thrown - a notification must not
+ * break the job that sends it.
+ */
+
+const SEND_TIMEOUT_MS = 5000;
+
+function getWebhookUrls() {
+  return (process.env.NOTIFY_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+function isConfigured() {
+  return getWebhookUrls().length > 0;
+}
+
+function buildBody(url, message) {
+  const host = new URL(url).hostname;
+  const isDiscord = host === 'discord.com' || host.endsWith('.discord.com') || host === 'discordapp.com';
+  return isDiscord ? { content: message } : { text: message };
+}
+
+/**
+ * Send a message to every configured webhook
+ * @param {string} message - Plain text (Markdown is fine for Discord and Slack)
+ * @returns {Promise<Object>} { sent, failed } counts
+ */
+async function notify(message) {
+  const urls = getWebhookUrls();
+  if (urls.length === 0) return { sent: 0, failed: 0 };
+
+  const results = await Promise.all(urls.map(async url => {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildBody(url, message)),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return true;
+    } catch (error) {
+      // The URL carries the webhook token - log the host only
+      let host = 'invalid URL';
+      try {
+        host = new URL(url).hostname;
+      } catch {}
+      console.error(`[Notifications] Send to ${host} failed:`, error.message);
+      return false;
+    }
+  }));
+
+  const sent = results.filter(Boolean).length;
+  return { sent, failed: results.length - sent };
+}
+
+module.exports = {
+  isConfigured,
+  notify,
+};
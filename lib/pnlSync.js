@@ -0,0 +1,217 @@
+/**
+ * P&L Reconciliation
+ * Pulls filled trades and open positions from the broker, computes realized
+ * and open P&L per account, and feeds them into the risk state and daily
+ * P&L history.
+ *
+ * Runs from:
+ * - GET /api/trading/pnl/sync (cron, see vercel.json)
+ * - The webhook, before risk checks, for the account being traded, unless
+ *   the account was synced within PNL_SYNC_MAX_AGE_SECONDS (default 60)
+ */
+
+const accounts = require('./accounts');
+const brokers = require('./brokers');
+const riskManager = require('./riskManager');
+const alertStorage = require('./alertStorage');
+
+// Position type from ProjectX Position/searchOpen: 1 = Long, 2 = Short
+const POSITION_TYPE = { LONG: 1, SHORT: 2 };
+
+// Stats synced more recently than this are reused by syncAccountPnLIfStale
+const DEFAULT_MAX_AGE_SECONDS = 60;
+
+// Contract specs rarely change, cache them for the life of the process
+const contractCache = new Map();
+
+/**
+ * Get today's date in ET (YYYY-MM-DD), matching riskManager's trading day
+ */
+function getETDateString(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Convert midnight ET on a YYYY-MM-DD date to a UTC Date
+ */
+function getETMidnight(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const utcGuess = new Date(Date.UTC(year, month - 1, day));
+  const etAtGuess = new Date(utcGuess.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const utcAtGuess = new Date(utcGuess.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(utcGuess.getTime() + (utcAtGuess - etAtGuess));
+}
+
+/**
+ * Sum realized P&L from closing fills
+ * Returns gross profit/loss (loss positive) to match riskManager stats
+ */
+function summarizeTrades(trades) {
+  let totalProfit = 0;
+  let totalLoss = 0;
+  let fees = 0;
+  let closingFills = 0;
+
+  for (const trade of trades) {
+    fees += Number(trade.fees || 0);
+    if (trade.profitAndLoss === null || trade.profitAndLoss === undefined) continue;
+
+    const pnl = Number(trade.profitAndLoss);
+    closingFills += 1;
+    if (pnl < 0) {
+      totalLoss += Math.abs(pnl);
+    } else {
+      totalProfit += pnl;
+    }
+  }
+
+  // Fees are a real cost against the daily loss limit
+  totalLoss += fees;
+
+  return {
+    totalProfit: round2(totalProfit),
+    totalLoss: round2(totalLoss),
+    fees: round2(fees),
+    realizedPnl: round2(totalProfit - totalLoss),
+    closingFills,
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function getContractSpec(brokerClient, contractId) {
+  if (contractCache.has(contractId)) return contractCache.get(contractId);
+  const contract = await brokerClient.getContractById(contractId);
+  contractCache.set(contractId, contract);
+  return contract;
+}
+
+/**
+ * Compute open P&L for positions from the latest bar close
+ * Positions whose price or contract spec can't be fetched are skipped
+ */
+async function computeOpenPnl(brokerClient, positions) {
+  let openPnl = 0;
+
+  for (const position of positions) {
+    const size = Math.abs(position.size || 0);
+    if (!size || !position.contractId || !position.averagePrice) continue;
+
+    try {
+      const [contract, lastPrice] = await Promise.all([
+        getContractSpec(brokerClient, position.contractId),
+        brokerClient.getLastPrice(position.contractId),
+      ]);
+      if (lastPrice === null || !contract?.tickSize || !contract?.tickValue) continue;
+
+      const direction = position.type === POSITION_TYPE.SHORT ? -1 : 1;
+      const ticks = (lastPrice - position.averagePrice) / contract.tickSize;
+      openPnl += ticks * contract.tickValue * size * direction;
+    } catch (e) {
+      console.warn(`[PnLSync] Could not price position ${position.contractId}: ${e.message}`);
+    }
+  }
+
+  return round2(openPnl);
+}
+
+/**
+ * Reconcile P&L for a single account
+ * @param {Object} account - Account from lib/accounts
+ * @returns {Promise<Object>} { accountId, date, realizedPnl, openPnl, ... }
+ */
+async function syncAccountPnL(account) {
+  const brokerClient = brokers.getBrokerClient(account);
+
+  if (typeof brokerClient.getTrades !== 'function') {
+    throw new Error(`${brokerClient.name} client does not support trade history`);
+  }
+
+  const date = getETDateString();
+  const startTimestamp = getETMidnight(date).toISOString();
+
+  const trades = await brokerClient.getTrades(startTimestamp);
+  const summary = summarizeTrades(trades);
+
+  let openPnl = 0;
+  try {
+    const positions = await brokerClient.getPositions();
+    openPnl = await computeOpenPnl(brokerClient, positions);
+  } catch (e) {
+    console.warn(`[PnLSync] Could not compute open P&L for ${account.id}: ${e.message}`);
+  }
+
+  let balance = null;
+  try {
+    const details = await brokerClient.getAccountDetails();
+    balance = details.balance ?? null;
+  } catch (e) {
+    console.warn(`[PnLSync] Could not fetch balance for ${account.id}: ${e.message}`);
+  }
+
+  await riskManager.syncPnL(account.id, {
+    totalProfit: summary.totalProfit,
+    totalLoss: summary.totalLoss,
+    openPnl,
+  });
+
+  await alertStorage.saveDailyPnL(account.id, date, summary.realizedPnl, balance, summary.closingFills);
+
+  console.log(`[PnLSync] ${account.id}: realized $${summary.realizedPnl}, open $${openPnl}, fills ${trades.length}`);
+
+  return {
+    accountId: account.id,
+    date,
+    realizedPnl: summary.realizedPnl,
+    grossProfit: summary.totalProfit,
+    grossLoss: summary.totalLoss,
+    fees: summary.fees,
+    openPnl,
+    balance,
+    closingFills: summary.closingFills,
+    fills: trades.length,
+  };
+}
+
+function getMaxAgeMs() {
+  const seconds = Number(process.env.PNL_SYNC_MAX_AGE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_MAX_AGE_SECONDS) * 1000;
+}
+
+/**
+ * Reconcile P&L for an account unless the cron or live feed already did it
+ * within PNL_SYNC_MAX_AGE_SECONDS
+ * @returns {Promise<Object|null>} syncAccountPnL result, or null when the stored stats are fresh
+ */
+async function syncAccountPnLIfStale(account) {
+  const stats = await riskManager.getDailyStats(account.id);
+  if (stats.pnlSyncedAt && Date.now() - stats.pnlSyncedAt < getMaxAgeMs()) return null;
+  return syncAccountPnL(account);
+}
+
+/**
+ * Reconcile P&L for every enabled account
+ */
+async function syncAllAccounts() {
+  await accounts.refreshAccounts();
+  const enabledAccounts = accounts.getEnabledAccounts();
+
+  return Promise.all(enabledAccounts.map(async (account) => {
+    try {
+      return { success: true, ...(await syncAccountPnL(account)) };
+    } catch (error) {
+      console.error(`[PnLSync] Sync failed for ${account.id}:`, error.message);
+      return { success: false, accountId: account.id, error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  syncAccountPnL,
+  syncAccountPnLIfStale,
+  syncAllAccounts,
+  summarizeTrades,
+  getETMidnight,
+};
@@ -0,0 +1,149 @@
+/**
+ * Position Sizing
+ * Converts a dollar risk budget into a contract count using the distance
+ * from the entry estimate to the stop and the symbol's tick value.
+ *
+ * PRIORITY:
+ * 1. Payload `qty`  - explicit contract count
+ * 2. Payload `risk` - USD to risk on this trade
+ * 3. Account RISK_PER_TRADE (ACCOUNT_{ID}_RISK_PER_TRADE)
+ * 4. Account fixed size (ACCOUNT_{ID}_CONTRACTS)
+ *
+ * Every result is capped at the account's MAX_CONTRACTS. Fixed and qty
+ * sizes are raised to MIN_CONTRACTS; risk-based sizes are not, because that
+ * would risk more than the budget. When one contract risks more than the
+ * budget, or there is no entry estimate to measure the stop from, the
+ * result is 0 contracts with a reason and the entry is skipped - unless the
+ * account opts in with ROUND_UP_TO_MIN=true.
+ */
+
+const contracts = require('./contracts');
+
+const SIZING_METHOD = {
+  QTY_OVERRIDE: 'qty_override',
+  RISK_OVERRIDE: 'risk_override',
+  RISK: 'risk',
+  FIXED: 'fixed',
+};
+
+const DEFAULT_SIZING = {
+  riskPerTrade: null,
+  defaultContracts: 3,
+  minContracts: 1,
+  maxContracts: null,
+  roundUpToMin: false,
+};
+
+/**
+ * Parse a positive number from a payload field, or null
+ */
+function parsePositive(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) || num <= 0 ? null : num;
+}
+
+/**
+ * Effective sizing config for an account
+ */
+function getSizingConfig(account) {
+  return { ...DEFAULT_SIZING, ...(account?.sizing || {}) };
+}
+
+/**
+ * Dollar risk of one contract between entry and stop
+ * @returns {Object|null} { stopTicks, riskPerContract } or null if unknown
+ */
+function getRiskPerContract(entryPrice, stopPrice, symbol) {
+  const spec = contracts.getContractSpec(symbol);
+  if (!spec || !entryPrice || !stopPrice) return null;
+
+  const stopTicks = Math.round(Math.abs(entryPrice - stopPrice) / spec.tickSize);
+  if (stopTicks === 0) return null;
+
+  return { stopTicks, riskPerContract: stopTicks * spec.tickValue };
+}
+
+/**
+ * Calculate the contract count for a trade
+ *
+ * @param {Object} params
+ * @param {Object} params.account - Account from lib/accounts
+ * @param {string} params.symbol - Trading symbol
+ * @param {number|null} params.entryPrice - Entry estimate (last price or payload price)
+ * @param {number} params.stopPrice - Stop loss price
+ * @param {Object} params.overrides - { qty, risk } from the webhook payload
+ * @returns {Object} { contracts, method, riskBudget, riskPerContract, stopTicks, totalRisk, capped, reason }
+ *   contracts is 0 when the entry should be skipped (reason says why)
+ */
+function calculatePositionSize({ account, symbol, entryPrice, stopPrice, overrides = {} }) {
+  const config = getSizingConfig(account);
+  const qtyOverride = parsePositive(overrides.qty);
+  const riskOverride = parsePositive(overrides.risk);
+  const risk = getRiskPerContract(entryPrice, stopPrice, symbol);
+
+  let method;
+  let raw;
+  let riskBudget = null;
+  let reason = null;
+
+  if (qtyOverride !== null) {
+    method = SIZING_METHOD.QTY_OVERRIDE;
+    raw = Math.floor(qtyOverride);
+  } else if (riskOverride !== null || config.riskPerTrade !== null) {
+    riskBudget = riskOverride ?? config.riskPerTrade;
+    method = riskOverride !== null ? SIZING_METHOD.RISK_OVERRIDE : SIZING_METHOD.RISK;
+    if (!risk) {
+      // No entry estimate - the risk cannot be measured, so do not guess a size
+      return {
+        contracts: 0,
+        method,
+        riskBudget,
+        riskPerContract: null,
+        stopTicks: null,
+        totalRisk: null,
+        capped: false,
+        reason: `Entry estimate unavailable - cannot size $${riskBudget} risk, entry skipped`,
+      };
+    }
+    raw = Math.floor(riskBudget / risk.riskPerContract);
+  } else {
+    method = SIZING_METHOD.FIXED;
+    raw = config.defaultContracts;
+  }
+
+  const riskBased = method === SIZING_METHOD.RISK || method === SIZING_METHOD.RISK_OVERRIDE;
+  let size = raw;
+  if (size < config.minContracts) {
+    if (riskBased && !config.roundUpToMin) {
+      size = 0;
+      reason = `${config.minContracts} contract(s) would risk $${risk.riskPerContract * config.minContracts}, over the $${riskBudget} budget - entry skipped`;
+    } else {
+      size = config.minContracts;
+    }
+  }
+  if (config.maxContracts !== null && size > config.maxContracts) size = config.maxContracts;
+
+  const capped = size !== raw && size > 0;
+  if (capped) {
+    reason = `${raw} contract(s) clamped to ${size} (min ${config.minContracts}, max ${config.maxContracts ?? 'none'})`;
+  }
+
+  return {
+    contracts: size,
+    method,
+    riskBudget,
+    riskPerContract: risk?.riskPerContract ?? null,
+    stopTicks: risk?.stopTicks ?? null,
+    totalRisk: risk ? Math.round(risk.riskPerContract * size * 100) / 100 : null,
+    capped,
+    reason,
+  };
+}
+
+module.exports = {
+  calculatePositionSize,
+  getRiskPerContract,
+  getSizingConfig,
+  SIZING_METHOD,
+};
@@ -0,0 +1,275 @@
+/**
+ * Prop-Firm Rule Engine
+ * Tracks high-water balance per account and enforces evaluation rules
+ *
+ * RULES ENFORCED:
+ * - Trailing max drawdown (end-of-day or intraday trailing)
+ * - Daily loss limit (from the session's starting balance)
+ * - Consistency (today's profit capped at a % of the profit target)
+ * - Profit target (stop trading once the evaluation is passed)
+ *
+ * State (high-water balance, day start balance, daily results) is persisted
+ * through riskStore so it survives serverless cold starts.
+ *
+ * Preset figures are the published defaults at the time of writing - always
+ * confirm against your firm's current rules and override via env if needed.
+ */
+
+const { getRiskStore } = require('./riskStore');
+
+// Identifiers reported when a rule blocks a trade
+const RULE_TYPE = {
+  TRAILING_DRAWDOWN: 'trailing_drawdown',
+  DAILY_LOSS_LIMIT: 'daily_loss_limit',
+  CONSISTENCY: 'consistency',
+  PROFIT_TARGET: 'profit_target',
+};
+
+/**
+ * Firm presets keyed by account size
+ * trailingMode: 'eod' trails on end-of-day balance, 'intraday' on live equity
+ * lockAtStart: drawdown floor stops trailing once it reaches starting balance
+ */
+const FIRM_PRESETS = {
+  topstep: {
+    name: 'TopStep',
+    trailingMode: 'eod',
+    lockAtStart: true,
+    consistencyPct: 50,
+    sizes: {
+      50000: { trailingDrawdown: 2000, dailyLossLimit: 1000, profitTarget: 3000 },
+      100000: { trailingDrawdown: 3000, dailyLossLimit: 2000, profitTarget: 6000 },
+      150000: { trailingDrawdown: 4500, dailyLossLimit: 3000, profitTarget: 9000 },
+    },
+  },
+  tfd: {
+    name: 'The Futures Desk',
+    trailingMode: 'eod',
+    lockAtStart: true,
+    consistencyPct: 40,
+    sizes: {
+      50000: { trailingDrawdown: 2000, dailyLossLimit: 1100, profitTarget: 3000 },
+      100000: { trailingDrawdown: 3000, dailyLossLimit: 2200, profitTarget: 6000 },
+      150000: { trailingDrawdown: 4500, dailyLossLimit: 3300, profitTarget: 9000 },
+    },
+  },
+  alphafutures: {
+    name: 'Alpha Futures',
+    trailingMode: 'eod',
+    lockAtStart: true,
+    consistencyPct: 50,
+    sizes: {
+      50000: { trailingDrawdown: 2000, dailyLossLimit: 1000, profitTarget: 3000 },
+      100000: { trailingDrawdown: 4000, dailyLossLimit: 2000, profitTarget: 6000 },
+      150000: { trailingDrawdown: 6000, dailyLossLimit: 3000, profitTarget: 9000 },
+    },
+  },
+};
+
+const DEFAULT_ACCOUNT_SIZE = 50000;
+
+/**
+ * Get the futures trading date (YYYY-MM-DD)
+ * The session rolls at 5:00 PM ET, so evening trades count toward tomorrow
+ */
+function getTradingDate(date = new Date()) {
+  const etHour = parseInt(date.toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    hour: 'numeric',
+    hour12: false,
+  }), 10) % 24;
+
+  const sessionDate = etHour >= 17 ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date;
+  return sessionDate.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Resolve effective rules for an account (preset merged with env overrides)
+ * Returns null when the account has no firm configured
+ */
+function resolveRules(account) {
+  const config = account?.rules;
+  if (!config) return null;
+
+  const preset = FIRM_PRESETS[config.firm];
+  if (!preset) {
+    console.warn(`[PropFirmRules] Unknown firm "${config.firm}" for account ${account.id}`);
+  }
+
+  const accountSize = config.accountSize ?? DEFAULT_ACCOUNT_SIZE;
+  const sizePreset = preset?.sizes[accountSize] || {};
+
+  return {
+    firm: config.firm,
+    firmName: preset?.name || config.firm,
+    accountSize,
+    trailingMode: preset?.trailingMode || 'eod',
+    lockAtStart: preset?.lockAtStart ?? true,
+    trailingDrawdown: config.trailingDrawdown ?? sizePreset.trailingDrawdown ?? null,
+    dailyLossLimit: config.dailyLossLimit ?? sizePreset.dailyLossLimit ?? null,
+    consistencyPct: config.consistencyPct ?? preset?.consistencyPct ?? null,
+    profitTarget: config.profitTarget ?? sizePreset.profitTarget ?? null,
+    flattenBuffer: config.flattenBuffer ?? 0,
+    autoFlatten: !!config.autoFlatten,
+  };
+}
+
+/**
+ * Load persisted rule state for an account
+ */
+async function getRuleState(accountId) {
+  const store = await getRiskStore();
+  return store.getValue(`propfirm:${accountId}`);
+}
+
+/**
+ * Reset rule state (e.g. after starting a new evaluation)
+ */
+async function resetRuleState(accountId) {
+  const store = await getRiskStore();
+  await store.deleteValue(`propfirm:${accountId}`);
+  console.log(`[PropFirmRules] Rule state reset for ${accountId}`);
+}
+
+/**
+ * Evaluate prop-firm rules for an account against live broker details
+ * Updates the persisted high-water mark as a side effect.
+ *
+ * @param {Object} account - Account from lib/accounts
+ * @param {Object} details - Result of brokerClient.getAccountDetails()
+ * @returns {Promise<Object>} { enabled, allowed, limit, reason, shouldFlatten, metrics }
+ */
+async function evaluateAccount(account, details, now = new Date()) {
+  const rules = resolveRules(account);
+  if (!rules) {
+    return { enabled: false, allowed: true, reason: 'No prop-firm rules configured' };
+  }
+
+  const balance = Number(details?.balance);
+  if (!details || isNaN(balance)) {
+    return { enabled: true, allowed: true, reason: 'Account balance unavailable - rules not evaluated', rules };
+  }
+
+  const openPnl = Number(details.openPnl ?? details.unrealizedPnl ?? 0) || 0;
+  const equity = balance + openPnl;
+  const today = getTradingDate(now);
+
+  const store = await getRiskStore();
+  const key = `propfirm:${account.id}`;
+  let state = await store.getValue(key);
+
+  if (!state) {
+    const startingBalance = rules.accountSize ?? balance;
+    state = {
+      startingBalance,
+      highWaterBalance: Math.max(startingBalance, balance),
+      tradingDate: today,
+      dayStartBalance: balance,
+      lastBalance: balance,
+      dailyResults: {},
+    };
+    console.log(`[PropFirmRules] Initialised ${account.id}: start $${startingBalance}, balance $${balance}`);
+  }
+
+  // Session rollover: close out the previous day and trail on its final balance
+  if (state.tradingDate !== today) {
+    state.dailyResults[state.tradingDate] = state.lastBalance - state.dayStartBalance;
+    if (rules.trailingMode === 'eod') {
+      state.highWaterBalance = Math.max(state.highWaterBalance, state.lastBalance);
+    }
+    state.tradingDate = today;
+    // Prior session's last known balance, so losses before our first poll count
+    state.dayStartBalance = state.lastBalance;
+    console.log(`[PropFirmRules] New session for ${account.id}. High-water: $${state.highWaterBalance}`);
+  }
+
+  state.lastBalance = balance;
+  if (rules.trailingMode === 'intraday') {
+    state.highWaterBalance = Math.max(state.highWaterBalance, equity);
+  }
+
+  // Evaluate on the computed state even when it could not be persisted
+  await store.setValue(key, state).catch(error => {
+    console.error(`[PropFirmRules] Could not save rule state for ${account.id}:`, error.message);
+  });
+
+  // Drawdown floor trails the high-water mark, locking at starting balance
+  let drawdownFloor = null;
+  if (rules.trailingDrawdown !== null) {
+    drawdownFloor = state.highWaterBalance - rules.trailingDrawdown;
+    if (rules.lockAtStart) {
+      drawdownFloor = Math.min(drawdownFloor, state.startingBalance);
+    }
+  }
+
+  const dailyPnl = equity - state.dayStartBalance;
+  const totalProfit = equity - state.startingBalance;
+  const buffer = rules.flattenBuffer;
+
+  const metrics = {
+    balance,
+    equity,
+    startingBalance: state.startingBalance,
+    highWaterBalance: state.highWaterBalance,
+    drawdownFloor,
+    drawdownRemaining: drawdownFloor !== null ? equity - drawdownFloor : null,
+    dailyPnl,
+    dailyLossRemaining: rules.dailyLossLimit !== null ? rules.dailyLossLimit + dailyPnl : null,
+    totalProfit,
+    profitTargetRemaining: rules.profitTarget !== null ? rules.profitTarget - totalProfit : null,
+    consistencyDailyCap: null,
+    tradingDate: today,
+  };
+
+  const result = (allowed, limit, reason, shouldFlatten = false) => ({
+    enabled: true,
+    allowed,
+    limit,
+    reason,
+    shouldFlatten: shouldFlatten && rules.autoFlatten,
+    firm: rules.firmName,
+    rules,
+    metrics,
+  });
+
+  // Drawdown and daily loss: block (and optionally flatten) inside the buffer
+  if (metrics.drawdownRemaining !== null && metrics.drawdownRemaining <= buffer) {
+    const breached = metrics.drawdownRemaining <= 0;
+    return result(false, RULE_TYPE.TRAILING_DRAWDOWN,
+      `${rules.firmName} trailing drawdown ${breached ? 'breached' : 'within buffer'}: equity $${equity.toFixed(2)}, floor $${drawdownFloor.toFixed(2)}`,
+      true);
+  }
+
+  if (metrics.dailyLossRemaining !== null && metrics.dailyLossRemaining <= buffer) {
+    const breached = metrics.dailyLossRemaining <= 0;
+    return result(false, RULE_TYPE.DAILY_LOSS_LIMIT,
+      `${rules.firmName} daily loss limit ${breached ? 'breached' : 'within buffer'}: today $${dailyPnl.toFixed(2)} of -$${rules.dailyLossLimit}`,
+      true);
+  }
+
+  if (metrics.profitTargetRemaining !== null && metrics.profitTargetRemaining <= 0) {
+    return result(false, RULE_TYPE.PROFIT_TARGET,
+      `${rules.firmName} profit target reached ($${totalProfit.toFixed(2)} of $${rules.profitTarget})`);
+  }
+
+  // Consistency: keep any single day under consistencyPct of the target
+  if (rules.consistencyPct !== null && rules.profitTarget !== null) {
+    metrics.consistencyDailyCap = rules.profitTarget * (rules.consistencyPct / 100);
+    if (dailyPnl >= metrics.consistencyDailyCap) {
+      return result(false, RULE_TYPE.CONSISTENCY,
+        `${rules.firmName} consistency rule: today $${dailyPnl.toFixed(2)} reached ${rules.consistencyPct}% cap ($${metrics.consistencyDailyCap.toFixed(2)})`);
+    }
+  }
+
+  return result(true, null, `${rules.firmName} rules passed`);
+}
+
+module.exports = {
+  evaluateAccount,
+  resolveRules,
+  getRuleState,
+  resetRuleState,
+  getTradingDate,
+  FIRM_PRESETS,
+  RULE_TYPE,
+};
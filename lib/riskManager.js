@@ -3,62 +3,126 @@
  * Enforces trading rules and safety limits PER ACCOUNT
  *
  * EDGE CASES HANDLED:
- * - Futures market hours (Sun 6PM - Fri 5PM ET)
+ * - Futures market hours for the traded symbol (lib/futuresMarket.js calendars)
  * - Daily reset uses proper ET timezone
- * - Concurrent trade protection via mutex (per account)
+ * - Concurrent trade protection via mutex plus a riskStore lease (per account,
+ *   shared by every instance)
+ * - Fails closed: entries are refused when risk state can't be read
  * - Idempotency tracking for duplicate webhooks
- * - Independent risk limits per trading account
+ * - Independent risk limits per trading account (ACCOUNT_{ID}_MAX_TRADES etc.)
+ * - Serverless cold starts (state persisted via riskStore)
+ * - Prop-firm trailing drawdown / daily loss / consistency (propFirmRules)
+ * - Global and per-account trading halts (tradingHalt)
+ * - News blackout windows around tier-1 economic events (newsBlackout)
+ * - Entry windows, last entry and flatten times per account / strategy (tradingSessions)
+ * - No entries after the account's EOD flatten time (eodFlatten)
  */
 
 const futuresMarket = require('./futuresMarket');
+const accounts = require('./accounts');
+const propFirmRules = require('./propFirmRules');
+const tradingHalt = require('./tradingHalt');
+const newsBlackout = require('./newsBlackout');
+const tradingSessions = require('./tradingSessions');
+const eodFlatten = require('./eodFlatten');
+const { getRiskStore } = require('./riskStore');
 
 // Mutex for concurrent trade execution (per account)
-const tradeMutexes = new Map(); // accountId -> { locked: boolean }
+const tradeMutexes = new Map(); // accountId -> { locked: boolean, lease: string|null }
 
-// Recent webhook IDs for idempotency (prevent duplicate orders)
-let recentWebhooks = new Map(); // webhookId -> timestamp
-const WEBHOOK_IDEMPOTENCY_WINDOW_MS = 30000; // 30 seconds
-
-// Per-account daily stats storage
-// Map<accountId, { date, tradeCount, totalLoss, totalProfit, lastTradeTime }>
-const accountStats = new Map();
+// Cross-instance lease behind the mutex; outlives a normal webhook, and
+// expires on its own if the instance dies while holding it
+const TRADE_LEASE_MS = 60000;
 
-// Trade history storage (in-memory, resets on server restart)
-let tradeHistory = [];
+// Idempotency window for duplicate webhooks (keys persisted in riskStore)
+const WEBHOOK_IDEMPOTENCY_WINDOW_MS = 30000; // 30 seconds
 
+// Global defaults, used for any field an account does not override
 const RISK_LIMITS = {
   MAX_TRADES_PER_DAY: 8,
   MAX_DAILY_LOSS: 400, // USD
+  MAX_DAILY_PROFIT: null, // USD, null = no profit lock
   COOLDOWN_SECONDS: 60,
 };
 
+// Identifiers reported in canExecuteTrade().limit when a trade is blocked
+const RISK_LIMIT_TYPE = {
+  DUPLICATE: 'duplicate_webhook',
+  HALTED: 'halted',
+  MARKET_CLOSED: 'market_closed',
+  NEWS_BLACKOUT: 'news_blackout',
+  OUTSIDE_SESSION: 'outside_session',
+  EOD_FLATTEN: 'eod_flatten',
+  STATE_UNAVAILABLE: 'state_unavailable',
+  MAX_TRADES: 'max_trades',
+  MAX_DAILY_LOSS: 'max_daily_loss',
+  MAX_DAILY_PROFIT: 'max_daily_profit',
+  COOLDOWN: 'cooldown',
+  ...propFirmRules.RULE_TYPE,
+};
+
+/**
+ * Resolve the effective risk profile for an account
+ * Account overrides (from lib/accounts) are merged over RISK_LIMITS
+ */
+function getRiskProfile(accountId = 'default') {
+  const account = accounts.getAccount(accountId);
+  const overrides = account?.risk || {};
+  return {
+    maxTradesPerDay: overrides.maxTradesPerDay ?? RISK_LIMITS.MAX_TRADES_PER_DAY,
+    maxDailyLoss: overrides.maxDailyLoss ?? RISK_LIMITS.MAX_DAILY_LOSS,
+    maxDailyProfit: overrides.maxDailyProfit ?? RISK_LIMITS.MAX_DAILY_PROFIT,
+    cooldownSeconds: overrides.cooldownSeconds ?? RISK_LIMITS.COOLDOWN_SECONDS,
+  };
+}
+
 /**
  * Get or create mutex for an account
  */
 function getAccountMutex(accountId) {
   const id = accountId || 'default';
   if (!tradeMutexes.has(id)) {
-    tradeMutexes.set(id, { locked: false });
+    tradeMutexes.set(id, { locked: false, lease: null });
   }
   return tradeMutexes.get(id);
 }
 
+function leaseKey(accountId) {
+  return `trade:${accountId || 'default'}`;
+}
+
 /**
  * Acquire mutex lock for trade execution (per account)
- * Prevents concurrent webhooks from bypassing risk limits
+ * Prevents concurrent webhooks from bypassing risk limits. The in-process
+ * mutex is backed by a riskStore lease, so other instances wait too.
  */
 async function acquireLock(timeoutMs = 5000, accountId = 'default') {
   const startTime = Date.now();
   const mutex = getAccountMutex(accountId);
-
-  while (mutex.locked) {
+  const waitOrTimeout = async () => {
     if (Date.now() - startTime > timeoutMs) {
       throw new Error(`Trade lock timeout for account ${accountId} - system busy`);
     }
     await new Promise(resolve => setTimeout(resolve, 50));
-  }
+  };
 
+  while (mutex.locked) {
+    await waitOrTimeout();
+  }
   mutex.locked = true;
+
+  const owner = `${process.pid}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  try {
+    const store = await getRiskStore();
+    while (!(await store.acquireLease(leaseKey(accountId), owner, TRADE_LEASE_MS))) {
+      await waitOrTimeout();
+    }
+  } catch (error) {
+    mutex.locked = false;
+    throw error;
+  }
+
+  mutex.lease = owner;
   return true;
 }
 
@@ -67,26 +131,33 @@ async function acquireLock(timeoutMs = 5000, accountId = 'default') {
  */
 function releaseLock(accountId = 'default') {
   const mutex = getAccountMutex(accountId);
+  const owner = mutex.lease;
+  mutex.lease = null;
   mutex.locked = false;
+
+  if (owner) {
+    // Left to expire if this fails - the next holder waits at most TRADE_LEASE_MS
+    getRiskStore()
+      .then(store => store.releaseLease(leaseKey(accountId), owner))
+      .catch(error => console.error(`[RiskManager] Trade lock release failed for ${accountId}: ${error.message}`));
+  }
 }
 
 /**
  * Check if a webhook ID was recently processed (idempotency check)
  * Returns true if this is a duplicate
  */
-function isDuplicateWebhook(webhookId) {
+async function isDuplicateWebhook(webhookId) {
   if (!webhookId) return false;
 
+  const store = await getRiskStore();
+  const windowStart = Date.now() - WEBHOOK_IDEMPOTENCY_WINDOW_MS;
+
   // Clean old entries
-  const now = Date.now();
-  for (const [id, timestamp] of recentWebhooks.entries()) {
-    if (now - timestamp > WEBHOOK_IDEMPOTENCY_WINDOW_MS) {
-      recentWebhooks.delete(id);
-    }
-  }
+  await store.pruneWebhooks(windowStart);
 
   // Check if this webhook was recently processed
-  if (recentWebhooks.has(webhookId)) {
+  if (await store.hasWebhook(webhookId, windowStart)) {
     console.log(`[RiskManager] Duplicate webhook detected: ${webhookId}`);
     return true;
   }
@@ -97,9 +168,10 @@ function isDuplicateWebhook(webhookId) {
 /**
  * Mark a webhook as processed
  */
-function markWebhookProcessed(webhookId) {
+async function markWebhookProcessed(webhookId) {
   if (webhookId) {
-    recentWebhooks.set(webhookId, Date.now());
+    const store = await getRiskStore();
+    await store.saveWebhook(webhookId, Date.now());
   }
 }
 
@@ -111,64 +183,73 @@ function getETDateString() {
   return now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
 }
 
+/**
+ * Create empty daily stats for a trading day
+ */
+function createEmptyStats(date) {
+  return {
+    date,
+    tradeCount: 0,
+    totalLoss: 0,
+    totalProfit: 0,
+    openPnl: 0,
+    lastTradeTime: null,
+    pnlSyncedAt: null,
+  };
+}
+
 /**
  * Get or create daily stats for an account
  */
-function getAccountStats(accountId) {
+async function getAccountStats(accountId) {
   const id = accountId || 'default';
   const today = getETDateString();
+  const store = await getRiskStore();
 
-  if (!accountStats.has(id)) {
-    accountStats.set(id, {
-      date: today,
-      tradeCount: 0,
-      totalLoss: 0,
-      totalProfit: 0,
-      lastTradeTime: null,
-    });
-  }
+  const stats = await store.getAccountStats(id);
 
-  const stats = accountStats.get(id);
+  if (!stats) {
+    const fresh = createEmptyStats(today);
+    await store.saveAccountStats(id, fresh);
+    return fresh;
+  }
 
   // Reset if new trading day
   if (stats.date !== today) {
     console.log(`[RiskManager] New trading day for account ${id}. Resetting stats.`);
-    stats.date = today;
-    stats.tradeCount = 0;
-    stats.totalLoss = 0;
-    stats.totalProfit = 0;
-    stats.lastTradeTime = null;
+    const fresh = createEmptyStats(today);
+    await store.saveAccountStats(id, fresh);
+    return fresh;
   }
 
   return stats;
 }
 
 /**
- * Check if futures market is currently open
- * Futures: Sun 6PM ET - Fri 5PM ET (with daily 5-6PM break Mon-Thu)
+ * Check if the futures market is currently open for a symbol
+ * Uses the symbol's product-group calendar (equity index when omitted)
+ * @returns {Object} { open, reason, group, symbol }
  */
-function isFuturesMarketOpen() {
-  const status = futuresMarket.isFuturesOpen();
-  console.log(`[RiskManager] Futures market open: ${status.open}, Reason: ${status.reason}`);
-  return status.open;
+function getFuturesMarketStatus(symbol = null) {
+  const status = futuresMarket.isOpen(symbol);
+  console.log(`[RiskManager] Futures market open (${symbol || status.group}): ${status.open}, Reason: ${status.reason}`);
+  return status;
 }
 
 /**
  * Check if cooldown period has elapsed since last trade for an account
  */
-function isCooldownElapsed(accountId) {
-  const stats = getAccountStats(accountId);
-
+function isCooldownElapsed(accountId, stats, profile) {
   if (!stats.lastTradeTime) {
     return true;
   }
 
   const now = Date.now();
   const timeSinceLastTrade = (now - stats.lastTradeTime) / 1000; // seconds
-  const cooldownElapsed = timeSinceLastTrade >= RISK_LIMITS.COOLDOWN_SECONDS;
+  const cooldownElapsed = timeSinceLastTrade >= profile.cooldownSeconds;
 
   if (!cooldownElapsed) {
-    const remainingSeconds = Math.ceil(RISK_LIMITS.COOLDOWN_SECONDS - timeSinceLastTrade);
+    const remainingSeconds = Math.ceil(profile.cooldownSeconds - timeSinceLastTrade);
     console.log(`[RiskManager] Account ${accountId} cooldown active. ${remainingSeconds}s remaining.`);
   }
 
@@ -178,12 +259,11 @@ function isCooldownElapsed(accountId) {
 /**
  * Check if max trades per day limit has been reached for an account
  */
-function hasReachedMaxTrades(accountId) {
-  const stats = getAccountStats(accountId);
-  const reached = stats.tradeCount >= RISK_LIMITS.MAX_TRADES_PER_DAY;
+function hasReachedMaxTrades(accountId, stats, profile) {
+  const reached = stats.tradeCount >= profile.maxTradesPerDay;
 
   if (reached) {
-    console.log(`[RiskManager] Account ${accountId} max trades reached: ${stats.tradeCount}/${RISK_LIMITS.MAX_TRADES_PER_DAY}`);
+    console.log(`[RiskManager] Account ${accountId} max trades reached: ${stats.tradeCount}/${profile.maxTradesPerDay}`);
   }
 
   return reached;
@@ -192,69 +272,209 @@ function hasReachedMaxTrades(accountId) {
 /**
  * Check if max daily loss limit has been reached for an account
  */
-function hasReachedMaxLoss(accountId) {
-  const stats = getAccountStats(accountId);
-  const reached = stats.totalLoss >= RISK_LIMITS.MAX_DAILY_LOSS;
+function hasReachedMaxLoss(accountId, stats, profile) {
+  // Open losses count toward the limit so a losing position can't run past it
+  const currentLoss = stats.totalLoss + Math.max(0, -(stats.openPnl || 0));
+  const reached = currentLoss >= profile.maxDailyLoss;
 
   if (reached) {
-    console.log(`[RiskManager] Account ${accountId} max daily loss reached: $${stats.totalLoss}/$${RISK_LIMITS.MAX_DAILY_LOSS}`);
+    console.log(`[RiskManager] Account ${accountId} max daily loss reached: $${currentLoss}/$${profile.maxDailyLoss}`);
   }
 
   return reached;
 }
 
+/**
+ * Check if the optional daily profit lock has been reached for an account
+ */
+function hasReachedMaxProfit(accountId, stats, profile) {
+  if (profile.maxDailyProfit === null || profile.maxDailyProfit === undefined) return false;
+
+  const netPnl = stats.totalProfit - stats.totalLoss;
+  const reached = netPnl >= profile.maxDailyProfit;
+
+  if (reached) {
+    console.log(`[RiskManager] Account ${accountId} daily profit lock reached: $${netPnl}/$${profile.maxDailyProfit}`);
+  }
+
+  return reached;
+}
+
+/**
+ * Blocked result for risk state that could not be read - without it the
+ * limits would be checked against an empty state
+ */
+function stateUnavailable(accountId, what, error) {
+  console.error(`[RiskManager] ${what} unavailable for ${accountId}: ${error.message}`);
+  return {
+    allowed: false,
+    reason: `${what} unavailable (${error.message}) - entries blocked`,
+    limit: RISK_LIMIT_TYPE.STATE_UNAVAILABLE,
+  };
+}
+
 /**
  * Validate if a trade can be executed based on all risk rules
  * @param {string} webhookId - Optional webhook ID for idempotency check
  * @param {string} accountId - Account ID for per-account risk limits
- * @returns {Object} { allowed: boolean, reason: string }
+ * @param {Object} options - { accountDetails, strategy, symbol } broker account details;
+ *   when provided, prop-firm rules for the account are evaluated as well.
+ *   strategy selects STRATEGY_SESSIONS entry windows, symbol the market hours calendar.
+ * @returns {Promise<Object>} { allowed: boolean, reason: string, limit?: string, profile?: Object, shouldFlatten?: boolean, halt?: Object, blackout?: Object }
+ *   `limit` is one of RISK_LIMIT_TYPE when the trade is blocked
  */
-function canExecuteTrade(webhookId = null, accountId = 'default') {
+async function canExecuteTrade(webhookId = null, accountId = 'default', options = {}) {
+  const { accountDetails = null, strategy = null, symbol = null } = options;
+
   // Check for duplicate webhook (global - same webhook shouldn't process twice)
-  if (isDuplicateWebhook(webhookId)) {
+  let duplicate;
+  try {
+    duplicate = await isDuplicateWebhook(webhookId);
+  } catch (error) {
+    return stateUnavailable(accountId, 'Webhook idempotency state', error);
+  }
+  if (duplicate) {
     return {
       allowed: false,
       reason: 'Duplicate webhook detected (already processed)',
+      limit: RISK_LIMIT_TYPE.DUPLICATE,
+    };
+  }
+
+  // Kill switch - global or this account
+  let halt;
+  try {
+    halt = await tradingHalt.getActiveHalt(accountId);
+  } catch (error) {
+    return stateUnavailable(accountId, 'Halt state', error);
+  }
+  if (halt) {
+    const scope = halt.scope === tradingHalt.GLOBAL_SCOPE ? 'All trading' : `Account ${accountId}`;
+    return {
+      allowed: false,
+      reason: `${scope} halted by ${halt.by}: ${halt.reason}`,
+      limit: RISK_LIMIT_TYPE.HALTED,
+      halt,
+    };
+  }
+
+  // Check if futures market is open for the traded symbol (same for all accounts)
+  const market = getFuturesMarketStatus(symbol);
+  if (!market.open) {
+    return {
+      allowed: false,
+      reason: `Futures market closed${symbol ? ` for ${symbol}` : ''}: ${market.reason}`,
+      limit: RISK_LIMIT_TYPE.MARKET_CLOSED,
+    };
+  }
+
+  // Tier-1 economic release window (global - same for all accounts)
+  const blackout = await newsBlackout.getActiveBlackout();
+  if (blackout) {
+    return {
+      allowed: false,
+      reason: `News blackout: ${blackout.event} at ${blackout.datetime} (until ${blackout.end})`,
+      limit: RISK_LIMIT_TYPE.NEWS_BLACKOUT,
+      shouldFlatten: newsBlackout.shouldFlatten(),
+      blackout,
+    };
+  }
+
+  // Session rules (per account, narrowed per strategy)
+  const session = tradingSessions.checkEntry(accountId, strategy);
+  if (!session.allowed) {
+    return {
+      allowed: false,
+      reason: session.reason,
+      limit: RISK_LIMIT_TYPE.OUTSIDE_SESSION,
+      shouldFlatten: !!session.shouldFlatten,
+    };
+  }
+
+  // Past the EOD flatten time the cron has closed (or is closing) the account
+  let eodTime = null;
+  try {
+    eodTime = eodFlatten.getPassedFlattenTime(accounts.getAccount(accountId) || {});
+  } catch (error) {
+    console.error(`[RiskManager] Bad EOD flatten time for ${accountId}: ${error.message}`);
+  }
+  if (eodTime) {
+    return {
+      allowed: false,
+      reason: `Account ${accountId}: Past EOD flatten time (${eodTime} ${eodFlatten.getTimezone()})`,
+      limit: RISK_LIMIT_TYPE.EOD_FLATTEN,
     };
   }
 
-  // Check if futures market is open (global - same for all accounts)
-  if (!isFuturesMarketOpen()) {
-    const status = futuresMarket.isFuturesOpen();
+  // Per-account checks (stats loaded once from the persistent store)
+  let stats;
+  try {
+    stats = await getAccountStats(accountId);
+  } catch (error) {
+    return stateUnavailable(accountId, 'Daily stats', error);
+  }
+  const profile = getRiskProfile(accountId);
+
+  if (hasReachedMaxTrades(accountId, stats, profile)) {
     return {
       allowed: false,
-      reason: `Futures market closed: ${status.reason}`,
+      reason: `Account ${accountId}: Maximum trades per day reached (${profile.maxTradesPerDay})`,
+      limit: RISK_LIMIT_TYPE.MAX_TRADES,
+      profile,
     };
   }
 
-  // Per-account checks
-  if (hasReachedMaxTrades(accountId)) {
+  if (hasReachedMaxLoss(accountId, stats, profile)) {
     return {
       allowed: false,
-      reason: `Account ${accountId}: Maximum trades per day reached (${RISK_LIMITS.MAX_TRADES_PER_DAY})`,
+      reason: `Account ${accountId}: Maximum daily loss reached ($${profile.maxDailyLoss})`,
+      limit: RISK_LIMIT_TYPE.MAX_DAILY_LOSS,
+      profile,
     };
   }
 
-  if (hasReachedMaxLoss(accountId)) {
+  if (hasReachedMaxProfit(accountId, stats, profile)) {
     return {
       allowed: false,
-      reason: `Account ${accountId}: Maximum daily loss reached ($${RISK_LIMITS.MAX_DAILY_LOSS})`,
+      reason: `Account ${accountId}: Daily profit target reached ($${profile.maxDailyProfit})`,
+      limit: RISK_LIMIT_TYPE.MAX_DAILY_PROFIT,
+      profile,
     };
   }
 
-  if (!isCooldownElapsed(accountId)) {
-    const stats = getAccountStats(accountId);
+  if (!isCooldownElapsed(accountId, stats, profile)) {
     const timeSinceLastTrade = (Date.now() - stats.lastTradeTime) / 1000;
-    const remainingSeconds = Math.ceil(RISK_LIMITS.COOLDOWN_SECONDS - timeSinceLastTrade);
+    const remainingSeconds = Math.ceil(profile.cooldownSeconds - timeSinceLastTrade);
     return {
       allowed: false,
       reason: `Account ${accountId}: Cooldown period active (${remainingSeconds}s remaining)`,
+      limit: RISK_LIMIT_TYPE.COOLDOWN,
+      profile,
     };
   }
 
+  // Prop-firm rules need live balance, so only run when the caller fetched it
+  let rules = null;
+  if (accountDetails) {
+    rules = await propFirmRules.evaluateAccount(accounts.getAccount(accountId), accountDetails);
+    if (!rules.allowed) {
+      console.log(`[RiskManager] Account ${accountId} blocked by prop-firm rule: ${rules.reason}`);
+      return {
+        allowed: false,
+        reason: `Account ${accountId}: ${rules.reason}`,
+        limit: rules.limit,
+        shouldFlatten: rules.shouldFlatten,
+        profile,
+        rules: rules.metrics,
+      };
+    }
+  }
+
   return {
     allowed: true,
     reason: 'All risk checks passed',
+    profile,
+    rules: rules?.enabled ? rules.metrics : undefined,
   };
 }
 
@@ -262,16 +482,21 @@ function canExecuteTrade(webhookId = null, accountId = 'default') {
  * Record a trade execution for an account
  * @param {Object} tradeInfo - Trade details including accountId
  */
-function recordTrade(tradeInfo = {}) {
+async function recordTrade(tradeInfo = {}) {
   const accountId = tradeInfo.accountId || 'default';
-  const stats = getAccountStats(accountId);
+  const store = await getRiskStore();
 
-  stats.tradeCount += 1;
-  stats.lastTradeTime = Date.now();
+  // The order is already live - a failed write is logged, not thrown
+  let stats = null;
+  try {
+    stats = await store.incrementTradeCount(accountId, getETDateString(), Date.now());
 
-  // Mark webhook as processed if provided
-  if (tradeInfo.webhookId) {
-    markWebhookProcessed(tradeInfo.webhookId);
+    // Mark webhook as processed if provided
+    if (tradeInfo.webhookId) {
+      await markWebhookProcessed(tradeInfo.webhookId);
+    }
+  } catch (error) {
+    console.error(`[RiskManager] Trade count for ${accountId} not saved: ${error.message}`);
   }
 
   // Store trade in history
@@ -287,14 +512,10 @@ function recordTrade(tradeInfo = {}) {
     ...tradeInfo
   };
 
-  tradeHistory.unshift(trade); // Add to beginning (newest first)
-
-  // Keep only last 100 trades in memory
-  if (tradeHistory.length > 100) {
-    tradeHistory = tradeHistory.slice(0, 100);
-  }
+  // Store keeps only the last 100 trades
+  await store.appendTrade(trade);
 
-  console.log(`[RiskManager] Trade recorded for ${accountId}. Total today: ${stats.tradeCount}`);
+  console.log(`[RiskManager] Trade recorded for ${accountId}. Total today: ${stats?.tradeCount ?? 'unknown'}`);
   return trade;
 }
 
@@ -303,12 +524,9 @@ function recordTrade(tradeInfo = {}) {
  * @param {number} limit - Max number of trades to return
  * @param {string} accountId - Optional filter by account
  */
-function getTradeHistory(limit = 50, accountId = null) {
-  let trades = tradeHistory;
-  if (accountId) {
-    trades = trades.filter(t => t.accountId === accountId);
-  }
-  return trades.slice(0, limit);
+async function getTradeHistory(limit = 50, accountId = null) {
+  const store = await getRiskStore();
+  return store.getTrades(limit, accountId);
 }
 
 /**
@@ -316,12 +534,14 @@ function getTradeHistory(limit = 50, accountId = null) {
  * @param {string} tradeId - Trade ID
  * @param {number} pnl - Profit/Loss amount
  */
-function updateTradePnL(tradeId, pnl) {
-  const trade = tradeHistory.find(t => t.id === tradeId);
+async function updateTradePnL(tradeId, pnl) {
+  const store = await getRiskStore();
+  const trade = await store.updateTrade(tradeId, {
+    pnl,
+    status: pnl >= 0 ? 'won' : 'lost',
+  });
   if (trade) {
-    trade.pnl = pnl;
-    trade.status = pnl >= 0 ? 'won' : 'lost';
-    updatePnL(pnl, trade.accountId); // Update per-account stats
+    await updatePnL(pnl, trade.accountId); // Update per-account stats
   }
 }
 
@@ -330,8 +550,9 @@ function updateTradePnL(tradeId, pnl) {
  * @param {number} pnl - Profit (positive) or Loss (negative) in USD
  * @param {string} accountId - Account ID
  */
-function updatePnL(pnl, accountId = 'default') {
-  const stats = getAccountStats(accountId);
+async function updatePnL(pnl, accountId = 'default') {
+  const store = await getRiskStore();
+  const stats = await getAccountStats(accountId);
 
   if (pnl < 0) {
     stats.totalLoss += Math.abs(pnl);
@@ -339,36 +560,70 @@ function updatePnL(pnl, accountId = 'default') {
     stats.totalProfit += pnl;
   }
 
+  await store.saveAccountStats(accountId, stats);
   console.log(`[RiskManager] Account ${accountId} P&L updated. Profit: $${stats.totalProfit}, Loss: $${stats.totalLoss}`);
 }
 
+/**
+ * Replace an account's P&L with broker-reconciled figures
+ * Unlike updatePnL this sets absolute values, so repeated syncs are idempotent.
+ * @param {string} accountId - Account ID
+ * @param {Object} pnl - { totalProfit, totalLoss, openPnl } in USD (loss positive)
+ */
+async function syncPnL(accountId, { totalProfit, totalLoss, openPnl = 0 }) {
+  const store = await getRiskStore();
+  const stats = await getAccountStats(accountId);
+
+  stats.totalProfit = totalProfit;
+  stats.totalLoss = totalLoss;
+  stats.openPnl = openPnl;
+  stats.pnlSyncedAt = Date.now();
+
+  await store.saveAccountStats(accountId, stats);
+  console.log(`[RiskManager] Account ${accountId} P&L synced. Profit: $${totalProfit}, Loss: $${totalLoss}, Open: $${openPnl}`);
+  return stats;
+}
+
 /**
  * Get current daily statistics for an account
  */
-function getDailyStats(accountId = 'default') {
-  const stats = getAccountStats(accountId);
+async function getDailyStats(accountId = 'default') {
+  const stats = await getAccountStats(accountId);
   return {
     accountId,
     ...stats,
-    maxTrades: RISK_LIMITS.MAX_TRADES_PER_DAY,
-    maxLoss: RISK_LIMITS.MAX_DAILY_LOSS,
-    tradesRemaining: Math.max(0, RISK_LIMITS.MAX_TRADES_PER_DAY - stats.tradeCount),
-    lossRemaining: Math.max(0, RISK_LIMITS.MAX_DAILY_LOSS - stats.totalLoss),
+    ...summarizeLimits(stats, getRiskProfile(accountId)),
+  };
+}
+
+/**
+ * Derive limit/remaining fields for a stats row
+ */
+function summarizeLimits(stats, profile) {
+  return {
+    maxTrades: profile.maxTradesPerDay,
+    maxLoss: profile.maxDailyLoss,
+    maxProfit: profile.maxDailyProfit,
+    cooldownSeconds: profile.cooldownSeconds,
+    tradesRemaining: Math.max(0, profile.maxTradesPerDay - stats.tradeCount),
+    lossRemaining: Math.max(0, profile.maxDailyLoss - stats.totalLoss),
   };
 }
 
 /**
  * Get daily stats for all accounts
  */
-function getAllAccountStats() {
+async function getAllAccountStats() {
+  const store = await getRiskStore();
+  const today = getETDateString();
+  const allStats = await store.getAllAccountStats();
   const result = {};
-  for (const [accountId, stats] of accountStats.entries()) {
+  for (const [accountId, stored] of Object.entries(allStats)) {
+    // Stale rows from a previous day report as a fresh day
+    const stats = stored.date === today ? stored : createEmptyStats(today);
     result[accountId] = {
       ...stats,
-      maxTrades: RISK_LIMITS.MAX_TRADES_PER_DAY,
-      maxLoss: RISK_LIMITS.MAX_DAILY_LOSS,
-      tradesRemaining: Math.max(0, RISK_LIMITS.MAX_TRADES_PER_DAY - stats.tradeCount),
-      lossRemaining: Math.max(0, RISK_LIMITS.MAX_DAILY_LOSS - stats.totalLoss),
+      ...summarizeLimits(stats, getRiskProfile(accountId)),
     };
   }
   return result;
@@ -377,13 +632,12 @@ function getAllAccountStats() {
 /**
  * Reset daily stats manually for an account (useful for testing)
  */
-function resetStats(accountId = null) {
+async function resetStats(accountId = null) {
+  const store = await getRiskStore();
+  await store.clear(accountId);
   if (accountId) {
-    accountStats.delete(accountId);
     console.log(`[RiskManager] Stats reset for account ${accountId}`);
   } else {
-    accountStats.clear();
-    recentWebhooks.clear();
     console.log('[RiskManager] All stats manually reset');
   }
 }
@@ -404,6 +658,7 @@ module.exports = {
   recordTrade,
   updatePnL,
   updateTradePnL,
+  syncPnL,
   getDailyStats,
   getAllAccountStats,
   getTradeHistory,
@@ -413,5 +668,7 @@ module.exports = {
   isDuplicateWebhook,
   markWebhookProcessed,
   generateWebhookId,
+  getRiskProfile,
   RISK_LIMITS,
+  RISK_LIMIT_TYPE,
 };
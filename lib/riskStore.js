@@ -0,0 +1,572 @@
+/**
+ * Risk State Store - Durable storage for risk manager state
+ * Keeps daily counters, last trade time, idempotency keys, trade history and
+ * keyed JSON state (e.g. prop-firm rule state) consistent across serverless
+ * invocations.
+ *
+ * BACKENDS:
+ * - supabase: Primary backend (tables in supabase/schema.sql)
+ * - file: JSON file on local disk, for `next dev` and cron-like local runners
+ * - memory: Process memory only (previous behaviour, resets on cold start)
+ *
+ * Select with RISK_STORE=supabase|file|memory. When unset, Supabase is used
+ * if configured, otherwise the file store locally and memory on Vercel.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TRADES = 100;
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.data', 'risk-state.json');
+
+let activeStore = null;
+
+/**
+ * Stats after one more trade on `date` (a row from an earlier day starts over)
+ */
+function nextTradeStats(row, date, timestamp) {
+  const base = row && row.date === date ? row : {
+    date,
+    tradeCount: 0,
+    totalLoss: 0,
+    totalProfit: 0,
+    openPnl: 0,
+    lastTradeTime: null,
+    pnlSyncedAt: null,
+  };
+  return { ...base, tradeCount: base.tradeCount + 1, lastTradeTime: timestamp };
+}
+
+/**
+ * In-process leases, for the memory and file stores (one process)
+ */
+function createLeases() {
+  const leases = new Map(); // key -> { owner, expiresAt }
+
+  return {
+    async acquireLease(key, owner, ttlMs) {
+      const now = Date.now();
+      const lease = leases.get(key);
+      if (lease && lease.owner !== owner && lease.expiresAt > now) return false;
+      leases.set(key, { owner, expiresAt: now + ttlMs });
+      return true;
+    },
+
+    async releaseLease(key, owner) {
+      if (leases.get(key)?.owner === owner) leases.delete(key);
+    },
+  };
+}
+
+/**
+ * Create an in-memory store
+ * Also used as the fallback when Supabase calls fail
+ */
+function createMemoryStore() {
+  const stats = new Map();     // accountId -> stats
+  const webhooks = new Map();  // webhookId -> timestamp
+  const values = new Map();    // key -> JSON value
+  let trades = [];
+
+  return {
+    name: 'memory',
+    ...createLeases(),
+
+    async getAccountStats(accountId) {
+      const row = stats.get(accountId);
+      return row ? { ...row } : null;
+    },
+
+    async saveAccountStats(accountId, row) {
+      stats.set(accountId, { ...row });
+    },
+
+    async incrementTradeCount(accountId, date, timestamp) {
+      const row = nextTradeStats(stats.get(accountId), date, timestamp);
+      stats.set(accountId, row);
+      return { ...row };
+    },
+
+    async getAllAccountStats() {
+      const result = {};
+      for (const [accountId, row] of stats.entries()) {
+        result[accountId] = { ...row };
+      }
+      return result;
+    },
+
+    async hasWebhook(webhookId, since) {
+      const timestamp = webhooks.get(webhookId);
+      return timestamp !== undefined && timestamp >= since;
+    },
+
+    async saveWebhook(webhookId, timestamp) {
+      webhooks.set(webhookId, timestamp);
+    },
+
+    async pruneWebhooks(before) {
+      for (const [id, timestamp] of webhooks.entries()) {
+        if (timestamp < before) webhooks.delete(id);
+      }
+    },
+
+    async appendTrade(trade) {
+      trades = [{ ...trade }, ...trades].slice(0, MAX_TRADES);
+    },
+
+    async getTrades(limit = 50, accountId = null) {
+      const filtered = accountId ? trades.filter(t => t.accountId === accountId) : trades;
+      return filtered.slice(0, limit).map(t => ({ ...t }));
+    },
+
+    async updateTrade(tradeId, changes) {
+      const trade = trades.find(t => t.id === tradeId);
+      if (!trade) return null;
+      Object.assign(trade, changes);
+      return { ...trade };
+    },
+
+    async getValue(key) {
+      return values.has(key) ? structuredClone(values.get(key)) : null;
+    },
+
+    async setValue(key, value) {
+      values.set(key, structuredClone(value));
+    },
+
+    async deleteValue(key) {
+      values.delete(key);
+    },
+
+    async clear(accountId = null) {
+      if (accountId) {
+        stats.delete(accountId);
+        return;
+      }
+      stats.clear();
+      webhooks.clear();
+    },
+  };
+}
+
+/**
+ * Create a JSON file store for local runs
+ * The whole state is small, so it is read and rewritten on every call
+ */
+function createFileStore(filePath = process.env.RISK_STORE_FILE || DEFAULT_FILE_PATH) {
+  function load() {
+    try {
+      const raw = fs.readFileSync(filePath, 'utf8');
+      const data = JSON.parse(raw);
+      return {
+        stats: data.stats || {},
+        webhooks: data.webhooks || {},
+        trades: data.trades || [],
+        values: data.values || {},
+      };
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.warn(`[RiskStore] Could not read ${filePath}: ${e.message}`);
+      }
+      return { stats: {}, webhooks: {}, trades: [], values: {} };
+    }
+  }
+
+  function save(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write to a temp file first so a crash never leaves half a JSON document
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    name: 'file',
+    ...createLeases(),
+
+    async getAccountStats(accountId) {
+      const row = load().stats[accountId];
+      return row ? { ...row } : null;
+    },
+
+    async saveAccountStats(accountId, row) {
+      const data = load();
+      data.stats[accountId] = { ...row };
+      save(data);
+    },
+
+    async incrementTradeCount(accountId, date, timestamp) {
+      const data = load();
+      const row = nextTradeStats(data.stats[accountId], date, timestamp);
+      data.stats[accountId] = row;
+      save(data);
+      return { ...row };
+    },
+
+    async getAllAccountStats() {
+      return load().stats;
+    },
+
+    async hasWebhook(webhookId, since) {
+      const timestamp = load().webhooks[webhookId];
+      return timestamp !== undefined && timestamp >= since;
+    },
+
+    async saveWebhook(webhookId, timestamp) {
+      const data = load();
+      data.webhooks[webhookId] = timestamp;
+      save(data);
+    },
+
+    async pruneWebhooks(before) {
+      const data = load();
+      let changed = false;
+      for (const [id, timestamp] of Object.entries(data.webhooks)) {
+        if (timestamp < before) {
+          delete data.webhooks[id];
+          changed = true;
+        }
+      }
+      if (changed) save(data);
+    },
+
+    async appendTrade(trade) {
+      const data = load();
+      data.trades = [trade, ...data.trades].slice(0, MAX_TRADES);
+      save(data);
+    },
+
+    async getTrades(limit = 50, accountId = null) {
+      const trades = load().trades;
+      const filtered = accountId ? trades.filter(t => t.accountId === accountId) : trades;
+      return filtered.slice(0, limit);
+    },
+
+    async updateTrade(tradeId, changes) {
+      const data = load();
+      const trade = data.trades.find(t => t.id === tradeId);
+      if (!trade) return null;
+      Object.assign(trade, changes);
+      save(data);
+      return trade;
+    },
+
+    async getValue(key) {
+      return load().values[key] ?? null;
+    },
+
+    async setValue(key, value) {
+      const data = load();
+      data.values[key] = value;
+      save(data);
+    },
+
+    async deleteValue(key) {
+      const data = load();
+      if (!(key in data.values)) return;
+      delete data.values[key];
+      save(data);
+    },
+
+    async clear(accountId = null) {
+      const data = load();
+      if (accountId) {
+        delete data.stats[accountId];
+      } else {
+        data.stats = {};
+        data.webhooks = {};
+      }
+      save(data);
+    },
+  };
+}
+
+/**
+ * Map a risk_account_stats row to the riskManager stats shape
+ */
+function rowToStats(row) {
+  return {
+    date: row.date,
+    tradeCount: row.trade_count ?? 0,
+    totalLoss: Number(row.total_loss ?? 0),
+    totalProfit: Number(row.total_profit ?? 0),
+    openPnl: Number(row.open_pnl ?? 0),
+    lastTradeTime: row.last_trade_time ? Number(row.last_trade_time) : null,
+    pnlSyncedAt: row.pnl_synced_at ? Number(row.pnl_synced_at) : null,
+  };
+}
+
+/**
+ * Create a Supabase-backed store
+ * Risk state fails closed: account stats, webhook idempotency keys, trade
+ * counts, leases and keyed values throw on a database error, since an empty
+ * per-instance copy would reset MAX_TRADES, the loss limits and duplicate
+ * checks (getValue only with { strict: true }). Trade history and cleanup
+ * fall back to an in-memory store.
+ */
+function createSupabaseStore(client) {
+  const fallback = createMemoryStore();
+
+  async function attempt(operationName, operation, fallbackOperation) {
+    try {
+      return await operation();
+    } catch (e) {
+      console.error(`[RiskStore] Supabase ${operationName} error:`, e.message);
+      return fallbackOperation();
+    }
+  }
+
+  // Keyed values are read back from Supabase, so a failed write must not
+  // look saved - log and rethrow instead of keeping only the memory copy
+  async function strict(operationName, operation) {
+    try {
+      return await operation();
+    } catch (e) {
+      console.error(`[RiskStore] Supabase ${operationName} error:`, e.message);
+      throw e;
+    }
+  }
+
+  function check({ data, error }) {
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  return {
+    name: 'supabase',
+
+    async getAccountStats(accountId) {
+      return strict('getAccountStats', async () => {
+        const data = check(await client
+          .from('risk_account_stats')
+          .select('*')
+          .eq('account_id', accountId)
+          .maybeSingle());
+        return data ? rowToStats(data) : null;
+      });
+    },
+
+    async saveAccountStats(accountId, row) {
+      await fallback.saveAccountStats(accountId, row);
+      return strict('saveAccountStats', async () => {
+        check(await client
+          .from('risk_account_stats')
+          .upsert({
+            account_id: accountId,
+            date: row.date,
+            trade_count: row.tradeCount,
+            total_loss: row.totalLoss,
+            total_profit: row.totalProfit,
+            open_pnl: row.openPnl ?? 0,
+            last_trade_time: row.lastTradeTime,
+            pnl_synced_at: row.pnlSyncedAt ?? null,
+            updated_at: new Date().toISOString(),
+          }, { onConflict: 'account_id' }));
+      });
+    },
+
+    // One statement (risk_record_trade in supabase/schema.sql), so
+    // concurrent instances can't lose each other's increments
+    async incrementTradeCount(accountId, date, timestamp) {
+      const rows = await strict('incrementTradeCount', async () => check(await client
+        .rpc('risk_record_trade', { p_account_id: accountId, p_date: date, p_time: timestamp })));
+      const row = rowToStats(Array.isArray(rows) ? rows[0] : rows);
+      await fallback.saveAccountStats(accountId, row);
+      return row;
+    },
+
+    async getAllAccountStats() {
+      return attempt('getAllAccountStats', async () => {
+        const data = check(await client.from('risk_account_stats').select('*'));
+        const result = {};
+        for (const row of data || []) {
+          result[row.account_id] = rowToStats(row);
+        }
+        return result;
+      }, () => fallback.getAllAccountStats());
+    },
+
+    async hasWebhook(webhookId, since) {
+      return strict('hasWebhook', async () => {
+        const data = check(await client
+          .from('risk_webhooks')
+          .select('webhook_id')
+          .eq('webhook_id', webhookId)
+          .gte('processed_at', since)
+          .maybeSingle());
+        return !!data;
+      });
+    },
+
+    async saveWebhook(webhookId, timestamp) {
+      await fallback.saveWebhook(webhookId, timestamp);
+      return strict('saveWebhook', async () => {
+        check(await client
+          .from('risk_webhooks')
+          .upsert({ webhook_id: webhookId, processed_at: timestamp }, { onConflict: 'webhook_id' }));
+      });
+    },
+
+    async pruneWebhooks(before) {
+      await fallback.pruneWebhooks(before);
+      return attempt('pruneWebhooks', async () => {
+        check(await client.from('risk_webhooks').delete().lt('processed_at', before));
+      }, () => {});
+    },
+
+    async appendTrade(trade) {
+      await fallback.appendTrade(trade);
+      return attempt('appendTrade', async () => {
+        check(await client
+          .from('risk_trades')
+          .insert({
+            trade_id: trade.id,
+            account_id: trade.accountId,
+            data: trade,
+            created_at: trade.timestamp,
+          }));
+      }, () => {});
+    },
+
+    async getTrades(limit = 50, accountId = null) {
+      return attempt('getTrades', async () => {
+        let query = client
+          .from('risk_trades')
+          .select('data')
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        if (accountId) query = query.eq('account_id', accountId);
+        const data = check(await query);
+        return (data || []).map(row => row.data);
+      }, () => fallback.getTrades(limit, accountId));
+    },
+
+    async updateTrade(tradeId, changes) {
+      await fallback.updateTrade(tradeId, changes);
+      return attempt('updateTrade', async () => {
+        const existing = check(await client
+          .from('risk_trades')
+          .select('data')
+          .eq('trade_id', tradeId)
+          .maybeSingle());
+        if (!existing) return null;
+        const trade = { ...existing.data, ...changes };
+        check(await client
+          .from('risk_trades')
+          .update({ data: trade })
+          .eq('trade_id', tradeId));
+        return trade;
+      }, () => fallback.updateTrade(tradeId, changes));
+    },
+
+    // { strict: true } throws instead of reading the per-instance fallback,
+    // for state that must not fail open (e.g. the kill switch)
+    async getValue(key, { strict: strictRead = false } = {}) {
+      const read = async () => {
+        const data = check(await client
+          .from('risk_state')
+          .select('value')
+          .eq('key', key)
+          .maybeSingle());
+        return data ? data.value : null;
+      };
+      if (strictRead) return strict('getValue', read);
+      return attempt('getValue', read, () => fallback.getValue(key));
+    },
+
+    async setValue(key, value) {
+      await fallback.setValue(key, value);
+      await strict('setValue', async () => {
+        check(await client
+          .from('risk_state')
+          .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' }));
+      });
+    },
+
+    async deleteValue(key) {
+      await fallback.deleteValue(key);
+      await strict('deleteValue', async () => {
+        check(await client.from('risk_state').delete().eq('key', key));
+      });
+    },
+
+    // Cross-instance trade lock (risk_try_lock in supabase/schema.sql);
+    // an expired lease can be taken over
+    async acquireLease(key, owner, ttlMs) {
+      const now = Date.now();
+      return strict('acquireLease', async () => check(await client
+        .rpc('risk_try_lock', { p_key: key, p_owner: owner, p_expires_at: now + ttlMs, p_now: now })) === true);
+    },
+
+    async releaseLease(key, owner) {
+      await strict('releaseLease', async () => {
+        check(await client.from('risk_locks').delete().eq('key', key).eq('owner', owner));
+      });
+    },
+
+    async clear(accountId = null) {
+      await fallback.clear(accountId);
+      return attempt('clear', async () => {
+        if (accountId) {
+          check(await client.from('risk_account_stats').delete().eq('account_id', accountId));
+        } else {
+          check(await client.from('risk_account_stats').delete().neq('account_id', ''));
+          check(await client.from('risk_webhooks').delete().neq('webhook_id', ''));
+        }
+      }, () => {});
+    },
+  };
+}
+
+/**
+ * Resolve the configured store (created once per process)
+ */
+async function getRiskStore() {
+  if (activeStore) return activeStore;
+
+  const url = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+  const backend = (process.env.RISK_STORE || (url && key ? 'supabase' : process.env.VERCEL ? 'memory' : 'file')).toLowerCase();
+
+  if (backend === 'supabase') {
+    if (url && key) {
+      try {
+        const { createClient } = await import('@supabase/supabase-js');
+        activeStore = createSupabaseStore(createClient(url, key));
+      } catch (e) {
+        console.warn('[RiskStore] Supabase init error:', e.message);
+      }
+    } else {
+      console.warn('[RiskStore] RISK_STORE=supabase but Supabase not configured');
+    }
+  } else if (backend === 'file') {
+    activeStore = createFileStore();
+  }
+
+  if (!activeStore) {
+    activeStore = createMemoryStore();
+  }
+
+  if (activeStore.name === 'memory') {
+    console.warn('[RiskStore] Using in-memory risk state - limits reset on cold start');
+  } else {
+    console.log(`[RiskStore] Using ${activeStore.name} risk state store`);
+  }
+
+  return activeStore;
+}
+
+/**
+ * Override the active store (useful for testing and local runners)
+ */
+function setRiskStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  getRiskStore,
+  setRiskStore,
+  createMemoryStore,
+  createFileStore,
+  createSupabaseStore,
+};
@@ -0,0 +1,220 @@
+/**
+ * Trading Halt (kill switch)
+ * A global halt stops new entries on every account; an account halt stops
+ * just that account. riskManager.canExecuteTrade refuses entries while
+ * either applies. Close signals still go through so positions can exit.
+ *
+ * Halting with `flatten` also cancels every working order and closes every
+ * position on the affected accounts.
+ *
+ * State is persisted in riskStore (`halt:state`) so it survives cold starts
+ * and is shared by every instance. Each halt and resume is appended to
+ * `halt:log` with who did it and why.
+ */
+
+const accounts = require('./accounts');
+const alertStorage = require('./alertStorage');
+const brokers = require('./brokers');
+const { getPositionSize } = require('./brokers/positionReconciler');
+const { getRiskStore } = require('./riskStore');
+
+const STATE_KEY = 'halt:state';
+const LOG_KEY = 'halt:log';
+const MAX_LOG_ENTRIES = 200;
+
+const GLOBAL_SCOPE = 'global';
+
+// Strict read: a database error must not look like "no halt"
+async function loadState() {
+  const store = await getRiskStore();
+  const state = await store.getValue(STATE_KEY, { strict: true });
+  return { global: state?.global || null, accounts: state?.accounts || {} };
+}
+
+async function saveState(state) {
+  const store = await getRiskStore();
+  await store.setValue(STATE_KEY, state);
+}
+
+async function appendLog(entry) {
+  const store = await getRiskStore();
+  const log = (await store.getValue(LOG_KEY)) || [];
+  await store.setValue(LOG_KEY, [entry, ...log].slice(0, MAX_LOG_ENTRIES));
+}
+
+/**
+ * Current halts
+ * @returns {Promise<Object>} { global: halt | null, accounts: { [id]: halt } }
+ *   where halt = { by, reason, flatten, at }
+ */
+async function getHaltState() {
+  return loadState();
+}
+
+/**
+ * The halt that applies to an account, global first
+ * @returns {Promise<Object|null>} { scope, by, reason, at } or null when trading is allowed
+ * @throws when the halt state can't be read
+ */
+async function getActiveHalt(accountId = 'default') {
+  const state = await loadState();
+  if (state.global) return { scope: GLOBAL_SCOPE, ...state.global };
+  const accountHalt = state.accounts[accountId];
+  return accountHalt ? { scope: accountId, ...accountHalt } : null;
+}
+
+/**
+ * Recent halt / resume events, newest first
+ */
+async function getHaltLog(limit = 50) {
+  const store = await getRiskStore();
+  return ((await store.getValue(LOG_KEY)) || []).slice(0, limit);
+}
+
+function openPositions(positions) {
+  return (positions || []).filter(position => getPositionSize(position) > 0);
+}
+
+/**
+ * Cancel working orders, then close positions, on one account, then confirm
+ * it is flat by reading positions back - closeAllPositions reports success
+ * even when it could not see or close a position.
+ * Also used by newsBlackout, tradingSessions and eodFlatten.
+ * @param {Object} account - Account from lib/accounts
+ * @param {string} reason - Recorded on the close alert
+ * @param {Object} [options] - { quiet } skip the alert when this fails again
+ * @returns {Promise<Object>} { account, success, wasFlat, cancelledOrders, closedPositions, remainingPositions, error? }
+ */
+async function flattenAccount(account, reason, { quiet = false } = {}) {
+  const result = { account: account.id, success: false, wasFlat: false, cancelledOrders: 0, closedPositions: 0 };
+
+  try {
+    const brokerClient = brokers.getBrokerClient(account);
+    const [positions, orders] = await Promise.all([brokerClient.getPositions(), brokerClient.getOpenOrders()]);
+    const open = openPositions(positions);
+    result.wasFlat = open.length === 0 && orders.length === 0;
+
+    // Orders first, so a resting entry cannot fill after the close
+    if (orders.length > 0) {
+      const cancelResult = await brokerClient.cancelAllOrders();
+      result.cancelledOrders = cancelResult.cancelled ?? orders.length;
+      if (cancelResult.error) result.error = cancelResult.error;
+    }
+    if (open.length > 0) {
+      const closeResult = await brokerClient.closeAllPositions();
+      result.closedPositions = closeResult.closedPositions;
+      if (closeResult.error) result.error = closeResult.error;
+    }
+
+    const remaining = result.wasFlat ? [] : openPositions(await brokerClient.getPositions());
+    result.remainingPositions = remaining.length;
+    result.success = remaining.length === 0 && !result.error;
+    if (remaining.length > 0 && !result.error) result.error = `${remaining.length} position(s) still open`;
+  } catch (error) {
+    console.error(`[TradingHalt] Flatten failed for ${account.id}:`, error.message);
+    result.error = error.message;
+  }
+
+  // Nothing to report on a flat account; a repeated failure is alerted once
+  if (!result.wasFlat && !(quiet && !result.success)) {
+    await alertStorage.saveAlert({
+      action: 'close',
+      account: account.id,
+      status: result.success ? 'success' : 'failed',
+      closedPositions: result.closedPositions,
+      reason,
+      error: result.error,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Halt trading globally or on some accounts
+ *
+ * @param {Object} options
+ * @param {Array<string>|null} options.accountIds - Accounts to halt; null halts globally
+ * @param {string} options.by - Who halted (username)
+ * @param {string} options.reason - Why
+ * @param {boolean} [options.flatten] - Also cancel orders and close positions
+ * @returns {Promise<Object>} { scope, halt, flattened? }
+ */
+async function haltTrading({ accountIds = null, by, reason, flatten = false }) {
+  if (!reason || !String(reason).trim()) throw new Error('A reason is required');
+  if (accountIds && accountIds.length === 0) throw new Error('No accounts to halt');
+
+  await accounts.refreshAccounts();
+  const unknown = (accountIds || []).filter(id => !accounts.getAccount(id));
+  if (unknown.length > 0) throw new Error(`Unknown account(s): ${unknown.join(', ')}`);
+
+  const halt = { by, reason: String(reason).trim(), flatten: !!flatten, at: new Date().toISOString() };
+  const state = await loadState();
+  if (accountIds) {
+    for (const id of accountIds) state.accounts[id] = halt;
+  } else {
+    state.global = halt;
+  }
+  await saveState(state);
+
+  const scope = accountIds ? accountIds.join(', ') : GLOBAL_SCOPE;
+  console.warn(`[TradingHalt] ${by} halted ${scope}${flatten ? ' (flatten)' : ''}: ${halt.reason}`);
+
+  let flattened;
+  if (flatten) {
+    const targets = accountIds
+      ? accountIds.map(id => accounts.getAccount(id))
+      : accounts.getEnabledAccounts();
+    flattened = await Promise.all(targets.map(account => flattenAccount(account, `Halt and flatten: ${halt.reason}`)));
+  }
+
+  await appendLog({ action: 'halt', scope, accounts: accountIds, ...halt, flattened });
+  return { scope, halt, flattened };
+}
+
+/**
+ * Resume trading globally or on some accounts
+ * Resuming globally leaves account halts in place, and vice versa.
+ *
+ * @param {Object} options - { accountIds (null = global), by, reason }
+ * @returns {Promise<Object>} { scope, resumed: whether anything was halted }
+ */
+async function resumeTrading({ accountIds = null, by, reason }) {
+  if (!reason || !String(reason).trim()) throw new Error('A reason is required');
+
+  const state = await loadState();
+  let resumed = false;
+  if (accountIds) {
+    for (const id of accountIds) {
+      if (state.accounts[id]) resumed = true;
+      delete state.accounts[id];
+    }
+  } else {
+    resumed = !!state.global;
+    state.global = null;
+  }
+  await saveState(state);
+
+  const scope = accountIds ? accountIds.join(', ') : GLOBAL_SCOPE;
+  console.warn(`[TradingHalt] ${by} resumed ${scope}: ${reason}`);
+  await appendLog({
+    action: 'resume',
+    scope,
+    accounts: accountIds,
+    by,
+    reason: String(reason).trim(),
+    at: new Date().toISOString(),
+  });
+
+  return { scope, resumed };
+}
+
+module.exports = {
+  GLOBAL_SCOPE,
+  getHaltState,
+  getActiveHalt,
+  getHaltLog,
+  flattenAccount,
+  haltTrading,
+  resumeTrading,
+};
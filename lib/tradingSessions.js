@@ -0,0 +1,326 @@
+/**
+ * Trading Sessions
+ * Server-side entry windows per account and per strategy, on top of the
+ * Globex hours in futuresMarket. Only entries are checked - close signals
+ * always go through.
+ *
+ * ACCOUNT (ACCOUNT_{ID}_*, legacy PROJECTX_*):
+ *   SESSION_WINDOWS=06:30-11:00,12:30-14:00  entries only inside these
+ *   SESSION_LAST_ENTRY=14:00                  no new entries from this time
+ *   SESSION_FLATTEN=14:30                     close every position at this time
+ *   SESSION_TIMEZONE=America/Chicago          zone of the times (default America/New_York)
+ *
+ * STRATEGY (payload "strategy"), STRATEGY_SESSIONS JSON:
+ *   {"orb-10m":{"windows":"06:30-08:30","lastEntry":"08:15","timezone":"America/Chicago"}}
+ *   Fields a strategy sets replace the account's for that strategy's signals.
+ *   Flatten stays per account because positions are not tracked per strategy.
+ *
+ * Last entry and flatten hold until the next trading day opens at 6 PM ET.
+ * The evening session belongs to that next day, so a 14:00 last entry does
+ * not block it - use SESSION_WINDOWS to keep entries out of the evening.
+ * On early-close days both move to SESSION_EARLY_CLOSE_BUFFER_MINUTES (15)
+ * before the 1 PM ET close when they are later than that.
+ */
+
+const accounts = require('./accounts');
+const futuresMarket = require('./futuresMarket');
+const tradingHalt = require('./tradingHalt');
+const { getRiskStore } = require('./riskStore');
+
+const ET_ZONE = 'America/New_York';
+const DEFAULT_TIMEZONE = ET_ZONE;
+const TRADING_DAY_START_ET = 18 * 60; // Globex reopens at 6 PM ET
+const DEFAULT_EARLY_CLOSE_BUFFER_MINUTES = 15;
+const FLATTENED_KEY = 'session:flattened';
+
+let strategyCache = { raw: undefined, sessions: {} };
+
+/**
+ * "14:30" -> 870
+ * @throws {Error} When the value is not HH:MM
+ */
+function parseClock(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * "06:30-11:00,12:30-14:00" (or an array of ranges) -> [{ start, end }]
+ * A range may wrap midnight ("18:00-02:00").
+ */
+function parseWindows(value) {
+  if (!value) return [];
+  const ranges = Array.isArray(value) ? value : String(value).split(',');
+  return ranges.map(range => {
+    const [start, end] = String(range).split('-');
+    if (end === undefined) throw new Error(`Invalid window "${range}" (expected HH:MM-HH:MM)`);
+    return { start: parseClock(start), end: parseClock(end) };
+  });
+}
+
+/**
+ * Wall-clock minutes after midnight in a time zone
+ * @throws {RangeError} On an unknown time zone
+ */
+function minutesInZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Minutes since the trading day opened (6 PM ET) for an ET wall-clock time
+ */
+function toTradingDayMinutes(etMinutes) {
+  return (etMinutes - TRADING_DAY_START_ET + 1440) % 1440;
+}
+
+/**
+ * Trading-day minutes for a wall-clock time in another zone, on the day of `now`
+ */
+function zoneClockToTradingDay(clockMinutes, timeZone, now) {
+  let offset = minutesInZone(now, timeZone) - minutesInZone(now, ET_ZONE);
+  if (offset > 720) offset -= 1440;
+  if (offset < -720) offset += 1440;
+  return toTradingDayMinutes((clockMinutes - offset + 1440) % 1440);
+}
+
+/**
+ * The trading day a time belongs to (sessions opening at 6 PM ET count
+ * towards the next calendar day), as YYYY-MM-DD
+ */
+function getTradingDate(now = new Date()) {
+  return futuresMarket.getETDateString(new Date(now.getTime() + 6 * 60 * 60 * 1000));
+}
+
+/**
+ * Whether the trading day of `now` ends early (lib/cmeCalendar.js)
+ */
+function isEarlyCloseDay(now = new Date()) {
+  return futuresMarket.isEarlyClose(new Date(now.getTime() + 6 * 60 * 60 * 1000));
+}
+
+/**
+ * Whether a wall-clock time in a zone has passed in the trading day of `now`
+ * ("15:05" Chicago counts as passed until the 6 PM ET reopen)
+ */
+function isPastClock(clockMinutes, timeZone, now = new Date()) {
+  const current = toTradingDayMinutes(minutesInZone(now, ET_ZONE));
+  return current >= zoneClockToTradingDay(clockMinutes, timeZone, now);
+}
+
+function getStrategySessions() {
+  const raw = process.env.STRATEGY_SESSIONS;
+  if (raw === strategyCache.raw) return strategyCache.sessions;
+
+  let parsed = {};
+  if (raw) {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      throw new Error('STRATEGY_SESSIONS is not valid JSON');
+    }
+  }
+
+  const sessions = {};
+  for (const [name, config] of Object.entries(parsed)) {
+    sessions[name.toLowerCase()] = config || {};
+  }
+  strategyCache = { raw, sessions };
+  return sessions;
+}
+
+/**
+ * Effective session rules for an account and, optionally, a strategy
+ * @returns {Object|null} { windows, windowsText, lastEntry, flatten, timezone, strategy }
+ *   or null when neither has session rules
+ * @throws {Error} On malformed times, windows or time zones
+ */
+function getSessionRules(accountId = 'default', strategy = null) {
+  const base = accounts.getAccount(accountId)?.session || null;
+  const strategyKey = strategy ? String(strategy).toLowerCase() : null;
+  const strategyConfig = strategyKey ? getStrategySessions()[strategyKey] : null;
+  if (!base && !strategyConfig) return null;
+
+  const merged = { ...(base || {}) };
+  for (const field of ['windows', 'lastEntry', 'timezone']) {
+    if (strategyConfig?.[field] !== undefined) merged[field] = strategyConfig[field];
+  }
+
+  const timezone = merged.timezone || DEFAULT_TIMEZONE;
+  minutesInZone(new Date(), timezone); // throws on an unknown zone
+
+  return {
+    windows: parseWindows(merged.windows),
+    windowsText: Array.isArray(merged.windows) ? merged.windows.join(',') : merged.windows || null,
+    lastEntry: merged.lastEntry ? parseClock(merged.lastEntry) : null,
+    flatten: base?.flatten ? parseClock(base.flatten) : null,
+    timezone,
+    strategy: strategyConfig ? strategyKey : null,
+  };
+}
+
+/**
+ * Last entry and flatten times for the trading day of `now`, early close applied
+ * @returns {Object} { lastEntry, lastEntryLabel, flatten, flattenLabel, earlyClose }
+ *   with lastEntry / flatten in trading-day minutes (null when unset)
+ */
+function getCutoffs(rules, now) {
+  const earlyClose = isEarlyCloseDay(now);
+  const buffer = parseFloat(process.env.SESSION_EARLY_CLOSE_BUFFER_MINUTES || String(DEFAULT_EARLY_CLOSE_BUFFER_MINUTES));
+  const capMinutes = futuresMarket.EARLY_CLOSE_MINUTES_ET - buffer;
+  const cap = toTradingDayMinutes(capMinutes);
+  const capLabel = `${formatClock(capMinutes)} ET (early close)`;
+
+  const resolve = (clock, applyCap) => {
+    const minutes = clock === null ? null : zoneClockToTradingDay(clock, rules.timezone, now);
+    const label = clock === null ? null : `${formatClock(clock)} ${rules.timezone}`;
+    if (earlyClose && applyCap && (minutes === null || minutes > cap)) return { minutes: cap, label: capLabel };
+    return { minutes, label };
+  };
+
+  // Entries stop before an early close whenever the account uses sessions;
+  // flatten only moves when one is configured
+  const lastEntry = resolve(rules.lastEntry, true);
+  const flatten = resolve(rules.flatten, rules.flatten !== null);
+
+  return {
+    lastEntry: lastEntry.minutes,
+    lastEntryLabel: lastEntry.label,
+    flatten: flatten.minutes,
+    flattenLabel: flatten.label,
+    earlyClose,
+  };
+}
+
+function isInWindow(clock, { start, end }) {
+  return start <= end ? clock >= start && clock < end : clock >= start || clock < end;
+}
+
+/**
+ * Whether a new entry is allowed now
+ * @param {string} accountId
+ * @param {string} [strategy] - Payload strategy, for STRATEGY_SESSIONS
+ * @returns {Object} { allowed, reason?, shouldFlatten? }
+ */
+function checkEntry(accountId = 'default', strategy = null, now = new Date()) {
+  let rules;
+  try {
+    rules = getSessionRules(accountId, strategy);
+  } catch (error) {
+    // Fail closed - a typo in the session config must not open trading
+    return { allowed: false, reason: `Invalid session config for ${accountId}: ${error.message}` };
+  }
+  if (!rules) return { allowed: true };
+
+  const label = rules.strategy ? `Strategy ${rules.strategy} on account ${accountId}` : `Account ${accountId}`;
+  const current = toTradingDayMinutes(minutesInZone(now, ET_ZONE));
+  const cutoffs = getCutoffs(rules, now);
+
+  if (cutoffs.flatten !== null && current >= cutoffs.flatten) {
+    return { allowed: false, reason: `${label}: past the ${cutoffs.flattenLabel} flatten time`, shouldFlatten: true };
+  }
+  if (cutoffs.lastEntry !== null && current >= cutoffs.lastEntry) {
+    return { allowed: false, reason: `${label}: no new entries after ${cutoffs.lastEntryLabel}` };
+  }
+
+  const clock = minutesInZone(now, rules.timezone);
+  if (rules.windows.length > 0 && !rules.windows.some(window => isInWindow(clock, window))) {
+    return { allowed: false, reason: `${label}: outside entry windows ${rules.windowsText} (${rules.timezone})` };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Session rules and entry state for an account (strategy sessions not applied)
+ * @returns {Object} { account, rules, entryAllowed, reason, flattenDue, tradingDate, earlyClose }
+ */
+function getSessionStatus(accountId, now = new Date()) {
+  let rules = null;
+  let error = null;
+  try {
+    rules = getSessionRules(accountId);
+  } catch (e) {
+    error = e.message;
+  }
+
+  const entry = checkEntry(accountId, null, now);
+  const cutoffs = rules ? getCutoffs(rules, now) : null;
+
+  return {
+    account: accountId,
+    rules: rules && {
+      windows: rules.windowsText,
+      lastEntry: cutoffs.lastEntryLabel,
+      flatten: cutoffs.flattenLabel,
+      timezone: rules.timezone,
+    },
+    error,
+    entryAllowed: entry.allowed,
+    reason: entry.reason || null,
+    flattenDue: !!entry.shouldFlatten,
+    tradingDate: getTradingDate(now),
+    earlyClose: cutoffs?.earlyClose || false,
+  };
+}
+
+/**
+ * Flatten every enabled account whose SESSION_FLATTEN time has passed (cron)
+ * Each account is flattened once per trading day while the market is open;
+ * failures retry on the next run.
+ * @returns {Promise<Array>} flattenAccount results for the accounts flattened now
+ */
+async function enforceSessionFlatten(now = new Date()) {
+  // Nothing can be closed while the market is shut (weekends, holidays)
+  if (!futuresMarket.isFuturesOpen().open) return [];
+
+  await accounts.refreshAccounts();
+
+  const tradingDate = getTradingDate(now);
+  const store = await getRiskStore();
+  const stored = await store.getValue(FLATTENED_KEY);
+  const done = stored?.date === tradingDate ? stored.accounts : [];
+
+  const due = accounts.getEnabledAccounts().filter(account => {
+    if (!account.session?.flatten || done.includes(account.id)) return false;
+    return getSessionStatus(account.id, now).flattenDue;
+  });
+  if (due.length === 0) return [];
+
+  const results = await Promise.all(due.map(account => {
+    console.warn(`[TradingSessions] Session flatten time reached for ${account.id}`);
+    return tradingHalt.flattenAccount(account, `Session flatten: ${getSessionStatus(account.id, now).rules.flatten}`);
+  }));
+
+  const flattened = results.filter(r => r.success).map(r => r.account);
+  if (flattened.length > 0) {
+    await store.setValue(FLATTENED_KEY, { date: tradingDate, accounts: [...done, ...flattened] });
+  }
+  return results;
+}
+
+module.exports = {
+  parseClock,
+  formatClock,
+  parseWindows,
+  getTradingDate,
+  isEarlyCloseDay,
+  isPastClock,
+  getSessionRules,
+  checkEntry,
+  getSessionStatus,
+  enforceSessionFlatten,
+};
@@ -0,0 +1,300 @@
+/**
+ * Dashboard Users and Roles
+ * Users live in the Supabase `app_users` table (supabase/schema.sql), each
+ * with a role and the account IDs (lib/accounts.js) they may see.
+ *
+ * ROLES:
+ * - viewer: read-only access to their accounts
+ * - trader: viewer + write actions on their accounts (e.g. recording P&L)
+ * - admin: every account, plus resetting stats, copy groups, account reload
+ *   and user management
+ *
+ * ACCOUNTS:
+ * ['default', 'tfd'] limits a user to those accounts, ['*'] grants all.
+ *
+ * AUTH_USERNAME / AUTH_PASSWORD remain a built-in admin with every account,
+ * so a fresh deployment can sign in and create users. API keys act as
+ * viewers of every account; Vercel cron acts as an admin (GET only).
+ *
+ * Routes read the caller from the x-auth-user / x-auth-type headers set by
+ * proxy.js - see getRequestUser().
+ */
+
+const crypto = require('crypto');
+const auth = require('./auth');
+
+const ROLES = { ADMIN: 'admin', TRADER: 'trader', VIEWER: 'viewer' };
+const ROLE_RANK = { viewer: 1, trader: 2, admin: 3 };
+const ALL_ACCOUNTS = '*';
+
+const USER_CACHE_MS = 30 * 1000;
+
+let supabase = null;
+let supabaseChecked = false;
+const userCache = new Map(); // username -> { user, expiresAt }
+
+/**
+ * Initialize Supabase client
+ */
+async function getSupabase() {
+  if (supabaseChecked) return supabase;
+  supabaseChecked = true;
+
+  const url = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+  if (!url || !key) {
+    console.warn('[Users] Supabase not configured - only the AUTH_USERNAME admin can sign in');
+    supabase = false;
+    return supabase;
+  }
+
+  try {
+    const { createClient } = await import('@supabase/supabase-js');
+    supabase = createClient(url, key);
+  } catch (e) {
+    console.warn('[Users] Supabase init error:', e.message);
+    supabase = false;
+  }
+
+  return supabase;
+}
+
+/**
+ * Hash a password for storage (scrypt$salt$hash)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function rowToUser(row) {
+  return {
+    username: row.username,
+    role: row.role,
+    accounts: row.accounts || [],
+    enabled: row.enabled !== false,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function getEnvAdmin() {
+  if (!process.env.AUTH_USERNAME) return null;
+  return { username: process.env.AUTH_USERNAME, role: ROLES.ADMIN, accounts: [ALL_ACCOUNTS], enabled: true, builtIn: true };
+}
+
+/**
+ * Validate and normalize a user
+ * @throws {Error} When the user is malformed
+ */
+function normalizeUser(user) {
+  if (!user || typeof user !== 'object') throw new Error('User must be an object');
+
+  const username = String(user.username || '').trim();
+  if (!username) throw new Error('Username is required');
+  if (!/^[\w.@-]{2,64}$/.test(username)) throw new Error('Username may only contain letters, digits, . _ @ -');
+
+  const role = String(user.role || '').toLowerCase();
+  if (!ROLE_RANK[role]) throw new Error(`Role must be one of: ${Object.values(ROLES).join(', ')}`);
+
+  if (!Array.isArray(user.accounts)) throw new Error('Accounts must be an array of account IDs');
+  const accounts = [...new Set(user.accounts.map(id => String(id).trim()).filter(Boolean))];
+
+  return { username, role, accounts, enabled: user.enabled !== false };
+}
+
+/**
+ * Look up a user (cached briefly)
+ * @returns {Promise<Object|null>} { username, role, accounts, enabled }
+ */
+async function getUser(username) {
+  const envAdmin = getEnvAdmin();
+  if (envAdmin && username === envAdmin.username) return envAdmin;
+
+  const cached = userCache.get(username);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const client = await getSupabase();
+  if (!client) return null;
+
+  const { data, error } = await client
+    .from('app_users')
+    .select('username, role, accounts, enabled, created_at, updated_at')
+    .eq('username', username)
+    .maybeSingle();
+  if (error) throw new Error(`User lookup failed: ${error.message}`);
+
+  const user = data ? rowToUser(data) : null;
+  userCache.set(username, { user, expiresAt: Date.now() + USER_CACHE_MS });
+  return user;
+}
+
+/**
+ * Check a username and password
+ * @returns {Promise<Object|null>} The user, or null for bad credentials or a disabled user
+ */
+async function authenticateUser(username, password) {
+  const envAdmin = getEnvAdmin();
+  if (envAdmin && username === envAdmin.username) {
+    return auth.validateCredentials(username, password) ? envAdmin : null;
+  }
+
+  const client = await getSupabase();
+  if (!client) return null;
+
+  const { data, error } = await client
+    .from('app_users')
+    .select('*')
+    .eq('username', username)
+    .maybeSingle();
+  if (error) throw new Error(`User lookup failed: ${error.message}`);
+
+  if (!data || !data.enabled || !verifyPassword(password, data.password_hash)) return null;
+  return rowToUser(data);
+}
+
+/**
+ * All stored users (without password hashes), built-in admin first
+ */
+async function listUsers() {
+  const envAdmin = getEnvAdmin();
+  const client = await getSupabase();
+  if (!client) return envAdmin ? [envAdmin] : [];
+
+  const { data, error } = await client
+    .from('app_users')
+    .select('username, role, accounts, enabled, created_at, updated_at')
+    .order('username');
+  if (error) throw new Error(`User list failed: ${error.message}`);
+
+  return [...(envAdmin ? [envAdmin] : []), ...data.map(rowToUser)];
+}
+
+/**
+ * Create or update a user
+ * A password is required for new users; omit it to keep the current one.
+ */
+async function saveUser(input) {
+  const user = normalizeUser(input);
+  if (getEnvAdmin()?.username === user.username) {
+    throw new Error(`${user.username} is the built-in admin (AUTH_USERNAME) and cannot be edited`);
+  }
+
+  const client = await getSupabase();
+  if (!client) throw new Error('User storage requires Supabase');
+
+  const row = {
+    username: user.username,
+    role: user.role,
+    accounts: user.accounts,
+    enabled: user.enabled,
+    updated_at: new Date().toISOString(),
+  };
+
+  if (input.password) {
+    if (String(input.password).length < 8) throw new Error('Password must be at least 8 characters');
+    row.password_hash = hashPassword(String(input.password));
+  } else {
+    const existing = await getUser(user.username);
+    if (!existing) throw new Error('Password is required for new users');
+  }
+
+  const { data, error } = await client
+    .from('app_users')
+    .upsert(row, { onConflict: 'username' })
+    .select('username, role, accounts, enabled, created_at, updated_at')
+    .single();
+  if (error) throw new Error(`User save failed: ${error.message}`);
+
+  userCache.delete(user.username);
+  console.log(`[Users] Saved ${user.username} (${user.role}: ${user.accounts.join(', ') || 'no accounts'})`);
+  return rowToUser(data);
+}
+
+/**
+ * Delete a user
+ * @returns {Promise<boolean>} False when no user had that name
+ */
+async function deleteUser(username) {
+  const client = await getSupabase();
+  if (!client) throw new Error('User storage requires Supabase');
+
+  const { data, error } = await client
+    .from('app_users')
+    .delete()
+    .eq('username', username)
+    .select('username');
+  if (error) throw new Error(`User delete failed: ${error.message}`);
+
+  userCache.delete(username);
+  return data.length > 0;
+}
+
+/**
+ * The caller of a route, from the identity headers set by proxy.js
+ * @returns {Promise<Object|null>} { username, role, accounts } or null
+ */
+async function getRequestUser(request) {
+  const name = request.headers.get('x-auth-user');
+  const type = request.headers.get('x-auth-type');
+  if (!name || !type) return null;
+
+  if (type === 'apiKey') return { username: name, role: ROLES.VIEWER, accounts: [ALL_ACCOUNTS] };
+  if (type === 'cron') return { username: name, role: ROLES.ADMIN, accounts: [ALL_ACCOUNTS] };
+
+  const user = await getUser(name);
+  return user && user.enabled ? user : null;
+}
+
+/**
+ * Whether a user has at least a role
+ */
+function hasRole(user, role) {
+  return !!user && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[role];
+}
+
+function canViewAccount(user, accountId) {
+  if (!user) return false;
+  return user.role === ROLES.ADMIN || user.accounts.includes(ALL_ACCOUNTS) || user.accounts.includes(accountId);
+}
+
+function canTradeAccount(user, accountId) {
+  return hasRole(user, ROLES.TRADER) && canViewAccount(user, accountId);
+}
+
+/**
+ * Keep the items whose account the user may view
+ * @param {Function} getAccountId - item -> account ID
+ */
+function filterByAccount(user, items, getAccountId) {
+  return items.filter(item => canViewAccount(user, getAccountId(item)));
+}
+
+module.exports = {
+  ROLES,
+  ALL_ACCOUNTS,
+  hashPassword,
+  verifyPassword,
+  normalizeUser,
+  getUser,
+  authenticateUser,
+  listUsers,
+  saveUser,
+  deleteUser,
+  getRequestUser,
+  hasRole,
+  canViewAccount,
+  canTradeAccount,
+  filterByAccount,
+};
@@ -0,0 +1,356 @@
+/**
+ * Webhook Authentication
+ * Resolves the account for an incoming webhook from its secret or signature.
+ *
+ * METHODS:
+ * - Body secret: { "secret": "..." } in the JSON payload (what TradingView sends)
+ * - HMAC signature: for senders that can set headers
+ *     X-Webhook-Timestamp: 1760000000              (unix seconds)
+ *     X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "{timestamp}.{raw body}">
+ *   Requests more than WEBHOOK_SIGNATURE_TOLERANCE_SECONDS (300) old are
+ *   rejected. Set WEBHOOK_REQUIRE_SIGNATURE=true to refuse body secrets.
+ *
+ * SECRETS:
+ * Every account can have several active secrets, so a new one can be rolled
+ * out before the old one stops working:
+ * - ACCOUNT_{ID}_WEBHOOK_SECRET / WEBHOOK_SECRET from the environment
+ * - Secrets added by `node generate-webhook-secret.js --rotate <account>`,
+ *   kept in riskStore `webhook:secrets` with an optional expiry
+ * Rotating sets an expiry on the account's previous secrets (environment
+ * secrets included) instead of revoking them outright.
+ *
+ * IP ALLOWLIST:
+ * WEBHOOK_IP_ALLOWLIST=tradingview,203.0.113.7 - comma-separated IPs, where
+ * "tradingview" expands to TradingView's published webhook addresses.
+ * Unset allows any IP.
+ *
+ * Secrets are compared in constant time.
+ */
+
+const crypto = require('crypto');
+const accounts = require('./accounts');
+const { safeEqual, getClientIp } = require('./auth');
+const { getRiskStore } = require('./riskStore');
+
+const STORE_KEY = 'webhook:secrets';
+
+// https://www.tradingview.com/support/solutions/43000529348
+const TRADINGVIEW_IPS = ['52.89.214.238', '34.212.75.30', '54.218.53.128', '52.32.178.7'];
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 300;
+const DEFAULT_ROTATION_GRACE_HOURS = 72;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Short identifier for a secret that does not reveal it
+ */
+function fingerprint(secret) {
+  return sha256(secret).toString('hex').slice(0, 12);
+}
+
+function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function isExpired(entry, now) {
+  return !!entry.expiresAt && new Date(entry.expiresAt).getTime() <= now.getTime();
+}
+
+async function loadStoredSecrets() {
+  const store = await getRiskStore();
+  const stored = await store.getValue(STORE_KEY);
+  return Array.isArray(stored) ? stored : [];
+}
+
+async function saveStoredSecrets(entries) {
+  const store = await getRiskStore();
+  await store.setValue(STORE_KEY, entries);
+}
+
+/**
+ * Secrets configured on accounts (env or the accounts table), one per account
+ */
+function getEnvSecrets() {
+  const secrets = accounts.getAllAccounts()
+    .filter(account => account.webhookSecret)
+    .map(account => ({ account: account.id, secret: account.webhookSecret }));
+
+  // WEBHOOK_SECRET without PROJECTX_* credentials still routes to 'default'
+  if (process.env.WEBHOOK_SECRET && !secrets.some(s => s.account === 'default')) {
+    secrets.push({ account: 'default', secret: process.env.WEBHOOK_SECRET });
+  }
+
+  return secrets.map(({ account, secret }) => ({
+    id: `env_${fingerprint(secret)}`,
+    account,
+    secret,
+    source: 'env',
+    createdAt: null,
+    expiresAt: null,
+  }));
+}
+
+/**
+ * Every secret with its expiry, active or not
+ * Stored entries without a secret are expiry overrides for environment secrets
+ */
+async function getAllSecrets() {
+  await accounts.refreshAccounts();
+  const stored = await loadStoredSecrets();
+  const overrides = new Map(stored.filter(e => !e.secret).map(e => [e.id, e]));
+
+  const envSecrets = getEnvSecrets().map(entry => ({
+    ...entry,
+    expiresAt: overrides.get(entry.id)?.expiresAt ?? null,
+  }));
+
+  const storedSecrets = stored
+    .filter(e => e.secret)
+    .map(e => ({ ...e, source: 'store' }));
+
+  return [...envSecrets, ...storedSecrets];
+}
+
+/**
+ * Secrets that authenticate webhooks right now
+ */
+async function getActiveSecrets(now = new Date()) {
+  return (await getAllSecrets()).filter(entry => !isExpired(entry, now));
+}
+
+/**
+ * Parsed WEBHOOK_IP_ALLOWLIST, or null when every IP is allowed
+ */
+function getIpAllowlist() {
+  const raw = process.env.WEBHOOK_IP_ALLOWLIST;
+  if (!raw || !raw.trim()) return null;
+
+  return raw.split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean)
+    .flatMap(ip => (ip.toLowerCase() === 'tradingview' ? TRADINGVIEW_IPS : [ip]));
+}
+
+/**
+ * Secret whose HMAC matches the request signature
+ * @returns {Object} { entry } or { error }
+ */
+function matchSignature(secrets, headers, rawBody, now) {
+  const signature = headers.get(SIGNATURE_HEADER).replace(/^sha256=/i, '').trim().toLowerCase();
+  const timestamp = headers.get(TIMESTAMP_HEADER);
+
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    return { error: `Missing or invalid ${TIMESTAMP_HEADER} header` };
+  }
+
+  const tolerance = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS || String(DEFAULT_SIGNATURE_TOLERANCE_SECONDS), 10);
+  const ageSeconds = Math.abs(now.getTime() / 1000 - parseInt(timestamp, 10));
+  if (ageSeconds > tolerance) {
+    return { error: `Signature timestamp outside the ${tolerance}s window` };
+  }
+
+  // Check every secret so timing does not reveal which one matched
+  let entry = null;
+  for (const candidate of secrets) {
+    if (safeEqual(signPayload(candidate.secret, timestamp, rawBody), signature) && !entry) {
+      entry = candidate;
+    }
+  }
+  return entry ? { entry } : { error: 'Invalid signature' };
+}
+
+function matchBodySecret(secrets, secret) {
+  let entry = null;
+  for (const candidate of secrets) {
+    if (safeEqual(candidate.secret, secret) && !entry) {
+      entry = candidate;
+    }
+  }
+  return entry;
+}
+
+/**
+ * Authenticate a webhook request and resolve its account
+ *
+ * @param {Object} params
+ * @param {Headers} params.headers - Request headers
+ * @param {string} params.rawBody - Body exactly as received (for the HMAC)
+ * @param {Object} params.body - Parsed body (secret, account)
+ * @returns {Promise<Object>} {
+ *   ok: true, account, method ('signature' | 'secret'), secretId, expiresAt
+ * } or { ok: false, status, error }
+ */
+async function authenticateWebhook({ headers, rawBody, body }) {
+  const now = new Date();
+
+  const allowlist = getIpAllowlist();
+  if (allowlist) {
+    const ip = getClientIp(headers);
+    if (!ip || !allowlist.includes(ip)) {
+      console.warn(`[WebhookAuth] Rejected request from ${ip || 'unknown IP'} (not in WEBHOOK_IP_ALLOWLIST)`);
+      return { ok: false, status: 403, error: 'IP not allowed' };
+    }
+  }
+
+  const allSecrets = await getAllSecrets();
+  const secrets = allSecrets.filter(entry => !isExpired(entry, now));
+
+  let entry = null;
+  let method;
+  if (headers.get(SIGNATURE_HEADER)) {
+    method = 'signature';
+    const result = matchSignature(secrets, headers, rawBody, now);
+    if (result.error) {
+      console.warn(`[WebhookAuth] ${result.error}`);
+      return { ok: false, status: 401, error: 'Unauthorized' };
+    }
+    entry = result.entry;
+  } else if (process.env.WEBHOOK_REQUIRE_SIGNATURE === 'true') {
+    console.warn('[WebhookAuth] Unsigned request rejected (WEBHOOK_REQUIRE_SIGNATURE=true)');
+    return { ok: false, status: 401, error: 'Signature required' };
+  } else {
+    method = 'secret';
+    entry = matchBodySecret(secrets, body?.secret);
+  }
+
+  if (!entry) {
+    return { ok: false, status: 401, error: 'Unauthorized' };
+  }
+
+  let account = accounts.getAccount(entry.account);
+
+  // Explicit account: the secret must be one of its own, unless the account
+  // never had secrets (followers that are only traded through a master's
+  // secret). Expired and revoked secrets count, so revoking every secret of
+  // an account locks it out instead of opening it to other secrets.
+  if (body?.account) {
+    const explicitAccount = accounts.getAccount(body.account);
+    if (!explicitAccount) {
+      return { ok: false, status: 404, error: `Account not found: ${body.account}` };
+    }
+    const ownsSecrets = allSecrets.some(s => s.account === explicitAccount.id);
+    if (ownsSecrets && entry.account !== explicitAccount.id) {
+      console.error(`[WebhookAuth] Secret mismatch for account ${body.account}`);
+      return { ok: false, status: 401, error: 'Unauthorized for specified account' };
+    }
+    account = explicitAccount;
+  }
+
+  if (!account) {
+    return { ok: false, status: 401, error: 'Unauthorized' };
+  }
+
+  if (entry.expiresAt) {
+    console.warn(`[WebhookAuth] ${entry.account} authenticated with secret ${entry.id}, which expires ${entry.expiresAt}`);
+  }
+
+  return { ok: true, account, method, secretId: entry.id, expiresAt: entry.expiresAt };
+}
+
+/**
+ * Add a new secret for an account and schedule its current secrets to expire
+ *
+ * @param {string} accountId - Account ID
+ * @param {Object} options - { graceHours (default 72), label }
+ * @returns {Promise<Object>} { secret, entry, expiring: [{ id, expiresAt }] }
+ */
+async function rotateSecret(accountId, options = {}) {
+  if (!accounts.getAccount(accountId) && !(accountId === 'default' && process.env.WEBHOOK_SECRET)) {
+    throw new Error(`Account not found: ${accountId}`);
+  }
+
+  const now = new Date();
+  const graceHours = options.graceHours ?? DEFAULT_ROTATION_GRACE_HOURS;
+  const expiresAt = new Date(now.getTime() + graceHours * 60 * 60 * 1000).toISOString();
+
+  const stored = await loadStoredSecrets();
+  const expiring = [];
+
+  // Previous secrets keep working until the grace period ends
+  for (const entry of await getActiveSecrets(now)) {
+    if (entry.account !== accountId) continue;
+    if (entry.expiresAt && entry.expiresAt <= expiresAt) continue;
+
+    const existing = stored.find(e => e.id === entry.id);
+    if (existing) {
+      existing.expiresAt = expiresAt;
+    } else {
+      stored.push({ id: entry.id, account: accountId, expiresAt });
+    }
+    expiring.push({ id: entry.id, expiresAt });
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const entry = {
+    id: `ws_${fingerprint(secret)}`,
+    account: accountId,
+    secret,
+    label: options.label || null,
+    createdAt: now.toISOString(),
+    expiresAt: null,
+  };
+  stored.push(entry);
+
+  await saveStoredSecrets(stored);
+  // A secret that was printed but not stored would lock out the new alerts
+  if (!(await loadStoredSecrets()).some(e => e.id === entry.id)) {
+    throw new Error(`Secret ${entry.id} was not saved to the ${(await getRiskStore()).name} risk store`);
+  }
+  console.log(`[WebhookAuth] Rotated secret for ${accountId}: ${entry.id} (${expiring.length} previous secret(s) expire ${expiresAt})`);
+
+  return { secret, entry, expiring };
+}
+
+/**
+ * Expire a secret immediately
+ * @returns {Promise<boolean>} False when no secret had that ID
+ */
+async function revokeSecret(id) {
+  const entry = (await getAllSecrets()).find(e => e.id === id);
+  if (!entry) return false;
+
+  const stored = await loadStoredSecrets();
+  const expiresAt = new Date().toISOString();
+  const existing = stored.find(e => e.id === id);
+  if (existing) {
+    existing.expiresAt = expiresAt;
+  } else {
+    stored.push({ id, account: entry.account, expiresAt });
+  }
+
+  await saveStoredSecrets(stored);
+  console.log(`[WebhookAuth] Revoked secret ${id} (${entry.account})`);
+  return true;
+}
+
+/**
+ * Secrets without their values (safe to display)
+ */
+async function listSecrets(accountId = null) {
+  const now = new Date();
+  return (await getAllSecrets())
+    .filter(entry => !accountId || entry.account === accountId)
+    .map(({ secret, ...entry }) => ({
+      ...entry,
+      preview: `${secret.slice(0, 4)}...${secret.slice(-4)}`,
+      active: !isExpired(entry, now),
+    }));
+}
+
+module.exports = {
+  authenticateWebhook,
+  getActiveSecrets,
+  rotateSecret,
+  revokeSecret,
+  listSecrets,
+  signPayload,
+  TRADINGVIEW_IPS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+};
@@ -0,0 +1,370 @@
+/**
+ * Webhook Payload Schema
+ * Versioned schema for TradingView webhook payloads, shared by
+ * /api/trading/webhook and /api/trading/webhook/test.
+ *
+ * VERSIONS:
+ * - 1: action, symbol, stop, tp, account (+ price, qty, risk, mode)
+ * - 2: adds orderType, limitPrice, triggerPrice, timeInForce, expiresIn,
+ *      stop/TP offsets, tag, strategy, comment, flatten_only
+ * Payloads without "version" are validated against the latest version.
+ *
+ * STOP / TP:
+ * - 25350.25          absolute price
+ * - { "ticks": 40 }   distance from the entry in ticks
+ * - { "points": 10 }  distance from the entry in points
+ * Offsets are measured from limitPrice / triggerPrice, or for market
+ * entries from `price` (else the last traded price).
+ *
+ * LIMIT / STOP ENTRIES:
+ * Unfilled entries are cancelled after `expiresIn` seconds, at the session
+ * close for timeInForce "day", never for "gtc". The default is
+ * ENTRY_EXPIRY_SECONDS (600).
+ *
+ * validatePayload() never throws - it returns field-level errors:
+ * [{ field: 'stop', message: 'Must be a number or { ticks } / { points }' }]
+ */
+
+const contracts = require('./contracts');
+const futuresMarket = require('./futuresMarket');
+
+const SCHEMA_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+const ACTIONS = ['buy', 'sell', 'close'];
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+const BRACKET_MODES = ['standard', 'runner'];
+const TIME_IN_FORCE = ['day', 'gtc'];
+
+const DEFAULT_ENTRY_EXPIRY_SECONDS = 600;
+
+/**
+ * Field definitions - `since` is the first schema version with the field
+ */
+const PAYLOAD_FIELDS = {
+  version: { since: 1, type: 'integer' },
+  secret: { since: 1, type: 'string' },
+  action: { since: 1, type: 'enum', values: ACTIONS },
+  symbol: { since: 1, type: 'string' },
+  account: { since: 1, type: 'string' },
+  stop: { since: 1, type: 'level' },
+  tp: { since: 1, type: 'level' },
+  price: { since: 1, type: 'price' },
+  qty: { since: 1, type: 'integer' },
+  risk: { since: 1, type: 'number' },
+  mode: { since: 1, type: 'enum', values: BRACKET_MODES },
+  orderType: { since: 2, type: 'enum', values: ORDER_TYPES },
+  limitPrice: { since: 2, type: 'price' },
+  triggerPrice: { since: 2, type: 'price' },
+  timeInForce: { since: 2, type: 'enum', values: TIME_IN_FORCE },
+  expiresIn: { since: 2, type: 'integer' },
+  tag: { since: 2, type: 'string', maxLength: 64 },
+  strategy: { since: 2, type: 'string', maxLength: 64 },
+  comment: { since: 2, type: 'string', maxLength: 256 },
+  flatten_only: { since: 2, type: 'boolean' },
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// TradingView placeholders arrive as strings ("{{close}}" -> "25400.25")
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Parse one field
+ * @returns {Object} { value } or { error }
+ */
+function parseField(name, def, raw) {
+  switch (def.type) {
+    case 'string': {
+      if (typeof raw !== 'string') return { error: 'Must be a string' };
+      const value = raw.trim();
+      if (def.maxLength && value.length > def.maxLength) {
+        return { error: `Must be at most ${def.maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'enum': {
+      const value = String(raw).toLowerCase();
+      if (!def.values.includes(value)) return { error: `Must be one of: ${def.values.join(', ')}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'Must be true or false' };
+    }
+    case 'integer': {
+      const value = toNumber(raw);
+      if (!Number.isInteger(value) || value <= 0) return { error: 'Must be a positive whole number' };
+      return { value };
+    }
+    case 'number':
+    case 'price': {
+      const value = toNumber(raw);
+      if (!Number.isFinite(value) || value <= 0) return { error: 'Must be a positive number' };
+      return { value };
+    }
+    case 'level': {
+      if (raw !== null && typeof raw === 'object') {
+        const keys = Object.keys(raw);
+        const type = keys[0];
+        if (keys.length !== 1 || !['ticks', 'points'].includes(type)) {
+          return { error: 'Offset must be { "ticks": n } or { "points": n }' };
+        }
+        const value = toNumber(raw[type]);
+        if (!Number.isFinite(value) || value <= 0) return { error: `${type} must be a positive number` };
+        return { value: { type, value }, since: 2 };
+      }
+      const value = toNumber(raw);
+      if (!Number.isFinite(value) || value <= 0) {
+        return { error: 'Must be a positive price or { "ticks": n } / { "points": n }' };
+      }
+      return { value: { type: 'price', value } };
+    }
+    default:
+      return { error: `Unknown field type for ${name}` };
+  }
+}
+
+/**
+ * Validate and normalize a webhook payload
+ *
+ * @param {Object} body - Parsed JSON body
+ * @returns {Object} {
+ *   valid, errors: [{ field, message }], warnings: [string],
+ *   payload: normalized fields (stop/tp as { type, value }, flattenOnly)
+ * }
+ */
+function validatePayload(body) {
+  const errors = [];
+  const warnings = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, errors: [{ field: null, message: 'Payload must be a JSON object' }], warnings, payload: null };
+  }
+
+  // Version first - it decides which fields are allowed
+  let version = SCHEMA_VERSION;
+  if (!isMissing(body.version)) {
+    version = toNumber(body.version);
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      addError('version', `Unsupported version ${body.version} (supported: ${SUPPORTED_VERSIONS.join(', ')})`);
+      return { valid: false, errors, warnings, payload: null };
+    }
+  }
+
+  const fields = {};
+  for (const [name, raw] of Object.entries(body)) {
+    const def = PAYLOAD_FIELDS[name];
+    if (!def) {
+      warnings.push(`Unknown field "${name}" ignored`);
+      continue;
+    }
+    if (isMissing(raw)) continue;
+
+    const { value, error, since = def.since } = parseField(name, def, raw);
+    if (error) {
+      addError(name, error);
+    } else if (since > version) {
+      addError(name, `Requires payload version ${since} (payload is version ${version})`);
+    } else {
+      fields[name] = value;
+    }
+  }
+
+  const payload = {
+    version,
+    secret: fields.secret ?? null,
+    action: fields.action ?? null,
+    symbol: null,
+    account: fields.account ?? null,
+    stop: fields.stop ?? null,
+    tp: fields.tp ?? null,
+    price: fields.price ?? null,
+    qty: fields.qty ?? null,
+    risk: fields.risk ?? null,
+    mode: fields.mode ?? null,
+    orderType: fields.orderType ?? 'market',
+    limitPrice: fields.limitPrice ?? null,
+    triggerPrice: fields.triggerPrice ?? null,
+    timeInForce: fields.timeInForce ?? null,
+    expiresIn: fields.expiresIn ?? null,
+    tag: fields.tag ?? null,
+    strategy: fields.strategy ?? null,
+    comment: fields.comment ?? null,
+    flattenOnly: fields.flatten_only ?? false,
+  };
+
+  if (!payload.action && !errors.some(e => e.field === 'action')) {
+    addError('action', `Required (one of: ${ACTIONS.join(', ')})`);
+  }
+
+  // Symbol against the contract registry (defaults to MNQ)
+  payload.symbol = contracts.normalizeSymbol(fields.symbol || contracts.DEFAULT_SYMBOL);
+  if (!payload.symbol && !errors.some(e => e.field === 'symbol')) {
+    addError('symbol', `Unsupported symbol "${fields.symbol}" (supported: ${Object.keys(contracts.CONTRACT_SPECS).join(', ')})`);
+  }
+
+  const isEntry = payload.action === 'buy' || payload.action === 'sell';
+  if (isEntry && !payload.flattenOnly) {
+    validateEntry(payload, body, addError);
+  }
+
+  if (payload.orderType === 'market' && (payload.timeInForce || payload.expiresIn)) {
+    warnings.push('timeInForce / expiresIn only apply to limit and stop entries');
+  }
+
+  return { valid: errors.length === 0, errors, warnings, payload };
+}
+
+/**
+ * Entry-only rules: bracket levels, entry price and price bands
+ */
+function validateEntry(payload, body, addError) {
+  for (const field of ['stop', 'tp']) {
+    if (isMissing(body[field])) addError(field, 'Required for buy/sell entries');
+  }
+
+  if (payload.orderType === 'limit' && payload.limitPrice === null && isMissing(body.limitPrice)) {
+    addError('limitPrice', 'Required when orderType is limit');
+  }
+  if (payload.orderType === 'stop' && payload.triggerPrice === null && isMissing(body.triggerPrice)) {
+    addError('triggerPrice', 'Required when orderType is stop');
+  }
+
+  if (!payload.symbol) return;
+  const { min, max } = contracts.getContractSpec(payload.symbol).priceBand;
+  const inBand = (field, price) => {
+    if (!contracts.isPriceInBand(price, payload.symbol)) {
+      addError(field, `${price} is outside the ${payload.symbol} range (${min}-${max})`);
+      return false;
+    }
+    return true;
+  };
+
+  for (const field of ['price', 'limitPrice', 'triggerPrice']) {
+    if (payload[field] !== null) inBand(field, payload[field]);
+  }
+
+  const { stop, tp } = payload;
+  const stopOk = stop?.type === 'price' ? inBand('stop', stop.value) : true;
+  const tpOk = tp?.type === 'price' ? inBand('tp', tp.value) : true;
+
+  // Offsets are correct by construction; absolute levels must bracket the entry
+  if (stopOk && tpOk && stop?.type === 'price' && tp?.type === 'price') {
+    if (payload.action === 'buy' && stop.value >= tp.value) {
+      addError('stop', `For buy entries stop (${stop.value}) must be below tp (${tp.value})`);
+    }
+    if (payload.action === 'sell' && stop.value <= tp.value) {
+      addError('stop', `For sell entries stop (${stop.value}) must be above tp (${tp.value})`);
+    }
+  }
+
+  // A resting entry price must sit between the stop and the target
+  const entryField = payload.orderType === 'limit' ? 'limitPrice' : payload.orderType === 'stop' ? 'triggerPrice' : null;
+  const entry = entryField ? payload[entryField] : null;
+  if (entry !== null) {
+    const below = (level) => level?.type === 'price' && level.value >= entry;
+    const above = (level) => level?.type === 'price' && level.value <= entry;
+    if (payload.action === 'buy' ? below(stop) : above(stop)) {
+      addError('stop', `Must be ${payload.action === 'buy' ? 'below' : 'above'} the ${entryField} (${entry})`);
+    }
+    if (payload.action === 'buy' ? above(tp) : below(tp)) {
+      addError('tp', `Must be ${payload.action === 'buy' ? 'above' : 'below'} the ${entryField} (${entry})`);
+    }
+  }
+}
+
+/**
+ * Entry reference price for offsets: limit / trigger price, else `price`
+ */
+function getReferencePrice(payload) {
+  if (payload.orderType === 'limit') return payload.limitPrice;
+  if (payload.orderType === 'stop') return payload.triggerPrice;
+  return payload.price;
+}
+
+function hasOffsets(payload) {
+  return payload.stop?.type !== 'price' || payload.tp?.type !== 'price';
+}
+
+/**
+ * Turn stop/TP into absolute prices rounded to the tick
+ *
+ * @param {Object} payload - validatePayload().payload for a buy/sell entry
+ * @param {number|null} referencePrice - Entry reference for offsets
+ * @returns {Object} { stop, tp } or { errors: [{ field, message }] }
+ */
+function resolveBracketPrices(payload, referencePrice) {
+  const { symbol, action } = payload;
+  const { tickSize } = contracts.getContractSpec(symbol);
+  const direction = action === 'buy' ? 1 : -1;
+  const errors = [];
+
+  const resolve = (field, sign) => {
+    const level = payload[field];
+    if (level.type === 'price') return contracts.roundToTick(level.value, symbol);
+    if (!referencePrice) {
+      errors.push({ field, message: 'Offsets need an entry reference - send price, limitPrice or triggerPrice' });
+      return null;
+    }
+    const distance = level.type === 'ticks' ? level.value * tickSize : level.value;
+    return contracts.roundToTick(referencePrice + sign * direction * distance, symbol);
+  };
+
+  const stop = resolve('stop', -1);
+  const tp = resolve('tp', 1);
+  if (errors.length > 0) return { errors };
+
+  if (!contracts.isPriceInBand(stop, symbol) || !contracts.isPriceInBand(tp, symbol)) {
+    return { errors: [{ field: 'stop', message: `Resolved stop ${stop} / tp ${tp} outside the ${symbol} range` }] };
+  }
+
+  return { stop, tp };
+}
+
+/**
+ * When an unfilled limit / stop entry should be cancelled
+ * @returns {string|null} ISO timestamp, or null for market and gtc entries
+ */
+function getEntryExpiry(payload, now = new Date()) {
+  if (payload.orderType === 'market' || (payload.timeInForce === 'gtc' && !payload.expiresIn)) return null;
+
+  let seconds = payload.expiresIn;
+  if (!seconds && payload.timeInForce === 'day') {
+    const { isOpen, hoursUntilClose, minutesUntilClose } = futuresMarket.getTimeUntilClose(payload.symbol);
+    seconds = isOpen ? (hoursUntilClose * 60 + minutesUntilClose) * 60 : 0;
+  }
+  if (!seconds) {
+    seconds = parseInt(process.env.ENTRY_EXPIRY_SECONDS || String(DEFAULT_ENTRY_EXPIRY_SECONDS), 10);
+  }
+
+  return new Date(now.getTime() + seconds * 1000).toISOString();
+}
+
+/**
+ * One-line summary of field errors for logs and alert storage
+ */
+function formatErrors(errors) {
+  return errors.map(e => (e.field ? `${e.field}: ${e.message}` : e.message)).join('; ');
+}
+
+module.exports = {
+  validatePayload,
+  resolveBracketPrices,
+  getReferencePrice,
+  hasOffsets,
+  getEntryExpiry,
+  formatErrors,
+  PAYLOAD_FIELDS,
+  SCHEMA_VERSION,
+  SUPPORTED_VERSIONS,
+  ORDER_TYPES,
+};
@@ -1,5 +1,10 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  // lib/cmeCalendar.js reads the optional override file at runtime through a
+  // computed path, which file tracing can't follow
+  outputFileTracingIncludes: {
+    '/api/**': ['./cme-calendar.json'],
+  },
 }
 
 module.exports = nextConfig
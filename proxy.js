@@ -0,0 +1,64 @@
+/**
+ * Request proxy (Next.js middleware)
+ * Requires a session, API key or cron secret for /dashboard,
+ * /api/auth/users and every /api/trading/* route except the webhook, which
+ * authenticates by its own secret or signature (lib/webhookAuth.js).
+ * See lib/auth.js.
+ *
+ * Authenticated requests reach the route with x-auth-user / x-auth-type set;
+ * routes resolve the caller's role and accounts with lib/users.getRequestUser.
+ * Sessions of deleted or disabled users are refused here.
+ */
+
+import { NextResponse } from 'next/server';
+
+const auth = require('./lib/auth');
+const users = require('./lib/users');
+
+const PUBLIC_PATHS = ['/api/trading/webhook', '/api/trading/webhook/test'];
+
+export async function proxy(request) {
+  const { pathname, search } = request.nextUrl;
+
+  // Identity headers are only ever set here
+  const headers = new Headers(request.headers);
+  headers.delete('x-auth-user');
+  headers.delete('x-auth-type');
+
+  if (PUBLIC_PATHS.includes(pathname.replace(/\/$/, ''))) {
+    return NextResponse.next({ request: { headers } });
+  }
+
+  let principal = auth.authenticateRequest(request);
+  const isApi = pathname.startsWith('/api/');
+
+  if (principal?.type === 'session') {
+    const user = await users.getUser(principal.name).catch((error) => {
+      console.error('[Proxy] User lookup failed:', error.message);
+      return null;
+    });
+    if (!user?.enabled) principal = null;
+  }
+
+  if (!principal) {
+    if (!isApi) {
+      const loginUrl = new URL('/login', request.url);
+      loginUrl.searchParams.set('next', `${pathname}${search}`);
+      return NextResponse.redirect(loginUrl);
+    }
+    return NextResponse.json({ success: false, error: 'Authentication required' }, { status: 401 });
+  }
+
+  if (!auth.canUseMethod(principal, request.method)) {
+    console.warn(`[Proxy] ${principal.type} ${principal.name} denied ${request.method} ${pathname} (read-only)`);
+    return NextResponse.json({ success: false, error: 'Read-only credentials' }, { status: 403 });
+  }
+
+  headers.set('x-auth-user', principal.name);
+  headers.set('x-auth-type', principal.type);
+  return NextResponse.next({ request: { headers } });
+}
+
+export const config = {
+  matcher: ['/dashboard/:path*', '/api/trading/:path*', '/api/auth/users'],
+};
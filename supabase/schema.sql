@@ -52,3 +52,131 @@ ON daily_briefings(date DESC);
 
 -- Add meta column for risk sentiment, macro context, calendar
 ALTER TABLE daily_briefings ADD COLUMN IF NOT EXISTS meta JSONB;
+
+-- Risk manager state (daily counters, idempotency keys, trade history)
+-- Persisted so limits survive serverless cold starts
+CREATE TABLE IF NOT EXISTS risk_account_stats (
+  account_id TEXT PRIMARY KEY,
+  date DATE NOT NULL,
+  trade_count INTEGER NOT NULL DEFAULT 0,
+  total_loss DECIMAL NOT NULL DEFAULT 0,
+  total_profit DECIMAL NOT NULL DEFAULT 0,
+  last_trade_time BIGINT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS risk_webhooks (
+  webhook_id TEXT PRIMARY KEY,
+  processed_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_webhooks_processed_at
+ON risk_webhooks(processed_at);
+
+CREATE TABLE IF NOT EXISTS risk_trades (
+  id BIGSERIAL PRIMARY KEY,
+  trade_id TEXT UNIQUE NOT NULL,
+  account_id TEXT NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_trades_account_created
+ON risk_trades(account_id, created_at DESC);
+
+-- Keyed JSON state for the risk engine (prop-firm high-water marks, etc.)
+CREATE TABLE IF NOT EXISTS risk_state (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Broker-reconciled P&L on risk stats (written by lib/pnlSync.js)
+ALTER TABLE risk_account_stats ADD COLUMN IF NOT EXISTS open_pnl DECIMAL DEFAULT 0;
+ALTER TABLE risk_account_stats ADD COLUMN IF NOT EXISTS pnl_synced_at BIGINT;
+
+-- Atomic trade count for lib/riskStore.js incrementTradeCount: adds one
+-- trade, starting the row over when it belongs to an earlier day
+CREATE OR REPLACE FUNCTION risk_record_trade(p_account_id TEXT, p_date DATE, p_time BIGINT)
+RETURNS SETOF risk_account_stats
+LANGUAGE sql
+AS $$
+  INSERT INTO risk_account_stats AS s (account_id, date, trade_count, last_trade_time, updated_at)
+  VALUES (p_account_id, p_date, 1, p_time, NOW())
+  ON CONFLICT (account_id) DO UPDATE SET
+    trade_count = CASE WHEN s.date = EXCLUDED.date THEN s.trade_count + 1 ELSE 1 END,
+    total_loss = CASE WHEN s.date = EXCLUDED.date THEN s.total_loss ELSE 0 END,
+    total_profit = CASE WHEN s.date = EXCLUDED.date THEN s.total_profit ELSE 0 END,
+    open_pnl = CASE WHEN s.date = EXCLUDED.date THEN s.open_pnl ELSE 0 END,
+    pnl_synced_at = CASE WHEN s.date = EXCLUDED.date THEN s.pnl_synced_at ELSE NULL END,
+    date = EXCLUDED.date,
+    last_trade_time = EXCLUDED.last_trade_time,
+    updated_at = NOW()
+  RETURNING s.*;
+$$;
+
+-- Per-account trade locks shared by every instance (riskManager.acquireLock)
+CREATE TABLE IF NOT EXISTS risk_locks (
+  key TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  expires_at BIGINT NOT NULL
+);
+
+-- Take a lock when it is free, expired or already ours; true when taken
+CREATE OR REPLACE FUNCTION risk_try_lock(p_key TEXT, p_owner TEXT, p_expires_at BIGINT, p_now BIGINT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO risk_locks AS l (key, owner, expires_at)
+  VALUES (p_key, p_owner, p_expires_at)
+  ON CONFLICT (key) DO UPDATE SET owner = EXCLUDED.owner, expires_at = EXCLUDED.expires_at
+  WHERE l.expires_at < p_now OR l.owner = EXCLUDED.owner;
+  RETURN FOUND;
+END;
+$$;
+
+-- Copy-trade links: follower alerts point back at the master's alert and order
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS order_id TEXT;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS copied_from TEXT;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS master_alert_id TEXT;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS master_order_id TEXT;
+
+-- Why a halt/flatten alert was raised (rule breach, EOD, news blackout)
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_master_alert
+ON alerts(master_alert_id);
+
+-- Dashboard users (lib/users.js): role and visible account IDs ('*' = all)
+CREATE TABLE IF NOT EXISTS app_users (
+  username TEXT PRIMARY KEY,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'trader', 'viewer')),
+  accounts TEXT[] NOT NULL DEFAULT '{}',
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Trading accounts managed at runtime (lib/accountStore.js); merged over
+-- ACCOUNT_{ID}_* env accounts. Credentials are AES-256-GCM encrypted.
+CREATE TABLE IF NOT EXISTS trading_accounts (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  broker TEXT,
+  enabled BOOLEAN,
+  username TEXT,
+  api_key_encrypted TEXT,
+  broker_account_id TEXT,
+  base_url TEXT,
+  rtc_url TEXT,
+  webhook_secret_encrypted TEXT,
+  settings JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- NULL enabled = keep the env account's ACCOUNT_{ID}_ENABLED
+ALTER TABLE trading_accounts ALTER COLUMN enabled DROP NOT NULL;
+ALTER TABLE trading_accounts ALTER COLUMN enabled DROP DEFAULT;